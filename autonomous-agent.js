@@ -14,9 +14,34 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import fs from 'fs/promises';
-import { execSync } from 'child_process';
+import path from 'path';
 import axios from 'axios';
 import TelegramBot from 'node-telegram-bot-api';
+import { JobQueue, JOB_STATUS } from './lib/job-queue.js';
+import { LeadCheckpointStore, PHASE_STATUS } from './lib/lead-checkpoints.js';
+import { RetryPolicy, ProviderHttpError, ProviderUnavailableError, classifyError } from './lib/retry-policy.js';
+import { RateLimiterRegistry, runPool } from './lib/rate-limiter.js';
+import { LeadRegistry, DUPLICATE_POLICIES, normalizeDomain, isKnownPractice } from './lib/lead-registry.js';
+import { createProviderAdapters } from './lib/provider-adapters.js';
+import { createFakeProviders, parseFailureRates } from './lib/fake-providers.js';
+import { CampaignScheduler, ScheduleValidationError } from './lib/campaign-scheduler.js';
+import { CampaignStore } from './lib/campaign-store.js';
+import { parseLeadImport, parseMappingSpec, ImportValidationError } from './lib/lead-import.js';
+import { resolveLocation, scoreLocationMatch, countryForHost, phoneCountryCodes, DEFAULT_LOCATION_THRESHOLD } from './lib/gazetteer.js';
+import { DiscoveryService, ExaDiscoverySource, OverpassDiscoverySource, StaticSeedSource, UploadedListSource, queryVariations } from './lib/discovery.js';
+import { SourceRuleStore, SourceRuleValidationError, SOURCE_LISTS } from './lib/source-rules.js';
+import { compileFilters, validateFilters, filterFields } from './lib/filter-expression.js';
+import { RelevanceClassifier, RelevanceCache, isRelevant, DEFAULT_RELEVANCE_THRESHOLD, DEFAULT_BATCH_SIZE } from './lib/relevance.js';
+import { extractContacts, normalizePhoneE164, callingCodeFor } from './lib/contact-extraction.js';
+import { SiteCrawler, corpusFor, topicText, pageTitle, htmlToText, ROBOTS_AGENT } from './lib/site-crawler.js';
+import { extractStructuredData } from './lib/structured-data.js';
+import { extractBrand, derivePalette, stylesheetLinks } from './lib/brand-extraction.js';
+import { resolvePracticeName, domainFallbackName } from './lib/practice-name.js';
+import { normalizeCatalogueEntry, mergeCatalogue, parsePriceList, currencyForCountry, describeService, formatPrice, formatDuration, MAX_CATALOGUE_SERVICES } from './lib/service-catalogue.js';
+import { parseOpeningHours, formatOpeningHours } from './lib/opening-hours.js';
+import { detectLanguage, resolveLanguage, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './lib/language-detection.js';
+import { demoCopy, fillCopy, pageCopy } from './lib/demo-copy.js';
+import { classifySpecialty, resolveSpecialty, specialtyProfile, mentionsSpecialty, practiceTypeUnion, SPECIALTY_IDS, DEFAULT_SPECIALTY } from './lib/specialties.js';
 // MCP imports removed - using direct API calls instead
 
 dotenv.config();
@@ -31,22 +56,126 @@ class AutonomousHealthcareAgent {
     this.setupRoutes();
     
     // Agent configuration
+    // PROVIDER_MODE=fake runs every integration against in-process fakes (no keys, no network)
+    this.providerMode = process.env.PROVIDER_MODE || 'live';
+    const fakeMode = this.providerMode === 'fake';
+    const requiredEnv = name => process.env[name] || (fakeMode ? `fake-${name.toLowerCase().replace(/_/g, '-')}` : this.throwMissingEnvError(name));
+
     this.config = {
-      githubToken: process.env.GITHUB_TOKEN || this.throwMissingEnvError('GITHUB_TOKEN'),
-      railwayToken: process.env.RAILWAY_TOKEN || this.throwMissingEnvError('RAILWAY_TOKEN'),
-      notionApiKey: process.env.NOTION_API_KEY || this.throwMissingEnvError('NOTION_API_KEY'),
-      notionDatabaseId: process.env.NOTION_DATABASE_ID || this.throwMissingEnvError('NOTION_DATABASE_ID'),
-      elevenLabsApiKey: process.env.ELEVENLABS_API_KEY || this.throwMissingEnvError('ELEVENLABS_API_KEY'),
-      openRouterApiKey: process.env.OPENROUTER_API_KEY || this.throwMissingEnvError('OPENROUTER_API_KEY'),
-      masterAgentId: process.env.ELEVENLABS_AGENT_ID || this.throwMissingEnvError('ELEVENLABS_AGENT_ID'),
-      telegramBotToken: process.env.TELEGRAM_BOT_TOKEN || this.throwMissingEnvError('TELEGRAM_BOT_TOKEN')
+      githubToken: requiredEnv('GITHUB_TOKEN'),
+      railwayToken: requiredEnv('RAILWAY_TOKEN'),
+      notionApiKey: requiredEnv('NOTION_API_KEY'),
+      notionDatabaseId: requiredEnv('NOTION_DATABASE_ID'),
+      elevenLabsApiKey: requiredEnv('ELEVENLABS_API_KEY'),
+      openRouterApiKey: requiredEnv('OPENROUTER_API_KEY'),
+      masterAgentId: requiredEnv('ELEVENLABS_AGENT_ID'),
+      // No Telegram fake - offline runs simply go without the bot
+      telegramBotToken: process.env.TELEGRAM_BOT_TOKEN || (fakeMode ? null : this.throwMissingEnvError('TELEGRAM_BOT_TOKEN'))
     };
     
     // EXA API key for real healthcare practice discovery
-    this.exaApiKey = process.env.EXA_API_KEY || this.throwMissingEnvError('EXA_API_KEY');
+    this.exaApiKey = requiredEnv('EXA_API_KEY');
+
+    // Provider adapters - base URLs overridable per provider via <PROVIDER>_BASE_URL
+    if (fakeMode) {
+      this.fakeProviders = createFakeProviders({
+        failureRates: parseFailureRates(process.env.FAKE_PROVIDER_FAILURES),
+        latencyMs: parseInt(process.env.FAKE_PROVIDER_LATENCY_MS || '0', 10),
+        logger: message => console.log(chalk.gray(message))
+      });
+      this.app.use('/__fake', this.fakeProviders.router);
+    }
+    this.providers = createProviderAdapters({
+      mode: this.providerMode,
+      fakeBaseUrl: `http://127.0.0.1:${this.port}/__fake`,
+      githubToken: this.config.githubToken
+    });
+
+    // Practice websites are read beyond the home page, within a per-site page/byte budget
+    this.crawler = new SiteCrawler({
+      fetchPage: (url, init) => this.providers.web.fetchPage(url, init),
+      userAgent: process.env.CRAWL_USER_AGENT || `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)`,
+      budget: {
+        maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '8', 10),
+        maxBytes: parseInt(process.env.CRAWL_MAX_BYTES || '2000000', 10),
+        maxPageBytes: parseInt(process.env.CRAWL_MAX_PAGE_BYTES || '500000', 10)
+      },
+      logger: message => console.log(chalk.gray(message))
+    });
+    this.extractionCorpusChars = parseInt(process.env.EXTRACTION_CORPUS_CHARS || '12000', 10);
+    // Linked stylesheets read for brand colors, on top of the crawl budget
+    this.brandStylesheets = parseInt(process.env.BRAND_MAX_STYLESHEETS || '2', 10);
+    // Voice per agent language (ELEVENLABS_VOICE_DE, ELEVENLABS_VOICE_NL, ...), else the default voice
+    this.defaultVoiceId = process.env.ELEVENLABS_VOICE_ID || 'pNInz6obpgDQGcFmaJgB'; // Adam
+
+    // Durable agent state (jobs etc.) - mount a Railway volume here in production
+    this.dataDir = process.env.AGENT_DATA_DIR || path.join(process.cwd(), 'data');
+    this.leadCheckpoints = new LeadCheckpointStore({ filePath: path.join(this.dataDir, 'leads.json') });
+    this.activeLeadIds = new Set();
+    this.campaigns = new CampaignStore({ filePath: path.join(this.dataDir, 'campaigns.json') });
+    this.notionCampaignProperty = process.env.NOTION_CAMPAIGN_PROPERTY || 'Campaign';
+
+    // One registry entry per clinic domain - stops the same practice being processed twice
+    this.leadRegistry = new LeadRegistry({
+      filePath: path.join(this.dataDir, 'lead-registry.json'),
+      keyFor: domain => this.generatePracticeId(domain)
+    });
+    this.duplicatePolicy = process.env.DUPLICATE_POLICY || 'skip';
+
+    // Minimum location match score (0-1) for a search result to count as "in" the location
+    this.locationThreshold = parseFloat(process.env.LOCATION_MATCH_THRESHOLD || String(DEFAULT_LOCATION_THRESHOLD));
+
+    // Minimum LLM relevance score (0-1) for a search result to become a lead
+    this.relevanceThreshold = parseFloat(process.env.RELEVANCE_THRESHOLD || String(DEFAULT_RELEVANCE_THRESHOLD));
+
+    // Discovery rounds (deeper pages, query variations) spent to reach a campaign's lead count
+    this.searchBudget = parseInt(process.env.DISCOVERY_SEARCH_BUDGET || '4', 10);
+
+    // Undo every side effect of a lead automatically when its pipeline fails
+    this.teardownOnFailure = process.env.TEARDOWN_ON_FAILURE === 'true';
+
+    // Shared retry/backoff policy and per-provider circuit breakers for outbound calls
+    this.retryPolicy = new RetryPolicy({
+      defaults: {
+        maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '4', 10),
+        baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '1000', 10),
+        maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '30000', 10),
+        failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+        resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_MS || '60000', 10)
+      },
+      providers: {
+        // Free models are rate limited aggressively - allow a few more attempts
+        openrouter: { maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS_OPENROUTER || '6', 10) }
+      },
+      logger: message => console.log(chalk.gray(message))
+    });
+
+    // Leads processed in parallel, each provider kept within its quota by a token bucket
+    this.leadConcurrency = parseInt(process.env.LEAD_CONCURRENCY || '3', 10);
+    const perMinute = (provider, fallback) => ({
+      ratePerMinute: parseInt(process.env[`RATE_LIMIT_${provider.toUpperCase()}_PER_MIN`] || fallback, 10)
+    });
+    this.rateLimiters = new RateLimiterRegistry({
+      openrouter: perMinute('openrouter', '20'), // OpenRouter free tier: 20 req/min
+      exa: perMinute('exa', '120'),
+      overpass: perMinute('overpass', '10'), // public Overpass instances allow ~10k queries/day
+      notion: perMinute('notion', '150'),
+      github: perMinute('github', '60'),
+      railway: perMinute('railway', '30'),
+      elevenlabs: perMinute('elevenlabs', '30')
+    });
+
+    // Practice discovery across EXA, OpenStreetMap, the seed list and uploaded lists
+    this.setupDiscovery();
 
     // Initialize Telegram Bot
     this.setupTelegramBot();
+
+    // Initialize persistent background job queue
+    this.setupJobQueue();
+
+    // Recurring campaigns fired on cron schedules
+    this.setupScheduler();
     
     // Initialize MCP clients (async, non-blocking)
     this.initializeMCPClient().catch(error => {
@@ -62,7 +191,7 @@ class AutonomousHealthcareAgent {
 
   setupMiddleware() {
     this.app.use(cors());
-    this.app.use(express.json());
+    this.app.use(express.json({ limit: '5mb' }));
     this.app.use((req, res, next) => {
       console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
       next();
@@ -92,12 +221,12 @@ class AutonomousHealthcareAgent {
       }
 
       // Test ElevenLabs API connectivity
-      const response = await axios.get('https://api.elevenlabs.io/v1/user/subscription', {
+      const response = await this.callProvider('elevenlabs', () => axios.get(this.providers.elevenlabs.url('/user/subscription'), {
         headers: {
           'xi-api-key': this.config.elevenLabsApiKey
         },
         timeout: 10000
-      });
+      }), { label: 'ElevenLabs subscription check' });
 
       if (response.status === 200) {
         console.log(chalk.green(`✅ ElevenLabs API connected! Subscription status: ${response.data.status || 'active'}`));
@@ -141,6 +270,245 @@ class AutonomousHealthcareAgent {
     }
   }
 
+  /**
+   * 🧭 DISCOVERY SOURCES
+   * DISCOVERY_SOURCES restricts which sources run (default: all configured),
+   * DISCOVERY_SEED_FILE points at a JSON array of { url, title, location, specialty }.
+   * Every candidate is screened against the editable block/allowlist and the
+   * directory/blog/news heuristics before anything else looks at it.
+   */
+  setupDiscovery() {
+    const sources = [
+      new ExaDiscoverySource({ search: payload => this.exaSearch(payload) }),
+      new OverpassDiscoverySource({ request: query => this.overpassQuery(query) }),
+      ...(process.env.DISCOVERY_SEED_FILE ? [new StaticSeedSource({ filePath: process.env.DISCOVERY_SEED_FILE })] : [])
+    ];
+    this.uploadedLists = new UploadedListSource({ filePath: path.join(this.dataDir, 'discovery-lists.json') });
+    sources.push(this.uploadedLists);
+    this.sourceRules = new SourceRuleStore({ filePath: path.join(this.dataDir, 'source-rules.json') });
+
+    // Batched LLM relevance verdicts, cached per URL + query (RELEVANCE_CACHE_HOURS, default a week)
+    this.relevance = new RelevanceClassifier({
+      complete: (prompt, { size }) => this.completeRelevancePrompt(prompt, size),
+      cache: new RelevanceCache({
+        filePath: path.join(this.dataDir, 'relevance-cache.json'),
+        ttlMs: parseFloat(process.env.RELEVANCE_CACHE_HOURS || '168') * 60 * 60 * 1000
+      }),
+      batchSize: parseInt(process.env.RELEVANCE_BATCH_SIZE || String(DEFAULT_BATCH_SIZE), 10),
+      logger: message => console.log(chalk.gray(message))
+    });
+
+    const enabled = process.env.DISCOVERY_SOURCES?.split(',').map(name => name.trim()).filter(Boolean);
+    this.discovery = new DiscoveryService({
+      sources: enabled ? sources.filter(source => enabled.includes(source.name)) : sources,
+      logger: message => console.log(chalk.gray(message))
+    });
+  }
+
+  /**
+   * 📬 Persistent job queue for long-running lead workflows
+   * Routes and Telegram handlers enqueue jobs and return immediately; the
+   * journal in AGENT_DATA_DIR lets interrupted jobs resume after a restart.
+   */
+  setupJobQueue() {
+    this.jobQueue = new JobQueue({
+      filePath: path.join(this.dataDir, 'jobs.json'),
+      concurrency: parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+      logger: message => console.log(chalk.red(message))
+    });
+
+    this.jobQueue.registerHandler('autonomous-workflow', (payload, job) =>
+      this.executeAutonomousWorkflow(payload.leadCount, { job, duplicatePolicy: payload.duplicatePolicy, dryRun: payload.dryRun, language: payload.language, campaignId: payload.campaignId }));
+    this.jobQueue.registerHandler('custom-workflow', (payload, job) =>
+      this.executeCustomAutonomousWorkflow(payload.workflowConfig, { job, campaignId: payload.campaignId }));
+    this.jobQueue.registerHandler('process-urls', (payload, job) =>
+      this.processUrlBatch(payload.urls, { job, duplicatePolicy: payload.duplicatePolicy, dryRun: payload.dryRun, language: payload.language, campaignId: payload.campaignId }));
+    this.jobQueue.registerHandler('import-leads', (payload, job) =>
+      this.processImportBatch(payload.rows, { job, rejected: payload.rejected, duplicatePolicy: payload.duplicatePolicy, dryRun: payload.dryRun, language: payload.language, campaignId: payload.campaignId }));
+    this.jobQueue.registerHandler('resume-lead', payload =>
+      this.resumeLead(payload.leadId));
+
+    this.jobQueue.on('started', job => {
+      console.log(chalk.cyan(`📬 Job started: ${job.id} (${job.type}, attempt ${job.attempts})`));
+      if (job.payload.campaignId) {
+        this.campaigns.update(job.payload.campaignId, { status: 'running', startedAt: job.startedAt }).catch(error => {
+          console.log(chalk.red(`❌ Campaign ${job.payload.campaignId} not updated: ${error.message}`));
+        });
+      }
+    });
+
+    for (const status of [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]) {
+      this.jobQueue.on(status, job => {
+        console.log(chalk.cyan(`📬 Job ${status}: ${job.id}${job.error ? ` - ${job.error}` : ''}`));
+        if (job.payload.campaignId) {
+          this.campaigns.finish(job.payload.campaignId, status).catch(error => {
+            console.log(chalk.red(`❌ Campaign ${job.payload.campaignId} not finalized: ${error.message}`));
+          });
+        }
+        this.notifyTelegramJobOutcome(job).catch(error => {
+          console.log(chalk.red(`❌ Telegram job notification failed: ${error.message}`));
+        });
+      });
+    }
+
+    this.jobQueueReady = this.jobQueue.init().then(pending => {
+      console.log(chalk.green(`✅ Job queue ready (${pending} queued job(s) pending)`));
+    }).catch(error => {
+      console.log(chalk.red(`❌ Job queue initialization failed: ${error.message}`));
+    });
+  }
+
+  /**
+   * 📅 Recurring lead-generation campaigns
+   * Each schedule enqueues a custom-workflow job; the run summary goes to the
+   * schedule's Telegram chat (or SCHEDULE_TELEGRAM_CHAT_ID) through the usual
+   * job outcome notification.
+   */
+  setupScheduler() {
+    this.scheduler = new CampaignScheduler({
+      filePath: path.join(this.dataDir, 'schedules.json'),
+      tickMs: parseInt(process.env.SCHEDULE_TICK_MS || '30000', 10),
+      launch: async (schedule, { manual }) => {
+        const { job } = await this.enqueueCampaign('custom-workflow', { workflowConfig: schedule.workflowConfig }, {
+          source: 'schedule',
+          scheduleId: schedule.id,
+          scheduleName: schedule.name,
+          manual,
+          telegramChatId: schedule.telegramChatId || process.env.SCHEDULE_TELEGRAM_CHAT_ID || null
+        }, {
+          name: `${schedule.name} · ${this.campaignTimestamp()}`,
+          workflowConfig: schedule.workflowConfig,
+          creator: schedule.createdBy || `schedule:${schedule.id}`,
+          scheduleId: schedule.id
+        });
+        return job.id;
+      },
+      isRunActive: jobId => [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(this.jobQueue.get(jobId)?.status)
+    });
+
+    this.scheduler.on('launched', (schedule, jobId) => {
+      console.log(chalk.cyan(`📅 Schedule "${schedule.name}" launched job ${jobId} (next run ${schedule.nextRunAt || 'paused'})`));
+    });
+    this.scheduler.on('skipped', (schedule, reason) => {
+      console.log(chalk.yellow(`📅 Schedule "${schedule.name}" skipped: ${reason}`));
+    });
+    this.scheduler.on('error', (error, schedule) => {
+      console.log(chalk.red(`❌ Schedule "${schedule.name}" failed to launch: ${error.message}`));
+    });
+
+    for (const status of [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]) {
+      this.jobQueue.on(status, job => {
+        if (job.meta?.scheduleId) {
+          this.scheduler.recordOutcome(job.meta.scheduleId, status).catch(error => {
+            console.log(chalk.red(`❌ Schedule outcome not recorded: ${error.message}`));
+          });
+        }
+      });
+    }
+
+    // Schedules check for running jobs, so wait until the journal is loaded
+    this.jobQueueReady.then(() => this.scheduler.init()).then(active => {
+      console.log(chalk.green(`✅ Scheduler ready (${active} active schedule(s))`));
+    }).catch(error => {
+      console.log(chalk.red(`❌ Scheduler initialization failed: ${error.message}`));
+    });
+  }
+
+  /**
+   * 🗂️ Enqueue a lead workflow as a new campaign
+   * The campaign id travels in the job payload so every lead outcome and
+   * Notion row can be traced back to the run that produced it.
+   */
+  async enqueueCampaign(type, payload, meta, { name, workflowConfig = null, conversation = null, creator = null, scheduleId = null }) {
+    const campaign = await this.campaigns.create({
+      name,
+      source: meta.source,
+      workflowConfig,
+      conversation,
+      creator,
+      scheduleId,
+      dryRun: Boolean(payload.dryRun || payload.workflowConfig?.dryRun)
+    });
+
+    const job = await this.jobQueue.enqueue(type, { ...payload, campaignId: campaign.id }, meta);
+    await this.campaigns.update(campaign.id, { jobId: job.id });
+    console.log(chalk.cyan(`🗂️ Campaign ${campaign.id} "${campaign.name}" → job ${job.id}`));
+
+    return { job, campaign };
+  }
+
+  campaignTimestamp() {
+    return new Date().toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  defaultCampaignName(workflowConfig) {
+    return `${workflowConfig.specialty || 'Healthcare'} · ${workflowConfig.location || 'Global'} · ${this.campaignTimestamp()}`;
+  }
+
+  /**
+   * 📥 Validate an import file and queue its valid rows as a campaign.
+   * Resolves to { parsed, job, campaign } - job is null when no row is valid.
+   */
+  async enqueueLeadImport(content, { format, filename, mapping, duplicatePolicy, dryRun = false, language = null }, meta, { name, creator = null }) {
+    const parsed = parseLeadImport(content, { format, filename, mapping });
+    console.log(chalk.cyan(`📥 IMPORT: ${parsed.valid} valid / ${parsed.invalid} invalid ${parsed.format.toUpperCase()} row(s)${filename ? ` from ${filename}` : ''}`));
+    
+    if (parsed.valid === 0) {
+      return { parsed, job: null, campaign: null };
+    }
+    
+    const rows = parsed.rows.filter(row => row.status === 'valid').map(({ row, url, seed }) => ({ row, url, seed }));
+    const rejected = parsed.rows.filter(row => row.status === 'invalid').map(({ row, errors }) => ({ row, errors }));
+    const { job, campaign } = await this.enqueueCampaign('import-leads', { rows, rejected, duplicatePolicy, dryRun, language }, meta, {
+      name: name || `Import ${filename || parsed.format.toUpperCase()} (${rows.length}) · ${this.campaignTimestamp()}`,
+      workflowConfig: { import: { filename: filename || null, format: parsed.format, mapping: parsed.mapping, rows: parsed.rows.length }, duplicatePolicy, dryRun, language },
+      creator
+    });
+    
+    return { parsed, job, campaign };
+  }
+
+  importReport(parsed) {
+    return {
+      format: parsed.format,
+      mapping: parsed.mapping,
+      valid: parsed.valid,
+      invalid: parsed.invalid,
+      rows: parsed.rows.map(({ row, url, status, errors }) => ({ row, url, status, errors }))
+    };
+  }
+
+  /**
+   * 🔁 Run an outbound provider call under the shared retry policy
+   * provider: openrouter | exa | overpass | notion | github | railway | elevenlabs
+   */
+  callProvider(provider, request, options = {}) {
+    return this.retryPolicy.execute(provider, async attempt => {
+      await this.rateLimiters.acquire(provider);
+      return request(attempt);
+    }, options);
+  }
+
+  /**
+   * Public view of a job for API responses
+   */
+  serializeJob(job, { includeResults = true } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      cancelRequested: job.cancelRequested,
+      payload: job.payload,
+      progress: job.progress,
+      result: includeResults ? job.result : undefined,
+      error: job.error,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
@@ -163,28 +531,50 @@ class AutonomousHealthcareAgent {
           'Deployment (Railway MCP)'
         ],
         searchEngine: 'EXA API',
+        discoverySources: this.discovery.sources.map(({ name, weight }) => ({ name, weight })),
+        providerMode: this.providerMode,
+        providerEndpoints: this.providers,
+        providers: this.retryPolicy.status(),
+        rateLimits: this.rateLimiters.status(),
+        leadConcurrency: this.leadConcurrency,
         ready: true
       });
     });
 
-    // Main trigger endpoint
+    // Main trigger endpoint - enqueues a background job and returns its ID
     this.app.post('/create-leads', async (req, res) => {
       try {
-        const { count = 1 } = req.body;
+        const { count = 1, duplicatePolicy, dryRun = false, campaignName, creator, language: requestedLanguage } = req.body;
         
-        console.log(chalk.cyan(`🤖 AUTONOMOUS TRIGGER: Creating ${count} healthcare leads`));
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+          return res.status(400).json({ error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
         
-        const results = await this.executeAutonomousWorkflow(count);
+        const language = requestedLanguage ? resolveLanguage(requestedLanguage) : null;
+        if (requestedLanguage && !language) {
+          return res.status(400).json({ error: `Unknown language "${requestedLanguage}" - use one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+        }
         
-        res.json({
+        console.log(chalk.cyan(`🤖 AUTONOMOUS TRIGGER: Queueing ${count} healthcare leads`));
+        
+        const { job, campaign } = await this.enqueueCampaign('autonomous-workflow', { leadCount: count, duplicatePolicy, dryRun: Boolean(dryRun), language }, { source: 'http' }, {
+          name: campaignName || `Autonomous ${count} lead(s) · ${this.campaignTimestamp()}`,
+          workflowConfig: { leadCount: count, duplicatePolicy, dryRun: Boolean(dryRun), language },
+          creator: creator || null
+        });
+        
+        res.status(202).json({
           success: true,
           requested: count,
-          completed: results.filter(r => r.status === 'success').length,
-          results: results
+          dryRun: Boolean(dryRun),
+          campaignId: campaign.id,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/jobs/${job.id}`
         });
         
       } catch (error) {
-        console.error(chalk.red('❌ Autonomous workflow failed:'), error);
+        console.error(chalk.red('❌ Autonomous workflow enqueue failed:'), error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -193,27 +583,40 @@ class AutonomousHealthcareAgent {
       }
     });
 
-    // Batch processing endpoint
+    // Batch processing endpoint - enqueues a background job and returns its ID
     this.app.post('/process-urls', async (req, res) => {
       try {
-        const { urls } = req.body;
+        const { urls, duplicatePolicy, dryRun = false, campaignName, creator, language: requestedLanguage } = req.body;
         
         if (!urls || !Array.isArray(urls)) {
           return res.status(400).json({ error: 'URLs array required' });
         }
         
-        console.log(chalk.cyan(`🤖 BATCH PROCESSING: ${urls.length} healthcare websites`));
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+          return res.status(400).json({ error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
         
-        const results = [];
-        for (const url of urls) {
-          const result = await this.processHealthcareWebsite(url);
-          results.push(result);
+        const language = requestedLanguage ? resolveLanguage(requestedLanguage) : null;
+        if (requestedLanguage && !language) {
+          return res.status(400).json({ error: `Unknown language "${requestedLanguage}" - use one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
         }
         
-        res.json({
+        console.log(chalk.cyan(`🤖 BATCH PROCESSING: Queueing ${urls.length} healthcare websites`));
+        
+        const { job, campaign } = await this.enqueueCampaign('process-urls', { urls, duplicatePolicy, dryRun: Boolean(dryRun), language }, { source: 'http' }, {
+          name: campaignName || `URL batch (${urls.length}) · ${this.campaignTimestamp()}`,
+          workflowConfig: { urls, duplicatePolicy, dryRun: Boolean(dryRun), language },
+          creator: creator || null
+        });
+        
+        res.status(202).json({
           success: true,
           processed: urls.length,
-          results: results
+          dryRun: Boolean(dryRun),
+          campaignId: campaign.id,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/jobs/${job.id}`
         });
         
       } catch (error) {
@@ -224,131 +627,203 @@ class AutonomousHealthcareAgent {
       }
     });
 
-    // Single website demo endpoint - accepts user provided URL
-    this.app.post('/demo', async (req, res) => {
+    // Bulk import - CSV or JSONL spreadsheet rows seeded into the lead pipeline.
+    // JSON body { content, format, filename, mapping } or the raw file as text/csv
+    // or application/x-ndjson with format/filename/mapping in the query string.
+    this.app.post('/import-leads', express.text({ type: ['text/*', 'application/x-ndjson', 'application/jsonl'], limit: '5mb' }), async (req, res) => {
       try {
-        const { websiteUrl, practiceType } = req.body;
+        const raw = typeof req.body === 'string';
+        const options = raw ? req.query : req.body;
+        const { format, filename, duplicatePolicy, campaignName, creator, language: requestedLanguage } = options;
+        const dryRun = raw ? options.dryRun === 'true' : Boolean(options.dryRun);
+        const mapping = typeof options.mapping === 'string' ? parseMappingSpec(options.mapping) : options.mapping;
         
-        if (!websiteUrl) {
-          return res.status(400).json({ error: 'websiteUrl is required' });
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+          return res.status(400).json({ success: false, error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
         }
         
-        console.log(chalk.cyan(`🤖 SINGLE DEMO: Processing ${websiteUrl}`));
-        console.log(chalk.gray(`Practice Type: ${practiceType || 'auto-detect'}`));
+        const language = requestedLanguage ? resolveLanguage(requestedLanguage) : null;
+        if (requestedLanguage && !language) {
+          return res.status(400).json({ success: false, error: `Unknown language "${requestedLanguage}" - use one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+        }
         
-        const result = await this.processHealthcareWebsite(websiteUrl);
+        const { job, campaign, parsed } = await this.enqueueLeadImport(raw ? req.body : options.content, {
+          format, filename, mapping, duplicatePolicy, dryRun, language
+        }, { source: 'http' }, { name: campaignName, creator: creator || null });
         
-        res.json({
-          success: result.status === 'success',
-          websiteUrl: websiteUrl,
-          result: result
+        if (!job) {
+          return res.status(400).json({ success: false, error: 'No valid rows to import', report: this.importReport(parsed) });
+        }
+        
+        res.status(202).json({
+          success: true,
+          dryRun,
+          campaignId: campaign.id,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/jobs/${job.id}`,
+          report: this.importReport(parsed)
         });
         
       } catch (error) {
-        console.error(chalk.red('❌ Demo processing failed:'), error);
+        res.status(error instanceof ImportValidationError ? 400 : 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Job status endpoints
+    this.app.get('/jobs', (req, res) => {
+      const { status, type, limit = 50 } = req.query;
+      const jobs = this.jobQueue.list({ status, type, limit: parseInt(limit, 10) || 50 });
+      
+      res.json({
+        success: true,
+        totalJobs: jobs.length,
+        jobs: jobs.map(job => this.serializeJob(job, { includeResults: false })),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.app.get('/jobs/:id', (req, res) => {
+      const job = this.jobQueue.get(req.params.id);
+      
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+      }
+      
+      res.json({ success: true, job: this.serializeJob(job) });
+    });
+
+    this.app.delete('/jobs/:id', async (req, res) => {
+      try {
+        const job = await this.jobQueue.cancel(req.params.id);
+        
+        if (!job) {
+          return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+        }
+        
+        console.log(chalk.yellow(`🛑 Cancel requested for job ${job.id} (${job.status})`));
+        res.json({ success: true, job: this.serializeJob(job, { includeResults: false }) });
+        
+      } catch (error) {
         res.status(500).json({
           success: false,
-          error: error.message,
-          stack: error.stack
+          error: error.message
         });
       }
     });
 
-    // AI Conversational endpoint - test conversational AI functionality
-    this.app.post('/conversation', async (req, res) => {
+    // Recurring campaign schedules
+    this.app.get('/schedules', (req, res) => {
+      const schedules = this.scheduler.list();
+      res.json({ success: true, totalSchedules: schedules.length, schedules });
+    });
+
+    this.app.post('/schedules', async (req, res) => {
       try {
-        const { message } = req.body;
+        const { name, cron, workflowConfig, enabled, telegramChatId, createdBy } = req.body;
+        const schedule = await this.scheduler.create({ name, cron, workflowConfig, enabled, telegramChatId, createdBy });
         
-        if (!message) {
-          return res.status(400).json({ error: 'message is required' });
+        console.log(chalk.cyan(`📅 Schedule created: "${schedule.name}" (${schedule.cron})`));
+        res.status(201).json({ success: true, schedule });
+        
+      } catch (error) {
+        res.status(error instanceof ScheduleValidationError ? 400 : 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/schedules/:id', (req, res) => {
+      const schedule = this.scheduler.get(req.params.id);
+      
+      if (!schedule) {
+        return res.status(404).json({ success: false, error: `Schedule not found: ${req.params.id}` });
+      }
+      
+      res.json({ success: true, schedule });
+    });
+
+    this.app.patch('/schedules/:id', async (req, res) => {
+      try {
+        const { name, cron, workflowConfig, enabled, telegramChatId } = req.body;
+        const schedule = await this.scheduler.update(req.params.id, { name, cron, workflowConfig, enabled, telegramChatId });
+        
+        if (!schedule) {
+          return res.status(404).json({ success: false, error: `Schedule not found: ${req.params.id}` });
         }
         
-        console.log(chalk.cyan(`🤖 AI CONVERSATION: Processing message`));
-        console.log(chalk.gray(`Message: ${message}`));
+        res.json({ success: true, schedule });
         
-        // Use empty conversation history for web requests
-        const conversationHistory = [];
-        const aiResponse = await this.processConversationalInput(message, conversationHistory);
+      } catch (error) {
+        res.status(error instanceof ScheduleValidationError ? 400 : 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/schedules/:id', async (req, res) => {
+      try {
+        const schedule = await this.scheduler.remove(req.params.id);
         
-        // Check if AI wants to execute workflow
-        if (aiResponse.executeWorkflow && aiResponse.workflowConfig) {
-          console.log(chalk.green('🚀 AI requested workflow execution - starting custom workflow'));
-          
-          // Send immediate response to user that we're starting
-          res.json({
-            success: true,
-            message: message,
-            aiResponse: aiResponse,
-            workflowStarted: true,
-            status: 'Workflow started - this may take 5-15 minutes',
-            timestamp: new Date().toISOString()
-          });
-          
-          // Execute workflow in background (don't await to avoid timeout)
-          this.executeCustomAutonomousWorkflow(aiResponse.workflowConfig).then(results => {
-            console.log(chalk.green(`✅ Background workflow completed: ${results.filter(r => r.success).length}/${results.length} successful`));
-          }).catch(error => {
-            console.log(chalk.red('❌ Background workflow failed:'), error);
-          });
-          
-        } else {
-          // Just conversation, no workflow
-          res.json({
-            success: true,
-            message: message,
-            aiResponse: aiResponse,
-            workflowStarted: false,
-            timestamp: new Date().toISOString()
-          });
+        if (!schedule) {
+          return res.status(404).json({ success: false, error: `Schedule not found: ${req.params.id}` });
         }
         
+        console.log(chalk.yellow(`📅 Schedule deleted: "${schedule.name}"`));
+        res.json({ success: true, schedule });
+        
       } catch (error) {
-        console.error(chalk.red('❌ Conversation endpoint error:'), error);
         res.status(500).json({
           success: false,
-          error: error.message,
-          stack: error.stack
+          error: error.message
         });
       }
     });
 
-    // Workflow results endpoint - check stored leads in Notion
-    this.app.get('/leads', async (req, res) => {
+    // Run a schedule now (still refuses to overlap a running campaign)
+    this.app.post('/schedules/:id/run', async (req, res) => {
       try {
-        console.log(chalk.cyan('📊 FETCHING: Recent leads from Notion database'));
+        const schedule = this.scheduler.get(req.params.id);
         
-        const response = await axios.post(`https://api.notion.com/v1/databases/${this.config.notionDatabaseId}/query`, {
-          sorts: [{ property: 'Created time', direction: 'descending' }],
-          page_size: 20
-        }, {
-          headers: {
-            'Authorization': `Bearer ${this.config.notionApiKey}`,
-            'Content-Type': 'application/json',
-            'Notion-Version': '2022-06-28'
-          }
+        if (!schedule) {
+          return res.status(404).json({ success: false, error: `Schedule not found: ${req.params.id}` });
+        }
+        
+        const run = await this.scheduler.fire(schedule, { manual: true });
+        if (!run.launched) {
+          return res.status(409).json({ success: false, error: run.reason, schedule });
+        }
+        
+        res.status(202).json({ success: true, jobId: run.jobId, statusUrl: `/jobs/${run.jobId}`, schedule });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
         });
+      }
+    });
 
-        const leads = response.data.results.map(page => ({
-          id: page.id,
-          practiceName: page.properties['Practice Name']?.title[0]?.text?.content || 'Unknown',
-          location: page.properties['Location']?.rich_text[0]?.text?.content || 'Unknown',
-          phone: page.properties['Phone Number']?.phone_number || page.properties['Phone Number']?.rich_text[0]?.text?.content || 'Unknown',
-          email: page.properties['Email']?.email || 'Unknown',
-          websiteUrl: page.properties['Website URL']?.url || 'Unknown',
-          demoUrl: page.properties['Demo URL']?.url || null,
-          agentId: page.properties['Agent ID']?.rich_text[0]?.text?.content || 'pending',
-          createdTime: page.created_time
-        }));
-
+    // Campaigns - one per workflow run, with every lead and its outcome
+    this.app.get('/campaigns', async (req, res) => {
+      try {
+        const { status, source, limit = 50 } = req.query;
+        const campaigns = await this.campaigns.list({ status, source, limit: parseInt(limit, 10) || 50 });
+        
         res.json({
           success: true,
-          totalLeads: leads.length,
-          leads: leads,
+          totalCampaigns: campaigns.length,
+          // Leads are only listed on /campaigns/:id
+          campaigns: campaigns.map(({ leads, rejectedCandidates, ...campaign }) => campaign),
           timestamp: new Date().toISOString()
         });
         
       } catch (error) {
-        console.error(chalk.red('❌ Leads fetch error:'), error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -356,12 +831,460 @@ class AutonomousHealthcareAgent {
       }
     });
 
-    // Telegram webhook endpoint
-    this.app.post('/webhook/telegram', (req, res) => {
-      console.log('📱 Telegram webhook received');
-      
+    this.app.get('/campaigns/:id', async (req, res) => {
       try {
-        const update = req.body;
+        const campaign = await this.campaigns.get(req.params.id);
+        
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: `Campaign not found: ${req.params.id}` });
+        }
+        
+        const job = campaign.jobId ? this.jobQueue.get(campaign.jobId) : null;
+        res.json({
+          success: true,
+          campaign: { ...campaign, leads: campaign.leads.filter(Boolean) },
+          job: job ? this.serializeJob(job, { includeResults: false }) : null
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Preview merged, ranked discovery results without starting a workflow
+    this.app.get('/discovery/search', async (req, res) => {
+      try {
+        const { query = '', specialty, location, limit = '10', sources } = req.query;
+        
+        if (!query && !specialty && !location) {
+          return res.status(400).json({ success: false, error: 'query, specialty or location is required' });
+        }
+        
+        const discoverySources = this.discovery.sourceNames();
+        const selected = sources ? sources.split(',') : null;
+        if (selected && !selected.every(source => discoverySources.includes(source))) {
+          return res.status(400).json({ success: false, error: `sources must be a comma-separated list of: ${discoverySources.join(', ')}` });
+        }
+        
+        const discovery = await this.discoverPractices({
+          query: query || `${specialty || 'healthcare'} clinic ${location || ''}`.trim(),
+          specialty: specialty || null,
+          location: location || null,
+          limit: Math.min(parseInt(limit, 10) || 10, 40),
+          sources: selected
+        });
+        
+        res.json({ success: true, ...discovery });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Uploaded practice lists - a discovery source like EXA or OpenStreetMap
+    this.app.get('/discovery/lists', async (req, res) => {
+      try {
+        const lists = await this.uploadedLists.all();
+        res.json({
+          success: true,
+          lists: lists.map(({ practices, ...list }) => ({ ...list, practiceCount: practices.length }))
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/discovery/lists', async (req, res) => {
+      try {
+        const { name, practices } = req.body;
+        
+        if (!name || !Array.isArray(practices) || practices.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'name and a non-empty practices array ([{ url, title, location, specialty }]) are required'
+          });
+        }
+        
+        const { list, rejected } = await this.uploadedLists.addList(name, practices);
+        if (list.practices.length === 0) {
+          return res.status(400).json({ success: false, error: 'No practice in the list has a valid URL', rejected });
+        }
+        
+        res.status(201).json({ success: true, list, rejected });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/discovery/lists/:id', async (req, res) => {
+      try {
+        const list = await this.uploadedLists.removeList(req.params.id);
+        
+        if (!list) {
+          return res.status(404).json({ success: false, error: `List not found: ${req.params.id}` });
+        }
+        
+        res.json({ success: true, removed: list.id });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Source screening rules - domains and URL patterns always blocked or allowed
+    this.app.get('/discovery/rules', async (req, res) => {
+      try {
+        const { list } = req.query;
+        
+        if (list && !SOURCE_LISTS.includes(list)) {
+          return res.status(400).json({ success: false, error: `list must be one of: ${SOURCE_LISTS.join(', ')}` });
+        }
+        
+        const rules = await this.sourceRules.list({ list });
+        res.json({ success: true, totalRules: rules.length, rules });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/discovery/rules', async (req, res) => {
+      try {
+        const { list, type, value, note } = req.body;
+        const rule = await this.sourceRules.add({ list, type, value, note });
+        
+        console.log(chalk.cyan(`🚧 Added ${rule.list}list ${rule.type}: ${rule.value}`));
+        res.status(201).json({ success: true, rule });
+        
+      } catch (error) {
+        res.status(error instanceof SourceRuleValidationError ? 400 : 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/discovery/rules/:id', async (req, res) => {
+      try {
+        const rule = await this.sourceRules.remove(req.params.id);
+        
+        if (!rule) {
+          return res.status(404).json({ success: false, error: `Rule not found: ${req.params.id}` });
+        }
+        
+        console.log(chalk.cyan(`🚧 Removed ${rule.list}list ${rule.type}: ${rule.value}`));
+        res.json({ success: true, removed: rule.id });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Dry-run the screening for one URL (+ optional title/text) to test rules
+    this.app.post('/discovery/rules/check', async (req, res) => {
+      try {
+        const { url, title = '', text = '' } = req.body;
+        
+        if (!url) {
+          return res.status(400).json({ success: false, error: 'url is required' });
+        }
+        
+        res.json({ success: true, url, ...await this.sourceRules.screen({ url, title, text }) });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Single website demo endpoint - accepts user provided URL
+    this.app.post('/demo', async (req, res) => {
+      try {
+        const { websiteUrl, practiceType, duplicatePolicy, dryRun = false, language: requestedLanguage } = req.body;
+        
+        if (!websiteUrl) {
+          return res.status(400).json({ error: 'websiteUrl is required' });
+        }
+        
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+          return res.status(400).json({ error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
+        
+        const specialty = practiceType ? resolveSpecialty(practiceType) : null;
+        if (practiceType && !specialty) {
+          return res.status(400).json({ error: `Unknown practiceType "${practiceType}" - use one of: ${SPECIALTY_IDS.join(', ')} (or a synonym such as "dentist")` });
+        }
+        
+        const language = requestedLanguage ? resolveLanguage(requestedLanguage) : null;
+        if (requestedLanguage && !language) {
+          return res.status(400).json({ error: `Unknown language "${requestedLanguage}" - use one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+        }
+        
+        console.log(chalk.cyan(`🤖 SINGLE DEMO: Processing ${websiteUrl}`));
+        console.log(chalk.gray(`Practice Type: ${specialty?.id || 'auto-detect'} · Language: ${language || 'auto-detect'}`));
+        
+        const result = await this.processHealthcareWebsite(websiteUrl, { duplicatePolicy, dryRun: Boolean(dryRun), practiceType: specialty?.id || null, language });
+        
+        res.json({
+          success: ['success', 'planned'].includes(result.status),
+          dryRun: Boolean(dryRun),
+          websiteUrl: websiteUrl,
+          result: result
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Demo processing failed:'), error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    });
+
+    // AI Conversational endpoint - test conversational AI functionality
+    this.app.post('/conversation', async (req, res) => {
+      try {
+        const { message, duplicatePolicy, dryRun = false, campaignName, creator, sources, relevanceThreshold, searchBudget } = req.body;
+        
+        if (!message) {
+          return res.status(400).json({ error: 'message is required' });
+        }
+        
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+          return res.status(400).json({ error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
+        
+        const discoverySources = this.discovery.sourceNames();
+        if (sources && (!Array.isArray(sources) || !sources.every(source => discoverySources.includes(source)))) {
+          return res.status(400).json({ error: `sources must be an array of: ${discoverySources.join(', ')}` });
+        }
+        
+        if (relevanceThreshold !== undefined && !(typeof relevanceThreshold === 'number' && relevanceThreshold >= 0 && relevanceThreshold <= 1)) {
+          return res.status(400).json({ error: 'relevanceThreshold must be a number between 0 and 1' });
+        }
+        
+        if (searchBudget !== undefined && !(Number.isInteger(searchBudget) && searchBudget >= 1 && searchBudget <= 10)) {
+          return res.status(400).json({ error: 'searchBudget must be an integer between 1 and 10 (discovery rounds)' });
+        }
+        
+        console.log(chalk.cyan(`🤖 AI CONVERSATION: Processing message`));
+        console.log(chalk.gray(`Message: ${message}`));
+        
+        // Use empty conversation history for web requests
+        const conversationHistory = [];
+        const aiResponse = await this.processConversationalInput(message, conversationHistory, { relevanceThreshold, duplicatePolicy, searchBudget });
+        
+        // Check if AI wants to execute workflow
+        if (aiResponse.executeWorkflow && aiResponse.workflowConfig) {
+          console.log(chalk.green('🚀 AI requested workflow execution - starting custom workflow'));
+          
+          // Queue the workflow as a background job (don't await to avoid timeout)
+          const workflowConfig = { ...aiResponse.workflowConfig, duplicatePolicy, dryRun: Boolean(dryRun), sources };
+          const { job, campaign } = await this.enqueueCampaign('custom-workflow', { workflowConfig }, { source: 'conversation', message }, {
+            name: campaignName || this.defaultCampaignName(workflowConfig),
+            workflowConfig,
+            conversation: [{ role: 'user', content: message }],
+            creator: creator || null
+          });
+          
+          res.json({
+            success: true,
+            message: message,
+            aiResponse: aiResponse,
+            workflowStarted: true,
+            campaignId: campaign.id,
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`,
+            status: 'Workflow queued - this may take 5-15 minutes',
+            timestamp: new Date().toISOString()
+          });
+          
+        } else {
+          // Just conversation, no workflow
+          res.json({
+            success: true,
+            message: message,
+            aiResponse: aiResponse,
+            workflowStarted: false,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Conversation endpoint error:'), error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    });
+
+    // Workflow results endpoint - check stored leads in Notion
+    this.app.get('/leads', async (req, res) => {
+      try {
+        console.log(chalk.cyan('📊 FETCHING: Recent leads from Notion database'));
+        
+        const response = await this.callProvider('notion', () => axios.post(this.providers.notion.url(`/databases/${this.config.notionDatabaseId}/query`), {
+          sorts: [{ property: 'Created time', direction: 'descending' }],
+          page_size: 20
+        }, {
+          headers: {
+            'Authorization': `Bearer ${this.config.notionApiKey}`,
+            'Content-Type': 'application/json',
+            'Notion-Version': '2022-06-28'
+          }
+        }), { label: 'Notion lead query' });
+
+        const leads = response.data.results.map(page => ({
+          id: page.id,
+          practiceName: page.properties['Practice Name']?.title[0]?.text?.content || 'Unknown',
+          location: page.properties['Location']?.rich_text[0]?.text?.content || 'Unknown',
+          phone: page.properties['Phone Number']?.phone_number || page.properties['Phone Number']?.rich_text[0]?.text?.content || 'Unknown',
+          email: page.properties['Email']?.email || 'Unknown',
+          websiteUrl: page.properties['Website URL']?.url || 'Unknown',
+          demoUrl: page.properties['Demo URL']?.url || null,
+          agentId: page.properties['Agent ID']?.rich_text[0]?.text?.content || 'pending',
+          campaign: page.properties[this.notionCampaignProperty]?.rich_text?.[0]?.text?.content || null,
+          createdTime: page.created_time
+        }));
+
+        res.json({
+          success: true,
+          totalLeads: leads.length,
+          leads: leads,
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Leads fetch error:'), error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Lead checkpoint - which phases completed and the artifacts they produced
+    this.app.get('/leads/:leadId', async (req, res) => {
+      try {
+        const checkpoint = await this.leadCheckpoints.get(req.params.leadId);
+        
+        if (!checkpoint) {
+          return res.status(404).json({ success: false, error: `Lead not found: ${req.params.leadId}` });
+        }
+        
+        res.json({
+          success: true,
+          lead: checkpoint,
+          nextPhase: this.leadCheckpoints.nextPhase(checkpoint)
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Resume a failed lead from its failed phase, reusing earlier artifacts
+    this.app.post('/leads/:leadId/resume', async (req, res) => {
+      try {
+        const { leadId } = req.params;
+        const checkpoint = await this.leadCheckpoints.get(leadId);
+        
+        if (!checkpoint) {
+          return res.status(404).json({ success: false, error: `Lead not found: ${leadId}` });
+        }
+        
+        const nextPhase = this.leadCheckpoints.nextPhase(checkpoint);
+        if (!nextPhase) {
+          return res.status(409).json({ success: false, error: `Lead ${leadId} already completed every phase` });
+        }
+        
+        if (this.activeLeadIds.has(leadId)) {
+          return res.status(409).json({ success: false, error: `Lead ${leadId} is still running` });
+        }
+        
+        if (checkpoint.teardown) {
+          return res.status(409).json({ success: false, error: `Lead ${leadId} was torn down and cannot be resumed` });
+        }
+        
+        console.log(chalk.cyan(`♻️ RESUME: Queueing ${leadId} from phase "${nextPhase}"`));
+        const job = await this.jobQueue.enqueue('resume-lead', { leadId }, { source: 'http' });
+        
+        res.status(202).json({
+          success: true,
+          leadId,
+          resumeFrom: nextPhase,
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Tear down every artifact a lead created (repo, agent, Railway project, Notion page)
+    this.app.delete('/leads/:leadId', async (req, res) => {
+      try {
+        const { leadId } = req.params;
+        
+        if (this.activeLeadIds.has(leadId)) {
+          return res.status(409).json({ success: false, error: `Lead ${leadId} is still running` });
+        }
+        
+        const teardown = await this.teardownLead(leadId, { reason: 'manual' });
+        if (!teardown) {
+          return res.status(404).json({ success: false, error: `Lead not found: ${leadId}` });
+        }
+        
+        res.json({
+          success: teardown.steps.every(step => step.status !== 'failed'),
+          leadId,
+          teardown
+        });
+        
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Telegram webhook endpoint
+    this.app.post('/webhook/telegram', (req, res) => {
+      console.log('📱 Telegram webhook received');
+      
+      try {
+        const update = req.body;
         
         if (update && update.message && update.message.text) {
           const chatId = update.message.chat.id;
@@ -371,10 +1294,19 @@ class AutonomousHealthcareAgent {
           
           if (messageText.startsWith('/start')) {
             this.handleStartCommand(chatId);
+          } else if (messageText.startsWith('/dryrun')) {
+            this.handleDryRunCommand(chatId, messageText.split(/\s+/)[1]);
+          } else if (messageText.startsWith('/schedules')) {
+            this.handleSchedulesCommand(chatId);
+          } else if (messageText.startsWith('/pause') || messageText.startsWith('/resume')) {
+            const [command, ...name] = messageText.split(/\s+/);
+            this.handleScheduleToggleCommand(chatId, name.join(' '), command === '/resume');
           } else if (!messageText.startsWith('/')) {
             console.log('Starting AI conversation handler...');
             this.handleConversationalMessage(chatId, messageText);
           }
+        } else if (update?.message?.document) {
+          this.handleImportDocument(update.message.chat.id, update.message);
         }
         
         res.status(200).send('OK');
@@ -427,6 +1359,9 @@ Just talk to me naturally! I can understand complex instructions like:
 
 📋 **Quick Commands:**
 • /workflow [count] - Traditional workflow trigger
+• /dryrun on|off - Plan leads without creating anything
+• /schedules - Recurring campaigns (/pause, /resume)
+• Send a CSV/JSONL file - Bulk import leads
 • /status - Agent status
 • /health - Health check
 • /help - Show help
@@ -440,6 +1375,125 @@ Just talk to me naturally! I can understand complex instructions like:
 Just send me a message describing what you want! 🚀`, { parse_mode: 'Markdown' });
   }
 
+  /**
+   * 🧪 /dryrun on|off - toggle plan mode for this chat's workflows
+   */
+  handleDryRunCommand(chatId, argument) {
+    if (!this.userContexts.has(chatId)) {
+      this.userContexts.set(chatId, {
+        conversationHistory: [],
+        lastWorkflowConfig: null
+      });
+    }
+    const userContext = this.userContexts.get(chatId);
+
+    if (argument === 'on' || argument === 'off') {
+      userContext.dryRun = argument === 'on';
+    }
+
+    this.bot.sendMessage(chatId, userContext.dryRun
+      ? '🧪 Dry run is *ON* - workflows will scrape and report what they would create (Notion page, voice agent, repository, Railway project) without creating anything.'
+      : '🚀 Dry run is *OFF* - workflows create real leads and deployments.', { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Escape user-supplied text (file names, column headers) for a legacy
+   * Markdown Telegram message - a stray _ or * would make Telegram reject it
+   */
+  escapeMarkdown(text) {
+    return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+  }
+
+  /**
+   * 📥 CSV/JSONL document upload - bulk import. The caption may map columns,
+   * e.g. "website=Homepage, company=Clinic Name, location=City"
+   */
+  async handleImportDocument(chatId, message) {
+    const { document, caption } = message;
+    const dryRun = Boolean(this.userContexts.get(chatId)?.dryRun);
+    let job;
+    let parsed;
+    
+    try {
+      const fileLink = await this.bot.getFileLink(document.file_id);
+      const response = await axios.get(fileLink, { responseType: 'text', transformResponse: data => data });
+      
+      ({ job, parsed } = await this.enqueueLeadImport(response.data, {
+        filename: document.file_name,
+        mapping: parseMappingSpec(caption),
+        dryRun
+      }, { source: 'telegram', telegramChatId: chatId }, { creator: `telegram:${chatId}` }));
+    } catch (error) {
+      console.log(chalk.red('❌ Import error:'), error.message);
+      await this.bot.sendMessage(chatId, `❌ Import failed: ${error.message}\n\nSend a CSV or JSONL file with a website column, optionally captioned with a mapping like \`website=Homepage, company=Clinic Name\`.`)
+        .catch(sendError => console.log(chalk.yellow('⚠️ Could not send import error:'), sendError.message));
+      return;
+    }
+    
+    // The job is queued at this point - a failed reply must not read as a failed import
+    const problems = parsed.rows.filter(row => row.status === 'invalid').slice(0, 10)
+      .map(row => `• Row ${row.row}: ${this.escapeMarkdown(row.errors.join('; '))}`).join('\n');
+    const columns = Object.entries(parsed.mapping).filter(([, column]) => column)
+      .map(([field, column]) => this.escapeMarkdown(`${field}=${column}`)).join(', ');
+    
+    try {
+      await this.bot.sendMessage(chatId, `📥 *Import* ${this.escapeMarkdown(document.file_name || '')}
+
+• ${parsed.valid} valid row(s), ${parsed.invalid} invalid
+• Columns: ${columns}
+${problems ? `\n⚠️ *Skipped rows:*\n${problems}${parsed.invalid > 10 ? '\n…' : ''}\n` : ''}
+${job ? `${dryRun ? '🧪 Planning' : '🚀 Processing'} ${parsed.valid} lead(s) - job \`${job.id}\`` : '❌ Nothing to import.'}`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not send import summary${job ? ` for job ${job.id}` : ''}:`), error.message);
+    }
+  }
+
+  /**
+   * 📅 /schedules - list recurring campaigns
+   */
+  async handleSchedulesCommand(chatId) {
+    const schedules = this.scheduler.list();
+
+    if (schedules.length === 0) {
+      await this.bot.sendMessage(chatId, '📅 No recurring campaigns yet. Create one with POST /schedules.');
+      return;
+    }
+
+    const lines = schedules.map(schedule => {
+      const config = schedule.workflowConfig;
+      const state = schedule.enabled ? `next ${schedule.nextRunAt}` : 'paused';
+      const last = schedule.lastRunAt ? `, last ${schedule.lastStatus || 'queued'}` : '';
+      return `${schedule.enabled ? '▶️' : '⏸'} *${schedule.name}* \`${schedule.cron}\`\n   ${config.leadCount || 3} × ${config.specialty || 'Healthcare'} in ${config.location || 'Global'} (${state}${last})`;
+    });
+
+    await this.bot.sendMessage(chatId, `📅 *Recurring campaigns*\n\n${lines.join('\n\n')}`, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * ⏸ /pause <name> and ▶️ /resume <name>
+   */
+  async handleScheduleToggleCommand(chatId, name, enabled) {
+    if (!name) {
+      await this.bot.sendMessage(chatId, `Usage: /${enabled ? 'resume' : 'pause'} <schedule name>`);
+      return;
+    }
+
+    try {
+      const schedule = await this.scheduler.setEnabled(name, enabled);
+
+      if (!schedule) {
+        await this.bot.sendMessage(chatId, `❌ No schedule named "${name}". Send /schedules to see them.`);
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, enabled
+        ? `▶️ Resumed *${schedule.name}* - next run ${schedule.nextRunAt}`
+        : `⏸ Paused *${schedule.name}*`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ Could not update schedule: ${error.message}`);
+    }
+  }
+
   handleHelpCommand(chatId) {
     this.bot.sendMessage(chatId, `
 📋 *AI Healthcare Lead Generation Assistant*
@@ -452,6 +1506,9 @@ Just talk to me naturally! Examples:
 
 🔧 **Commands:**
 • */workflow [count]* - Traditional workflow (1-10 leads)
+• */schedules* - List recurring campaigns
+• */pause [name]* / */resume [name]* - Pause or resume a campaign
+• *CSV/JSONL upload* - Bulk import leads (caption maps columns, e.g. website=Homepage, company=Clinic Name)
 • */status* - Agent status and uptime
 • */health* - Complete health check
 • */help* - Show this help
@@ -621,7 +1678,7 @@ I'll keep you updated on progress!`, { parse_mode: 'Markdown' });
     console.log('✅ COMPLETED handleConversationalMessage');
   }
 
-  async processConversationalInput(messageText, conversationHistory) {
+  async processConversationalInput(messageText, conversationHistory, options = {}) {
     const systemPrompt = `You are an autonomous AI agent for healthcare clinic lead generation. You can find ANY type of healthcare clinic - not just cosmetic ones.
 
 AVAILABLE TOOLS:
@@ -639,6 +1696,13 @@ Examples:
 - "dental practice london" → web_search_exa with query "dental practice london"  
 - "cosmetic surgery paris" → web_search_exa with query "cosmetic surgery clinic paris"
 
+When the user wants to include or exclude practices ("no hair removal", "only ones offering botox", "skip .com sites"), pass filters as expressions:
+- words and "quoted phrases" match whole words in any field; AND, OR, NOT and parentheses combine them
+- field:value matches one field (title, url, domain, text, location, specialty, services); value* matches a prefix
+- field=value is an exact match, field~/regex/ a regex match
+- score and relevance compare numerically with =, >, >=, <, <=
+Examples: NOT "hair removal" · services:botox OR services:filler* · domain~/\.at$/ AND NOT blog · score>=70
+
 CONVERSATION HISTORY:
 ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
 
@@ -656,6 +1720,23 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
                 type: "string",
                 description: "Search query based on user request (e.g., 'medical clinic new york', 'dental practice london', 'cosmetic surgery paris')"
               },
+              specialty: {
+                type: "string",
+                description: "Clinic specialty if the user named one (e.g., 'dental', 'dermatology')"
+              },
+              location: {
+                type: "string",
+                description: "City or country if the user named one (e.g., 'London') - also searches OpenStreetMap"
+              },
+              language: {
+                type: "string",
+                description: "Language for the demos if the user asked for one (e.g., 'de', 'Dutch') - otherwise each site's own language is used"
+              },
+              filters: {
+                type: "array",
+                items: { type: "string" },
+                description: "Filter expressions every practice must satisfy, e.g. 'NOT \"hair removal\"', 'services:botox OR services:filler*', 'score>=70'"
+              },
               count: {
                 type: "integer",
                 description: "Number of results to return",
@@ -695,50 +1776,29 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
       }
     ];
 
-    // Retry loop for free models (rate limiting, etc.) - UNLIMITED RETRIES
-    let response;
-    let attempt = 0;
-    
-    while (true) {
-      try {
-        console.log(`🔄 AI Request attempt ${attempt + 1} (unlimited retries)`);
-        
-        response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-          model: 'qwen/qwen3-coder:free',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user', 
-              content: messageText
-            }
-          ],
-          tools: tools,
-          tool_choice: "auto",
-          temperature: 0.1,
-          max_tokens: 2000
-        }, {
-          headers: {
-            'Authorization': `Bearer ${this.config.openRouterApiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        // Success! Break out of retry loop
-        break;
-        
-      } catch (error) {
-        attempt++;
-        console.log(`❌ Attempt ${attempt} failed:`, error.response?.status, error.response?.statusText);
-        
-        // Always retry with 4000ms delay (unlimited retries)
-        const waitTime = 4000;
-        console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+    // Bounded retries with backoff - free models are frequently rate limited
+    const response = await this.callProvider('openrouter', () => axios.post(this.providers.openrouter.url('/chat/completions'), {
+      model: 'qwen/qwen3-coder:free',
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user', 
+          content: messageText
+        }
+      ],
+      tools: tools,
+      tool_choice: "auto",
+      temperature: 0.1,
+      max_tokens: 2000
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.config.openRouterApiKey}`,
+        'Content-Type': 'application/json'
       }
-    }
+    }), { label: 'AI conversation request' });
 
     const aiMessage = response.data.choices[0].message;
     console.log('🤖 AI Response:', JSON.stringify(aiMessage, null, 2));
@@ -746,7 +1806,7 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
     // Check if AI wants to use tools
     if (aiMessage.tool_calls && aiMessage.tool_calls.length > 0) {
       console.log('🔧 AI requested tool usage');
-      return await this.handleToolCalls(aiMessage, messageText);
+      return await this.handleToolCalls(aiMessage, messageText, options);
     } else {
       // Simple conversational response
       return {
@@ -756,7 +1816,7 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
     }
   }
 
-  async handleToolCalls(aiMessage, originalQuery) {
+  async handleToolCalls(aiMessage, originalQuery, options = {}) {
     console.log('🔧 Processing AI tool calls...');
     
     for (const toolCall of aiMessage.tool_calls) {
@@ -769,33 +1829,58 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
       try {
         switch (functionName) {
           case 'web_search_exa':
-            const results = await this.executeEXASearch(functionArgs);
+            // Report broken filter expressions instead of silently ignoring them
+            const filterErrors = validateFilters(functionArgs.filters);
+            if (filterErrors.length > 0) {
+              console.log(`❌ Invalid filters: ${filterErrors.map(({ error }) => error).join('; ')}`);
+              return {
+                executeWorkflow: false,
+                filterErrors,
+                response: `⚠️ I couldn't use these filters:\n${filterErrors.map(({ filter, error }) => `• ${filter}: ${error}`).join('\n')}\n\nPlease rephrase what to include or exclude.`
+              };
+            }
+            
+            const { practices: results, rejected, report } = await this.executeEXASearch({ ...functionArgs, ...options });
             console.log(`✅ Found ${results.length} clinics via EXA web search`);
+            const wanted = functionArgs.count || 5;
+            const dropped = report && Object.keys(report.dropped).length > 0
+              ? ` Dropped: ${Object.entries(report.dropped).map(([kind, count]) => `${count} ${kind}`).join(', ')}.`
+              : '';
+            const examined = report ? ` after examining ${report.examined} candidates.${dropped}` : '.';
             
             // If clinics found, execute the full workflow
             if (results.length > 0) {
               return {
                 executeWorkflow: true,
-                response: `🔍 Found ${results.length} healthcare clinics! Processing them now...`,
+                response: results.length < wanted
+                  ? `🔍 Only found ${results.length} of ${wanted} healthcare clinics${examined} Processing them now...`
+                  : `🔍 Found ${results.length} healthcare clinics${examined} Processing them now...`,
                 workflowConfig: {
-                  leadCount: functionArgs.count || 5,
+                  leadCount: wanted,
                   searchQuery: functionArgs.query,
-                  preFoundClinics: results
+                  preFoundClinics: results,
+                  rejectedCandidates: rejected,
+                  discovery: report,
+                  relevanceThreshold: options.relevanceThreshold,
+                  filters: functionArgs.filters,
+                  language: resolveLanguage(functionArgs.language)
                 }
               };
             } else {
               return {
                 executeWorkflow: false,
-                response: `❌ No cosmetic clinics found in ${functionArgs.location} matching your criteria. Try a different location or broader search terms.`
+                response: `❌ No clinics found${functionArgs.location ? ` in ${functionArgs.location}` : ''} matching your criteria${examined} Try a different location or broader search terms.`
               };
             }
             
           case 'evaluate_clinic_relevance':
-            const isRelevant = await this.evaluateClinicWithAI(functionArgs);
-            console.log(`🤔 Clinic relevance: ${isRelevant}`);
+            const [verdict] = await this.relevance.classify([{ title: functionArgs.clinic_title, url: functionArgs.clinic_url }], functionArgs.user_query);
+            console.log(`🤔 Clinic relevance: ${verdict ? `${verdict.score} (${verdict.reason})` : 'not evaluated'}`);
             return {
               executeWorkflow: false,
-              response: `Based on "${functionArgs.clinic_title}", this clinic is ${isRelevant ? 'relevant' : 'not relevant'} for your cosmetic treatment needs.`
+              response: verdict
+                ? `Based on "${functionArgs.clinic_title}", this clinic is ${isRelevant(verdict, options.relevanceThreshold ?? this.relevanceThreshold) ? 'relevant' : 'not relevant'} for your request (score ${verdict.score}): ${verdict.reason}`
+                : `I couldn't evaluate "${functionArgs.clinic_title}" right now. Please try again.`
             };
             
           default:
@@ -809,7 +1894,9 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
         console.log(`❌ Tool execution error for ${functionName}:`, error);
         return {
           executeWorkflow: false,
-          response: `Sorry, I had trouble using the ${functionName} tool. Please try again.`
+          response: error instanceof ProviderUnavailableError
+            ? `⚠️ ${error.message}`
+            : `Sorry, I had trouble using the ${functionName} tool. Please try again.`
         };
       }
     }
@@ -819,141 +1906,102 @@ ${conversationHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n')}`;
     console.log('🔍 AI agent executing EXA search with params:', params);
     
     try {
-      const exaRequestPayload = {
+      // Screening, location, filters and AI relevance - with backfill rounds
+      // until enough clinics qualify
+      return await this.searchQualifiedPractices({
         query: params.query,
-        type: 'neural',
-        useAutoprompt: true,
-        numResults: Math.min((params.count || 5) * 4, 40), // Get more results to filter out social media
-        category: 'healthcare',
-        startPublishedDate: '2020-01-01'
-      };
-      
-      const response = await axios.post('https://api.exa.ai/search', exaRequestPayload, {
-        headers: {
-          'Authorization': `Bearer ${this.exaApiKey}`,
-          'Content-Type': 'application/json'
-        }
+        leadCount: params.count || 5,
+        specialty: params.specialty || null,
+        location: params.location || null,
+        filter: compileFilters(params.filters),
+        relevanceThreshold: params.relevanceThreshold,
+        duplicatePolicy: params.duplicatePolicy,
+        budget: params.searchBudget
       });
-
-      let practices = response.data.results || [];
-      console.log(`🏥 EXA found ${practices.length} initial results`);
-      
-      // COMPLETELY BLOCK LinkedIn and directories
-      practices = practices.filter(practice => {
-        if (practice.url.includes('linkedin.com') || practice.url.includes('facebook.com') || 
-            practice.url.includes('yelp.com') || practice.url.includes('google.com') ||
-            practice.title.includes('Linkedin') || practice.title.includes('Facebook')) {
-          console.log(`🚫 BLOCKED: ${practice.title}`);
-          return false;
-        }
-        return true;
-      });
-      console.log(`🏥 After blocking social media: ${practices.length} real clinic websites`);
-      
-      // Let AI filter the results instead of hardcoded filters
-      const relevantPractices = [];
-      
-      for (const practice of practices) {
-        const isRelevant = await this.evaluateClinicWithAI({
-          clinic_title: practice.title,
-          clinic_url: practice.url,
-          user_query: params.query
-        });
-        
-        if (isRelevant) {
-          relevantPractices.push(practice);
-          console.log(`✅ AI approved: ${practice.title}`);
-        } else {
-          console.log(`❌ AI rejected: ${practice.title}`);
-        }
-        
-        if (relevantPractices.length >= (params.count || 5)) {
-          break; // Stop when we have enough relevant clinics
-        }
-      }
-      
-      return relevantPractices.slice(0, params.count || 5);
       
     } catch (error) {
-      console.log('❌ EXA Search error:', error);
-      return [];
+      if (error instanceof ProviderUnavailableError) {
+        throw error;
+      }
+      console.log('❌ Discovery search error:', error);
+      return { practices: [], rejected: [], report: null };
     }
   }
 
-  async evaluateClinicWithAI(params) {
-    console.log('🤔 AI evaluating clinic relevance:', params.clinic_title);
-    
-    try {
-      const evaluationPrompt = `Evaluate if this clinic is relevant for the user's healthcare/medical request.
-
-CLINIC: "${params.clinic_title}"
-URL: ${params.clinic_url}
-USER REQUEST: ${params.user_query}
-
-CRITERIA:
-- Is this a legitimate healthcare/medical clinic that matches the user's request?
-- Does the location match the user's request (if location specified)?
-- Is this a real medical practice (not generic/directory/aggregator)?
-- Does the clinic type match what the user is looking for?
+  /**
+   * 🎯 CLASSIFY PRACTICES
+   * Batched LLM relevance verdicts for the candidates, in ranking order.
+   * Resolves to { accepted, rejected }: accepted practices carry their
+   * relevance verdict, rejected entries the reason. With wanted set, batches
+   * stop once that many practices are accepted.
+   */
+  async classifyPractices(practices, query, { threshold = this.relevanceThreshold, wanted = null } = {}) {
+    if (practices.length === 0) {
+      return { accepted: [], rejected: [] };
+    }
 
-Examples:
-- If user asks for "clinic new york" → any medical clinic in NY is relevant
-- If user asks for "dental practice london" → only dental clinics in London are relevant  
-- If user asks for "cosmetic surgery paris" → only cosmetic surgery clinics in Paris are relevant
+    const cutoff = threshold ?? this.relevanceThreshold;
+    console.log(`   🎯 Classifying ${practices.length} candidate(s) for "${query}" (threshold ${cutoff})`);
+    const verdicts = await this.relevance.classify(practices, query, {
+      stopWhen: wanted ? current => current.filter(verdict => isRelevant(verdict, cutoff)).length >= wanted : null
+    });
 
-Respond with only "RELEVANT" or "NOT_RELEVANT"`;
+    const accepted = [];
+    const rejected = [];
+    practices.forEach((practice, index) => {
+      const verdict = verdicts[index];
+      if (isRelevant(verdict, cutoff)) {
+        console.log(`✅ AI approved: ${practice.title} (${verdict.score}) - ${verdict.reason}`);
+        accepted.push({ ...practice, relevance: verdict });
+        return;
+      }
+      // Not evaluated because enough practices were already accepted
+      if (!verdict && wanted && accepted.length >= wanted) {
+        return;
+      }
 
-      // Retry loop for evaluation API calls - UNLIMITED RETRIES
-      let response;
-      let attempt = 0;
-      
-      while (true) {
-        try {
-          console.log(`🔄 Evaluation attempt ${attempt + 1} (unlimited retries) for: ${params.clinic_title}`);
-          
-          response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-            model: 'qwen/qwen3-coder:free',
-            messages: [
-              {
-                role: 'user',
-                content: evaluationPrompt
-              }
-            ],
-            temperature: 0.1,
-            max_tokens: 50
-          }, {
-            headers: {
-              'Authorization': `Bearer ${this.config.openRouterApiKey}`,
-              'Content-Type': 'application/json'
-            }
-          });
+      const reason = !verdict
+        ? 'relevance could not be evaluated'
+        : !verdict.isRealPractice
+          ? `not a real practice: ${verdict.reason}`
+          : `relevance ${verdict.score} < ${cutoff}: ${verdict.reason}`;
+      console.log(`❌ AI rejected: ${practice.title} - ${reason}`);
+      rejected.push({ ...this.rejectedCandidate(practice, 'irrelevant', reason), relevance: verdict || null });
+    });
 
-          // Success! Break out of retry loop
-          break;
-          
-        } catch (error) {
-          attempt++;
-          console.log(`❌ Evaluation attempt ${attempt} failed:`, error.response?.status);
-          
-          // Always retry with 4000ms delay (unlimited retries)
-          const waitTime = 4000;
-          console.log(`⏳ Waiting ${waitTime}ms before evaluation retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+    return { accepted, rejected };
+  }
+
+  /**
+   * One classification call for a batch of size candidates
+   */
+  async completeRelevancePrompt(prompt, size) {
+    // Bounded retries with backoff for evaluation API calls
+    const response = await this.callProvider('openrouter', () => axios.post(this.providers.openrouter.url('/chat/completions'), {
+      model: 'qwen/qwen3-coder:free',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
         }
+      ],
+      temperature: 0.1,
+      max_tokens: 80 + size * 120
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.config.openRouterApiKey}`,
+        'Content-Type': 'application/json'
       }
+    }), { label: `Relevance classification of ${size} candidate(s)` });
 
-      const evaluation = response.data.choices[0].message.content.trim();
-      return evaluation === 'RELEVANT';
-      
-    } catch (error) {
-      console.log('❌ AI evaluation error:', error);
-      return false; // Default to not relevant if evaluation fails
-    }
+    return response.data.choices[0].message.content || '';
   }
 
   async executeCustomWorkflowWithUpdates(chatId, workflowConfig) {
+    const dryRun = Boolean(this.userContexts.get(chatId)?.dryRun);
+
     try {
-      await this.bot.sendMessage(chatId, `🚀 *Starting Custom Healthcare Lead Generation*
+      await this.bot.sendMessage(chatId, `${dryRun ? '🧪 *Planning (dry run)*' : '🚀 *Starting*'} *Custom Healthcare Lead Generation*
 
 🎯 **Configuration:**
 • Count: ${workflowConfig.leadCount} leads
@@ -963,26 +2011,17 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
 
 ⏳ This may take 5-15 minutes... I'll keep you updated!`, { parse_mode: 'Markdown' });
 
-      // Execute the workflow with custom parameters
-      const results = await this.executeCustomAutonomousWorkflow(workflowConfig);
-      
-      if (results && results.length > 0) {
-        const successCount = results.filter(r => r.success).length;
-        await this.bot.sendMessage(chatId, `
-✅ *Custom Workflow Complete!*
-
-📊 **Results:**
-• ${successCount}/${results.length} leads generated successfully
-• Specialty: ${workflowConfig.specialty || 'Healthcare'}
-• Location: ${workflowConfig.location || 'Global'} 
-• All leads stored in Notion CRM
-• Demo websites deployed to Railway
-
-🎉 Your custom healthcare lead generation is finished!
-        `, { parse_mode: 'Markdown' });
-      } else {
-        await this.bot.sendMessage(chatId, '❌ Custom workflow completed but no leads were generated. Try adjusting your criteria.');
-      }
+      // Queue the workflow - the summary is sent by notifyTelegramJobOutcome
+      const { job } = await this.enqueueCampaign('custom-workflow', { workflowConfig: { ...workflowConfig, dryRun } }, {
+        source: 'telegram',
+        telegramChatId: chatId
+      }, {
+        name: this.defaultCampaignName(workflowConfig),
+        workflowConfig: { ...workflowConfig, dryRun },
+        conversation: this.userContexts.get(chatId)?.conversationHistory.slice() || null,
+        creator: `telegram:${chatId}`
+      });
+      await this.bot.sendMessage(chatId, `📬 Job queued: \`${job.id}\``, { parse_mode: 'Markdown' });
     } catch (error) {
       console.log(chalk.red('❌ Custom Workflow Error:'), error);
       await this.bot.sendMessage(chatId, `❌ Custom workflow failed: ${error.message}`);
@@ -993,50 +2032,143 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     try {
       await this.bot.sendMessage(chatId, '🔍 Step 1: Searching for healthcare practices...');
       
-      const results = await this.executeAutonomousWorkflow(leadCount);
-      
-      if (results && results.length > 0) {
-        const successCount = results.filter(r => r.success).length;
-        await this.bot.sendMessage(chatId, `
+      // Queue the workflow - the summary is sent by notifyTelegramJobOutcome
+      const dryRun = Boolean(this.userContexts.get(chatId)?.dryRun);
+      const { job } = await this.enqueueCampaign('autonomous-workflow', { leadCount, dryRun }, {
+        source: 'telegram',
+        telegramChatId: chatId
+      }, {
+        name: `Autonomous ${leadCount} lead(s) · ${this.campaignTimestamp()}`,
+        workflowConfig: { leadCount, dryRun },
+        creator: `telegram:${chatId}`
+      });
+      await this.bot.sendMessage(chatId, `📬 Job queued: \`${job.id}\``, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.log(chalk.red('❌ Workflow error:'), error);
+      await this.bot.sendMessage(chatId, `❌ Workflow failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the end-of-workflow summary for jobs started from Telegram
+   */
+  async notifyTelegramJobOutcome(job) {
+    const chatId = job.meta?.telegramChatId;
+    if (!chatId || !this.bot) {
+      return;
+    }
+
+    if (job.status === JOB_STATUS.FAILED) {
+      await this.bot.sendMessage(chatId, `❌ ${job.meta.scheduleName ? `Scheduled campaign "${job.meta.scheduleName}"` : 'Workflow'} failed: ${job.error}`);
+      return;
+    }
+
+    if (job.status === JOB_STATUS.CANCELLED) {
+      await this.bot.sendMessage(chatId, `🛑 Workflow cancelled after ${job.progress.completed}/${job.progress.total} leads.`);
+      return;
+    }
+
+    const results = job.result || [];
+    if (results.length === 0) {
+      await this.bot.sendMessage(chatId, '❌ Workflow completed but no leads were generated successfully.');
+      return;
+    }
+
+    const successCount = results.filter(r => r.success || r.status === 'success').length;
+    const duplicateCount = results.filter(r => r.duplicate).length;
+    const duplicateLine = duplicateCount > 0 ? `\n• ${duplicateCount} duplicate practice(s) skipped` : '';
+
+    if (job.payload.dryRun || job.payload.workflowConfig?.dryRun) {
+      const planned = results.filter(r => r.plan);
+      const planLines = planned.map(r =>
+        `• ${r.company}: Notion ${r.plan.notion.action}, repo \`${r.plan.repository.name}\`, Railway \`${r.plan.railway.projectName}\``
+      ).join('\n');
+
+      await this.bot.sendMessage(chatId, `
+🧪 *Dry Run Complete - nothing was created*
+
+📊 **Plan:** ${planned.length}/${results.length} leads would be created${duplicateLine}
+
+${planLines || 'No leads would be created.'}
+
+Send /dryrun off to run it for real.
+        `, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    if (job.type === 'import-leads') {
+      const failed = results.filter(r => r.status === 'failed');
+      const failedLines = failed.slice(0, 10).map(r => `• Row ${r.row}: ${r.error}`).join('\n');
+      await this.bot.sendMessage(chatId, `
+✅ *Import Complete!*
+
+📊 **Per-row results:**
+• ${successCount} lead(s) created${duplicateLine}
+• ${failed.length} failed, ${results.filter(r => r.status === 'invalid').length} invalid row(s) skipped
+${failedLines ? `\n${failedLines}` : ''}
+Full report: \`/jobs/${job.id}\`
+        `, { parse_mode: 'Markdown' });
+    } else if (job.type === 'custom-workflow') {
+      const workflowConfig = job.payload.workflowConfig;
+      await this.bot.sendMessage(chatId, `
+✅ *${job.meta.scheduleName ? `Scheduled Campaign "${job.meta.scheduleName}"` : 'Custom Workflow'} Complete!*
+
+📊 **Results:**
+• ${successCount}/${results.length} leads generated successfully${duplicateLine}
+• Specialty: ${workflowConfig.specialty || 'Healthcare'}
+• Location: ${workflowConfig.location || 'Global'} 
+• All leads stored in Notion CRM
+• Demo websites deployed to Railway
+
+🎉 Your custom healthcare lead generation is finished!
+        `, { parse_mode: 'Markdown' });
+    } else {
+      await this.bot.sendMessage(chatId, `
 ✅ *Workflow Complete!*
 
 📊 Results:
-• ${successCount}/${results.length} leads generated successfully
+• ${successCount}/${results.length} leads generated successfully${duplicateLine}
 • All leads stored in Notion CRM
 • Demo websites deployed to Railway
 
 🎉 Healthcare lead generation finished!
         `, { parse_mode: 'Markdown' });
-      } else {
-        await this.bot.sendMessage(chatId, '❌ Workflow completed but no leads were generated successfully.');
-      }
-    } catch (error) {
-      console.log(chalk.red('❌ Workflow error:'), error);
-      await this.bot.sendMessage(chatId, `❌ Workflow failed: ${error.message}`);
     }
   }
 
-  async executeCustomAutonomousWorkflow(workflowConfig) {
+  async executeCustomAutonomousWorkflow(workflowConfig, options = {}) {
+    const { job, campaignId } = options;
     console.log(chalk.blue('🚀 Starting AI Agent Autonomous Workflow'));
     console.log(chalk.blue(`🎯 Configuration: ${JSON.stringify(workflowConfig, null, 2)}`));
     console.log('');
 
-    const results = [];
     const leadCount = workflowConfig.leadCount || 3;
+    // Invalid filter expressions fail the run up front, with the parse error
+    const filter = compileFilters(workflowConfig.filters);
+    if (filter.expression) {
+      console.log(chalk.cyan(`🔎 Filters: ${filter.expression}`));
+    }
     
     let healthcarePractices;
     
-    // Check if AI already found clinics (from function calling)
-    if (workflowConfig.preFoundClinics && workflowConfig.preFoundClinics.length > 0) {
+    // Resumed job: reuse the practices discovered before the restart
+    if (job?.state.practices) {
+      console.log(chalk.cyan(`📬 Resuming job ${job.id} with ${job.state.practices.length} previously found clinics`));
+      healthcarePractices = job.state.practices;
+    } else if (workflowConfig.preFoundClinics && workflowConfig.preFoundClinics.length > 0) {
+      // Check if AI already found clinics (from function calling)
       console.log(chalk.cyan(`🤖 AI AGENT: Using ${workflowConfig.preFoundClinics.length} pre-found clinics from AI search`));
       healthcarePractices = workflowConfig.preFoundClinics;
+      await this.recordDiscovery(campaignId, { rejected: workflowConfig.rejectedCandidates, report: workflowConfig.discovery });
     } else {
       // Fallback to traditional search if no pre-found clinics
       const customSearchQuery = workflowConfig.searchQuery || this.generateCustomSearchQuery(workflowConfig);
-      console.log(chalk.cyan(`🔍 FALLBACK: Traditional EXA Search for ${leadCount} practices`));
+      console.log(chalk.cyan(`🔍 FALLBACK: Discovery search for ${leadCount} practices`));
       console.log(chalk.cyan(`🔍 Query: ${customSearchQuery}`));
       
-      healthcarePractices = await this.findHealthcarePracticesWithCustomEXA(customSearchQuery, leadCount, workflowConfig);
+      const discovery = await this.findHealthcarePracticesForWorkflow(customSearchQuery, leadCount, workflowConfig, filter);
+      healthcarePractices = discovery.practices;
+      await this.recordDiscovery(campaignId, discovery);
     }
     
     if (!healthcarePractices || healthcarePractices.length === 0) {
@@ -1045,37 +2177,45 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     
     console.log(chalk.green(`✅ Processing ${healthcarePractices.length} AI-validated cosmetic clinics`));
 
-    for (let i = 0; i < healthcarePractices.length; i++) {
-      const practice = healthcarePractices[i];
+    await job?.checkpoint({ practices: healthcarePractices });
+
+    const concurrency = workflowConfig.concurrency || this.leadConcurrency;
+    const results = await this.processLeadsConcurrently(healthcarePractices, { job, concurrency, campaignId }, async (practice, i, leadId) => {
       console.log(chalk.yellow(`\n🏥 Processing Practice ${i + 1}/${healthcarePractices.length}: ${practice.title}`));
       
-      try {
-        // Apply custom filters if specified
-        if (workflowConfig.filters && !this.passesCustomFilters(practice, workflowConfig.filters)) {
-          console.log(chalk.red(`❌ Practice filtered out: ${practice.title}`));
-          results.push({
+      // Apply custom filters if specified - undecided ones are re-checked after scraping
+      if (filter.evaluate(filterFields(practice)) === false) {
+        console.log(chalk.red(`❌ Practice filtered out: ${practice.title}`));
+        return {
+          status: 'skipped',
+          result: {
             practice: practice.title,
+            url: practice.url,
             success: false,
-            reason: 'Filtered out by custom criteria'
-          });
-          continue;
-        }
-
-        // Use existing workflow logic but with custom parameters
-        const result = await this.processSinglePractice(practice, workflowConfig);
-        results.push(result);
-        
-      } catch (error) {
-        console.log(chalk.red(`❌ Error processing ${practice.title}:`, error.message));
-        results.push({
-          practice: practice.title,
-          success: false,
-          error: error.message
-        });
+            skipped: true,
+            filtered: true,
+            reason: `Filtered out by ${filter.expression}`
+          }
+        };
       }
-    }
 
-    console.log(chalk.green(`\n🎉 Custom Workflow Complete: ${results.filter(r => r.success).length}/${results.length} successful`));
+      // Use existing workflow logic but with custom parameters
+      const result = await this.processSinglePractice(practice, workflowConfig, {
+        leadId,
+        duplicatePolicy: workflowConfig.duplicatePolicy,
+        dryRun: workflowConfig.dryRun,
+        campaignId,
+        filter: workflowConfig.filters?.length ? filter : null,
+        filters: workflowConfig.filters || null,
+        practice,
+        specialty: workflowConfig.specialty || null,
+        language: resolveLanguage(workflowConfig.language)
+      });
+      const status = result.dryRun && result.success ? 'planned' : result.success ? 'success' : result.skipped ? 'skipped' : 'failed';
+      return { status, result };
+    });
+
+    console.log(chalk.green(`\n🎉 Custom Workflow Complete: ${results.filter(r => r.success).length}/${results.length} successful, ${results.filter(r => r.duplicate).length} duplicates skipped`));
     return results;
   }
 
@@ -1094,145 +2234,254 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     return query;
   }
 
-  async findHealthcarePracticesWithCustomEXA(searchQuery, leadCount, workflowConfig) {
-    console.log('🔍 EXA SEARCH DEBUG - Starting search...');
-    console.log('📋 EXA Search Parameters:');
-    console.log(`   Query: "${searchQuery}"`);
-    console.log(`   Lead Count: ${leadCount}`);
-    console.log(`   Workflow Config: ${JSON.stringify(workflowConfig, null, 2)}`);
-    
-    try {
-      const exaRequestPayload = {
-        query: searchQuery,
-        type: 'neural',
-        useAutoprompt: true,
-        numResults: Math.min(leadCount * 2, 20), // Get more results for filtering
-        category: 'healthcare',
-        startPublishedDate: '2020-01-01'
-      };
-      
-      console.log('📤 EXA Request Payload:', JSON.stringify(exaRequestPayload, null, 2));
-      
-      const response = await axios.post('https://api.exa.ai/search', exaRequestPayload, {
-        headers: {
-          'Authorization': `Bearer ${this.exaApiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+  async findHealthcarePracticesForWorkflow(searchQuery, leadCount, workflowConfig, filter = compileFilters(workflowConfig.filters)) {
+    console.log(`🔍 Discovery search: "${searchQuery}" (${leadCount} leads)`);
+
+    return this.searchQualifiedPractices({
+      query: searchQuery,
+      leadCount,
+      specialty: workflowConfig.specialty || null,
+      location: workflowConfig.location || null,
+      sources: workflowConfig.sources || null,
+      filter,
+      locationThreshold: workflowConfig.locationThreshold,
+      relevanceThreshold: workflowConfig.relevanceThreshold,
+      duplicatePolicy: workflowConfig.duplicatePolicy,
+      budget: workflowConfig.searchBudget,
+      matchSpecialty: true
+    });
+  }
 
-      console.log('📥 EXA Raw Response Status:', response.status);
-      console.log('📥 EXA Raw Response Headers:', response.headers);
-      console.log('📥 EXA Raw Response Data:', JSON.stringify(response.data, null, 2));
+  /**
+   * 🔁 QUALIFIED PRACTICE SEARCH
+   * Discovery → location → specialty → filters → duplicates → AI relevance,
+   * repeated with deeper result pages and query variations until leadCount
+   * practices qualify or the search budget (discovery rounds) is spent.
+   * Resolves to { practices, rejected, report } - every rejected candidate
+   * carries its reason, the report counts what was examined and dropped.
+   */
+  async searchQualifiedPractices({
+    query, leadCount, specialty = null, location = null, sources = null, filter = compileFilters([]),
+    locationThreshold, relevanceThreshold, duplicatePolicy, budget, matchSpecialty = false
+  }) {
+    const rounds = budget || this.searchBudget;
+    const variations = queryVariations(query, { specialty, location });
+    const target = resolveLocation(location || query);
+    if (!target && location) {
+      console.log(chalk.yellow(`⚠️ Location "${location}" is not in the gazetteer - no location filter applied`));
+    }
+    const skipDuplicates = (duplicatePolicy || this.duplicatePolicy) === 'skip';
 
-      let practices = response.data.results || [];
-      console.log(`🏥 Initial practices found: ${practices.length}`);
-      
-      if (practices.length === 0) {
-        console.log('❌ EXA returned NO results for query:', searchQuery);
-        console.log('🔍 Debugging suggestions:');
-        console.log('   1. Try broader search terms');
-        console.log('   2. Remove location restrictions');
-        console.log('   3. Try different categories');
-        return [];
+    const practices = [];
+    const rejected = [];
+    const report = { requested: leadCount, found: 0, examined: 0, budget: rounds, rounds: [], dropped: {}, error: null };
+    const seen = new Set();
+
+    for (let round = 0; round < rounds && practices.length < leadCount; round++) {
+      const roundQuery = variations[round % variations.length];
+      // Every round also reaches further down the result list
+      const limit = Math.min(leadCount * 2 * (round + 1), 40);
+
+      let discovery;
+      try {
+        discovery = await this.discoverPractices({
+          query: roundQuery,
+          specialty,
+          location: location || resolveLocation(query)?.name,
+          limit,
+          sources
+        });
+      } catch (error) {
+        // Keep what earlier rounds found - only a failing first round is fatal
+        if (round === 0) {
+          throw error;
+        }
+        console.log(chalk.yellow(`⚠️ Discovery round ${round + 1} failed: ${error.message}`));
+        report.error = error.message;
+        break;
       }
-      
-      // Log all practice titles for debugging
-      practices.forEach((practice, index) => {
-        console.log(`🏥 Practice ${index + 1}: "${practice.title}" - ${practice.url}`);
+
+      let candidates = discovery.candidates.filter(candidate => !seen.has(normalizeDomain(candidate.url)));
+      const screenedOut = discovery.rejected.filter(entry => !seen.has(entry.domain));
+      discovery.candidates.forEach(candidate => seen.add(normalizeDomain(candidate.url)));
+      discovery.rejected.forEach(entry => seen.add(entry.domain));
+      const fresh = candidates.length + screenedOut.length;
+      report.examined += fresh;
+      rejected.push(...screenedOut);
+
+      console.log(`🏥 Round ${round + 1}/${rounds} "${roundQuery}" (top ${limit}): ${fresh} new candidates`);
+      candidates.forEach((practice, index) => {
+        console.log(`🏥 Practice ${index + 1}: "${practice.title}" - ${practice.url} [${practice.sources.join(', ')}]`);
       });
-      
-      // Apply location filtering if specified
-      if (workflowConfig.location) {
-        const beforeLocationFilter = practices.length;
-        const location = workflowConfig.location.toLowerCase();
-        
-        // More flexible location matching - include country codes and alternative names
-        const locationVariants = [location];
-        if (location === 'austria') {
-          locationVariants.push('österreich', 'at', '.at', 'vienna', 'wien', 'salzburg', 'innsbruck', 'graz', 'linz');
-        }
-        if (location === 'netherlands') {
-          locationVariants.push('nederland', 'holland', 'nl', '.nl', 'amsterdam', 'rotterdam', 'den haag', 'utrecht');
-        }
-        if (location === 'germany') {
-          locationVariants.push('deutschland', 'de', '.de', 'berlin', 'munich', 'münchen', 'hamburg', 'cologne', 'köln');
-        }
-        
-        practices = practices.filter(practice => {
-          const searchText = `${practice.title || ''} ${practice.url || ''} ${practice.text || ''}`.toLowerCase();
-          return locationVariants.some(variant => searchText.includes(variant));
-        });
-        console.log(`🌍 Location filter (${workflowConfig.location}): ${beforeLocationFilter} → ${practices.length} practices`);
+
+      // Apply location filtering - the configured location or one named in the query
+      if (target && candidates.length > 0) {
+        const byLocation = this.filterByLocation(candidates, target, locationThreshold);
+        console.log(`🌍 Location filter (${target.name}, ${target.countryName}): ${candidates.length} → ${byLocation.kept.length} practices`);
+        candidates = byLocation.kept;
+        rejected.push(...byLocation.rejected);
       }
-      
+
       // Apply specialty filtering if specified
-      if (workflowConfig.specialty) {
-        const beforeSpecialtyFilter = practices.length;
-        practices = practices.filter(practice => 
-          practice.title?.toLowerCase().includes(workflowConfig.specialty.toLowerCase()) ||
-          practice.text?.toLowerCase().includes(workflowConfig.specialty.toLowerCase())
-        );
-        console.log(`🏥 Specialty filter (${workflowConfig.specialty}): ${beforeSpecialtyFilter} → ${practices.length} practices`);
+      if (matchSpecialty && specialty && candidates.length > 0) {
+        // Taxonomy specialties match their synonyms in every language ("Zahnarzt" for dental)
+        const known = resolveSpecialty(specialty);
+        const taxonomy = known && known.id !== DEFAULT_SPECIALTY;
+        const wanted = specialty.toLowerCase();
+        const bySpecialty = candidates.filter(practice => {
+          const text = `${practice.title || ''}\n${practice.text || ''}\n${practice.specialty || ''}`;
+          return taxonomy ? mentionsSpecialty(text, known.id) : text.toLowerCase().includes(wanted);
+        });
+        console.log(`🏥 Specialty filter (${specialty}): ${candidates.length} → ${bySpecialty.length} practices`);
+        candidates.filter(practice => !bySpecialty.includes(practice)).forEach(practice => {
+          rejected.push(this.rejectedCandidate(practice, 'specialty', `No mention of "${specialty}"`));
+        });
+        candidates = bySpecialty;
       }
 
-      const finalPractices = practices.slice(0, leadCount);
-      console.log(`✅ EXA SEARCH COMPLETE: ${finalPractices.length}/${leadCount} practices found`);
-      
-      return finalPractices;
-    } catch (error) {
-      console.log('❌ Custom EXA API Error:', error);
-      console.log('❌ Error details:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
+      // Campaign filters before any AI evaluation is spent on a practice
+      if (filter.expression && candidates.length > 0) {
+        const filtered = this.applyPracticeFilter(candidates, filter);
+        console.log(`🔎 Custom filters: ${candidates.length} → ${filtered.kept.length} practices`);
+        candidates = filtered.kept;
+        rejected.push(...filtered.rejected);
+      }
+
+      // Practices we already have a lead for don't count towards the target
+      if (skipDuplicates && candidates.length > 0) {
+        const known = await Promise.all(candidates.map(practice => this.leadRegistry.get(practice.url)));
+        candidates = candidates.filter((practice, index) => {
+          const entry = known[index];
+          if (isKnownPractice(entry)) {
+            rejected.push(this.rejectedCandidate(practice, 'duplicate', `Already a lead (${entry.domain})`));
+            return false;
+          }
+          return true;
+        });
+      }
+
+      // Batched AI relevance verdicts - the threshold can be set per campaign
+      const relevance = await this.classifyPractices(candidates, query, {
+        threshold: relevanceThreshold,
+        wanted: leadCount - practices.length
       });
-      throw error;
+      rejected.push(...relevance.rejected);
+      practices.push(...relevance.accepted.slice(0, leadCount - practices.length));
+
+      report.rounds.push({ query: roundQuery, limit, candidates: fresh, qualified: relevance.accepted.length });
+
+      // Every phrasing tried and nothing new turned up - more rounds won't help
+      if (fresh === 0 && round >= variations.length - 1) {
+        console.log(chalk.yellow('⚠️ Discovery exhausted - no new candidates'));
+        break;
+      }
+    }
+
+    report.found = practices.length;
+    for (const { kind } of rejected) {
+      report.dropped[kind] = (report.dropped[kind] || 0) + 1;
+    }
+
+    if (practices.length < leadCount) {
+      console.log(chalk.yellow(`⚠️ Only ${practices.length}/${leadCount} qualified practices after ${report.rounds.length} search round(s), ${report.examined} candidates examined`));
     }
+    console.log(`✅ DISCOVERY COMPLETE: ${practices.length}/${leadCount} practices found (${report.examined} examined, dropped: ${Object.entries(report.dropped).map(([kind, count]) => `${kind} ${count}`).join(', ') || 'none'})`);
+
+    return { practices, rejected, report };
   }
 
-  passesCustomFilters(practice, filters) {
-    // Apply custom filtering logic
-    for (const filter of filters) {
-      const filterLower = filter.toLowerCase();
-      const titleLower = practice.title?.toLowerCase() || '';
-      const textLower = practice.text?.toLowerCase() || '';
-      
-      if (filterLower.includes('exclude') || filterLower.includes('avoid')) {
-        // Exclusion filter
-        const excludeTerms = filterLower.replace(/exclude|avoid/g, '').trim().split(' ');
-        for (const term of excludeTerms) {
-          if (term && (titleLower.includes(term) || textLower.includes(term))) {
-            return false;
-          }
-        }
-      } else if (filterLower.includes('require') || filterLower.includes('must')) {
-        // Requirement filter  
-        const requireTerms = filterLower.replace(/require|must/g, '').trim().split(' ');
-        let hasRequired = false;
-        for (const term of requireTerms) {
-          if (term && (titleLower.includes(term) || textLower.includes(term))) {
-            hasRequired = true;
-            break;
-          }
-        }
-        if (!hasRequired) {
-          return false;
-        }
+  /**
+   * 🚧 Keep the discovery report and the rejected search results (and why)
+   * on the campaign
+   */
+  async recordDiscovery(campaignId, { rejected = [], report = null } = {}) {
+    if (!campaignId || (rejected.length === 0 && !report)) {
+      return;
+    }
+    await this.campaigns.update(campaignId, { rejectedCandidates: rejected, discovery: report });
+  }
+
+  rejectedCandidate(practice, kind, reason) {
+    return { url: practice.url, title: practice.title, domain: normalizeDomain(practice.url), kind, reason };
+  }
+
+  /**
+   * 🌍 Keep practices whose location score (TLD, page text, address, phone
+   * prefix) reaches the threshold; each kept practice carries its locationMatch.
+   * Resolves to { kept, rejected }.
+   */
+  filterByLocation(practices, target, threshold = this.locationThreshold) {
+    const kept = [];
+    const rejected = [];
+    for (const practice of practices) {
+      const locationMatch = scoreLocationMatch(practice, target);
+      const { score, signals } = locationMatch;
+      if (score < threshold) {
+        const evidence = signals.map(({ signal, weight }) => `${signal} ${weight}`).join(', ') || 'no evidence';
+        console.log(chalk.gray(`   🌍 ${practice.title}: location score ${score} < ${threshold} (${evidence})`));
+        rejected.push(this.rejectedCandidate(practice, 'location', `Location score ${score} for ${target.name} (${evidence})`));
+      } else {
+        kept.push({ ...practice, locationMatch });
+      }
+    }
+    return { kept, rejected };
+  }
+
+  /**
+   * 🔎 Drop practices the campaign filters rule out. Practices the filters
+   * can't decide yet (services, lead score) pass and are checked again once
+   * scraped.
+   */
+  applyPracticeFilter(practices, filter) {
+    const kept = [];
+    const rejected = [];
+    for (const practice of practices) {
+      if (filter.evaluate(filterFields(practice)) === false) {
+        console.log(chalk.gray(`   🔎 ${practice.title}: filtered out by ${filter.expression}`));
+        rejected.push(this.rejectedCandidate(practice, 'filter', `Filtered out by ${filter.expression}`));
+      } else {
+        kept.push(practice);
       }
     }
-    return true;
+    return { kept, rejected };
   }
 
-  async processSinglePractice(practice, workflowConfig = null) {
+  async processSinglePractice(practice, workflowConfig = null, options = {}) {
     console.log(chalk.yellow(`🏥 PROCESSING: ${practice.title}`));
     console.log(chalk.gray(`🔗 URL: ${practice.url}`));
     
     try {
       // Use the full healthcare website processing workflow
-      const result = await this.processHealthcareWebsite(practice.url);
+      const result = await this.processHealthcareWebsite(practice.url, options);
       
-      if (result.status === 'success') {
+      if (result.status === 'skipped') {
+        console.log(chalk.yellow(`⏭️ ${practice.title} skipped: ${result.reason}`));
+        
+        return {
+          practice: practice.title,
+          url: practice.url,
+          success: false,
+          skipped: true,
+          duplicate: result.duplicate,
+          filtered: result.filtered,
+          leadId: result.leadId,
+          reason: result.reason,
+          duplicateOf: result.duplicateOf,
+          customConfig: workflowConfig ? true : false
+        };
+      } else if (result.status === 'planned') {
+        console.log(chalk.magenta(`🧪 ${practice.title} planned (dry run)`));
+        
+        return {
+          practice: practice.title,
+          url: practice.url,
+          success: true,
+          dryRun: true,
+          company: result.company,
+          plan: result.plan,
+          customConfig: workflowConfig ? true : false
+        };
+      } else if (result.status === 'success') {
         console.log(chalk.green(`✅ ${practice.title} completed successfully`));
         console.log(chalk.green(`🌐 Demo URL: ${result.demoUrl}`));
         
@@ -1240,6 +2489,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           practice: practice.title,
           url: practice.url,
           success: true,
+          leadId: result.leadId,
           demoUrl: result.demoUrl,
           notionId: result.notionId,
           customConfig: workflowConfig ? true : false,
@@ -1252,6 +2502,8 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           practice: practice.title,
           url: practice.url,
           success: false,
+          leadId: result.leadId,
+          failedPhase: result.failedPhase,
           error: result.error,
           customConfig: workflowConfig ? true : false
         };
@@ -1269,115 +2521,309 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     }
   }
 
-  async executeAutonomousWorkflow(leadCount) {
-    console.log(chalk.blue('🚀 Starting Autonomous Healthcare Agent Workflow'));
+  async executeAutonomousWorkflow(leadCount, options = {}) {
+    const { job, duplicatePolicy, dryRun, language, campaignId } = options;
+    console.log(chalk.blue(`🚀 Starting Autonomous Healthcare Agent Workflow${dryRun ? ' (dry run)' : ''}`));
     console.log(chalk.blue(`🎯 Target: ${leadCount} healthcare leads`));
     console.log('');
 
-    const results = [];
+    const startTime = Date.now();
     
-    // Step 1: Use EXA to find healthcare practices
-    console.log(chalk.cyan(`🔍 STEP 1: Using EXA Search to find ${leadCount} healthcare practices`));
-    const healthcarePractices = await this.findHealthcarePracticesWithEXA(leadCount);
+    // Step 1: Discover healthcare practices (or reuse them on job resume)
+    console.log(chalk.cyan(`🔍 STEP 1: Discovering ${leadCount} healthcare practices`));
+    let healthcarePractices = job?.state.practices;
+    if (!healthcarePractices) {
+      const discovery = await this.findHealthcarePractices(leadCount);
+      healthcarePractices = discovery.practices;
+      await this.recordDiscovery(campaignId, discovery);
+    }
     
     if (!healthcarePractices || healthcarePractices.length === 0) {
-      throw new Error('No healthcare practices found with EXA search');
+      throw new Error('No healthcare practices found by discovery');
     }
     
-    console.log(chalk.green(`✅ Found ${healthcarePractices.length} healthcare practices via EXA`));
+    console.log(chalk.green(`✅ Found ${healthcarePractices.length} healthcare practices`));
 
-    for (let i = 0; i < healthcarePractices.length; i++) {
-      const practice = healthcarePractices[i];
+    await job?.checkpoint({ practices: healthcarePractices });
+
+    const results = await this.processLeadsConcurrently(healthcarePractices, { job, campaignId }, async (practice, i, leadId) => {
       const url = practice.url;
       console.log(chalk.yellow(`\n🏥 Processing Healthcare Lead ${i + 1}/${leadCount}`));
       console.log(chalk.gray(`URL: ${url}`));
       
+      const result = await this.processHealthcareWebsite(url, { leadId, duplicatePolicy, dryRun, language, campaignId });
+      
+      if (result.status === 'planned') {
+        console.log(chalk.magenta(`🧪 Lead ${i + 1} planned (dry run)`));
+      } else if (result.status === 'success') {
+        console.log(chalk.green(`✅ Lead ${i + 1} completed successfully`));
+        console.log(chalk.green(`🌐 Demo URL: ${result.demoUrl}`));
+      } else {
+        console.log(chalk.red(`❌ Lead ${i + 1} failed: ${result.error}`));
+      }
+      
+      return { status: result.status, result };
+    });
+
+    // Final summary
+    const successful = results.filter(r => r.status === 'success').length;
+    const planned = results.filter(r => r.status === 'planned').length;
+    const failed = results.filter(r => r.status === 'failed').length;
+    const duplicates = results.filter(r => r.duplicate).length;
+    
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    console.log(chalk.bold.white('🎯 AUTONOMOUS WORKFLOW COMPLETE'));
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(`📊 Results: ${dryRun ? `${planned} planned` : `${successful} successful`}, ${failed} failed, ${duplicates} duplicates skipped`);
+    console.log(`⏱️ Total time: ${Math.round((Date.now() - startTime) / 1000)}s`);
+    
+    if (successful > 0) {
+      console.log(chalk.green('\n🎉 HEALTHCARE LEADS CREATED AUTONOMOUSLY!'));
+      console.log(chalk.green('   ✓ No human intervention required'));
+      console.log(chalk.green('   ✓ Live demos deployed to Railway'));
+      console.log(chalk.green('   ✓ Voice agents configured'));
+      console.log(chalk.green('   ✓ Leads stored in Notion database'));
+    }
+    
+    return results;
+  }
+
+  async processUrlBatch(urls, options = {}) {
+    const { job, duplicatePolicy, dryRun, language, campaignId } = options;
+
+    return this.processLeadsConcurrently(urls.map(url => ({ url })), { job, campaignId }, async ({ url }, i, leadId) => {
+      const result = await this.processHealthcareWebsite(url, { leadId, duplicatePolicy, dryRun, language, campaignId });
+      return { status: result.status, result };
+    });
+  }
+
+  /**
+   * 📥 Run imported rows through the pipeline with their seeded practice data.
+   * The result is the per-row report: one entry per file row, invalid rows included.
+   */
+  async processImportBatch(rows, options = {}) {
+    const { job, rejected = [], duplicatePolicy, dryRun, language, campaignId } = options;
+    const practices = rows.map(({ row, url, seed }) => ({ row, url, seed, title: seed.company || url }));
+
+    const results = await this.processLeadsConcurrently(practices, { job, campaignId }, async ({ url, seed, row }, i, leadId) => {
+      const result = await this.processHealthcareWebsite(url, { leadId, duplicatePolicy, dryRun, language, campaignId, seed });
+      return { status: result.status, result: { row, ...result } };
+    });
+
+    const invalid = rejected.map(({ row, errors }) => ({ row, status: 'invalid', success: false, error: errors.join('; '), errors }));
+    return [...results, ...invalid].sort((a, b) => a.row - b.row);
+  }
+
+  /**
+   * 🚦 Run a batch of leads through the worker pool
+   * Takes care of the job bookkeeping (resume, cancellation, per-lead progress)
+   * so workflows only describe how to process one lead. processLead returns
+   * { status, result }; results come back in the original order.
+   */
+  async processLeadsConcurrently(practices, { job, concurrency = this.leadConcurrency, campaignId = null }, processLead) {
+    await job?.setTotal(practices.length);
+
+    // Schedules reject more than 10 up front; LEAD_CONCURRENCY is only capped
+    const poolSize = Math.min(concurrency, 10);
+    if (poolSize < concurrency) {
+      console.log(chalk.yellow(`⚠️ Lead concurrency ${concurrency} capped at ${poolSize}`));
+    }
+
+    const results = await runPool(practices, { concurrency: poolSize }, async (practice, i) => {
+      if (job?.isCancelled()) {
+        console.log(chalk.yellow(`🛑 Job ${job.id} cancelled - skipping lead ${i + 1}`));
+        return undefined;
+      }
+
+      const finished = job?.finishedLead(i);
+      if (finished) {
+        console.log(chalk.gray(`⏭️ Lead ${i + 1} already finished before restart: ${practice.url}`));
+        // The journal keeps no per-lead results, so a restarted job rebuilds a summary from the progress entry
+        return finished.result ?? {
+          practice: finished.practice,
+          url: finished.url,
+          leadId: finished.leadId,
+          success: finished.status === 'success',
+          status: finished.status,
+          error: finished.error,
+          restored: true
+        };
+      }
+
+      const leadId = job?.state.leadIds?.[i] || this.leadCheckpoints.createLeadId();
+      await job?.checkpoint({ leadIds: { ...job.state.leadIds, [i]: leadId } });
+      await job?.updateLead(i, { url: practice.url, leadId, practice: practice.title, status: 'running' });
+
+      let outcome;
       try {
-        const result = await this.processHealthcareWebsite(url);
-        results.push(result);
-        
-        if (result.status === 'success') {
-          console.log(chalk.green(`✅ Lead ${i + 1} completed successfully`));
-          console.log(chalk.green(`🌐 Demo URL: ${result.demoUrl}`));
-        } else {
-          console.log(chalk.red(`❌ Lead ${i + 1} failed: ${result.error}`));
-        }
-        
-        // Rate limiting between requests
-        if (i < healthcarePractices.length - 1) {
-          console.log(chalk.gray('⏳ Waiting 3 seconds before next lead...'));
-          await this.sleep(3000);
-        }
-        
+        outcome = await processLead(practice, i, leadId);
       } catch (error) {
         console.error(chalk.red(`❌ Lead ${i + 1} error:`), error.message);
-        results.push({
-          url,
+        outcome = {
           status: 'failed',
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
+          result: {
+            practice: practice.title,
+            url: practice.url,
+            leadId,
+            success: false,
+            status: 'failed',
+            error: error.message,
+            timestamp: new Date().toISOString()
+          }
+        };
       }
-    }
 
-    // Final summary
-    const successful = results.filter(r => r.status === 'success').length;
-    const failed = results.filter(r => r.status === 'failed').length;
-    
-    console.log(chalk.blue('\n' + '='.repeat(60)));
-    console.log(chalk.bold.white('🎯 AUTONOMOUS WORKFLOW COMPLETE'));
-    console.log(chalk.blue('='.repeat(60)));
-    console.log(`📊 Results: ${successful} successful, ${failed} failed`);
-    console.log(`⏱️ Total time: ${Math.round((Date.now() - Date.now()) / 1000)}s`);
-    
-    if (successful > 0) {
-      console.log(chalk.green('\n🎉 HEALTHCARE LEADS CREATED AUTONOMOUSLY!'));
-      console.log(chalk.green('   ✓ No human intervention required'));
-      console.log(chalk.green('   ✓ Live demos deployed to Railway'));
-      console.log(chalk.green('   ✓ Voice agents configured'));
-      console.log(chalk.green('   ✓ Leads stored in Notion database'));
-    }
-    
-    return results;
+      await job?.updateLead(i, { ...outcome, error: outcome.result?.error });
+      if (campaignId) {
+        await this.campaigns.recordLead(campaignId, i, this.campaignLeadOutcome(practice, leadId, outcome));
+      }
+      return outcome.result;
+    });
+
+    // Leads skipped because of cancellation have no result
+    return results.filter(result => result !== undefined);
+  }
+
+  /**
+   * What a campaign keeps about one lead
+   */
+  campaignLeadOutcome(practice, leadId, { status, result = {} }) {
+    return {
+      leadId: result.leadId || leadId,
+      url: practice.url,
+      practice: result.company || practice.title || null,
+      status,
+      demoUrl: result.demoUrl || null,
+      notionId: result.notionId || result.details?.notionId || null,
+      duplicate: Boolean(result.duplicate),
+      reason: result.reason || null,
+      failedPhase: result.failedPhase || null,
+      error: result.error || null
+    };
   }
 
-  async processHealthcareWebsite(websiteUrl) {
+  async processHealthcareWebsite(websiteUrl, options = {}) {
+    if (options.dryRun) {
+      return this.planHealthcareWebsite(websiteUrl, options);
+    }
+
     const startTime = Date.now();
-    const leadId = `lead-${Date.now()}`;
+    const leadId = options.leadId || this.leadCheckpoints.createLeadId();
+    const checkpoint = await this.leadCheckpoints.begin(leadId, websiteUrl, {
+      campaignId: options.campaignId || null,
+      seed: options.seed || null,
+      options: this.resumableOptions(options)
+    });
+    const resuming = Object.keys(checkpoint.phases).length > 0;
+    this.activeLeadIds.add(leadId);
     
     console.log(chalk.cyan(`🔍 PHASE 0: Lead Discovery & Scraping`));
-    console.log(`   🌐 Target: ${websiteUrl}`);
+    console.log(`   🌐 Target: ${websiteUrl}${resuming ? ` (resuming ${leadId})` : ''}`);
     
     try {
+      // Known practice? Checked before scraping so duplicates cost nothing
+      if (!resuming) {
+        const policy = options.duplicatePolicy || this.duplicatePolicy;
+        const duplicate = await this.checkDuplicateLead(websiteUrl, leadId, policy);
+        
+        if (duplicate.duplicate && !duplicate.proceed) {
+          console.log(chalk.yellow(`   ⏭️ Duplicate practice skipped: ${duplicate.entry.domain} (known from ${duplicate.source})`));
+          await this.leadCheckpoints.markFinished(leadId, 'skipped');
+          
+          return {
+            leadId,
+            url: websiteUrl,
+            status: 'skipped',
+            duplicate: true,
+            reason: `Duplicate of existing lead for ${duplicate.entry.domain}`,
+            duplicateOf: {
+              domain: duplicate.entry.domain,
+              source: duplicate.source,
+              leadIds: duplicate.entry.leadIds,
+              notionPageId: duplicate.notionPageId || null,
+              demoUrl: duplicate.entry.demoUrl || null
+            },
+            timestamp: new Date().toISOString()
+          };
+        }
+        
+        if (duplicate.duplicate) {
+          console.log(chalk.yellow(`   ♻️ Known practice ${duplicate.entry.domain} - policy "${policy}"`));
+        }
+        
+        if (duplicate.retry) {
+          console.log(chalk.yellow(`   ♻️ ${duplicate.entry.domain} failed before - retrying into its Notion page`));
+        }
+        
+        if ((duplicate.duplicate && policy === 'refresh' || duplicate.retry) && duplicate.notionPageId) {
+          // Remembered as partial notion output so a resumed lead still refreshes
+          await this.leadCheckpoints.recordPhase(leadId, 'notion', PHASE_STATUS.PARTIAL, { existingPageId: duplicate.notionPageId });
+        }
+      }
+      
       // PHASE 0: Web Scraping with Playwright MCP
-      const scrapedData = await this.scrapeHealthcareWebsite(websiteUrl);
+      const scrapedData = await this.runLeadPhase(checkpoint, 'scrape', () =>
+        this.scrapeHealthcareWebsite(websiteUrl, { seed: checkpoint.seed, specialtyHint: this.specialtyHint(options), language: options.language || null }));
       console.log(`   ✅ Scraped: ${scrapedData.company} (${scrapedData.contactName})`);
       
+      // Campaign filters on services and lead score can only be decided now
+      if (this.filteredAfterScrape(websiteUrl, scrapedData, options)) {
+        await this.leadCheckpoints.markFinished(leadId, 'skipped');
+        await this.leadRegistry.release(websiteUrl, leadId);
+        return {
+          leadId,
+          url: websiteUrl,
+          status: 'skipped',
+          filtered: true,
+          company: scrapedData.company,
+          reason: `Filtered out by ${options.filter.expression}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
       // PHASE 1: Notion Database Storage
       console.log(chalk.cyan(`📊 PHASE 1: Notion Database Storage`));
-      const notionPage = await this.storeLeadInNotion(scrapedData, websiteUrl);
-      console.log(`   ✅ Stored in Notion: ${notionPage.id}`);
+      const notionPage = await this.runLeadPhase(checkpoint, 'notion', async phase => {
+        const existingPageId = phase.partial.existingPageId || null;
+        const campaign = options.campaignId ? await this.campaigns.get(options.campaignId) : null;
+        const page = await this.storeLeadInNotion(scrapedData, websiteUrl, { existingPageId, campaign });
+        return { id: page.id, url: page.url, refreshed: Boolean(existingPageId) };
+      });
+      await this.leadRegistry.recordOutcome(websiteUrl, { notionPageId: notionPage.id });
+      console.log(`   ✅ ${notionPage.refreshed ? 'Refreshed' : 'Stored'} in Notion: ${notionPage.id}`);
       
       // PHASE 2: ElevenLabs Voice Agent Creation
       console.log(chalk.cyan(`🎤 PHASE 2: ElevenLabs Voice Agent`));
-      const agentId = await this.createElevenLabsAgent(scrapedData);
+      const { agentId } = await this.runLeadPhase(checkpoint, 'agent', async () => ({
+        agentId: await this.createElevenLabsAgent(scrapedData)
+      }));
       console.log(`   ✅ Created voice agent: ${agentId}`);
       
       // PHASE 3: GitHub Repository Creation & Personalization
       console.log(chalk.cyan(`📦 PHASE 3: GitHub Repository & Personalization`));
-      const repository = await this.createPersonalizedRepository(scrapedData, agentId);
+      const repository = await this.runLeadPhase(checkpoint, 'repository', phase =>
+        this.createPersonalizedRepository(scrapedData, agentId, phase));
       console.log(`   ✅ Created repository: ${repository.name}`);
       
       // PHASE 4: Railway Deployment
       console.log(chalk.cyan(`🚂 PHASE 4: Railway Deployment`));
-      const deployment = await this.deployToRailway(scrapedData, repository);
+      const deployment = await this.runLeadPhase(checkpoint, 'deployment', phase =>
+        this.deployToRailway(scrapedData, repository, phase), {
+        // GitHub Pages fallback keeps the lead usable but leaves Railway to resume
+        isComplete: output => output.status === 'deployed'
+      });
       console.log(`   ✅ Deployed to Railway: ${deployment.url}`);
       
       // PHASE 5: Final Notion Update
       console.log(chalk.cyan(`📝 PHASE 5: Final Status Update`));
-      await this.updateNotionWithResults(notionPage.id, deployment.url, agentId);
+      await this.runLeadPhase(checkpoint, 'notionUpdate', async () => {
+        await this.updateNotionWithResults(notionPage.id, deployment.url, agentId);
+        return { demoUrl: deployment.url };
+      });
       console.log(`   ✅ Updated Notion with demo URL`);
       
+      await this.leadCheckpoints.markFinished(leadId, 'success');
+      await this.leadRegistry.recordOutcome(websiteUrl, { lastLeadId: leadId, lastStatus: 'success', demoUrl: deployment.url });
       const duration = Date.now() - startTime;
       
       return {
@@ -1386,117 +2832,398 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         status: 'success',
         company: scrapedData.company,
         doctor: scrapedData.contactName,
+        contacts: scrapedData.contacts,
+        nameResolution: scrapedData.nameResolution,
         demoUrl: deployment.url,
         agentId,
         notionId: notionPage.id,
         repositoryUrl: repository.html_url,
+        resumed: resuming,
         duration: Math.round(duration / 1000),
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
       console.error(chalk.red(`❌ Pipeline failed for ${websiteUrl}:`), error.message);
+      await this.leadRegistry.recordFailure(websiteUrl, leadId);
+      
+      let teardown = null;
+      if (this.teardownOnFailure) {
+        teardown = await this.teardownLead(leadId, { reason: `pipeline-failure: ${error.message}` })
+          .catch(teardownError => ({ error: teardownError.message }));
+      }
       
       return {
         leadId,
         url: websiteUrl,
         status: 'failed',
+        failedPhase: error.leadPhase || null,
         error: error.message,
+        teardown,
         duration: Math.round((Date.now() - startTime) / 1000),
         timestamp: new Date().toISOString()
       };
+    } finally {
+      this.activeLeadIds.delete(leadId);
     }
   }
 
-  async findHealthcarePracticesWithEXA(count) {
-    console.log(`   🔍 EXA Search: Finding ${count} healthcare practices globally`);
+  /**
+   * What is already known about a lead's specialty: the requested practice
+   * type, the AI relevance verdict, the discovery source's tag, and last the
+   * specialty the campaign searched for
+   */
+  specialtyHint(options) {
+    return options.practiceType || options.practice?.relevance?.specialty || options.practice?.specialty || options.specialty || null;
+  }
+
+  /**
+   * 🧪 Dry run: discover and scrape for real, but only describe the side effects
+   * (Notion page, voice agent, repository, Railway project) instead of creating
+   * them. Nothing is claimed in the registry and no checkpoint is written.
+   */
+  async planHealthcareWebsite(websiteUrl, options = {}) {
+    const startTime = Date.now();
+    const policy = options.duplicatePolicy || this.duplicatePolicy;
+    
+    console.log(chalk.magenta(`🧪 DRY RUN: ${websiteUrl}`));
     
     try {
-      // EXA Search for healthcare practices
-      const response = await fetch('https://api.exa.ai/search', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.exaApiKey}`,
-          'Content-Type': 'application/json'
+      // Read-only duplicate check - a plan must not claim the domain
+      const { domain } = this.leadRegistry.identify(websiteUrl);
+      const known = await this.leadRegistry.get(websiteUrl);
+      // Same rules as checkDuplicateLead: a page left by a failed lead is retried, not a duplicate
+      const retry = !isKnownPractice(known) && known?.lastStatus === 'failed' && Boolean(known.notionPageId);
+      const notionPageId = isKnownPractice(known) || retry ? known.notionPageId : (await this.findNotionLeadByDomain(domain))?.id || null;
+      const duplicate = isKnownPractice(known) || Boolean(notionPageId && !retry);
+      
+      if (duplicate && policy === 'skip') {
+        console.log(chalk.yellow(`   ⏭️ Would skip duplicate practice: ${domain}`));
+        return {
+          url: websiteUrl,
+          status: 'skipped',
+          dryRun: true,
+          duplicate: true,
+          reason: `Duplicate of existing lead for ${domain}`,
+          duplicateOf: { domain, leadIds: known?.leadIds || [], notionPageId, demoUrl: known?.demoUrl || null },
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      const scrapedData = await this.scrapeHealthcareWebsite(websiteUrl, { seed: options.seed, specialtyHint: this.specialtyHint(options), language: options.language || null });
+      console.log(`   ✅ Scraped: ${scrapedData.company} (${scrapedData.contactName})`);
+      
+      if (this.filteredAfterScrape(websiteUrl, scrapedData, options)) {
+        return {
+          url: websiteUrl,
+          status: 'skipped',
+          dryRun: true,
+          filtered: true,
+          company: scrapedData.company,
+          reason: `Filtered out by ${options.filter.expression}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      const agentPayload = this.buildElevenLabsAgentPayload(scrapedData);
+      const templateFiles = this.renderTemplateFiles(scrapedData, '<agent-id>');
+      const refresh = (duplicate && policy === 'refresh' || retry) && notionPageId;
+      
+      const plan = {
+        duplicate: { known: duplicate, policy, notionPageId },
+        notion: {
+          action: refresh ? 'update' : 'create',
+          pageId: refresh ? notionPageId : null,
+          properties: this.buildNotionLeadProperties(scrapedData, websiteUrl, options.campaignId ? await this.campaigns.get(options.campaignId) : null)
         },
-        body: JSON.stringify({
-          query: 'aesthetic clinic cosmetic surgery medical spa beauty clinic',
-          numResults: count,
-          type: 'auto',
-          useAutoprompt: true,
-          category: 'company',
-          includeDomains: []  // Let EXA find practices globally
-        })
-      });
+        elevenLabsAgent: this.elevenLabsApiConnected
+          ? { action: 'create', payload: agentPayload }
+          : { action: 'fallback', agentId: this.config.masterAgentId, payload: agentPayload },
+        repository: {
+          name: `${scrapedData.practiceId}-demo-<timestamp>`,
+          files: Object.entries(templateFiles).map(([filePath, content]) => ({
+            path: filePath,
+            bytes: Buffer.byteLength(content)
+          }))
+        },
+        railway: { projectName: this.railwayProjectName(scrapedData) }
+      };
+      
+      console.log(chalk.magenta(`   🧪 Planned: Notion ${plan.notion.action}, agent ${plan.elevenLabsAgent.action}, ${plan.repository.files.length} repo files, Railway "${plan.railway.projectName}"`));
+      
+      return {
+        url: websiteUrl,
+        status: 'planned',
+        dryRun: true,
+        company: scrapedData.company,
+        doctor: scrapedData.contactName,
+        practiceData: scrapedData,
+        plan,
+        duration: Math.round((Date.now() - startTime) / 1000),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(chalk.red(`❌ Dry run failed for ${websiteUrl}:`), error.message);
+      return {
+        url: websiteUrl,
+        status: 'failed',
+        dryRun: true,
+        error: error.message,
+        duration: Math.round((Date.now() - startTime) / 1000),
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`EXA API error: ${response.status} ${response.statusText}`);
-      }
+  /**
+   * 🔎 Re-check the campaign filters with the scraped practice data
+   * (options.filter / options.practice from a custom workflow)
+   */
+  filteredAfterScrape(websiteUrl, scrapedData, options) {
+    if (!options.filter) {
+      return false;
+    }
+    const verdict = options.filter.evaluate(filterFields(options.practice || { url: websiteUrl }, scrapedData));
+    if (verdict === false) {
+      console.log(chalk.yellow(`   🔎 ${scrapedData.company} filtered out after scraping: ${options.filter.expression}`));
+    }
+    return verdict === false;
+  }
 
-      const data = await response.json();
-      
-      if (!data.results || data.results.length === 0) {
-        throw new Error('No healthcare practices found by EXA');
+  /**
+   * 🧷 Run one pipeline phase with checkpointing
+   * Completed phases return their recorded output instead of running again.
+   * The phase callback receives { partial, savePartial } so multi-step phases
+   * can record artifacts as they are created and reuse them on resume.
+   */
+  async runLeadPhase(checkpoint, phase, run, { isComplete = () => true } = {}) {
+    const recorded = checkpoint.phases[phase];
+    if (recorded?.status === PHASE_STATUS.COMPLETED) {
+      console.log(chalk.gray(`   ♻️ Reusing completed phase "${phase}" for ${checkpoint.leadId}`));
+      return recorded.output;
+    }
+
+    const phaseContext = {
+      partial: recorded?.output || {},
+      savePartial: async patch => {
+        phaseContext.partial = { ...phaseContext.partial, ...patch };
+        await this.leadCheckpoints.recordPhase(checkpoint.leadId, phase, PHASE_STATUS.PARTIAL, phaseContext.partial);
       }
+    };
 
-      return data.results.map(result => ({
-        url: result.url,
-        title: result.title,
-        snippet: result.text || '',
-        id: result.id
-      }));
-      
+    try {
+      const output = await run(phaseContext);
+      const status = isComplete(output) ? PHASE_STATUS.COMPLETED : PHASE_STATUS.PARTIAL;
+      await this.leadCheckpoints.recordPhase(checkpoint.leadId, phase, status, output);
+      return output;
     } catch (error) {
-      console.error(`   ❌ EXA Search failed: ${error.message}`);
+      error.leadPhase = phase;
+      await this.leadCheckpoints.markFailed(checkpoint.leadId, phase, error);
       throw error;
     }
   }
 
-  async scrapeHealthcareWebsite(url) {
+  /**
+   * Continue a failed lead from its first incomplete phase
+   */
+  async resumeLead(leadId) {
+    const checkpoint = await this.leadCheckpoints.get(leadId);
+    if (!checkpoint) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+
+    const nextPhase = this.leadCheckpoints.nextPhase(checkpoint);
+    console.log(chalk.cyan(`♻️ RESUMING ${leadId} from phase "${nextPhase}"`));
+
+    const saved = checkpoint.options || {};
+    return this.processHealthcareWebsite(checkpoint.url, {
+      ...saved,
+      filter: saved.filters?.length ? compileFilters(saved.filters) : null,
+      leadId,
+      campaignId: checkpoint.campaignId
+    });
+  }
+
+  /**
+   * The per-lead options a resume needs again - campaign overrides and
+   * filters as plain data (the compiled filter is rebuilt from its source)
+   */
+  resumableOptions(options) {
+    return {
+      duplicatePolicy: options.duplicatePolicy || null,
+      language: options.language || null,
+      practiceType: this.specialtyHint(options),
+      filters: options.filter ? options.filters || null : null,
+      practice: options.practice || null
+    };
+  }
+
+  /**
+   * 🔎 EXA SEARCH
+   * The single EXA /search call every discovery path goes through
+   */
+  async exaSearch(payload) {
+    const response = await this.callProvider('exa', () => axios.post(this.providers.exa.url('/search'), payload, {
+      headers: {
+        'Authorization': `Bearer ${this.exaApiKey}`,
+        'Content-Type': 'application/json'
+      }
+    }), { label: 'EXA search' });
+
+    return response.data.results || [];
+  }
+
+  /**
+   * 🗺️ OVERPASS QUERY
+   * Runs Overpass QL against OpenStreetMap and returns the matching elements
+   */
+  async overpassQuery(query) {
+    const response = await this.callProvider('overpass', () => axios.post(this.providers.overpass.url('/interpreter'), new URLSearchParams({ data: query }), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 30000
+    }), { label: 'Overpass POI search' });
+
+    return response.data.elements || [];
+  }
+
+  /**
+   * 🧭 DISCOVER PRACTICES
+   * Merged, ranked and screened candidates from every discovery source
+   * ({ candidates, sources, rejected }) - rejected entries carry the reason
+   */
+  async discoverPractices({ query, specialty = null, location = null, limit = 10, sources = null }) {
+    console.log(`   🧭 Discovering practices: "${query}"${location ? ` in ${location}` : ''} via ${(sources || this.discovery.sourceNames()).join(', ')}`);
+    const discovery = await this.discovery.discover({ query, specialty, location, limit, sources });
+    console.log(`   🧭 ${discovery.candidates.length} unique candidates after merging`);
+
+    const { accepted, rejected } = await this.sourceRules.screenAll(discovery.candidates);
+    rejected.forEach(entry => console.log(chalk.gray(`   🚫 ${entry.title}: ${entry.kind} - ${entry.reason}`)));
+    console.log(`   🚧 ${accepted.length} practice websites after screening (${rejected.length} rejected)`);
+
+    return { ...discovery, candidates: accepted, rejected };
+  }
+
+  async findHealthcarePractices(count) {
+    const query = process.env.DISCOVERY_DEFAULT_QUERY || 'aesthetic clinic cosmetic surgery medical spa beauty clinic';
+    console.log(`   🔍 Discovery: Finding ${count} healthcare practices globally`);
+    
+    const { candidates, rejected } = await this.discoverPractices({ query, limit: count });
+    if (candidates.length === 0) {
+      throw new Error('No healthcare practices found by discovery');
+    }
+
+    return { practices: candidates.slice(0, count), rejected };
+  }
+
+  /**
+   * seed holds practice fields already known (bulk import) - they win over
+   * anything scraped, and the website is only fetched for the missing ones.
+   * specialtyHint (a taxonomy id or synonym) tips the specialty classification.
+   */
+  async scrapeHealthcareWebsite(url, { seed = null, specialtyHint = null, language: languageOverride = null } = {}) {
     console.log(`   🔍 Scraping healthcare website: ${url}`);
+    const known = seed || {};
+    const hint = known.specialty || specialtyHint;
     
     try {
       const domain = new URL(url).hostname;
       const practiceId = this.generatePracticeId(domain);
+      let realServices = known.services || null;
+      let realLocation = known.location || null;
+      let specialty = null;
+      let crawlSummary = null;
+      let extracted = null;
+      let structured = null;
+      let brand = null;
+      let palette = derivePalette();
+      let nameResolution = null;
+      let catalogue = null;
+      let openingHours = this.openingHoursFor(null, '');
+      let detectedLanguage = detectLanguage({ domain });
       
-      // Step 1: Fetch website content
-      console.log(`   📄 Fetching website content...`);
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      if (!realServices || !realLocation || !known.phone || !known.email) {
+        // Step 1: Crawl the site - home page plus contact/services/team pages
+        console.log(`   📄 Crawling website content...`);
+        const crawl = await this.crawler.crawl(url);
+        crawlSummary = {
+          pages: crawl.pages.map(({ url: pageUrl, topic, bytes }) => ({ url: pageUrl, topic, bytes })),
+          bytes: crawl.bytes,
+          skipped: crawl.skipped
+        };
+        
+        // Step 2: Schema.org markup and OpenGraph tags - what the site states about itself
+        structured = extractStructuredData(crawl.pages);
+        realServices = realServices || structured.fields.services || null;
+        realLocation = realLocation || structured.fields.location || null;
+        // og:site_name is read by the resolver itself - only schema.org names count as structured data here
+        nameResolution = resolvePracticeName({
+          html: crawl.pages[0].html,
+          domain,
+          structuredName: structured.sources.company === 'opengraph' ? null : structured.fields.company
+        });
+        this.logStructuredData(structured, { services: realServices, location: realLocation });
+        detectedLanguage = detectLanguage({ html: crawl.pages[0].html, text: crawl.corpus, domain });
+
+        // Step 3: The LLM reads the merged corpus only for fields markup left open
+        catalogue = structured.fields.serviceCatalogue || null;
+        if (!realServices) {
+          catalogue = await this.extractServiceCatalogueWithGLM(corpusFor(crawl, ['services', 'pricing'], this.extractionCorpusChars));
+          realServices = catalogue?.map(entry => entry.name) || null;
         }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        realLocation = realLocation || await this.extractLocationWithGLM(corpusFor(crawl, ['contact', 'about'], this.extractionCorpusChars)) || 'Professional Healthcare Location';
+        specialty = classifySpecialty({ ...this.pageSummary(crawl.pages[0].html), text: crawl.corpus, services: realServices || [], hint: hint || structured.fields.specialty });
+        realServices = realServices || specialtyProfile(specialty.id).services;
+
+        // Prices and durations from price lists; hours from markup, else the contact/about text
+        catalogue = this.serviceCatalogue(realServices, catalogue, topicText(crawl, ['pricing', 'services']), this.practiceCurrency(url, realLocation));
+        openingHours = this.openingHoursFor(structured.fields.openingHours, topicText(crawl, ['contact', 'home', 'about']));
+        extracted = extractContacts(crawl.pages, { callingCode: this.practiceCallingCode(url, realLocation, crawl.corpus), domain });
+
+        // Step 4: Brand colors and logo, so the demo looks like the clinic's own site
+        brand = extractBrand(crawl.pages, { stylesheets: await this.fetchStylesheets(crawl.pages[0]), schemaLogo: structured.fields.logo });
+        palette = derivePalette(brand.colors);
+        console.log(`   🎨 Brand: ${palette.primary} / ${palette.secondary} (${palette.source}${palette.source === 'site' ? `, from ${brand.colors[0].sources.join('+')}` : ''}), logo ${brand.logo ? `${brand.logo.source}` : 'missing'}`);
+      } else {
+        console.log(`   📥 Services, location and contacts imported - skipping website fetch`);
+        specialty = classifySpecialty({ services: realServices, hint });
+        catalogue = this.serviceCatalogue(realServices, null, '', this.practiceCurrency(url, realLocation));
       }
+      console.log(`   🩺 Specialty: ${specialty.label} (${specialty.source}, confidence ${specialty.confidence})`);
+      const contact = this.contactFields(known, extracted, this.practiceCallingCode(url, realLocation), structured);
+      const language = this.practiceLanguage(languageOverride, detectedLanguage);
       
-      const html = await response.text();
-      
-      // Get clinic data from website content
-      const companyName = this.extractCompanyFromDomain(domain);
-      const realServices = await this.extractServicesWithGLM(html) || ['Aesthetic Treatments', 'Cosmetic Surgery', 'Dermatology'];
-      const realLocation = await this.extractLocationWithGLM(html) || 'Professional Healthcare Location';
+      const name = this.practiceName(known, nameResolution, domain);
+      const companyName = name.name;
 
       // Create clinic-focused practice data (no doctor extraction)
       console.log(`   🏥 Creating clinic-focused demo for ${companyName}`);
       
       const practiceData = {
         company: companyName,
-        contactName: `${companyName} Team`, // Always use clinic team approach
-        phone: this.extractPhoneFromDomain(domain),
-        email: `info@${domain}`,
+        nameResolution: name.resolution,
+        contactName: known.contactName || `${companyName} Team`, // Clinic team unless the import names a contact
+        phone: contact.phone,
+        email: contact.email,
+        contacts: contact.contacts,
         location: realLocation,
         services: realServices,
-        practiceType: 'beauty',
+        serviceCatalogue: catalogue,
+        openingHours,
+        language,
+        practiceType: specialty.id,
+        specialty,
         practiceId,
-        leadSource: 'clinic-team-version',
+        leadSource: seed ? 'bulk-import' : 'clinic-team-version',
         leadScore: 80, // Good score for real clinic data
-        brandColors: {
-          primary: '#0066cc',
-          secondary: '#004499'
-        },
+        brandColors: palette,
+        logo: brand?.logo || null,
+        favicon: brand?.favicon || null,
+        address: structured?.fields.address || null,
+        geo: structured?.fields.geo || null,
+        sameAs: structured?.fields.sameAs || [],
         website: url,
+        crawl: crawlSummary,
+        structuredData: structured && { types: structured.types, sources: structured.sources },
         isGeneralVersion: true // Flag to indicate this is clinic-focused
       };
       
@@ -1509,23 +3236,31 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
       // Fallback to basic data extraction
       const domain = new URL(url).hostname;
       const practiceId = this.generatePracticeId(domain);
-      const companyName = this.extractCompanyFromDomain(domain);
+      const name = this.practiceName(known, null, domain);
+      const companyName = name.name;
+      const specialty = classifySpecialty({ services: known.services || [], hint });
+      const contact = this.contactFields(known, null, this.practiceCallingCode(url, known.location));
       
       return {
         company: companyName,
-        contactName: `${companyName} Team`, // Always use clinic team approach
-        phone: this.extractPhoneFromDomain(domain),
-        email: `info@${domain}`,
-        location: 'Unknown Location',
-        services: ['Healthcare Services'],
-        practiceType: 'beauty',
+        nameResolution: name.resolution,
+        contactName: known.contactName || `${companyName} Team`, // Clinic team unless the import names a contact
+        phone: contact.phone,
+        email: contact.email,
+        contacts: contact.contacts,
+        location: known.location || 'Unknown Location',
+        services: known.services || specialtyProfile(specialty.id).services,
+        serviceCatalogue: this.serviceCatalogue(known.services || specialtyProfile(specialty.id).services, null, '', this.practiceCurrency(url, known.location)),
+        openingHours: this.openingHoursFor(null, ''),
+        language: this.practiceLanguage(languageOverride, detectLanguage({ domain })),
+        practiceType: specialty.id,
+        specialty,
         practiceId,
-        leadSource: 'fallback-extraction',
+        leadSource: seed ? 'bulk-import' : 'fallback-extraction',
         leadScore: 60,
-        brandColors: {
-          primary: '#0066cc',
-          secondary: '#004499'
-        },
+        brandColors: derivePalette(),
+        logo: null,
+        favicon: null,
         isGeneralVersion: true
       };
     }
@@ -1539,138 +3274,368 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
 
   // REMOVED: Person name validation - using clinic team approach instead
 
-  async extractLocationWithGLM(html) {
+  /**
+   * Title, meta description and visible text of a page, for keyword classification
+   */
+  pageSummary(html) {
+    return {
+      title: pageTitle(html),
+      description: htmlToText(html.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["']/i)?.[1]),
+      text: htmlToText(html)
+    };
+  }
+
+  async extractLocationWithGLM(corpus) {
     try {
-      const textContent = html
-        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-        .replace(/<[^>]*>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 3000);
-
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.config.openRouterApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'zhipuai/glm-4-9b-chat',
-          messages: [
-            {
-              role: 'system',
-              content: 'Extract the clinic address/location from healthcare website content. Return just the city and country/state (e.g., "London, UK" or "Seattle, WA"). If no location found, return null.'
-            },
-            {
-              role: 'user',
-              content: `Extract location from: ${textContent}`
-            }
-          ],
-          max_tokens: 50,
-          temperature: 0.1
-        })
-      });
+      // Crawl corpus - contact and about pages come first
+      const textContent = corpus.replace(/[ \t]+/g, ' ').trim();
 
-      if (response.ok) {
-        const data = await response.json();
-        const location = data.choices[0]?.message?.content?.trim();
-        return location && location !== 'null' ? location : null;
-      }
-      
+      const data = await this.callProvider('openrouter', async () => {
+        const response = await fetch(this.providers.openrouter.url('/chat/completions'), {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${this.config.openRouterApiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model: 'zhipuai/glm-4-9b-chat',
+            messages: [
+              {
+                role: 'system',
+                content: 'Extract the clinic address/location from healthcare website content. Return just the city and country/state (e.g., "London, UK" or "Seattle, WA"). If no location found, return null.'
+              },
+              {
+                role: 'user',
+                content: `Extract location from: ${textContent}`
+              }
+            ],
+            max_tokens: 50,
+            temperature: 0.1
+          })
+        });
+
+        if (!response.ok) {
+          throw new ProviderHttpError('openrouter', response);
+        }
+
+        return response.json();
+      }, { label: 'GLM location extraction' });
+
+      const location = data.choices[0]?.message?.content?.trim();
+      return location && location !== 'null' ? location : null;
+    } catch (error) {
       return null;
+    }
+  }
+
+  async extractServiceCatalogueWithGLM(corpus) {
+    try {
+      // Crawl corpus - services and pricing pages come first
+      const textContent = corpus.replace(/[ \t]+/g, ' ').trim();
+
+      const data = await this.callProvider('openrouter', async () => {
+        const response = await fetch(this.providers.openrouter.url('/chat/completions'), {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${this.config.openRouterApiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model: 'zhipuai/glm-4-9b-chat',
+            messages: [
+              {
+                role: 'system',
+                content: `Extract the service catalogue from clinic website content: up to ${MAX_CATALOGUE_SERVICES} medical/healthcare services the clinic offers. Return a JSON array of objects like {"name": "...", "description": "...", "durationMinutes": 30, "price": 90, "priceFrom": false, "currency": "EUR"}; priceFrom is true for a starting price ("from €90", "ab 90 €"). Use null for any description, duration, price or currency the text does not state - never estimate them.`
+              },
+              {
+                role: 'user',
+                content: `Extract the service catalogue from: ${textContent}`
+              }
+            ],
+            max_tokens: 900,
+            temperature: 0.1
+          })
+        });
+
+        if (!response.ok) {
+          throw new ProviderHttpError('openrouter', response);
+        }
+
+        return response.json();
+      }, { label: 'GLM service catalogue extraction' });
+
+      const content = data.choices[0]?.message?.content?.trim() || '';
+      try {
+        // Models like to wrap JSON in a code fence
+        const entries = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        const catalogue = Array.isArray(entries)
+          ? entries.map(entry => normalizeCatalogueEntry(typeof entry === 'string' ? { name: entry } : entry)).filter(Boolean)
+          : [];
+        return catalogue.length > 0 ? catalogue.slice(0, MAX_CATALOGUE_SERVICES) : null;
+      } catch {
+        return null;
+      }
     } catch (error) {
       return null;
     }
   }
 
-  async extractServicesWithGLM(html) {
+  /**
+   * Currency prices are quoted in when a price list shows no symbol
+   */
+  practiceCurrency(url, location) {
+    return currencyForCountry(resolveLocation(location)?.country || countryForHost(url));
+  }
+
+  /**
+   * Catalogue entry per service name: details from what markup or the LLM
+   * said about it, gaps filled from price-list lines in the pricing/services text
+   */
+  serviceCatalogue(serviceNames, extracted, pricingText, currency) {
+    const base = serviceNames.map(name => normalizeCatalogueEntry({ name })).filter(Boolean);
+    const catalogue = mergeCatalogue(base, extracted || [], parsePriceList(pricingText, { currency }))
+      .map(entry => ({ ...entry, currency: entry.price ? entry.currency || currency : null }));
+
+    const priced = catalogue.filter(entry => entry.price).length;
+    const timed = catalogue.filter(entry => entry.durationMinutes).length;
+    console.log(`   💶 Services: ${catalogue.length} (${priced} priced, ${timed} with duration)`);
+    return catalogue;
+  }
+
+  /**
+   * Weekly hours from structured data when it has them, else from the text;
+   * holiday notes always come from the text
+   */
+  openingHoursFor(structuredHours, text) {
+    const parsed = parseOpeningHours(text);
+    const fromMarkup = structuredHours?.length > 0;
+    const hours = {
+      weekly: fromMarkup ? structuredHours : parsed.weekly,
+      closed: fromMarkup ? [] : parsed.closed,
+      notes: parsed.notes,
+      source: fromMarkup ? 'structured-data' : parsed.weekly.length > 0 ? 'text' : null
+    };
+    if (text) {
+      console.log(`   🕒 Opening hours: ${formatOpeningHours(hours).join('; ') || 'not found'}${hours.notes.length ? ` (+${hours.notes.length} holiday note(s))` : ''}`);
+    }
+    return hours;
+  }
+
+  /**
+   * Calling code for national phone numbers: the practice's location, then
+   * its country TLD, then the first international number on the site
+   */
+  practiceCallingCode(url, location, corpus = '') {
+    return resolveLocation(location)?.phone || callingCodeFor(countryForHost(url)) || phoneCountryCodes(corpus)[0] || null;
+  }
+
+  /**
+   * CSS of the home page's linked same-site stylesheets (brand colors mostly
+   * live there, not in the HTML)
+   */
+  async fetchStylesheets(page) {
+    const host = new URL(page.url).hostname;
+    const links = stylesheetLinks(page.html, page.url).filter(link => new URL(link).hostname === host).slice(0, this.brandStylesheets);
+    const sheets = await Promise.all(links.map(link => this.crawler.fetchText(link, 300_000)));
+    return sheets.filter(Boolean);
+  }
+
+  /**
+   * One log line on what structured data supplied and which fields still go to the LLM
+   */
+  logStructuredData(structured, { services, location }) {
+    const supplied = Object.keys(structured.sources);
+    const open = [!services && 'services', !location && 'location'].filter(Boolean);
+    console.log(structured.types.length > 0 || supplied.length > 0
+      ? `   🧩 Structured data: ${structured.types.join(', ') || 'OpenGraph only'} - ${supplied.join(', ') || 'no practice fields'}${open.length > 0 ? `; LLM for ${open.join(', ')}` : ''}`
+      : `   🧩 No structured data - LLM for ${open.join(', ') || 'nothing'}`);
+  }
+
+  /**
+   * Phone and email for a lead - imported values first, then what the site's
+   * structured data states, then what the crawl found. Nothing is invented: a
+   * field nobody found stays null and its contacts flag says "missing".
+   */
+  contactFields(known, extracted, callingCode, structured = null) {
+    const field = (name, importedValue) => {
+      if (importedValue) {
+        return { value: importedValue, status: { found: true, source: 'import' } };
+      }
+      const stated = structured?.fields[name];
+      const statedValue = name === 'phone' ? normalizePhoneE164(stated, { callingCode }) : stated?.toLowerCase();
+      if (statedValue) {
+        return { value: statedValue, status: { found: true, source: `structured-data:${structured.sources[name]}` } };
+      }
+      const best = extracted?.[name];
+      return best
+        ? { value: best.value, status: { found: true, source: best.source, page: best.page } }
+        : { value: null, status: { found: false, source: null } };
+    };
+    const phone = field('phone', known.phone && (normalizePhoneE164(known.phone, { callingCode }) || known.phone));
+    const email = field('email', known.email);
+
+    console.log(`   ☎️ Contacts: phone ${phone.value || 'missing'}${phone.value ? ` (${phone.status.source})` : ''}, email ${email.value || 'missing'}${email.value ? ` (${email.status.source})` : ''}`);
+    return { phone: phone.value, email: email.value, contacts: { phone: phone.status, email: email.status } };
+  }
+
+  /**
+   * Notion page properties for a scraped lead (also shown in dry-run plans)
+   */
+  buildNotionLeadProperties(leadData, websiteUrl, campaign = null) {
+    const properties = {
+      'Company': { title: [{ text: { content: leadData.company } }] },
+      'Contact Name': { rich_text: [{ text: { content: leadData.contactName } }] },
+      'Location': { rich_text: [{ text: { content: leadData.location } }] },
+      'Phone': { phone_number: leadData.phone },
+      'Email': { email: leadData.email },
+      'Website URL': { url: websiteUrl },
+      'Agent ID': { rich_text: [{ text: { content: 'pending' } }] },
+      'Demo URL': { url: null }
+    };
+
+    // Tag the lead with the campaign that produced it
+    if (campaign) {
+      properties[this.notionCampaignProperty] = { rich_text: [{ text: { content: `${campaign.name} (${campaign.id})` } }] };
+    }
+    return properties;
+  }
+
+  async storeLeadInNotion(leadData, websiteUrl, { existingPageId = null, campaign = null } = {}) {
+    const properties = this.buildNotionLeadProperties(leadData, websiteUrl, campaign);
+    const headers = {
+      'Authorization': `Bearer ${this.config.notionApiKey}`,
+      'Content-Type': 'application/json',
+      'Notion-Version': '2022-06-28'
+    };
+
     try {
-      const textContent = html
-        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-        .replace(/<[^>]*>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 3000);
-
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.config.openRouterApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'zhipuai/glm-4-9b-chat',
-          messages: [
-            {
-              role: 'system',
-              content: 'Extract 2-4 main medical/healthcare services from clinic website content. Return as JSON array of strings like ["Service 1", "Service 2"]. Focus on treatments, procedures, or specialties.'
-            },
-            {
-              role: 'user',
-              content: `Extract services from: ${textContent}`
-            }
-          ],
-          max_tokens: 150,
-          temperature: 0.1
-        })
-      });
+      // Refresh policy: update the practice's existing CRM page instead of adding a new one
+      if (existingPageId) {
+        const response = await this.callProvider('notion', () => axios.patch(this.providers.notion.url(`/pages/${existingPageId}`), {
+          properties
+        }, { headers }), { label: 'Notion lead refresh' });
 
-      if (response.ok) {
-        const data = await response.json();
-        const servicesText = data.choices[0]?.message?.content?.trim();
-        try {
-          const services = JSON.parse(servicesText);
-          return Array.isArray(services) ? services.slice(0, 4) : null;
-        } catch {
-          return null;
-        }
+        return response.data;
       }
-      
-      return null;
-    } catch (error) {
-      return null;
-    }
-  }
 
-  extractPhoneFromDomain(domain) {
-    // Generate reasonable phone number based on domain location patterns
-    if (domain.includes('.co.uk') || domain.includes('.uk')) {
-      return '+44 20 7' + Math.floor(Math.random() * 900 + 100) + ' ' + Math.floor(Math.random() * 9000 + 1000);
-    } else if (domain.includes('.au')) {
-      return '+61 2 ' + Math.floor(Math.random() * 9000 + 1000) + ' ' + Math.floor(Math.random() * 9000 + 1000);
-    } else {
-      return '+1 ' + Math.floor(Math.random() * 900 + 100) + '-' + Math.floor(Math.random() * 900 + 100) + '-' + Math.floor(Math.random() * 9000 + 1000);
+      const response = await this.callProvider('notion', () => axios.post(this.providers.notion.url('/pages'), {
+        parent: { database_id: this.config.notionDatabaseId },
+        properties
+      }, { headers }), { label: 'Notion lead storage', idempotent: false });
+
+      return response.data;
+    } catch (error) {
+      // Databases created before campaigns existed lack the property - store the lead untagged
+      const missingCampaignProperty = campaign && error.response?.status === 400
+        && JSON.stringify(error.response.data || {}).includes(this.notionCampaignProperty);
+      if (missingCampaignProperty) {
+        console.log(`   ⚠️ Notion database has no "${this.notionCampaignProperty}" property - lead stored without campaign tag`);
+        return this.storeLeadInNotion(leadData, websiteUrl, { existingPageId });
+      }
+      throw new Error(`Notion storage failed: ${error.message}`);
     }
   }
 
-  async storeLeadInNotion(leadData, websiteUrl) {
+  /**
+   * Existing CRM page for a practice domain, or null (lookup failures don't block the pipeline)
+   */
+  async findNotionLeadByDomain(domain) {
     try {
-      const response = await axios.post('https://api.notion.com/v1/pages', {
-        parent: { database_id: this.config.notionDatabaseId },
-        properties: {
-          'Company': { title: [{ text: { content: leadData.company } }] },
-          'Contact Name': { rich_text: [{ text: { content: leadData.contactName } }] },
-          'Location': { rich_text: [{ text: { content: leadData.location } }] },
-          'Phone': { phone_number: leadData.phone },
-          'Email': { email: leadData.email },
-          'Website URL': { url: websiteUrl },
-          'Agent ID': { rich_text: [{ text: { content: 'pending' } }] },
-          'Demo URL': { url: null }
-        }
+      const response = await this.callProvider('notion', () => axios.post(this.providers.notion.url(`/databases/${this.config.notionDatabaseId}/query`), {
+        filter: { property: 'Website URL', url: { contains: domain } },
+        page_size: 20
       }, {
         headers: {
           'Authorization': `Bearer ${this.config.notionApiKey}`,
           'Content-Type': 'application/json',
           'Notion-Version': '2022-06-28'
         }
-      });
+      }), { label: 'Notion duplicate lookup' });
 
-      return response.data;
+      // "contains" also finds myclinic.nl for clinic.nl - only the same host counts
+      return response.data.results.find(page => normalizeDomain(page.properties?.['Website URL']?.url) === normalizeDomain(domain)) || null;
     } catch (error) {
-      throw new Error(`Notion storage failed: ${error.message}`);
+      console.log(`   ⚠️ Notion duplicate lookup failed for ${domain}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 🪪 Duplicate check before scraping
+   * Claims the practice domain for this lead in the local registry, falling
+   * back to the Notion CRM for practices stored before the registry existed.
+   */
+  async checkDuplicateLead(websiteUrl, leadId, policy) {
+    const allowKnown = policy !== 'skip';
+    const { known, entry } = await this.leadRegistry.claim(websiteUrl, leadId, { allowKnown });
+
+    if (known) {
+      return { duplicate: true, proceed: allowKnown, entry, notionPageId: entry.notionPageId, source: 'registry' };
+    }
+
+    // An earlier run failed after creating the Notion page - retry into that page
+    if (entry.lastStatus === 'failed' && entry.notionPageId) {
+      return { duplicate: false, proceed: true, retry: true, entry, notionPageId: entry.notionPageId };
+    }
+
+    const notionPage = await this.findNotionLeadByDomain(entry.domain);
+    if (!notionPage) {
+      return { duplicate: false, proceed: true, entry };
+    }
+
+    if (allowKnown) {
+      await this.leadRegistry.recordOutcome(websiteUrl, { notionPageId: notionPage.id });
+    } else {
+      await this.leadRegistry.release(websiteUrl, leadId, { notionPageId: notionPage.id });
     }
+
+    return { duplicate: true, proceed: allowKnown, entry, notionPageId: notionPage.id, source: 'notion' };
+  }
+
+  /**
+   * ElevenLabs ConvAI agent payload for a practice (also shown in dry-run plans)
+   */
+  buildElevenLabsAgentPayload(practiceData) {
+    const prompt = this.generatePracticeSpecificPrompt(practiceData);
+    const language = this.languageOf(practiceData);
+    const firstMessage = this.voiceFirstMessage(practiceData);
+    
+    // Create agent using ElevenLabs ConvAI API with new tool_ids format
+    return {
+      name: `${practiceData.company} Voice Assistant`,
+      conversation_config: {
+        agent: {
+          prompt: {
+            prompt: prompt,
+            built_in_tools: ["end_call"] // System tools by name
+            // Note: No custom tools needed for basic voice assistant
+          },
+          first_message: firstMessage,
+          language: language,
+          llm: {
+            type: "elevenlabs",
+            model: "gemini-2.0-flash-exp"
+          },
+          voice: this.agentVoice(language),
+          max_duration_secs: 1800,
+          responsiveness: 0.5,
+          interruption_threshold: 100,
+          llm_websocket_url: null,
+          conversation_config_override: null
+        }
+      }
+    };
+  }
+
+  /**
+   * Voice for an agent language - ELEVENLABS_VOICE_<LANG> when set. Agents
+   * that don't speak English need the multilingual TTS model.
+   */
+  agentVoice(language) {
+    return {
+      voice_id: process.env[`ELEVENLABS_VOICE_${language.toUpperCase()}`] || this.defaultVoiceId,
+      ...(language !== 'en' && { model_id: 'eleven_flash_v2_5' })
+    };
   }
 
   async createElevenLabsAgent(practiceData) {
@@ -1682,50 +3647,16 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         return this.config.masterAgentId;
       }
 
-      const prompt = this.generatePracticeSpecificPrompt(practiceData);
-      
-      // Generate appropriate first message based on version type
-      const firstMessage = practiceData.isGeneralVersion 
-        ? `Thank you for calling ${practiceData.company}! This is your wellness assistant. Our experienced medical team is here to help you begin your healing journey. Which of our ${practiceData.practiceType} treatments can I help you schedule today?`
-        : `Thank you for calling ${practiceData.company}! This is your wellness assistant. We're here to help you begin your healing journey with ${practiceData.contactName}. Which of our ${practiceData.practiceType} treatments can I help you schedule today?`;
-      
       console.log(`   🔧 Creating ElevenLabs ConvAI agent via direct API...`);
-      
-      // Create agent using ElevenLabs ConvAI API with new tool_ids format
-      const agentPayload = {
-        name: `${practiceData.company} Voice Assistant`,
-        conversation_config: {
-          agent: {
-            prompt: {
-              prompt: prompt,
-              built_in_tools: ["end_call"] // System tools by name
-              // Note: No custom tools needed for basic voice assistant
-            },
-            first_message: firstMessage,
-            language: "en",
-            llm: {
-              type: "elevenlabs",
-              model: "gemini-2.0-flash-exp"
-            },
-            voice: {
-              voice_id: "pNInz6obpgDQGcFmaJgB" // Default Adam voice
-            },
-            max_duration_secs: 1800,
-            responsiveness: 0.5,
-            interruption_threshold: 100,
-            llm_websocket_url: null,
-            conversation_config_override: null
-          }
-        }
-      };
+      const agentPayload = this.buildElevenLabsAgentPayload(practiceData);
 
-      const response = await axios.post('https://api.elevenlabs.io/v1/convai/agents', agentPayload, {
+      const response = await this.callProvider('elevenlabs', () => axios.post(this.providers.elevenlabs.url('/convai/agents'), agentPayload, {
         headers: {
           'xi-api-key': this.config.elevenLabsApiKey,
           'Content-Type': 'application/json'
         },
         timeout: 30000
-      });
+      }), { label: 'ElevenLabs agent creation', idempotent: false });
 
       if (response.status === 200 && response.data.agent_id) {
         const agentId = response.data.agent_id;
@@ -1742,13 +3673,20 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     }
   }
 
-  async createPersonalizedRepository(practiceData, agentId) {
+  async createPersonalizedRepository(practiceData, agentId, phase = {}) {
     const timestamp = Date.now();
     const repoName = `${practiceData.practiceId}-demo-${timestamp}`;
     
     try {
+      // Resumed lead: the repository was created before the failure, only re-personalize it
+      if (phase.partial?.full_name) {
+        console.log(`   ♻️ Reusing existing repository: ${phase.partial.full_name}`);
+        await this.personalizeRepository(phase.partial, practiceData, agentId);
+        return phase.partial;
+      }
+
       // Create GitHub repository
-      const repoResponse = await axios.post('https://api.github.com/user/repos', {
+      const repoResponse = await this.callProvider('github', () => axios.post(this.providers.github.url('/user/repos'), {
         name: repoName,
         description: `Personalized healthcare demo for ${practiceData.company} - Auto-generated`,
         private: false,
@@ -1759,9 +3697,10 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           'Accept': 'application/vnd.github.v3+json',
           'User-Agent': 'Healthcare-Automation-AI'
         }
-      });
+      }), { label: 'GitHub repository creation', idempotent: false });
       
-      const repository = repoResponse.data;
+      const repository = this.summarizeRepository(repoResponse.data);
+      await phase.savePartial?.(repository);
       
       // Clone and personalize repository
       await this.personalizeRepository(repository, practiceData, agentId);
@@ -1773,30 +3712,27 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     }
   }
 
+  /**
+   * Keep only the repository fields later phases need (checkpoint-friendly)
+   */
+  summarizeRepository(repository) {
+    return {
+      id: repository.id,
+      name: repository.name,
+      full_name: repository.full_name,
+      html_url: repository.html_url,
+      clone_url: repository.clone_url,
+      owner: { login: repository.owner.login }
+    };
+  }
+
   async personalizeRepository(repository, practiceData, agentId) {
-    const repoPath = `/tmp/${repository.name}`;
-    
     try {
-      // Create authenticated clone URL
-      const authenticatedUrl = repository.clone_url.replace('https://github.com/', `https://${this.config.githubToken}@github.com/`);
-      
-      // Clone repository with authentication
-      execSync(`git clone ${authenticatedUrl} ${repoPath}`, { stdio: 'ignore' });
-      
       // Generate complete AI Voice Agent healthcare template inline
-      await this.generateCompleteTemplate(repoPath, practiceData, agentId);
-      
-      // Configure git environment for GitHub Actions
-      execSync(`cd ${repoPath} && git config user.name "Healthcare AI Agent"`, { stdio: 'ignore' });
-      execSync(`cd ${repoPath} && git config user.email "agent@healthcare-ai.com"`, { stdio: 'ignore' });
+      const files = this.renderTemplateFiles(practiceData, agentId);
       
-      // Configure authenticated remote for push
-      execSync(`cd ${repoPath} && git remote set-url origin ${authenticatedUrl}`, { stdio: 'ignore' });
-      
-      // Commit and push changes
-      execSync(`cd ${repoPath} && git add .`, { stdio: 'ignore' });
-      execSync(`cd ${repoPath} && git commit -m "🚀 Auto-deploy: ${practiceData.company} AI Voice Agent\n\n✅ GitHub Actions → Railway deployment\n🏥 Practice: ${practiceData.company}\n🎯 Services: ${practiceData.services.slice(0,2).join(', ')}\n📍 Location: ${practiceData.location}"`, { stdio: 'ignore' });
-      execSync(`cd ${repoPath} && git push origin main`, { stdio: 'ignore' });
+      // Commit and push - the push triggers the GitHub Actions deployment
+      await this.providers.github.publishFiles(repository, files, `🚀 Auto-deploy: ${practiceData.company} AI Voice Agent\n\n✅ GitHub Actions → Railway deployment\n🏥 Practice: ${practiceData.company}\n🎯 Services: ${practiceData.services.slice(0,2).join(', ')}\n📍 Location: ${practiceData.location}`);
       
       console.log(`   ✅ Generated template and pushed to ${repository.name}`);
       console.log(`   🚀 GitHub Actions deployment will auto-trigger`);
@@ -1806,9 +3742,12 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     }
   }
 
-  async generateCompleteTemplate(repoPath, practiceData, agentId) {
-    // Create directory structure
-    execSync(`mkdir -p ${repoPath}/src/app ${repoPath}/src/lib`, { stdio: 'ignore' });
+  /**
+   * Render every file of the demo site template as { relativePath: content }
+   * (shared by repository personalization and dry-run plans)
+   */
+  renderTemplateFiles(practiceData, agentId) {
+    const files = {};
     
     // Generate package.json
     const packageJson = {
@@ -1836,42 +3775,53 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         "tailwindcss": "^3.3.0"
       }
     };
-    await fs.writeFile(`${repoPath}/package.json`, JSON.stringify(packageJson, null, 2));
+    files['package.json'] = JSON.stringify(packageJson, null, 2);
     
     // Generate page.tsx with AI Voice Agent demo
-    const pageContent = this.generatePageComponent(practiceData);
-    await fs.writeFile(`${repoPath}/src/app/page.tsx`, pageContent);
+    files['src/app/page.tsx'] = this.generatePageComponent(practiceData);
     
     // Generate practice-config.ts
-    const configContent = this.generatePracticeConfig(practiceData, agentId);
-    await fs.writeFile(`${repoPath}/src/lib/practice-config.ts`, configContent);
+    files['src/lib/practice-config.ts'] = this.generatePracticeConfig(practiceData, agentId);
     
     // Generate layout.tsx
-    const layoutContent = this.generateLayoutComponent(practiceData);
-    await fs.writeFile(`${repoPath}/src/app/layout.tsx`, layoutContent);
+    files['src/app/layout.tsx'] = this.generateLayoutComponent(practiceData);
     
     // Generate Next.js config files
-    await this.generateConfigFiles(repoPath, practiceData);
+    return { ...files, ...this.generateConfigFiles(practiceData) };
+  }
+
+  railwayProjectName(practiceData) {
+    return `${practiceData.company.toLowerCase().replace(/[^a-z0-9]/g, '-')}-demo`;
   }
 
-  async deployToRailway(practiceData, repository) {
+  async deployToRailway(practiceData, repository, phase = {}) {
+    // Railway ids created so far - reused when a failed deployment is resumed
+    const { projectId, projectName, environmentId, serviceId } = phase.partial || {};
+    const railwayIds = { projectId, projectName, environmentId, serviceId };
+
     try {
       console.log(`   🚂 Creating Railway project via MCP...`);
       
-      // Use Railway MCP directly like we do in Claude Code
-      const projectName = `${practiceData.company.toLowerCase().replace(/[^a-z0-9]/g, '-')}-demo`;
-      
       // Create project
-      const project = await this.railwayCreateProject(projectName);
-      console.log(`   ✅ Railway project created: ${project.name}`);
+      const project = railwayIds.projectId
+        ? { id: railwayIds.projectId, name: railwayIds.projectName }
+        : await this.railwayCreateProject(this.railwayProjectName(practiceData));
+      Object.assign(railwayIds, { projectId: project.id, projectName: project.name });
+      await phase.savePartial?.(railwayIds);
+      console.log(`   ✅ Railway project ${phase.partial?.projectId ? 'reused' : 'created'}: ${project.name}`);
       
       // Get environments
       const environments = await this.railwayGetEnvironments(project.id);
       const prodEnv = environments.find(env => env.name === 'production') || environments[0];
+      railwayIds.environmentId = prodEnv.id;
       
       // Create service from repo
-      const service = await this.railwayCreateService(project.id, repository.full_name);
-      console.log(`   ✅ Railway service created from repo`);
+      const service = railwayIds.serviceId
+        ? { id: railwayIds.serviceId }
+        : await this.railwayCreateService(project.id, repository.full_name);
+      railwayIds.serviceId = service.id;
+      await phase.savePartial?.(railwayIds);
+      console.log(`   ✅ Railway service ready from repo`);
       
       // Set environment variables (non-blocking)
       console.log(`   🔍 Environment details: projectId=${project.id}, envId=${prodEnv.id}, serviceId=${service.id}`);
@@ -1886,6 +3836,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
       const domain = await this.railwayCreateDomain(project.id, prodEnv.id, service.id);
       
       return {
+        ...railwayIds,
         url: domain.url,
         status: 'deployed',
         deploymentMethod: 'railway-mcp-direct'
@@ -1897,23 +3848,25 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
       
       const fallbackUrl = `https://${repository.owner.login}.github.io/${repository.name}`;
       return {
+        ...railwayIds,
         url: fallbackUrl,
         status: 'fallback',
-        deploymentMethod: 'github-pages'
+        deploymentMethod: 'github-pages',
+        error: error.message
       };
     }
   }
   
   async waitForGitHubActionsDeployment(repository, practiceId) {
     const delayMs = 4000; // 4 seconds between checks
-    let attempt = 1;
+    const maxChecks = parseInt(process.env.DEPLOY_POLL_MAX_CHECKS || '45', 10); // ~3 minutes
     
-    while (true) { // Unlimited attempts
+    for (let attempt = 1; attempt <= maxChecks; attempt++) {
       try {
-        console.log(`   🔍 Checking deployment status (attempt ${attempt} - unlimited retries)...`);
+        console.log(`   🔍 Checking deployment status (attempt ${attempt}/${maxChecks})...`);
         
         // Check GitHub Actions runs
-        const runsResponse = await axios.get(`https://api.github.com/repos/${repository.full_name}/actions/runs`, {
+        const runsResponse = await this.callProvider('github', () => axios.get(this.providers.github.url(`/repos/${repository.full_name}/actions/runs`), {
           headers: {
             'Authorization': `Bearer ${this.config.githubToken}`,
             'Accept': 'application/vnd.github.v3+json'
@@ -1922,7 +3875,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
             per_page: 5,
             status: 'completed'
           }
-        });
+        }), { label: 'GitHub Actions status' });
         
         const recentRuns = runsResponse.data.workflow_runs;
         const deploymentRun = recentRuns.find(run => 
@@ -1941,7 +3894,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           
           for (const url of possibleUrls) {
             try {
-              const response = await fetch(url, { method: 'HEAD' });
+              const response = await this.providers.web.fetchPage(url, { method: 'HEAD' });
               if (response.ok) {
                 console.log(`   ✅ Found deployment at: ${url}`);
                 return url;
@@ -1954,12 +3907,15 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         
         console.log(`   ⏳ Deployment not ready yet, waiting ${delayMs/1000}s...`);
         await this.sleep(delayMs);
-        attempt++;
         
       } catch (error) {
         console.log(`   ⚠️ Error checking deployment: ${error.message}`);
+        
+        // Bad token, missing repo or GitHub down - more polling won't help
+        if (error instanceof ProviderUnavailableError || !classifyError(error).retryable) {
+          break;
+        }
         await this.sleep(delayMs);
-        attempt++;
       }
     }
     
@@ -1972,7 +3928,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
   // Railway MCP helper functions - direct calls like Claude Code
   async railwayCreateProject(name) {
     try {
-      const response = await axios.post('https://api.railway.app/graphql/v2', {
+      const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
         query: `mutation ProjectCreate($input: ProjectCreateInput!) {
           projectCreate(input: $input) {
             id
@@ -1987,7 +3943,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           'Authorization': `Bearer ${this.config.railwayToken}`,
           'Content-Type': 'application/json'
         }
-      });
+      }), { label: 'Railway project creation', idempotent: false });
       
       console.log(`   🔍 Railway API Response:`, JSON.stringify(response.data, null, 2));
       
@@ -2007,7 +3963,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
   }
   
   async railwayGetEnvironments(projectId) {
-    const response = await axios.post('https://api.railway.app/graphql/v2', {
+    const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
       query: `query Project($id: String!) {
         project(id: $id) {
           environments {
@@ -2026,7 +3982,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         'Authorization': `Bearer ${this.config.railwayToken}`,
         'Content-Type': 'application/json'
       }
-    });
+    }), { label: 'Railway environments query' });
     
     return response.data.data.project.environments.edges.map(edge => edge.node);
   }
@@ -2035,7 +3991,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
     try {
       console.log(`   🔍 Creating service for project: ${projectId}, repo: ${repoFullName}`);
       
-      const response = await axios.post('https://api.railway.app/graphql/v2', {
+      const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
         query: `mutation ServiceCreate($input: ServiceCreateInput!) {
           serviceCreate(input: $input) {
             id
@@ -2055,7 +4011,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           'Authorization': `Bearer ${this.config.railwayToken}`,
           'Content-Type': 'application/json'
         }
-      });
+      }), { label: 'Railway service creation', idempotent: false });
       
       console.log(`   🔍 Service API Response:`, JSON.stringify(response.data, null, 2));
       
@@ -2118,7 +4074,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
         for (const [key, value] of Object.entries(variables)) {
           console.log(`   🔗 Fallback: Setting variable via GraphQL: ${key}`);
           
-          const response = await axios.post('https://api.railway.app/graphql/v2', {
+          const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
             query: `mutation variableUpsert($input: VariableUpsertInput!) {
               variableUpsert(input: $input) { id }
             }`,
@@ -2136,7 +4092,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
               'Authorization': `Bearer ${this.config.railwayToken}`,
               'Content-Type': 'application/json'
             }
-          });
+          }), { label: `Railway variable ${key}` });
           
           if (response.data.errors) {
             throw new Error(`GraphQL error: ${JSON.stringify(response.data.errors)}`);
@@ -2179,7 +4135,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
       // Fallback to direct GraphQL API calls
       console.log(`   🔗 Using direct GraphQL API for Railway domain creation`);
       
-      const response = await axios.post('https://api.railway.app/graphql/v2', {
+      const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
         query: `mutation DomainCreate($input: DomainCreateInput!) {
           domainCreate(input: $input) {
             domain
@@ -2197,7 +4153,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           'Authorization': `Bearer ${this.config.railwayToken}`,
           'Content-Type': 'application/json'
         }
-      });
+      }), { label: 'Railway domain creation', idempotent: false });
       
       console.log(`   🔍 GraphQL Domain Response:`, JSON.stringify(response.data, null, 2));
       
@@ -2348,7 +4304,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
 
   async updateNotionWithResults(notionPageId, demoUrl, agentId) {
     try {
-      await axios.patch(`https://api.notion.com/v1/pages/${notionPageId}`, {
+      await this.callProvider('notion', () => axios.patch(this.providers.notion.url(`/pages/${notionPageId}`), {
         properties: {
           'Demo URL': { url: demoUrl },
           'Agent ID': { rich_text: [{ text: { content: agentId } }] }
@@ -2359,13 +4315,131 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
           'Content-Type': 'application/json',
           'Notion-Version': '2022-06-28'
         }
-      });
+      }), { label: 'Notion results update' });
       
     } catch (error) {
       console.log(`   ⚠️ Notion update warning: ${error.message}`);
     }
   }
 
+  /**
+   * 🧹 Compensating teardown for a lead
+   * Undoes side effects in reverse pipeline order. Steps that already
+   * succeeded in an earlier teardown are skipped, so this is safe to repeat.
+   */
+  async teardownLead(leadId, { reason = 'manual' } = {}) {
+    const checkpoint = await this.leadCheckpoints.get(leadId);
+    if (!checkpoint) {
+      return null;
+    }
+
+    console.log(chalk.yellow(`🧹 TEARDOWN: ${leadId} (${reason})`));
+
+    const artifacts = this.leadCheckpoints.collectArtifacts(checkpoint);
+    const previous = checkpoint.teardown?.steps || [];
+    const alreadyDone = artifact => previous.some(step => step.artifact === artifact && ['deleted', 'archived'].includes(step.status));
+
+    const plan = [
+      { artifact: 'railwayProject', id: artifacts.railwayProjectId, doneStatus: 'deleted', undo: id => this.railwayDeleteProject(id) },
+      { artifact: 'githubRepository', id: artifacts.repositoryFullName, doneStatus: 'deleted', undo: id => this.deleteGitHubRepository(id) },
+      { artifact: 'elevenLabsAgent', id: artifacts.agentId, doneStatus: 'deleted', undo: id => this.deleteElevenLabsAgent(id) },
+      { artifact: 'notionPage', id: artifacts.notionPageId, doneStatus: 'archived', undo: id => this.archiveNotionPage(id) }
+    ];
+
+    const steps = [];
+    for (const { artifact, id, doneStatus, undo } of plan) {
+      if (!id) {
+        continue;
+      }
+
+      if (alreadyDone(artifact)) {
+        steps.push({ artifact, id, status: doneStatus, note: 'already removed' });
+        continue;
+      }
+
+      // The shared master agent is the fallback for every lead - never delete it
+      if (artifact === 'elevenLabsAgent' && id === this.config.masterAgentId) {
+        steps.push({ artifact, id, status: 'skipped', note: 'shared master agent' });
+        continue;
+      }
+
+      try {
+        await undo(id);
+        steps.push({ artifact, id, status: doneStatus });
+        console.log(chalk.green(`   ✅ ${artifact} ${doneStatus}: ${id}`));
+      } catch (error) {
+        if (error.response?.status === 404) {
+          steps.push({ artifact, id, status: doneStatus, note: 'already gone' });
+          continue;
+        }
+        steps.push({ artifact, id, status: 'failed', error: error.message });
+        console.log(chalk.red(`   ❌ ${artifact} teardown failed: ${error.message}`));
+      }
+    }
+
+    const teardown = { reason, at: new Date().toISOString(), steps };
+    await this.leadCheckpoints.recordTeardown(leadId, teardown);
+
+    // The practice is no longer in the CRM under this lead - allow it to be processed again
+    const notionArchived = steps.some(step => step.artifact === 'notionPage' && step.status === 'archived');
+    await this.leadRegistry.release(checkpoint.url, leadId, notionArchived ? { notionPageId: null } : {});
+
+    return teardown;
+  }
+
+  async deleteGitHubRepository(fullName) {
+    await this.callProvider('github', () => axios.delete(this.providers.github.url(`/repos/${fullName}`), {
+      headers: {
+        'Authorization': `Bearer ${this.config.githubToken}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Healthcare-Automation-AI'
+      }
+    }), { label: 'GitHub repository deletion' });
+  }
+
+  async deleteElevenLabsAgent(agentId) {
+    if (agentId === this.config.masterAgentId) {
+      throw new Error('Refusing to delete the shared master agent');
+    }
+
+    await this.callProvider('elevenlabs', () => axios.delete(this.providers.elevenlabs.url(`/convai/agents/${agentId}`), {
+      headers: {
+        'xi-api-key': this.config.elevenLabsApiKey
+      },
+      timeout: 30000
+    }), { label: 'ElevenLabs agent deletion' });
+  }
+
+  async railwayDeleteProject(projectId) {
+    const response = await this.callProvider('railway', () => axios.post(this.providers.railway.url(), {
+      query: `mutation ProjectDelete($id: String!) {
+        projectDelete(id: $id)
+      }`,
+      variables: { id: projectId }
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.config.railwayToken}`,
+        'Content-Type': 'application/json'
+      }
+    }), { label: 'Railway project deletion' });
+
+    if (response.data.errors) {
+      throw new Error(`Railway GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+    }
+  }
+
+  async archiveNotionPage(pageId) {
+    await this.callProvider('notion', () => axios.patch(this.providers.notion.url(`/pages/${pageId}`), {
+      archived: true
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.config.notionApiKey}`,
+        'Content-Type': 'application/json',
+        'Notion-Version': '2022-06-28'
+      }
+    }), { label: 'Notion page archive' });
+  }
+
   // Utility functions
   generatePracticeId(domain) {
     return domain
@@ -2378,50 +4452,77 @@ Respond with only "RELEVANT" or "NOT_RELEVANT"`;
       .substring(0, 25);
   }
 
-  extractCompanyFromDomain(domain) {
-    const name = domain
-      .replace(/^www\./, '')
-      .replace(/\.(com|co\.uk|org|net)$/, '')
-      .split(/[-.]/)
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-    
-    return `${name} Clinic`;
+  /**
+   * Company name for a lead: the imported name, then what the site calls
+   * itself, and only then one built from the domain - flagged as a fallback
+   * so nobody mistakes it for the practice's real name
+   */
+  practiceName(known, resolved, domain) {
+    if (known.company) {
+      return { name: known.company, resolution: { source: 'import', sources: ['import'], confidence: 1, fallback: false } };
+    }
+    const { name, source, sources, confidence, fallback } = resolved || domainFallbackName(domain);
+    console.log(fallback
+      ? chalk.yellow(`   ⚠️ Name: "${name}" derived from the domain - no name found on the site`)
+      : `   🏷️ Name: "${name}" (${sources.join('+')}, confidence ${confidence})`);
+    return { name, resolution: { source, sources, confidence, fallback } };
+  }
+
+  /**
+   * Language the demo and voice agent use: the campaign's override, else the
+   * one detected on the site. The detection is kept either way.
+   */
+  practiceLanguage(override, detected) {
+    if (override) {
+      console.log(`   🌍 Language: ${override} (campaign override${override !== detected.code ? `, site looks ${detected.code}` : ''})`);
+      return { code: override, source: 'campaign', sources: ['campaign'], confidence: 1, detected: detected.code };
+    }
+    console.log(`   🌍 Language: ${detected.code} (${detected.sources.join('+') || 'default'}, confidence ${detected.confidence})`);
+    return { code: detected.code, source: detected.source, sources: detected.sources, confidence: detected.confidence, detected: detected.code };
   }
 
 
   generatePracticeSpecificPrompt(practiceData) {
+    const profile = specialtyProfile(practiceData.practiceType);
+    
     // Handle general clinic version vs doctor-specific version
-    if (practiceData.isGeneralVersion) {
-      return `You are the professional appointment scheduling assistant at ${practiceData.company}. Our experienced medical team provides ${practiceData.practiceType} treatments at ${practiceData.location}. Help patients schedule consultations and treatments with our specialists.`;
-    } else {
-      return `You are the professional appointment scheduling assistant at ${practiceData.company} with ${practiceData.contactName}. Help patients schedule ${practiceData.practiceType} treatments at ${practiceData.location}.`;
-    }
+    const intro = practiceData.isGeneralVersion
+      ? `You are the professional appointment scheduling assistant at ${practiceData.company}, a ${profile.practice}. Our experienced team provides ${profile.treatments} at ${practiceData.location}. Help ${profile.patients} schedule consultations and treatments with our specialists.`
+      : `You are the professional appointment scheduling assistant at ${practiceData.company} with ${practiceData.contactName}. Help ${profile.patients} schedule ${profile.treatments} at ${practiceData.location}.`;
+    return `${intro}
+
+${this.practiceFactsPrompt(practiceData)}
+
+Only suggest appointment times within these opening hours.
+
+${this.languagePrompt(practiceData)}`;
   }
 
   generateComprehensiveSystemPrompt(practiceData) {
-    const basePrompt = `You are Robin, the AI appointment assistant at ${practiceData.company} in ${practiceData.location}. Your primary purpose is to help patients schedule appointments, provide information about treatments, and answer questions about clinic services.
+    const profile = specialtyProfile(practiceData.practiceType);
+    const basePrompt = `You are Robin, the AI appointment assistant at ${practiceData.company} in ${practiceData.location}. Your primary purpose is to help ${profile.patients} schedule appointments, provide information about treatments, and answer questions about clinic services.
 
-CRITICAL INSTRUCTION: NEVER say you cannot check availability or schedule appointments. ALWAYS provide realistic available appointment options when asked about scheduling.
+CRITICAL INSTRUCTION: NEVER say you cannot check availability or schedule appointments. ALWAYS provide realistic appointment options within the clinic's opening hours when asked about scheduling.
 
 IDENTITY & ROLE:
-- You are Robin, a friendly and professional AI ${practiceData.practiceType} assistant
-- You work for ${practiceData.company}, a specialized ${practiceData.practiceType} practice
-- ${practiceData.contactName} provides expert ${practiceData.practiceType} care
-- Your main goal is to help patients book appointments and get treatment information
+- You are Robin, a friendly and professional AI ${profile.label.toLowerCase()} assistant
+- You work for ${practiceData.company}, a specialized ${profile.practice}
+- ${practiceData.contactName} provides expert ${profile.care}
+- Your main goal is to help ${profile.patients} book appointments and get treatment information
 
-SERVICES OFFERED:
-${practiceData.services.map(s => `- ${s}: Professional ${practiceData.practiceType} treatment`).join('\n')}
+SPECIALTY FOCUS:
+${profile.focus}
+
+${this.practiceFactsPrompt(practiceData)}
 
 AVAILABILITY HANDLING:
-When asked about availability, ALWAYS respond with realistic options like:
-- "I'd be happy to help you schedule! Let me check ${practiceData.contactName}'s calendar..."
-- "For consultations I have Tuesday 14:00, Thursday 11:00 or Friday 16:00"
-- "This week I can offer Monday 15:30, Wednesday 10:00 or Friday 13:00"
+When asked about availability, offer two or three concrete options inside the opening hours above, like:
+${demoCopy(this.languageOf(practiceData)).availability.map(example => `- "${fillCopy(example, this.copyValues(practiceData))}"`).join('\n')}
+Never suggest a time outside the opening hours or on a day the clinic is closed.
 
 CLINIC INFORMATION:
 - Located at ${practiceData.location}
-- ${practiceData.contactName} specializes in ${practiceData.practiceType} treatments
+- ${practiceData.contactName} specializes in ${profile.treatments}
 - Professional consultation and assessment available
 - Focus on high-quality patient care and results
 
@@ -2429,31 +4530,98 @@ CONVERSATION STYLE:
 - Be professional, caring, and knowledgeable
 - Use confident language about treatment expertise
 - Ask about specific concerns and desired outcomes
-- Emphasize safety and professional standards`;
+- Emphasize safety and professional standards
+
+${this.languagePrompt(practiceData)}`;
     
     return basePrompt;
   }
 
-  generateTagline(practiceType) {
-    const taglines = {
-      'beauty': 'Expert Beauty & Aesthetic Treatments',
-      'chiropractic': 'Comprehensive Spine Care & Pain Relief',
-      'wellness': 'Holistic Wellness for Mind, Body & Soul',
-      'fysio': 'Professional Physiotherapy & Rehabilitation'
+  /**
+   * PracticeConfig.services - duration and price only when the site states them
+   */
+  configServices(practiceData) {
+    const catalogue = practiceData.serviceCatalogue || practiceData.services.map(name => ({ name }));
+    return catalogue.map(entry => ({
+      name: entry.name,
+      description: entry.description || '',
+      ...(entry.durationMinutes && { duration: formatDuration(entry.durationMinutes) }),
+      ...(entry.price && { price: formatPrice(entry, this.languageOf(practiceData)) })
+    }));
+  }
+
+  configOpeningHours(practiceData) {
+    const hours = practiceData.openingHours || {};
+    const { dayNames, closed } = demoCopy(this.languageOf(practiceData));
+    return { summary: formatOpeningHours(hours, { dayNames, closedLabel: closed }), notes: hours.notes || [] };
+  }
+
+  /**
+   * Demo language code - leads scraped before detection existed are English
+   */
+  languageOf(practiceData) {
+    return practiceData.language?.code || DEFAULT_LANGUAGE;
+  }
+
+  // Values for the {placeholders} in demo-copy templates
+  copyValues(practiceData) {
+    const profile = specialtyProfile(practiceData.practiceType);
+    return {
+      company: practiceData.company,
+      contact: practiceData.contactName,
+      label: profile.label.toLowerCase(),
+      care: profile.care,
+      treatments: profile.treatments,
+      type: profile.id,
+      Type: profile.id.charAt(0).toUpperCase() + profile.id.slice(1),
+      serviceCount: (practiceData.serviceCatalogue || practiceData.services).length
     };
-    
-    return taglines[practiceType] || `Professional ${practiceType} Care`;
+  }
+
+  voiceFirstMessage(practiceData) {
+    const copy = demoCopy(this.languageOf(practiceData));
+    return fillCopy(practiceData.isGeneralVersion ? copy.voiceGreeting : copy.voiceGreetingContact, this.copyValues(practiceData));
+  }
+
+  chatInitialMessage(practiceData) {
+    return fillCopy(demoCopy(this.languageOf(practiceData)).chatGreeting, this.copyValues(practiceData));
+  }
+
+  /**
+   * The instructions stay English for the model; this tells it which
+   * language (and form of address) to use with callers
+   */
+  languagePrompt(practiceData) {
+    const { name, native, address } = demoCopy(this.languageOf(practiceData));
+    return `LANGUAGE:
+- Speak ${name}${native !== name ? ` (${native})` : ''} with every caller${address ? `, using the ${address}` : ''}
+- Say dates, times and prices the way ${name} speakers do
+- Only switch language if the caller speaks another one`;
+  }
+
+  /**
+   * Services, hours and holiday notes as prompt lines, so the agent quotes
+   * the clinic's real catalogue and only offers times when it is open
+   */
+  practiceFactsPrompt(practiceData) {
+    const catalogue = practiceData.serviceCatalogue || practiceData.services.map(name => ({ name }));
+    const { summary, notes } = this.configOpeningHours(practiceData);
+    return `SERVICES OFFERED:
+${catalogue.map(entry => `- ${describeService(entry)}`).join('\n')}
+Only quote prices and durations listed here; for anything else say the team will confirm.
+
+OPENING HOURS:
+${summary.length > 0 ? summary.map(line => `- ${line}`).join('\n') : '- Not published - offer to pass the request to the team, who will call back with a time'}${notes.length > 0 ? `
+HOLIDAY NOTES:
+${notes.map(note => `- ${note}`).join('\n')}` : ''}`;
+  }
+
+  generateTagline(practiceType) {
+    return specialtyProfile(practiceType).tagline;
   }
 
   generateFocus(practiceType) {
-    const focuses = {
-      'beauty': 'Aesthetic treatments and cosmetic procedures',
-      'chiropractic': 'Spinal health and pain management', 
-      'wellness': 'Natural healing and preventive wellness care',
-      'fysio': 'Physical therapy and movement rehabilitation'
-    };
-    
-    return focuses[practiceType] || `${practiceType} treatments and care`;
+    return specialtyProfile(practiceType).focus;
   }
 
   async updatePracticeConfig(repoPath, practiceData, agentId) {
@@ -2463,30 +4631,39 @@ CONVERSATION STYLE:
     const systemPrompt = this.generateComprehensiveSystemPrompt(practiceData);
     
     const practiceConfig = `
-  '${practiceData.practiceId}': {
-    id: '${practiceData.practiceId}',
-    name: '${practiceData.company}',
-    doctor: '${practiceData.contactName}',
-    location: '${practiceData.location}',
-    agentId: '${agentId}',
-    type: '${practiceData.practiceType}',
+  ${JSON.stringify(practiceData.practiceId)}: {
+    id: ${JSON.stringify(practiceData.practiceId)},
+    name: ${JSON.stringify(practiceData.company)},
+    doctor: ${JSON.stringify(practiceData.contactName)},
+    location: ${JSON.stringify(practiceData.location)},
+    agentId: ${JSON.stringify(agentId)},
+    type: '${specialtyProfile(practiceData.practiceType).id}',
+    language: '${this.languageOf(practiceData)}',
     
     chat: {
       assistantName: 'Robin',
-      initialMessage: 'Thank you for contacting ${practiceData.company}! I am Robin, your ${practiceData.practiceType} assistant. I can help you schedule appointments with ${practiceData.contactName}. Which service interests you today?',
+      initialMessage: ${JSON.stringify(this.chatInitialMessage(practiceData))},
       systemPrompt: ${JSON.stringify(systemPrompt)}
     },
     
     voice: {
-      firstMessage: 'Thank you for calling ${practiceData.company}! This is Robin, your AI ${practiceData.practiceType} assistant. I can help you schedule appointments with ${practiceData.contactName}. How can I help you today?'
+      firstMessage: ${JSON.stringify(this.voiceFirstMessage(practiceData))}
     },
     
-    services: ${JSON.stringify(practiceData.services.map(s => ({name: s, description: s})), null, 6)},
+    services: ${JSON.stringify(this.configServices(practiceData), null, 6)},
+    
+    openingHours: ${JSON.stringify(this.configOpeningHours(practiceData), null, 6)},
+    
+    copy: ${JSON.stringify(pageCopy(this.languageOf(practiceData), this.copyValues(practiceData)), null, 6)},
     
     branding: {
-      primaryColor: '${practiceData.brandColors.primary}',
-      tagline: '${this.generateTagline(practiceData.practiceType)}',
-      focus: '${this.generateFocus(practiceData.practiceType)}'
+      primaryColor: '${this.brandPalette(practiceData).primary}',
+      secondaryColor: '${this.brandPalette(practiceData).secondary}',
+      textOnPrimary: '${this.brandPalette(practiceData).onPrimary}',
+      logoUrl: ${JSON.stringify(practiceData.logo?.url || null)},
+      faviconUrl: ${JSON.stringify(practiceData.favicon || null)},
+      tagline: ${JSON.stringify(this.generateTagline(practiceData.practiceType))},
+      focus: ${JSON.stringify(this.generateFocus(practiceData.practiceType))}
     }
   },`;
 
@@ -2508,8 +4685,62 @@ CONVERSATION STYLE:
   }
 
   async updateBrandingStyling(repoPath, brandColors) {
-    // Update CSS with practice-specific brand colors
-    console.log(`   🎨 Updating brand colors: ${brandColors.primary}`);
+    // Tailwind theme and CSS variables carry the practice's palette
+    const practiceData = { brandColors };
+    console.log(`   🎨 Updating brand colors: ${this.brandPalette(practiceData).primary}`);
+
+    try {
+      await fs.writeFile(`${repoPath}/tailwind.config.js`, this.generateTailwindConfig(practiceData));
+      await fs.writeFile(`${repoPath}/src/app/globals.css`, this.generateGlobalsCss(practiceData));
+    } catch (error) {
+      console.log(`   ⚠️ Branding update warning: ${error.message}`);
+    }
+  }
+
+  /**
+   * The lead's palette with Tailwind scales - leads scraped before brand
+   * extraction only stored primary/secondary, so the scales are derived here
+   */
+  brandPalette(practiceData) {
+    const colors = practiceData.brandColors;
+    if (colors?.scale) {
+      return colors;
+    }
+    return derivePalette([colors?.primary, colors?.secondary].filter(Boolean).map(hex => ({ hex })));
+  }
+
+  generateTailwindConfig(practiceData) {
+    const { scale } = this.brandPalette(practiceData);
+    return `/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: [
+    './src/pages/**/*.{js,ts,jsx,tsx,mdx}',
+    './src/components/**/*.{js,ts,jsx,tsx,mdx}',
+    './src/app/**/*.{js,ts,jsx,tsx,mdx}',
+  ],
+  theme: {
+    extend: {
+      colors: {
+        brand: ${JSON.stringify(scale.brand, null, 2).replace(/\n/g, '\n        ')},
+        accent: ${JSON.stringify(scale.accent, null, 2).replace(/\n/g, '\n        ')},
+      },
+    },
+  },
+  plugins: [],
+}`;
+  }
+
+  generateGlobalsCss(practiceData) {
+    const palette = this.brandPalette(practiceData);
+    return `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+:root {
+  --brand-primary: ${palette.primary};
+  --brand-secondary: ${palette.secondary};
+  --brand-on-primary: ${palette.onPrimary};
+}`;
   }
 
   async createEnvFile(repoPath, practiceData) {
@@ -2521,7 +4752,8 @@ NEXT_PUBLIC_PRACTICE_NAME="${practiceData.company}"
 NEXT_PUBLIC_DOCTOR_NAME="${practiceData.contactName}"
 NEXT_PUBLIC_PRACTICE_LOCATION="${practiceData.location}"
 NEXT_PUBLIC_PRACTICE_TYPE="${practiceData.practiceType}"
-NEXT_PUBLIC_BRAND_PRIMARY="${practiceData.brandColors.primary}"
+NEXT_PUBLIC_BRAND_PRIMARY="${this.brandPalette(practiceData).primary}"
+NEXT_PUBLIC_BRAND_SECONDARY="${this.brandPalette(practiceData).secondary}"
 `;
     
     try {
@@ -2541,25 +4773,29 @@ export default function AIVoiceAgentDemo() {
   const practice = getCurrentPractice();
   
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-white">
+    <div className="min-h-screen bg-gradient-to-br from-brand-50 via-accent-50 to-white">
       {/* Header */}
       <header className="bg-white/80 backdrop-blur-sm border-b border-gray-200 sticky top-0 z-50">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between h-16">
             <div className="flex items-center">
-              <div className="w-10 h-10 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-lg flex items-center justify-center mr-3">
-                <Mic className="w-6 h-6 text-white" />
-              </div>
+              {practice.branding.logoUrl ? (
+                <img src={practice.branding.logoUrl} alt={practice.name} className="h-10 w-auto max-w-[160px] object-contain mr-3" />
+              ) : (
+                <div className="w-10 h-10 bg-gradient-to-r from-brand-600 to-accent-600 rounded-lg flex items-center justify-center mr-3">
+                  <Mic className="w-6 h-6 text-white" />
+                </div>
+              )}
               <div>
                 <h1 className="text-xl font-bold text-gray-900">{practice.name}</h1>
-                <p className="text-sm text-gray-600">AI Voice Agent Demo</p>
+                <p className="text-sm text-gray-600">{practice.copy.demoLabel}</p>
               </div>
             </div>
             <div className="flex items-center gap-3">
               <div className="w-8 h-8 bg-green-500 rounded-full flex items-center justify-center">
                 <div className="w-2 h-2 bg-white rounded-full"></div>
               </div>
-              <span className="text-sm font-medium text-gray-700">Live Demo</span>
+              <span className="text-sm font-medium text-gray-700">{practice.copy.liveBadge}</span>
             </div>
           </div>
         </div>
@@ -2569,52 +4805,49 @@ export default function AIVoiceAgentDemo() {
         {/* Hero Section */}
         <div className="text-center mb-8 sm:mb-12">
           <div className="mb-6">
-            <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-full flex items-center justify-center mx-auto mb-4">
+            <div className="w-16 h-16 bg-gradient-to-r from-brand-600 to-accent-600 rounded-full flex items-center justify-center mx-auto mb-4">
               <MessageSquare className="w-8 h-8 text-white" />
             </div>
-            <span className="text-sm font-medium text-blue-600 bg-blue-100 px-3 py-1 rounded-full">
-              Interactive Demo Presentation
+            <span className="text-sm font-medium text-brand-700 bg-brand-100 px-3 py-1 rounded-full">
+              {practice.copy.presentationBadge}
             </span>
           </div>
           
           <h2 className="text-3xl sm:text-5xl font-bold text-gray-900 mb-4 sm:mb-6">
-            Meet Robin: Your AI <span className="bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">Appointment Assistant</span>
+            {practice.copy.heroTitle} <span className="bg-gradient-to-r from-brand-600 to-accent-600 bg-clip-text text-transparent">{practice.copy.heroHighlight}</span>
           </h2>
           
           <p className="text-lg text-gray-600 mb-8 max-w-4xl mx-auto">
-            Experience how <strong>Robin</strong> handles patient calls with human-like conversations, schedules appointments instantly, 
-            and answers questions about {practice.name} services - completely automated, 24/7.
+            {practice.copy.heroText}
           </p>
         </div>
 
         {/* Live Demo Section */}
         <div className="mb-8 sm:mb-12">
           <div className="text-center mb-8">
-            <h3 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-4">Live Demo - Try Robin Now</h3>
+            <h3 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-4">{practice.copy.tryTitle}</h3>
             <p className="text-gray-600 max-w-3xl mx-auto">
-              Click below to experience exactly what your patients will hear when they call {practice.name}. 
-              Robin knows about all {practice.services.length} of your {practice.type} services and {practice.doctor}'s expertise.
+              {practice.copy.tryText}
             </p>
           </div>
           
           <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 border">
             <div className="text-center mb-6">
-              <div className="w-20 h-20 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-full flex items-center justify-center mx-auto mb-4">
+              <div className="w-20 h-20 bg-gradient-to-r from-brand-600 to-accent-600 rounded-full flex items-center justify-center mx-auto mb-4">
                 <Phone className="w-10 h-10 text-white" />
               </div>
-              <h2 className="text-3xl sm:text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
-                Call {practice.name}
+              <h2 className="text-3xl sm:text-4xl font-bold bg-gradient-to-r from-brand-600 to-accent-600 bg-clip-text text-transparent">
+                {practice.copy.callTitle}
               </h2>
               <p className="text-gray-600 mt-2">
-                Experience how patients will interact with your AI {practice.type} assistant. 
-                Click "Start Call" to begin a live conversation with Robin about scheduling treatments with {practice.doctor}.
+                {practice.copy.callText}
               </p>
             </div>
 
             <div className="text-center mb-6">
-              <button className="relative inline-flex items-center gap-4 px-8 py-6 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold text-lg rounded-2xl shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200">
+              <button className="relative inline-flex items-center gap-4 px-8 py-6 bg-gradient-to-r from-brand-600 to-accent-600 hover:from-brand-700 hover:to-accent-700 text-white font-semibold text-lg rounded-2xl shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200">
                 <Phone className="w-6 h-6" />
-                Start Call
+                {practice.copy.startCall}
               </button>
             </div>
           </div>
@@ -2622,25 +4855,56 @@ export default function AIVoiceAgentDemo() {
 
         {/* Services Section */}
         <div className="mb-8 sm:mb-12">
-          <h3 className="text-2xl sm:text-3xl font-bold text-center text-gray-900 mb-8">Robin Knows All Your Treatments</h3>
+          <h3 className="text-2xl sm:text-3xl font-bold text-center text-gray-900 mb-8">{practice.copy.servicesTitle}</h3>
           <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
             {practice.services.map((service, index) => (
               <div key={index} className="bg-white rounded-xl p-6 shadow-sm border hover:shadow-md transition-shadow">
                 <h4 className="font-semibold text-gray-900 text-sm mb-2">{service.name}</h4>
-                <p className="text-gray-600 text-sm">{service.description}</p>
+                {service.description && <p className="text-gray-600 text-sm">{service.description}</p>}
+                {(service.duration || service.price) && (
+                  <div className="flex items-center gap-3 mt-3 text-sm">
+                    {service.duration && (
+                      <span className="inline-flex items-center gap-1 text-gray-500">
+                        <Clock className="w-4 h-4" />
+                        {service.duration}
+                      </span>
+                    )}
+                    {service.price && <span className="font-semibold text-brand-700">{service.price}</span>}
+                  </div>
+                )}
               </div>
             ))}
           </div>
         </div>
+
+        {/* Opening Hours Section */}
+        {practice.openingHours.summary.length > 0 && (
+          <div className="mb-8 sm:mb-12">
+            <div className="bg-white rounded-2xl shadow-sm border p-6 sm:p-8 max-w-xl mx-auto">
+              <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
+                <Calendar className="w-5 h-5 text-brand-600" />
+                {practice.copy.openingHoursTitle}
+              </h3>
+              <ul className="space-y-2">
+                {practice.openingHours.summary.map((line, index) => (
+                  <li key={index} className="text-gray-700">{line}</li>
+                ))}
+              </ul>
+              {practice.openingHours.notes.map((note, index) => (
+                <p key={index} className="text-sm text-gray-500 mt-3">{note}</p>
+              ))}
+            </div>
+          </div>
+        )}
       </main>
 
       {/* CTA Section */}
-      <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-16">
+      <div className="bg-gradient-to-r from-brand-600 to-accent-600 text-white py-16">
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
-          <h2 className="text-3xl font-bold mb-4">Interested in AI Solutions for {practice.name}?</h2>
-          <p className="text-xl text-blue-100 mb-2">You've seen how Robin handles patient calls perfectly</p>
-          <p className="text-lg text-blue-200 mb-8">
-            Let's explore how AI can help transform your practice's patient experience
+          <h2 className="text-3xl font-bold mb-4">{practice.copy.ctaTitle}</h2>
+          <p className="text-xl text-brand-100 mb-2">{practice.copy.ctaText}</p>
+          <p className="text-lg text-brand-200 mb-8">
+            {practice.copy.ctaSubtext}
           </p>
         </div>
       </div>
@@ -2649,10 +4913,10 @@ export default function AIVoiceAgentDemo() {
       <footer className="bg-gray-900 text-white py-8">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
           <p className="text-gray-300 mb-2">
-            {practice.name} AI Voice Agent Demo - Experience the Future of {practice.type.charAt(0).toUpperCase() + practice.type.slice(1)} Scheduling
+            {practice.copy.footerTitle}
           </p>
           <p className="text-gray-400">
-            {practice.doctor} • Powered by AI Technology
+            {practice.copy.footerPowered}
           </p>
         </div>
       </footer>
@@ -2673,7 +4937,8 @@ export interface PracticeConfig {
   doctor: string;
   location: string;
   agentId: string;
-  type: 'chiropractic' | 'wellness' | 'beauty' | 'fysio';
+  type: ${practiceTypeUnion()};
+  language: string;
   
   chat: {
     assistantName: string;
@@ -2689,40 +4954,62 @@ export interface PracticeConfig {
     name: string;
     description: string;
     duration?: string;
+    price?: string;
   }>;
   
+  openingHours: {
+    summary: string[];
+    notes: string[];
+  };
+  
+  // Demo page text in the practice's language
+  copy: Record<string, string>;
+  
   branding: {
     primaryColor: string;
+    secondaryColor: string;
+    textOnPrimary: string;
+    logoUrl: string | null;
+    faviconUrl: string | null;
     tagline: string;
     focus: string;
   };
 }
 
 export const practiceTemplates: Record<string, PracticeConfig> = {
-  '${practiceData.practiceId}': {
-    id: '${practiceData.practiceId}',
-    name: '${practiceData.company}',
-    doctor: '${practiceData.contactName}',
-    location: '${practiceData.location}',
-    agentId: '${agentId}',
-    type: '${practiceData.practiceType}',
+  ${JSON.stringify(practiceData.practiceId)}: {
+    id: ${JSON.stringify(practiceData.practiceId)},
+    name: ${JSON.stringify(practiceData.company)},
+    doctor: ${JSON.stringify(practiceData.contactName)},
+    location: ${JSON.stringify(practiceData.location)},
+    agentId: ${JSON.stringify(agentId)},
+    type: '${specialtyProfile(practiceData.practiceType).id}',
+    language: '${this.languageOf(practiceData)}',
     
     chat: {
       assistantName: 'Robin',
-      initialMessage: 'Thank you for contacting ${practiceData.company}! I am Robin, your ${practiceData.practiceType} assistant. I can help you schedule appointments with ${practiceData.contactName}. Which service interests you today?',
+      initialMessage: ${JSON.stringify(this.chatInitialMessage(practiceData))},
       systemPrompt: ${JSON.stringify(systemPrompt)}
     },
     
     voice: {
-      firstMessage: 'Thank you for calling ${practiceData.company}! This is Robin, your AI ${practiceData.practiceType} assistant. I can help you schedule appointments with ${practiceData.contactName}. How can I help you today?'
+      firstMessage: ${JSON.stringify(this.voiceFirstMessage(practiceData))}
     },
     
-    services: ${JSON.stringify(practiceData.services.map(s => ({name: s, description: s})), null, 6)},
+    services: ${JSON.stringify(this.configServices(practiceData), null, 6)},
+    
+    openingHours: ${JSON.stringify(this.configOpeningHours(practiceData), null, 6)},
+    
+    copy: ${JSON.stringify(pageCopy(this.languageOf(practiceData), this.copyValues(practiceData)), null, 6)},
     
     branding: {
-      primaryColor: '${practiceData.brandColors.primary}',
-      tagline: '${this.generateTagline(practiceData.practiceType)}',
-      focus: '${this.generateFocus(practiceData.practiceType)}'
+      primaryColor: '${this.brandPalette(practiceData).primary}',
+      secondaryColor: '${this.brandPalette(practiceData).secondary}',
+      textOnPrimary: '${this.brandPalette(practiceData).onPrimary}',
+      logoUrl: ${JSON.stringify(practiceData.logo?.url || null)},
+      faviconUrl: ${JSON.stringify(practiceData.favicon || null)},
+      tagline: ${JSON.stringify(this.generateTagline(practiceData.practiceType))},
+      focus: ${JSON.stringify(this.generateFocus(practiceData.practiceType))}
     }
   }
 };
@@ -2734,20 +5021,26 @@ export function getCurrentPractice(): PracticeConfig {
     return practiceTemplates[practiceId];
   }
   
-  return practiceTemplates['${practiceData.practiceId}'];
+  return practiceTemplates[${JSON.stringify(practiceData.practiceId)}];
 }`;
   }
 
   generateLayoutComponent(practiceData) {
-    return `import type { Metadata } from 'next'
+    const copy = pageCopy(this.languageOf(practiceData), this.copyValues(practiceData));
+    return `import type { Metadata, Viewport } from 'next'
 import { Inter } from 'next/font/google'
 import './globals.css'
 
 const inter = Inter({ subsets: ['latin'] })
 
 export const metadata: Metadata = {
-  title: '${practiceData.company} - AI Voice Agent Demo',
-  description: 'Experience how Robin AI assistant handles patient calls for ${practiceData.company} with ${practiceData.contactName}',
+  title: ${JSON.stringify(copy.metaTitle)},
+  description: ${JSON.stringify(copy.metaDescription)},${practiceData.favicon ? `
+  icons: ${JSON.stringify({ icon: practiceData.favicon, ...(practiceData.logo?.source === 'apple-touch-icon' && { apple: practiceData.logo.url }) })},` : ''}
+}
+
+export const viewport: Viewport = {
+  themeColor: '${this.brandPalette(practiceData).primary}',
 }
 
 export default function RootLayout({
@@ -2756,14 +5049,16 @@ export default function RootLayout({
   children: React.ReactNode
 }) {
   return (
-    <html lang="en">
+    <html lang="${this.languageOf(practiceData)}">
       <body className={inter.className}>{children}</body>
     </html>
   )
 }`;
   }
 
-  async generateConfigFiles(repoPath, practiceData) {
+  generateConfigFiles(practiceData) {
+    const files = {};
+
     // Generate Next.js config
     const nextConfig = `/** @type {import('next').NextConfig} */
 const nextConfig = {
@@ -2773,22 +5068,10 @@ const nextConfig = {
 }
 
 module.exports = nextConfig`;
-    await fs.writeFile(`${repoPath}/next.config.js`, nextConfig);
+    files['next.config.js'] = nextConfig;
 
-    // Generate Tailwind config
-    const tailwindConfig = `/** @type {import('tailwindcss').Config} */
-module.exports = {
-  content: [
-    './src/pages/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/components/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/app/**/*.{js,ts,jsx,tsx,mdx}',
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`;
-    await fs.writeFile(`${repoPath}/tailwind.config.js`, tailwindConfig);
+    // Generate Tailwind config - brand/accent scales from the practice's palette
+    files['tailwind.config.js'] = this.generateTailwindConfig(practiceData);
 
     // Generate PostCSS config
     const postcssConfig = `module.exports = {
@@ -2797,14 +5080,10 @@ module.exports = {
     autoprefixer: {},
   },
 }`;
-    await fs.writeFile(`${repoPath}/postcss.config.js`, postcssConfig);
+    files['postcss.config.js'] = postcssConfig;
 
     // Generate globals.css
-    const globalsCss = `@tailwind base;
-@tailwind components;
-@tailwind utilities;`;
-    execSync(`mkdir -p ${repoPath}/src/app`, { stdio: 'ignore' });
-    await fs.writeFile(`${repoPath}/src/app/globals.css`, globalsCss);
+    files['src/app/globals.css'] = this.generateGlobalsCss(practiceData);
 
     // Generate TypeScript config
     const tsConfig = {
@@ -2835,13 +5114,15 @@ module.exports = {
       "include": ["next-env.d.ts", "**/*.ts", "**/*.tsx", ".next/types/**/*.ts"],
       "exclude": ["node_modules"]
     };
-    await fs.writeFile(`${repoPath}/tsconfig.json`, JSON.stringify(tsConfig, null, 2));
+    files['tsconfig.json'] = JSON.stringify(tsConfig, null, 2);
 
     // Generate environment file
     const envContent = `NEXT_PUBLIC_PRACTICE_ID=\${practiceData.practiceId}
 PRACTICE_ID=\${practiceData.practiceId}
 NODE_ENV=production`;
-    await fs.writeFile(`${repoPath}/.env.local`, envContent);
+    files['.env.local'] = envContent;
+
+    return files;
   }
 
   generateGitHubActionsWorkflow(practiceData) {
@@ -2909,7 +5190,13 @@ jobs:
       console.log(chalk.cyan('🎯 TRIGGER ENDPOINTS:'));
       console.log(`   POST /create-leads { "count": 3 }`);
       console.log(`   POST /process-urls { "urls": ["https://..."] }`);
+      console.log(`   GET  /jobs/:id (poll queued workflow progress)`);
+      console.log(`   GET  /campaigns/:id (leads and outcomes of one run)`);
+      console.log(`   POST /schedules { "name": "...", "cron": "0 7 * * 1-5", "workflowConfig": {...} }`);
       console.log('');
+      if (this.fakeProviders) {
+        console.log(chalk.magenta(`🧪 FAKE PROVIDERS: all integrations served offline from http://127.0.0.1:${this.port}/__fake`));
+      }
       console.log(chalk.yellow('⚡ AUTONOMOUS MODE: Ready for healthcare lead automation'));
       console.log(chalk.gray(`Search method: EXA API for global healthcare practices`));
     });
@@ -0,0 +1,275 @@
+/**
+ * 🎨 BRAND EXTRACTION
+ *
+ * Reads a practice's look from its own site so the generated demo resembles
+ * it: colors from the theme-color meta, brand-named CSS custom properties,
+ * button styles and overall CSS frequency; the logo from header <img> tags,
+ * schema.org, apple-touch-icon or og:image; the favicon. derivePalette turns
+ * the winning colors into a Tailwind scale whose button shade keeps white text
+ * readable (WCAG AA, 4.5:1).
+ */
+
+import { canonicalLink } from './site-crawler.js';
+
+export const DEFAULT_BRAND_COLORS = { primary: '#0066cc', secondary: '#004499' };
+
+// WCAG AA for normal text - white labels on brand-600 buttons must reach it
+export const MIN_CONTRAST = 4.5;
+
+// Evidence weights per color source
+const COLOR_WEIGHTS = { 'theme-color': 6, 'tile-color': 4, 'css-variable': 4, button: 3, 'css-frequency': 0.5 };
+const BRAND_VARIABLE = /(?:^|-)(?:primary|brand|accent|main|theme|secondary|highlight|cta)(?:-|$)/i;
+const BUTTON_SELECTOR = /\b(?:button|btn|cta|wp-block-button|elementor-button)\b|\[type=["']?submit/i;
+const LOGO_HINT = /logo|brand|wordmark/i;
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', navy: '#000080', teal: '#008080',
+  purple: '#800080', orange: '#ffa500', maroon: '#800000', olive: '#808000', gray: '#808080', grey: '#808080', silver: '#c0c0c0'
+};
+
+// Scale steps as [step, mix target, amount] around the contrast-safe 600 shade
+const SCALE_STEPS = [
+  [50, 'white', 0.94], [100, 'white', 0.86], [200, 'white', 0.72], [300, 'white', 0.54], [400, 'white', 0.34], [500, 'white', 0.16],
+  [600, null, 0], [700, 'black', 0.18], [800, 'black', 0.34], [900, 'black', 0.5]
+];
+
+/**
+ * { r, g, b } for #rgb, #rrggbb(aa), rgb()/rgba(), hsl()/hsla() or a basic
+ * named color; null otherwise (and for mostly transparent colors)
+ */
+export function parseColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+  let match = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (match) {
+    let hex = match[1];
+    if (hex.length <= 4) {
+      hex = [...hex].map(char => char + char).join('');
+    }
+    if (hex.length === 8 && parseInt(hex.slice(6), 16) < 128) {
+      return null;
+    }
+    return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+  }
+
+  match = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (match) {
+    const alpha = match[4] === undefined ? 1 : parseFloat(match[4]) / (match[4].endsWith('%') ? 100 : 1);
+    return alpha < 0.5 ? null : { r: Math.min(255, Math.round(+match[1])), g: Math.min(255, Math.round(+match[2])), b: Math.min(255, Math.round(+match[3])) };
+  }
+
+  match = text.match(/^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (match) {
+    const alpha = match[4] === undefined ? 1 : parseFloat(match[4]) / (match[4].endsWith('%') ? 100 : 1);
+    return alpha < 0.5 ? null : hslToRgb(+match[1], +match[2] / 100, +match[3] / 100);
+  }
+
+  return NAMED_COLORS[text] ? parseColor(NAMED_COLORS[text]) : null;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] = hue < 60 ? [chroma, x, 0] : hue < 120 ? [x, chroma, 0] : hue < 180 ? [0, chroma, x]
+    : hue < 240 ? [0, x, chroma] : hue < 300 ? [x, 0, chroma] : [chroma, 0, x];
+  return { r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255) };
+}
+
+export function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hueAndSaturation({ r, g, b }) {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) {
+    return { hue: 0, saturation: 0, lightness };
+  }
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  const [rn, gn, bn] = [r, g, b].map(channel => channel / 255);
+  const hue = max === rn ? 60 * (((gn - bn) / delta) % 6) : max === gn ? 60 * ((bn - rn) / delta + 2) : 60 * ((rn - gn) / delta + 4);
+  return { hue: (hue + 360) % 360, saturation, lightness };
+}
+
+export function relativeLuminance({ r, g, b }) {
+  const [rl, gl, bl] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+}
+
+export function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function mix(color, target, amount) {
+  const other = target === 'white' ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 };
+  return { r: color.r + (other.r - color.r) * amount, g: color.g + (other.g - color.g) * amount, b: color.b + (other.b - color.b) * amount };
+}
+
+// Whites, blacks and greys are page chrome, not brand
+function isBrandish(color) {
+  const { saturation, lightness } = hueAndSaturation(color);
+  return saturation >= 0.3 && lightness >= 0.12 && lightness <= 0.9;
+}
+
+function hueDistance(a, b) {
+  const distance = Math.abs(hueAndSaturation(a).hue - hueAndSaturation(b).hue);
+  return Math.min(distance, 360 - distance);
+}
+
+/**
+ * Darken a color until white text on it reaches MIN_CONTRAST
+ */
+export function contrastSafe(color) {
+  const white = { r: 255, g: 255, b: 255 };
+  let safe = color;
+  for (let step = 0; step < 20 && contrastRatio(safe, white) < MIN_CONTRAST; step++) {
+    safe = mix(safe, 'black', 0.08);
+  }
+  return { r: Math.round(safe.r), g: Math.round(safe.g), b: Math.round(safe.b) };
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([a-z_:][-a-z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attrs;
+}
+
+function tags(html, name) {
+  return [...String(html || '').matchAll(new RegExp(`<${name}\\b[^>]*>`, 'gi'))].map(match => attributes(match[0]));
+}
+
+/**
+ * Absolute URLs of a page's linked stylesheets
+ */
+export function stylesheetLinks(html, baseUrl) {
+  return tags(html, 'link')
+    .filter(attrs => /(?:^|\s)stylesheet(?:\s|$)/i.test(attrs.rel || '') && attrs.href)
+    .map(attrs => canonicalLink(attrs.href, baseUrl)?.href)
+    .filter(Boolean);
+}
+
+/**
+ * Color candidates in one CSS text as [{ value, source }]
+ */
+export function cssColors(css) {
+  const found = [];
+  const text = String(css || '').replace(/\/\*[\s\S]*?\*\//g, ' ');
+
+  for (const match of text.matchAll(/--([-\w]+)\s*:\s*([^;}]+)/g)) {
+    if (BRAND_VARIABLE.test(match[1]) && parseColor(match[2])) {
+      found.push({ value: match[2].trim(), source: 'css-variable' });
+    }
+  }
+  for (const match of text.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    if (!BUTTON_SELECTOR.test(match[1]) || /:(?:disabled|visited)/.test(match[1])) {
+      continue;
+    }
+    const background = match[2].match(/background(?:-color)?\s*:\s*([^;!]+)/i)?.[1];
+    if (parseColor(background)) {
+      found.push({ value: background.trim(), source: 'button' });
+    }
+  }
+  for (const match of text.matchAll(/(?:^|[\s:,(])(#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\))/gi)) {
+    found.push({ value: match[1], source: 'css-frequency' });
+  }
+  return found;
+}
+
+/**
+ * Colors, logo and favicon of a crawled site. pages are the crawler's
+ * ({ url, html }); stylesheets are fetched CSS texts; schemaLogo is the
+ * structured-data logo, if any. Resolves to { colors: [{ hex, score,
+ * sources }], logo: { url, source } | null, favicon: url | null }.
+ */
+export function extractBrand(pages, { stylesheets = [], schemaLogo = null } = {}) {
+  const tally = new Map();
+  const add = (value, source) => {
+    const color = parseColor(value);
+    if (!color || !isBrandish(color)) {
+      return;
+    }
+    const hex = toHex(color);
+    const entry = tally.get(hex) || { hex, score: 0, sources: new Set() };
+    entry.score += COLOR_WEIGHTS[source];
+    entry.sources.add(source);
+    tally.set(hex, entry);
+  };
+
+  const [home] = pages;
+  const metas = tags(home?.html, 'meta');
+  const meta = name => metas.find(attrs => (attrs.name || attrs.property || '').toLowerCase() === name)?.content;
+  add(meta('theme-color'), 'theme-color');
+  add(meta('msapplication-tilecolor'), 'tile-color');
+
+  const inlineCss = pages.flatMap(page => [
+    ...[...String(page.html || '').matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)].map(match => match[1]),
+    ...[...String(page.html || '').matchAll(/<(?:button|a)\b[^>]*class=["'][^"']*\b(?:btn|button|cta)\b[^"']*["'][^>]*style=["']([^"']*)["']/gi)].map(match => `.btn{${match[1]}}`)
+  ]);
+  [...inlineCss, ...stylesheets].flatMap(cssColors).forEach(({ value, source }) => add(value, source));
+
+  const colors = [...tally.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(entry => ({ hex: entry.hex, score: entry.score, sources: [...entry.sources] }));
+
+  // Logo: an <img> marked as the logo, then schema.org, then icons and og:image
+  const resolve = href => (href ? canonicalLink(href, home?.url)?.href || null : null);
+  const headerHtml = String(home?.html || '').match(/<header\b[\s\S]*?<\/header>/i)?.[0] || '';
+  const logoImage = [...tags(headerHtml, 'img'), ...tags(home?.html, 'img')]
+    .find(attrs => attrs.src && LOGO_HINT.test(`${attrs.class || ''} ${attrs.id || ''} ${attrs.alt || ''} ${attrs.src}`));
+  const links = tags(home?.html, 'link');
+  const linkHref = pattern => links.find(attrs => pattern.test(attrs.rel || ''))?.href;
+
+  const logo = [
+    { url: resolve(logoImage?.src), source: 'header-img' },
+    { url: resolve(schemaLogo), source: 'structured-data' },
+    { url: resolve(linkHref(/apple-touch-icon/i)), source: 'apple-touch-icon' },
+    { url: resolve(meta('og:image')), source: 'og:image' }
+  ].find(candidate => candidate.url) || null;
+  const favicon = resolve(linkHref(/(?:^|\s)(?:shortcut\s+)?icon(?:\s|$)/i)) || (home?.url ? resolve('/favicon.ico') : null);
+
+  return { colors, logo, favicon };
+}
+
+/**
+ * Tailwind-style scale (50-900) around a color; 600 is the contrast-safe
+ * button shade
+ */
+export function colorScale(color) {
+  const base = contrastSafe(color);
+  return Object.fromEntries(SCALE_STEPS.map(([step, target, amount]) => [step, toHex(target ? mix(base, target, amount) : base)]));
+}
+
+/**
+ * Palette for the demo from extracted colors: the top color is primary, the
+ * next one with a clearly different hue is secondary (else a darker primary).
+ * brand/accent are Tailwind scales; primary/secondary are their 600 shades,
+ * so white text on either passes MIN_CONTRAST. Falls back to
+ * DEFAULT_BRAND_COLORS when the site yields nothing usable.
+ */
+export function derivePalette(colors = []) {
+  const [top] = colors;
+  const extracted = Boolean(top);
+  const primary = parseColor(top?.hex || DEFAULT_BRAND_COLORS.primary);
+  const second = colors.slice(1).find(candidate => hueDistance(parseColor(candidate.hex), primary) >= 30);
+  const secondary = second ? parseColor(second.hex) : extracted ? mix(contrastSafe(primary), 'black', 0.3) : parseColor(DEFAULT_BRAND_COLORS.secondary);
+
+  const brand = colorScale(primary);
+  const accent = colorScale(secondary);
+  return {
+    primary: brand[600],
+    secondary: accent[600],
+    onPrimary: '#ffffff',
+    original: { primary: toHex(primary), secondary: toHex(secondary) },
+    contrast: { primary: Math.round(contrastRatio(parseColor(brand[600]), { r: 255, g: 255, b: 255 }) * 100) / 100 },
+    scale: { brand, accent },
+    source: extracted ? 'site' : 'default'
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * 📅 RECURRING CAMPAIGN SCHEDULES
+ *
+ * Named schedules - a cron expression plus a workflowConfig (specialty,
+ * location, filters, leadCount) - persisted to disk and fired automatically.
+ * A schedule whose previous run is still queued or running is skipped for
+ * that slot instead of starting an overlapping run.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { JsonStore } from './json-store.js';
+import { CronExpression, CronParseError } from './cron.js';
+import { validateFilters } from './filter-expression.js';
+import { resolveLanguage, SUPPORTED_LANGUAGES } from './language-detection.js';
+
+export class ScheduleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+  }
+}
+
+export class CampaignScheduler extends EventEmitter {
+  /**
+   * launch(schedule) starts a run and resolves to its job id;
+   * isRunActive(jobId) tells whether that run is still queued or running
+   */
+  constructor({ filePath, launch, isRunActive, tickMs = 30000 }) {
+    super();
+    this.store = new JsonStore(filePath, { schedules: {} });
+    this.launch = launch;
+    this.isRunActive = isRunActive;
+    this.tickMs = tickMs;
+    this.schedules = {};
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Load schedules and start the clock. Slots missed while the server was
+   * down are not replayed - each schedule resumes at its next slot.
+   */
+  async init() {
+    const data = await this.store.read();
+    this.schedules = data.schedules || {};
+
+    for (const schedule of Object.values(this.schedules)) {
+      schedule.nextRunAt = schedule.enabled ? this.nextRun(schedule.cron) : null;
+    }
+    await this.save();
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    return Object.values(this.schedules).filter(schedule => schedule.enabled).length;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  save() {
+    return this.store.write({ schedules: this.schedules });
+  }
+
+  nextRun(cron, from = new Date()) {
+    return new CronExpression(cron).next(from).toISOString();
+  }
+
+  list() {
+    return Object.values(this.schedules).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find a schedule by id or (case-insensitive) name
+   */
+  get(idOrName) {
+    const key = String(idOrName || '').toLowerCase();
+    return this.schedules[idOrName]
+      || Object.values(this.schedules).find(schedule => schedule.name.toLowerCase() === key)
+      || null;
+  }
+
+  validate({ name, cron, workflowConfig }, existingId = null) {
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        throw new ScheduleValidationError('name is required');
+      }
+      const clash = this.get(name.trim());
+      if (clash && clash.id !== existingId) {
+        throw new ScheduleValidationError(`A schedule named "${clash.name}" already exists`);
+      }
+    }
+
+    if (cron !== undefined) {
+      if (typeof cron !== 'string') {
+        throw new ScheduleValidationError('cron must be a string such as "0 7 * * 1"');
+      }
+      try {
+        this.nextRun(cron);
+      } catch (error) {
+        throw error instanceof CronParseError ? new ScheduleValidationError(error.message) : error;
+      }
+    }
+
+    if (workflowConfig !== undefined) {
+      if (!workflowConfig || typeof workflowConfig !== 'object' || Array.isArray(workflowConfig)) {
+        throw new ScheduleValidationError('workflowConfig must be an object');
+      }
+      const { leadCount } = workflowConfig;
+      if (leadCount !== undefined && (!Number.isInteger(leadCount) || leadCount < 1)) {
+        throw new ScheduleValidationError('workflowConfig.leadCount must be a positive integer');
+      }
+      const filterErrors = validateFilters(workflowConfig.filters);
+      if (filterErrors.length > 0) {
+        throw new ScheduleValidationError(`workflowConfig.filters: ${filterErrors.map(({ error }) => error).join('; ')}`);
+      }
+      const { searchBudget } = workflowConfig;
+      if (searchBudget !== undefined && !(Number.isInteger(searchBudget) && searchBudget >= 1 && searchBudget <= 10)) {
+        throw new ScheduleValidationError('workflowConfig.searchBudget must be an integer between 1 and 10 (discovery rounds)');
+      }
+      const { concurrency } = workflowConfig;
+      if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 10)) {
+        throw new ScheduleValidationError('workflowConfig.concurrency must be an integer between 1 and 10 (leads in parallel)');
+      }
+      for (const threshold of ['relevanceThreshold', 'locationThreshold']) {
+        const value = workflowConfig[threshold];
+        if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+          throw new ScheduleValidationError(`workflowConfig.${threshold} must be a number between 0 and 1`);
+        }
+      }
+      const { language } = workflowConfig;
+      if (language !== undefined && language !== null && !resolveLanguage(language)) {
+        throw new ScheduleValidationError(`workflowConfig.language must be one of: ${SUPPORTED_LANGUAGES.join(', ')} (or a name such as "German")`);
+      }
+    }
+  }
+
+  async create({ name, cron, workflowConfig, enabled = true, telegramChatId = null, createdBy = null }) {
+    if (cron === undefined) {
+      throw new ScheduleValidationError('cron is required');
+    }
+    if (workflowConfig === undefined) {
+      throw new ScheduleValidationError('workflowConfig is required');
+    }
+    this.validate({ name: name ?? '', cron, workflowConfig });
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: `schedule-${randomUUID().slice(0, 8)}`,
+      name: name.trim(),
+      cron: cron.trim(),
+      workflowConfig,
+      enabled: Boolean(enabled),
+      telegramChatId,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: enabled ? this.nextRun(cron) : null,
+      lastRunAt: null,
+      lastJobId: null,
+      lastStatus: null,
+      lastSkippedAt: null,
+      runCount: 0
+    };
+
+    this.schedules[schedule.id] = schedule;
+    await this.save();
+    return schedule;
+  }
+
+  async update(idOrName, patch) {
+    const schedule = this.get(idOrName);
+    if (!schedule) {
+      return null;
+    }
+
+    const { name, cron, workflowConfig, enabled, telegramChatId } = patch;
+    this.validate({ name, cron, workflowConfig }, schedule.id);
+
+    if (name !== undefined) schedule.name = name.trim();
+    if (cron !== undefined) schedule.cron = cron.trim();
+    if (workflowConfig !== undefined) schedule.workflowConfig = workflowConfig;
+    if (enabled !== undefined) schedule.enabled = Boolean(enabled);
+    if (telegramChatId !== undefined) schedule.telegramChatId = telegramChatId;
+
+    schedule.nextRunAt = schedule.enabled ? this.nextRun(schedule.cron) : null;
+    schedule.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return schedule;
+  }
+
+  setEnabled(idOrName, enabled) {
+    return this.update(idOrName, { enabled });
+  }
+
+  async remove(idOrName) {
+    const schedule = this.get(idOrName);
+    if (!schedule) {
+      return null;
+    }
+    delete this.schedules[schedule.id];
+    await this.save();
+    return schedule;
+  }
+
+  async tick(now = new Date()) {
+    // A slow launch must not let the next tick fire the same slot again
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = Object.values(this.schedules)
+        .filter(schedule => schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now);
+
+      for (const schedule of due) {
+        schedule.nextRunAt = this.nextRun(schedule.cron, now);
+        await this.fire(schedule).catch(error => this.emit('error', error, schedule));
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Start a run now (the scheduled slot or a manual trigger), unless the
+   * previous run is still in progress
+   */
+  async fire(schedule, { manual = false } = {}) {
+    if (schedule.lastJobId && this.isRunActive(schedule.lastJobId)) {
+      schedule.lastSkippedAt = new Date().toISOString();
+      await this.save();
+      this.emit('skipped', schedule, `previous run ${schedule.lastJobId} is still in progress`);
+      return { launched: false, reason: `Previous run ${schedule.lastJobId} is still in progress` };
+    }
+
+    const jobId = await this.launch(schedule, { manual });
+    Object.assign(schedule, {
+      lastRunAt: new Date().toISOString(),
+      lastJobId: jobId,
+      lastStatus: 'queued',
+      runCount: schedule.runCount + 1
+    });
+    await this.save();
+    this.emit('launched', schedule, jobId);
+    return { launched: true, jobId };
+  }
+
+  async recordOutcome(scheduleId, status) {
+    const schedule = this.schedules[scheduleId];
+    if (!schedule) {
+      return;
+    }
+    schedule.lastStatus = status;
+    await this.save();
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * 🗂️ CAMPAIGNS
+ *
+ * A campaign is one lead-generation run: its name, where it came from (HTTP,
+ * conversation, Telegram, schedule), the workflowConfig or message that
+ * started it, who started it, every lead it produced with the outcome, and
+ * the discovery report: candidates examined and every one dropped (with the
+ * reason) before processing.
+ * Notion leads are tagged with the campaign so each row can be traced back.
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonStore } from './json-store.js';
+
+export class CampaignStore {
+  constructor({ filePath }) {
+    this.store = new JsonStore(filePath, { campaigns: {} });
+    this.campaigns = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.read().then(data => {
+        this.campaigns = data.campaigns || {};
+      });
+    }
+    await this.loading;
+    return this.campaigns;
+  }
+
+  save() {
+    return this.store.write({ campaigns: this.campaigns });
+  }
+
+  async create({ name, source, workflowConfig = null, conversation = null, creator = null, scheduleId = null, dryRun = false }) {
+    const campaigns = await this.load();
+    const now = new Date().toISOString();
+    const campaign = {
+      id: `campaign-${randomUUID().slice(0, 8)}`,
+      name,
+      source,
+      // Pre-found clinics show up as leads, screened-out ones as rejectedCandidates
+      workflowConfig: workflowConfig && { ...workflowConfig, preFoundClinics: undefined, rejectedCandidates: undefined, discovery: undefined },
+      conversation,
+      creator,
+      scheduleId,
+      dryRun,
+      jobId: null,
+      status: 'queued',
+      leads: [],
+      rejectedCandidates: [],
+      discovery: null,
+      stats: this.summarize([]),
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now
+    };
+
+    campaigns[campaign.id] = campaign;
+    await this.save();
+    return campaign;
+  }
+
+  async get(campaignId) {
+    const campaigns = await this.load();
+    return campaigns[campaignId] || null;
+  }
+
+  async list({ status, source, limit = 50 } = {}) {
+    const campaigns = await this.load();
+    return Object.values(campaigns)
+      .filter(campaign => !status || campaign.status === status)
+      .filter(campaign => !source || campaign.source === source)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  async update(campaignId, patch) {
+    const campaign = await this.get(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    Object.assign(campaign, patch, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return campaign;
+  }
+
+  /**
+   * Record (or overwrite, on job resume) the outcome of the lead at index
+   */
+  async recordLead(campaignId, index, outcome) {
+    const campaign = await this.get(campaignId);
+    if (!campaign) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    campaign.leads[index] = { index, ...outcome, updatedAt: now };
+    campaign.stats = this.summarize(campaign.leads);
+    campaign.status = 'running';
+    campaign.startedAt = campaign.startedAt || now;
+    campaign.updatedAt = now;
+    await this.save();
+  }
+
+  async finish(campaignId, status) {
+    const campaign = await this.get(campaignId);
+    if (!campaign) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    campaign.status = status;
+    campaign.finishedAt = now;
+    campaign.updatedAt = now;
+    await this.save();
+  }
+
+  summarize(leads) {
+    const present = leads.filter(Boolean);
+    const count = status => present.filter(lead => lead.status === status).length;
+    const success = count('success');
+    const finished = present.filter(lead => lead.status !== 'running').length;
+
+    return {
+      total: present.length,
+      success,
+      planned: count('planned'),
+      skipped: count('skipped'),
+      duplicates: present.filter(lead => lead.duplicate).length,
+      failed: count('failed'),
+      successRate: finished > 0 ? Math.round((success / finished) * 100) : null
+    };
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * ☎️ CONTACT EXTRACTION
+ *
+ * Finds a practice's real phone number and email address in crawled pages -
+ * tel:/mailto: links, JSON-LD, the footer and labelled text - and never makes
+ * one up: a field that can't be found stays null and is flagged as missing.
+ * Phone numbers are normalized to E.164 (+4312345678), national numbers using
+ * the practice's country; obfuscated emails ("info [at] clinic [dot] nl",
+ * Cloudflare-protected addresses) are decoded first.
+ */
+
+import { COUNTRIES } from './gazetteer-data.js';
+
+// Evidence weights - a dialable link or structured data beats a number in running text
+const SOURCE_WEIGHTS = { 'tel-link': 3, 'mailto-link': 3, 'json-ld': 3, footer: 2, text: 1 };
+const CONTACT_PAGE_BONUS = 1;
+const SITE_DOMAIN_BONUS = 3;
+const ROLE_MAILBOX_BONUS = 1;
+
+// Countries whose national numbers keep their leading 0 after the calling code
+const KEEPS_TRUNK_ZERO = new Set(['39']);
+// Countries without a trunk prefix write national numbers bare (Spain, Denmark, Norway …)
+const NO_TRUNK_PREFIX = new Set(['30', '34', '45', '47', '351', '352', '356', '357', '370', '371', '372']);
+
+const CALLING_CODES = new Set(COUNTRIES.map(country => country.phone));
+
+const PHONE_LABEL = /(?:tel(?:efon|ephone|efoon|efono|éfono|éphone|\.)?|phone|fon|ph\.?|call us|mobil[e]?|handy|☎️?|📞)\s*[:.]?\s*$/i;
+const FAX_LABEL = /fax\s*[:.]?\s*$/i;
+const PHONE_PATTERN = /(?<![\d+])(?:\+|\()?\d[\d\s().\/–-]{5,}\d/g;
+
+const EMAIL_PATTERN = /[a-z0-9][a-z0-9._%+-]*@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}/gi;
+const PLACEHOLDER_EMAIL = /@(?:example\.(?:com|org|net)|domain\.(?:com|tld)|email\.com|yourdomain\.|sentry\.|[a-z0-9-]*\.?wixpress\.com)|^(?:name|your|you|user|max\.mustermann)@|\.(?:png|jpe?g|gif|svg|webp)$/i;
+const NO_REPLY = /^(?:no-?reply|do-?not-?reply|mailer-daemon|postmaster)@/i;
+const ROLE_MAILBOX = /^(?:info|praxis|ordination|kontakt|contact|hello|hallo|office|reception|rezeption|termine?|appointments?|bookings?|frontdesk|admin|mail|team|welcome|clinic|klinik)@/i;
+
+export function callingCodeFor(countryCode) {
+  return COUNTRIES.find(country => country.code === String(countryCode || '').toUpperCase())?.phone || null;
+}
+
+/**
+ * E.164 form of a phone number, or null if it can't be one. National numbers
+ * ("030 1234567", "(718) 555-0142") need the country's calling code.
+ */
+export function normalizePhoneE164(raw, { callingCode = null } = {}) {
+  let text = String(raw || '').trim()
+    .replace(/^(?:tel|callto):/i, '')
+    .replace(/\s*(?:ext\.?|x|extension|durchwahl|dw)\s*\d+\s*$/i, '');
+  // "+43 (0)1 234 56" - the bracketed trunk zero is not dialled internationally
+  text = text.replace(/(^\+\d{1,3})\s*\(0\)/, '$1 ');
+
+  const digits = text.replace(/\D/g, '');
+  let international = null;
+  if (text.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (digits.startsWith('011') && callingCode === '1') {
+    international = digits.slice(3);
+  } else if (callingCode === '1') {
+    international = digits.length === 11 && digits.startsWith('1') ? digits : `1${digits}`;
+    if (international.length !== 11) {
+      return null;
+    }
+  } else if (callingCode && digits.startsWith('0')) {
+    international = `${callingCode}${KEEPS_TRUNK_ZERO.has(callingCode) ? digits : digits.slice(1)}`;
+  } else if (callingCode && NO_TRUNK_PREFIX.has(callingCode)) {
+    international = `${callingCode}${digits}`;
+  }
+
+  if (!international || international.length < 8 || international.length > 15) {
+    return null;
+  }
+  const code = [3, 2, 1].map(length => international.slice(0, length)).find(prefix => CALLING_CODES.has(prefix));
+  return code ? `+${international}` : null;
+}
+
+function decodeCloudflareEmail(hex) {
+  const bytes = hex.match(/../g)?.map(pair => parseInt(pair, 16)) || [];
+  const [key, ...rest] = bytes;
+  return rest.map(byte => String.fromCharCode(byte ^ key)).join('');
+}
+
+/**
+ * Undo the usual anti-spam spellings so plain address matching finds them:
+ * "info [at] clinic [dot] nl", "info(at)praxis.de", "info AT clinic DOT com",
+ * Cloudflare's data-cfemail encoding
+ */
+export function deobfuscateEmails(text) {
+  return String(text || '')
+    .replace(/data-cfemail=["']([0-9a-f]+)["']/gi, (match, hex) => ` ${decodeCloudflareEmail(hex)} `)
+    .replace(/\s*[[({<]\s*(?:at|ät|aet|arroba|chiocciola|apenstaart)\s*[\])}>]\s*/gi, '@')
+    .replace(/\s*[[({<]\s*(?:dot|punkt|punt|point|punto)\s*[\])}>]\s*/gi, '.')
+    .replace(/([a-z0-9._-]+)\s+AT\s+([a-z0-9-]+(?:\s+DOT\s+[a-z0-9-]+)+)\b/g, (match, user, domain) => `${user}@${domain.replace(/\s+DOT\s+/g, '.')}`);
+}
+
+// A tel:/mailto: href with a stray % (a "100%" in a subject, say) is read as written
+function decodeHref(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function textOf(html) {
+  return String(html || '')
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr|address|dd)>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#64;|&commat;/g, '@')
+    .replace(/&#46;|&period;/g, '.')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * telephone/email values anywhere in the page's JSON-LD blocks
+ */
+export function jsonLdContacts(html) {
+  const found = { phones: [], emails: [] };
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'telephone' && typeof value === 'string') {
+          found.phones.push(value);
+        } else if (key === 'email' && typeof value === 'string') {
+          found.emails.push(value.replace(/^mailto:/i, ''));
+        } else {
+          visit(value);
+        }
+      }
+    }
+  };
+  for (const match of String(html || '').matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      visit(JSON.parse(match[1].trim()));
+    } catch {
+      // Broken JSON-LD is common - skip the block
+    }
+  }
+  return found;
+}
+
+function phonesInText(text) {
+  const found = [];
+  for (const match of text.matchAll(PHONE_PATTERN)) {
+    const before = text.slice(Math.max(0, match.index - 24), match.index);
+    if (FAX_LABEL.test(before)) {
+      continue;
+    }
+    const labelled = PHONE_LABEL.test(before);
+    const international = /^(?:\+|00)/.test(match[0]);
+    // Unlabelled national digit runs are too often dates, IDs or prices
+    if (labelled || international) {
+      found.push({ raw: match[0].trim(), labelled });
+    }
+  }
+  return found;
+}
+
+class Tally {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  add(value, raw, source, page, weight) {
+    const entry = this.entries.get(value) || { value, raw, score: 0, sources: new Set(), pages: new Set() };
+    entry.score += weight;
+    entry.sources.add(source);
+    entry.pages.add(page);
+    this.entries.set(value, entry);
+  }
+
+  ranked() {
+    return [...this.entries.values()]
+      .sort((a, b) => b.score - a.score)
+      .map(entry => ({ value: entry.value, raw: entry.raw, score: entry.score, sources: [...entry.sources], pages: [...entry.pages] }));
+  }
+}
+
+function siteDomainOf(email, domain) {
+  const host = email.split('@')[1].toLowerCase();
+  const site = String(domain || '').toLowerCase().replace(/^www\./, '');
+  return Boolean(site) && (host === site || host.endsWith(`.${site}`) || site.endsWith(`.${host}`));
+}
+
+/**
+ * Best phone and email across crawled pages ({ url, topic, html }).
+ * callingCode normalizes national numbers; domain favours addresses on the
+ * practice's own domain. Resolves to
+ * { phone: { value, raw, source, page } | null, email: … | null,
+ *   found: { phone, email }, candidates: { phones, emails } }.
+ */
+export function extractContacts(pages, { callingCode = null, domain = null } = {}) {
+  const phones = new Tally();
+  const emails = new Tally();
+
+  const addPhone = (raw, source, page) => {
+    const value = normalizePhoneE164(raw, { callingCode });
+    if (value) {
+      phones.add(value, raw, source, page.url, SOURCE_WEIGHTS[source] + (page.topic === 'contact' ? CONTACT_PAGE_BONUS : 0));
+    }
+  };
+  const addEmail = (raw, source, page) => {
+    const value = String(raw || '').trim().toLowerCase().replace(/^mailto:/, '').split('?')[0];
+    if (!/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(value) || PLACEHOLDER_EMAIL.test(value) || NO_REPLY.test(value)) {
+      return;
+    }
+    const weight = SOURCE_WEIGHTS[source]
+      + (page.topic === 'contact' ? CONTACT_PAGE_BONUS : 0)
+      + (siteDomainOf(value, domain) ? SITE_DOMAIN_BONUS : 0)
+      + (ROLE_MAILBOX.test(value) ? ROLE_MAILBOX_BONUS : 0);
+    emails.add(value, raw, source, page.url, weight);
+  };
+
+  for (const page of pages) {
+    const html = deobfuscateEmails(page.html || '');
+
+    for (const match of html.matchAll(/href\s*=\s*["'](?:tel|callto):([^"']+)["']/gi)) {
+      addPhone(decodeHref(match[1]), 'tel-link', page);
+    }
+    for (const match of html.matchAll(/href\s*=\s*["']mailto:([^"'?]+)/gi)) {
+      addEmail(decodeHref(match[1]), 'mailto-link', page);
+    }
+
+    const structured = jsonLdContacts(page.html);
+    structured.phones.forEach(raw => addPhone(raw, 'json-ld', page));
+    structured.emails.forEach(raw => addEmail(raw, 'json-ld', page));
+
+    const footerHtml = [...html.matchAll(/<footer\b[^>]*>([\s\S]*?)<\/footer>/gi)].map(match => match[1]).join('\n');
+    const footer = textOf(footerHtml);
+    const body = textOf(html.replace(/<footer\b[^>]*>[\s\S]*?<\/footer>/gi, ' '));
+
+    for (const [text, source] of [[footer, 'footer'], [body, 'text']]) {
+      phonesInText(text).forEach(({ raw }) => addPhone(raw, source, page));
+      (deobfuscateEmails(text).match(EMAIL_PATTERN) || []).forEach(raw => addEmail(raw, source, page));
+    }
+  }
+
+  const pick = ranked => {
+    const [best] = ranked;
+    if (!best) {
+      return null;
+    }
+    const [source] = [...best.sources].sort((a, b) => SOURCE_WEIGHTS[b] - SOURCE_WEIGHTS[a]);
+    return { value: best.value, raw: best.raw, source, page: best.pages[0] };
+  };
+  const rankedPhones = phones.ranked();
+  const rankedEmails = emails.ranked();
+
+  return {
+    phone: pick(rankedPhones),
+    email: pick(rankedEmails),
+    found: { phone: rankedPhones.length > 0, email: rankedEmails.length > 0 },
+    candidates: { phones: rankedPhones.slice(0, 5), emails: rankedEmails.slice(0, 5) }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * ⏰ CRON EXPRESSIONS
+ *
+ * Standard 5-field cron (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps, JAN-DEC / SUN-SAT names and the @hourly, @daily,
+ * @weekly, @monthly, @yearly presets. Evaluated in the server's local time
+ * (UTC on Railway).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Give up looking for a matching minute after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+export class CronParseError extends Error {
+  constructor(expression, reason) {
+    super(`Invalid cron expression "${expression}": ${reason}`);
+    this.name = 'CronParseError';
+  }
+}
+
+function parseValue(raw, field, expression) {
+  const index = field.names?.indexOf(raw.toUpperCase());
+  if (index !== undefined && index >= 0) {
+    return index + field.offset;
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw new CronParseError(expression, `"${raw}" is not a valid ${field.name}`);
+  }
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new CronParseError(expression, `${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronParseError(expression, `invalid step "${stepSource}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field, expression));
+      if (start > end) {
+        throw new CronParseError(expression, `range ${range} in ${field.name} is reversed`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      // "5/15" means every 15 starting at 5
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+export class CronExpression {
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    const normalized = PRESETS[this.expression.toLowerCase()] || this.expression;
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new CronParseError(this.expression, 'expected 5 fields (minute hour day-of-month month day-of-week)');
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      parts.map((part, index) => parseField(part, FIELDS[index], this.expression));
+
+    // 7 is an alias for Sunday
+    if (this.daysOfWeek.delete(7)) {
+      this.daysOfWeek.add(0);
+    }
+
+    // Like cron: when both day fields are restricted, either one matching is enough
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  matches(date) {
+    return this.minutes.has(date.getMinutes())
+      && this.hours.has(date.getHours())
+      && this.months.has(date.getMonth() + 1)
+      && this.matchesDay(date);
+  }
+
+  /**
+   * First matching minute strictly after `from`
+   */
+  next(from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date).setFullYear(date.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new CronParseError(this.expression, `never matches within ${MAX_SEARCH_YEARS} years`);
+  }
+}
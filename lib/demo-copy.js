@@ -0,0 +1,231 @@
+/**
+ * 💬 DEMO COPY
+ *
+ * Everything a patient or prospect reads or hears from a generated demo, per
+ * language: the voice agent's first message, the chat greeting, the demo
+ * page text, opening-hours labels and the example phrases the system prompt
+ * gives the agent. Placeholders in braces ({company}, {contact},
+ * {serviceCount}, {type}, {label}, {care}, {treatments}) are filled by
+ * fillCopy. Languages without an entry get English.
+ */
+
+import { DEFAULT_LANGUAGE } from './language-detection.js';
+
+const COPY = {
+  en: {
+    name: 'English',
+    native: 'English',
+    address: null,
+    voiceGreeting: 'Thank you for calling {company}! This is your {label} assistant. Our experienced team is here to help with your {care}. Which of our {treatments} can I help you schedule today?',
+    voiceGreetingContact: 'Thank you for calling {company}! This is your {label} assistant. We\'re here to help you with your {care} with {contact}. Which of our {treatments} can I help you schedule today?',
+    chatGreeting: 'Thank you for contacting {company}! I am Robin, your {label} assistant. I can help you schedule appointments with {contact}. Which service interests you today?',
+    availability: ['I\'d be happy to help you schedule! Let me check {contact}\'s calendar...', 'For consultations I could offer <day> at <time> or <day> at <time>'],
+    dayNames: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+    closed: 'closed',
+    page: {
+      metaTitle: '{company} - AI Voice Agent Demo',
+      metaDescription: 'Experience how Robin AI assistant handles patient calls for {company} with {contact}',
+      demoLabel: 'AI Voice Agent Demo',
+      liveBadge: 'Live Demo',
+      presentationBadge: 'Interactive Demo Presentation',
+      heroTitle: 'Meet Robin: Your AI',
+      heroHighlight: 'Appointment Assistant',
+      heroText: 'Experience how Robin handles patient calls with human-like conversations, schedules appointments instantly, and answers questions about {company} services - completely automated, 24/7.',
+      tryTitle: 'Live Demo - Try Robin Now',
+      tryText: 'Click below to experience exactly what your patients will hear when they call {company}. Robin knows about all {serviceCount} of your {type} services and {contact}\'s expertise.',
+      callTitle: 'Call {company}',
+      callText: 'Experience how patients will interact with your AI {type} assistant. Click "Start Call" to begin a live conversation with Robin about scheduling treatments with {contact}.',
+      startCall: 'Start Call',
+      servicesTitle: 'Robin Knows All Your Treatments',
+      openingHoursTitle: 'Opening Hours',
+      ctaTitle: 'Interested in AI Solutions for {company}?',
+      ctaText: 'You\'ve seen how Robin handles patient calls perfectly',
+      ctaSubtext: 'Let\'s explore how AI can help transform your practice\'s patient experience',
+      footerTitle: '{company} AI Voice Agent Demo - Experience the Future of {Type} Scheduling',
+      footerPowered: '{contact} • Powered by AI Technology'
+    }
+  },
+  de: {
+    name: 'German',
+    native: 'Deutsch',
+    address: 'formal "Sie"',
+    voiceGreeting: 'Vielen Dank für Ihren Anruf bei {company}! Hier spricht Robin, Ihre digitale Terminassistenz. Unser erfahrenes Team ist gerne für Sie da. Für welche Behandlung darf ich Ihnen heute einen Termin vereinbaren?',
+    voiceGreetingContact: 'Vielen Dank für Ihren Anruf bei {company}! Hier spricht Robin, die digitale Terminassistenz von {contact}. Für welche Behandlung darf ich Ihnen heute einen Termin vereinbaren?',
+    chatGreeting: 'Vielen Dank für Ihre Nachricht an {company}! Ich bin Robin, Ihre digitale Terminassistenz, und vereinbare gerne einen Termin bei {contact} für Sie. Für welche Leistung interessieren Sie sich?',
+    availability: ['Sehr gerne helfe ich Ihnen bei der Terminvereinbarung! Ich sehe kurz im Kalender von {contact} nach...', 'Für eine Beratung könnte ich Ihnen <Tag> um <Uhrzeit> oder <Tag> um <Uhrzeit> anbieten'],
+    dayNames: ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'],
+    closed: 'geschlossen',
+    page: {
+      metaTitle: '{company} - Demo des KI-Sprachassistenten',
+      metaDescription: 'Erleben Sie, wie der KI-Assistent Robin Patientenanrufe für {company} entgegennimmt',
+      demoLabel: 'Demo des KI-Sprachassistenten',
+      liveBadge: 'Live-Demo',
+      presentationBadge: 'Interaktive Demo',
+      heroTitle: 'Das ist Robin: Ihre KI-',
+      heroHighlight: 'Terminassistenz',
+      heroText: 'Erleben Sie, wie Robin Patientenanrufe in natürlichen Gesprächen annimmt, Termine sofort vereinbart und Fragen zu den Leistungen von {company} beantwortet - vollautomatisch, rund um die Uhr.',
+      tryTitle: 'Live-Demo - Robin jetzt testen',
+      tryText: 'Hören Sie genau das, was Ihre Patientinnen und Patienten hören, wenn sie bei {company} anrufen. Robin kennt alle {serviceCount} Leistungen Ihrer Praxis.',
+      callTitle: '{company} anrufen',
+      callText: 'Erleben Sie, wie Ihre Patienten mit Ihrem KI-Assistenten sprechen. Klicken Sie auf „Anruf starten" und vereinbaren Sie im Gespräch mit Robin einen Behandlungstermin.',
+      startCall: 'Anruf starten',
+      servicesTitle: 'Robin kennt alle Ihre Behandlungen',
+      openingHoursTitle: 'Öffnungszeiten',
+      ctaTitle: 'Interesse an KI-Lösungen für {company}?',
+      ctaText: 'Sie haben gesehen, wie souverän Robin Patientenanrufe übernimmt',
+      ctaSubtext: 'Sprechen wir darüber, wie KI den Service für Ihre Patienten verbessern kann',
+      footerTitle: '{company} - Demo des KI-Sprachassistenten für die Terminvereinbarung',
+      footerPowered: '{contact} • Mit KI-Technologie'
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    native: 'Nederlands',
+    address: 'formal "u"',
+    voiceGreeting: 'Bedankt voor uw telefoontje naar {company}! U spreekt met Robin, de digitale afsprakenassistent. Ons ervaren team staat voor u klaar. Voor welke behandeling mag ik vandaag een afspraak voor u maken?',
+    voiceGreetingContact: 'Bedankt voor uw telefoontje naar {company}! U spreekt met Robin, de digitale afsprakenassistent van {contact}. Voor welke behandeling mag ik vandaag een afspraak voor u maken?',
+    chatGreeting: 'Bedankt voor uw bericht aan {company}! Ik ben Robin, de digitale afsprakenassistent, en plan graag een afspraak bij {contact} voor u in. Voor welke behandeling heeft u interesse?',
+    availability: ['Ik help u graag met een afspraak! Ik kijk even in de agenda van {contact}...', 'Voor een consult kan ik u <dag> om <tijd> of <dag> om <tijd> aanbieden'],
+    dayNames: ['ma', 'di', 'wo', 'do', 'vr', 'za', 'zo'],
+    closed: 'gesloten',
+    page: {
+      metaTitle: '{company} - Demo van de AI-spraakassistent',
+      metaDescription: 'Ervaar hoe AI-assistent Robin de telefoontjes van patiënten voor {company} aanneemt',
+      demoLabel: 'Demo van de AI-spraakassistent',
+      liveBadge: 'Live demo',
+      presentationBadge: 'Interactieve demo',
+      heroTitle: 'Maak kennis met Robin: uw AI-',
+      heroHighlight: 'afsprakenassistent',
+      heroText: 'Ervaar hoe Robin telefoontjes van patiënten in natuurlijke gesprekken afhandelt, direct afspraken inplant en vragen over de behandelingen van {company} beantwoordt - volledig automatisch, 24/7.',
+      tryTitle: 'Live demo - probeer Robin nu',
+      tryText: 'Hoor precies wat uw patiënten horen als ze {company} bellen. Robin kent alle {serviceCount} behandelingen van uw praktijk.',
+      callTitle: 'Bel {company}',
+      callText: 'Ervaar hoe patiënten met uw AI-assistent praten. Klik op "Gesprek starten" en plan in gesprek met Robin een behandeling in.',
+      startCall: 'Gesprek starten',
+      servicesTitle: 'Robin kent al uw behandelingen',
+      openingHoursTitle: 'Openingstijden',
+      ctaTitle: 'Interesse in AI-oplossingen voor {company}?',
+      ctaText: 'U heeft gezien hoe moeiteloos Robin de telefoontjes van patiënten afhandelt',
+      ctaSubtext: 'Laten we bespreken hoe AI de service aan uw patiënten kan verbeteren',
+      footerTitle: '{company} - demo van de AI-spraakassistent voor het plannen van afspraken',
+      footerPowered: '{contact} • Mogelijk gemaakt door AI-technologie'
+    }
+  },
+  fr: {
+    name: 'French',
+    native: 'Français',
+    address: 'formal "vous"',
+    voiceGreeting: 'Merci d\'avoir appelé {company} ! Ici Robin, votre assistant de prise de rendez-vous. Notre équipe expérimentée est à votre écoute. Pour quel soin puis-je vous proposer un rendez-vous aujourd\'hui ?',
+    voiceGreetingContact: 'Merci d\'avoir appelé {company} ! Ici Robin, l\'assistant de prise de rendez-vous de {contact}. Pour quel soin puis-je vous proposer un rendez-vous aujourd\'hui ?',
+    chatGreeting: 'Merci de contacter {company} ! Je suis Robin, votre assistant de prise de rendez-vous, et je peux vous réserver un rendez-vous avec {contact}. Quel soin vous intéresse ?',
+    availability: ['Avec plaisir, je vous aide à prendre rendez-vous ! Je regarde l\'agenda de {contact}...', 'Pour une consultation, je peux vous proposer <jour> à <heure> ou <jour> à <heure>'],
+    dayNames: ['lun', 'mar', 'mer', 'jeu', 'ven', 'sam', 'dim'],
+    closed: 'fermé',
+    page: {
+      metaTitle: '{company} - Démo de l\'assistant vocal IA',
+      metaDescription: 'Découvrez comment l\'assistant IA Robin répond aux appels des patients de {company}',
+      demoLabel: 'Démo de l\'assistant vocal IA',
+      liveBadge: 'Démo en direct',
+      presentationBadge: 'Démo interactive',
+      heroTitle: 'Voici Robin : votre',
+      heroHighlight: 'assistant de rendez-vous IA',
+      heroText: 'Découvrez comment Robin répond aux appels des patients de façon naturelle, fixe les rendez-vous instantanément et répond aux questions sur les soins de {company} - entièrement automatisé, 24h/24.',
+      tryTitle: 'Démo en direct - essayez Robin',
+      tryText: 'Écoutez exactement ce que vos patients entendront en appelant {company}. Robin connaît les {serviceCount} soins de votre cabinet.',
+      callTitle: 'Appeler {company}',
+      callText: 'Découvrez comment vos patients échangent avec votre assistant IA. Cliquez sur « Démarrer l\'appel » et prenez rendez-vous avec Robin.',
+      startCall: 'Démarrer l\'appel',
+      servicesTitle: 'Robin connaît tous vos soins',
+      openingHoursTitle: 'Horaires d\'ouverture',
+      ctaTitle: 'Des solutions IA pour {company} ?',
+      ctaText: 'Vous avez vu avec quelle aisance Robin gère les appels des patients',
+      ctaSubtext: 'Voyons ensemble comment l\'IA peut améliorer l\'accueil de vos patients',
+      footerTitle: '{company} - démo de l\'assistant vocal IA pour la prise de rendez-vous',
+      footerPowered: '{contact} • Propulsé par l\'IA'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    native: 'Español',
+    address: 'formal "usted"',
+    voiceGreeting: '¡Gracias por llamar a {company}! Le atiende Robin, el asistente de citas. Nuestro experimentado equipo está a su disposición. ¿Para qué tratamiento puedo darle cita hoy?',
+    voiceGreetingContact: '¡Gracias por llamar a {company}! Le atiende Robin, el asistente de citas de {contact}. ¿Para qué tratamiento puedo darle cita hoy?',
+    chatGreeting: '¡Gracias por contactar con {company}! Soy Robin, el asistente de citas, y puedo reservarle una cita con {contact}. ¿Qué servicio le interesa?',
+    availability: ['¡Con mucho gusto le ayudo a pedir cita! Consulto la agenda de {contact}...', 'Para una consulta le puedo ofrecer el <día> a las <hora> o el <día> a las <hora>'],
+    dayNames: ['lun', 'mar', 'mié', 'jue', 'vie', 'sáb', 'dom'],
+    closed: 'cerrado',
+    page: {
+      metaTitle: '{company} - Demo del asistente de voz con IA',
+      metaDescription: 'Descubra cómo el asistente de IA Robin atiende las llamadas de los pacientes de {company}',
+      demoLabel: 'Demo del asistente de voz con IA',
+      liveBadge: 'Demo en vivo',
+      presentationBadge: 'Demo interactiva',
+      heroTitle: 'Conozca a Robin: su',
+      heroHighlight: 'asistente de citas con IA',
+      heroText: 'Descubra cómo Robin atiende las llamadas de los pacientes con conversaciones naturales, da citas al instante y responde preguntas sobre los tratamientos de {company} - totalmente automatizado, 24/7.',
+      tryTitle: 'Demo en vivo - pruebe Robin ahora',
+      tryText: 'Escuche exactamente lo que oirán sus pacientes al llamar a {company}. Robin conoce los {serviceCount} tratamientos de su clínica.',
+      callTitle: 'Llamar a {company}',
+      callText: 'Descubra cómo hablarán sus pacientes con su asistente de IA. Pulse «Iniciar llamada» y pida cita con Robin.',
+      startCall: 'Iniciar llamada',
+      servicesTitle: 'Robin conoce todos sus tratamientos',
+      openingHoursTitle: 'Horario',
+      ctaTitle: '¿Le interesan las soluciones de IA para {company}?',
+      ctaText: 'Ha visto con qué soltura atiende Robin las llamadas de los pacientes',
+      ctaSubtext: 'Hablemos de cómo la IA puede mejorar la atención a sus pacientes',
+      footerTitle: '{company} - demo del asistente de voz con IA para la gestión de citas',
+      footerPowered: '{contact} • Con tecnología de IA'
+    }
+  },
+  it: {
+    name: 'Italian',
+    native: 'Italiano',
+    address: 'formal "Lei"',
+    voiceGreeting: 'Grazie per aver chiamato {company}! Sono Robin, l\'assistente per gli appuntamenti. Il nostro team esperto è a Sua disposizione. Per quale trattamento posso fissarLe un appuntamento oggi?',
+    voiceGreetingContact: 'Grazie per aver chiamato {company}! Sono Robin, l\'assistente per gli appuntamenti di {contact}. Per quale trattamento posso fissarLe un appuntamento oggi?',
+    chatGreeting: 'Grazie per aver contattato {company}! Sono Robin, l\'assistente per gli appuntamenti, e posso fissarLe un appuntamento con {contact}. Quale servizio Le interessa?',
+    availability: ['Con piacere La aiuto a prenotare! Controllo subito l\'agenda di {contact}...', 'Per una visita posso proporLe <giorno> alle <ora> oppure <giorno> alle <ora>'],
+    dayNames: ['lun', 'mar', 'mer', 'gio', 'ven', 'sab', 'dom'],
+    closed: 'chiuso',
+    page: {
+      metaTitle: '{company} - Demo dell\'assistente vocale IA',
+      metaDescription: 'Scopra come l\'assistente IA Robin risponde alle chiamate dei pazienti di {company}',
+      demoLabel: 'Demo dell\'assistente vocale IA',
+      liveBadge: 'Demo dal vivo',
+      presentationBadge: 'Demo interattiva',
+      heroTitle: 'Ecco Robin: il Suo',
+      heroHighlight: 'assistente IA per gli appuntamenti',
+      heroText: 'Scopra come Robin risponde alle chiamate dei pazienti con conversazioni naturali, fissa subito gli appuntamenti e risponde alle domande sui trattamenti di {company} - tutto automatico, 24 ore su 24.',
+      tryTitle: 'Demo dal vivo - provi Robin ora',
+      tryText: 'Ascolti esattamente ciò che sentiranno i Suoi pazienti chiamando {company}. Robin conosce tutti i {serviceCount} trattamenti del Suo studio.',
+      callTitle: 'Chiama {company}',
+      callText: 'Scopra come i pazienti parleranno con il Suo assistente IA. Clicchi su «Avvia chiamata» e prenoti un trattamento parlando con Robin.',
+      startCall: 'Avvia chiamata',
+      servicesTitle: 'Robin conosce tutti i Suoi trattamenti',
+      openingHoursTitle: 'Orari di apertura',
+      ctaTitle: 'Interessato a soluzioni IA per {company}?',
+      ctaText: 'Ha visto con quanta naturalezza Robin gestisce le chiamate dei pazienti',
+      ctaSubtext: 'Parliamo di come l\'IA può migliorare il servizio ai Suoi pazienti',
+      footerTitle: '{company} - demo dell\'assistente vocale IA per la gestione degli appuntamenti',
+      footerPowered: '{contact} • Con tecnologia IA'
+    }
+  }
+};
+
+export function demoCopy(language) {
+  return COPY[language] || COPY[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Template with its {placeholders} filled; unknown placeholders stay as written
+ */
+export function fillCopy(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (values[name] ?? match).toString());
+}
+
+/**
+ * The demo page copy in a language, every placeholder filled
+ */
+export function pageCopy(language, values) {
+  return Object.fromEntries(Object.entries(demoCopy(language).page).map(([key, template]) => [key, fillCopy(template, values)]));
+}
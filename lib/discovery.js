@@ -0,0 +1,342 @@
+/**
+ * 🧭 PRACTICE DISCOVERY
+ *
+ * Candidate practices come from several sources behind one interface:
+ *   exa      - EXA neural web search
+ *   overpass - OpenStreetMap POIs (amenity=clinic|dentist|doctors, healthcare=*)
+ *   seed     - static seed list (DISCOVERY_SEED_FILE)
+ *   uploaded - practice lists uploaded through the API
+ * DiscoveryService queries them in parallel, merges candidates by domain and
+ * ranks them: better positions, heavier sources and agreement between
+ * sources all raise a candidate's score.
+ */
+
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { JsonStore } from './json-store.js';
+import { normalizeDomain } from './lead-registry.js';
+import { resolveSpecialty } from './specialties.js';
+
+// Query words that say nothing about which practices are wanted
+const GENERIC_TERMS = new Set([
+  'a', 'an', 'and', 'the', 'in', 'of', 'for', 'with', 'near', 'me', 'find', 'search', 'get', 'generate', 'leads', 'lead',
+  'clinic', 'clinics', 'practice', 'practices', 'center', 'centre', 'centers', 'centres', 'doctor', 'doctors',
+  'medical', 'healthcare', 'health', 'best', 'top'
+]);
+
+// Specialty (any taxonomy synonym) → OSM tag filter
+function osmSpecialtyFilter(specialty) {
+  return resolveSpecialty(specialty)?.osm || null;
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Terms a candidate has to mention: specialty + location when given,
+ * otherwise the meaningful words of the free-text query
+ */
+export function requestTerms({ query, specialty, location }) {
+  const source = specialty || location ? `${specialty || ''} ${location || ''}` : query;
+  return [...new Set(words(source).filter(word => !GENERIC_TERMS.has(word) && !/^\d+$/.test(word)))];
+}
+
+export function matchesRequest(candidate, request) {
+  const terms = requestTerms(request);
+  const haystack = `${candidate.title} ${candidate.text} ${candidate.location || ''} ${candidate.specialty || ''} ${candidate.url}`.toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+// Backfill phrasings - {s} is the specialty (or the query), {p} " <location>"
+const QUERY_TEMPLATES = ['{s} clinic{p}', '{s} practice{p}', '{s} specialist{p}', 'private {s} practice{p}', '{s} centre{p}'];
+
+/**
+ * The original query followed by alternative phrasings, for search rounds
+ * that need more candidates than the first query produced
+ */
+export function queryVariations(query, { specialty = null, location = null } = {}) {
+  const subject = specialty || query;
+  const place = specialty && location ? ` ${location}` : '';
+  const variations = [query, ...QUERY_TEMPLATES.map(template => template.replace('{s}', subject).replace('{p}', place))];
+  return variations.filter((variation, index) =>
+    variations.findIndex(other => other.toLowerCase() === variation.toLowerCase()) === index);
+}
+
+function toCandidate(entry, source) {
+  return {
+    id: entry.id || `${source}-${normalizeDomain(entry.url)}`,
+    url: entry.url,
+    title: entry.title || entry.name || normalizeDomain(entry.url),
+    text: entry.text || entry.snippet || entry.description || '',
+    location: entry.location || null,
+    specialty: entry.specialty || null,
+    source
+  };
+}
+
+function validUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export class DiscoverySource {
+  constructor(name, { weight = 1 } = {}) {
+    this.name = name;
+    this.weight = weight;
+  }
+
+  /**
+   * Resolve to candidates for { query, specialty, location, limit }, best first
+   */
+  async discover() {
+    throw new Error(`${this.name} discovery is not implemented`);
+  }
+}
+
+export class ExaDiscoverySource extends DiscoverySource {
+  /**
+   * search(payload) performs the EXA /search request and resolves to its results
+   */
+  constructor({ search, weight = 1 }) {
+    super('exa', { weight });
+    this.search = search;
+  }
+
+  async discover({ query, specialty, location, limit }) {
+    const results = await this.search({
+      query: query || `${specialty || 'healthcare'} clinic practice ${location || ''}`.trim(),
+      type: 'neural',
+      useAutoprompt: true,
+      numResults: Math.min(limit, 40),
+      category: 'healthcare',
+      startPublishedDate: '2020-01-01'
+    });
+
+    return results.map(result => toCandidate({ ...result, snippet: result.text }, this.name));
+  }
+}
+
+/**
+ * Build the Overpass QL query for healthcare POIs with a website in an area
+ */
+export function buildOverpassQuery({ location, specialty, limit = 50 }) {
+  // Match the local or English name - "Wien" and "Vienna" are the same area
+  const area = location.split(',')[0].trim().replace(/["\\]/g, '').replace(/[.*+?^${}()|[\]]/g, '\\\\$&');
+  const specialtyFilter = osmSpecialtyFilter(specialty);
+  const selectors = specialtyFilter
+    ? [`nwr${specialtyFilter}["website"](area.searchArea);`]
+    : [
+      'nwr["amenity"~"^(clinic|dentist|doctors)$"]["website"](area.searchArea);',
+      'nwr["healthcare"]["website"](area.searchArea);'
+    ];
+
+  return `[out:json][timeout:25];
+area["boundary"="administrative"][~"^name(:en)?$"~"^${area}$",i]->.searchArea;
+(
+  ${selectors.join('\n  ')}
+);
+out center tags ${limit};`;
+}
+
+export class OverpassDiscoverySource extends DiscoverySource {
+  /**
+   * request(query) posts Overpass QL and resolves to the response elements
+   */
+  constructor({ request, weight = 0.8 }) {
+    super('overpass', { weight });
+    this.request = request;
+  }
+
+  async discover({ specialty, location, limit }) {
+    // A worldwide POI query is far too expensive - OSM needs an area
+    if (!location) {
+      return [];
+    }
+
+    const elements = await this.request(buildOverpassQuery({ location, specialty, limit: limit * 2 }));
+
+    return elements
+      .map(element => element.tags || {})
+      .filter(tags => tags.name && validUrl(tags.website || tags['contact:website']))
+      .map(tags => toCandidate({
+        url: tags.website || tags['contact:website'],
+        title: tags.name,
+        text: [tags['healthcare:speciality'], tags.amenity, tags.healthcare, tags['addr:street'], tags['addr:city']].filter(Boolean).join(' '),
+        location: [tags['addr:city'], tags['addr:country']].filter(Boolean).join(', ') || location,
+        specialty: tags['healthcare:speciality'] || tags.healthcare || tags.amenity
+      }, this.name))
+      // Specialties without an OSM tag are matched on names and tags instead
+      .filter(candidate => !specialty || osmSpecialtyFilter(specialty) || matchesRequest(candidate, { specialty }))
+      .slice(0, limit);
+  }
+}
+
+export class StaticSeedSource extends DiscoverySource {
+  constructor({ seeds = [], filePath = null, weight = 0.6 }) {
+    super('seed', { weight });
+    this.seeds = seeds;
+    this.filePath = filePath;
+    this.loaded = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.filePath
+        ? fs.readFile(this.filePath, 'utf8').then(content => [...this.seeds, ...JSON.parse(content)])
+        : Promise.resolve(this.seeds);
+    }
+    return this.loaded;
+  }
+
+  async discover(request) {
+    const seeds = await this.load();
+    return seeds
+      .filter(seed => validUrl(seed.url))
+      .map(seed => toCandidate(seed, this.name))
+      .filter(candidate => matchesRequest(candidate, request))
+      .slice(0, request.limit);
+  }
+}
+
+export class UploadedListSource extends DiscoverySource {
+  constructor({ filePath, weight = 1.2 }) {
+    super('uploaded', { weight });
+    this.store = new JsonStore(filePath, { lists: {} });
+    this.lists = null;
+  }
+
+  async load() {
+    if (!this.lists) {
+      this.lists = (await this.store.read()).lists || {};
+    }
+    return this.lists;
+  }
+
+  async all() {
+    return Object.values(await this.load()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Store a named list of practices ({ url, title?, location?, specialty? });
+   * entries without a valid http(s) URL are rejected and reported back
+   */
+  async addList(name, practices) {
+    const lists = await this.load();
+    const accepted = [];
+    const rejected = [];
+
+    practices.forEach((practice, index) => {
+      if (practice && validUrl(practice.url)) {
+        accepted.push({ url: practice.url, title: practice.title || practice.name || null, location: practice.location || null, specialty: practice.specialty || null });
+      } else {
+        rejected.push({ index, reason: 'missing or invalid url' });
+      }
+    });
+
+    const list = { id: `list-${randomUUID().slice(0, 8)}`, name, practices: accepted, createdAt: new Date().toISOString() };
+    if (accepted.length > 0) {
+      lists[list.id] = list;
+      await this.store.write({ lists });
+    }
+    return { list, rejected };
+  }
+
+  async removeList(listId) {
+    const lists = await this.load();
+    const list = lists[listId] || null;
+    if (list) {
+      delete lists[listId];
+      await this.store.write({ lists });
+    }
+    return list;
+  }
+
+  async discover(request) {
+    const lists = await this.all();
+    return lists
+      .flatMap(list => list.practices.map(practice => ({ ...toCandidate(practice, this.name), list: list.name })))
+      .filter(candidate => matchesRequest(candidate, request))
+      .slice(0, request.limit);
+  }
+}
+
+export class DiscoveryService {
+  constructor({ sources = [], logger = () => {} }) {
+    this.sources = sources;
+    this.logger = logger;
+  }
+
+  sourceNames() {
+    return this.sources.map(source => source.name);
+  }
+
+  /**
+   * Query the (optionally restricted) sources in parallel, then merge and rank.
+   * Resolves to { candidates, sources: [{ name, count, error }] }; throws only
+   * when every source failed.
+   */
+  async discover({ query = '', specialty = null, location = null, limit = 10, sources = null }) {
+    const selected = sources ? this.sources.filter(source => sources.includes(source.name)) : this.sources;
+    if (selected.length === 0) {
+      throw new Error(`No discovery sources selected (available: ${this.sourceNames().join(', ')})`);
+    }
+
+    const request = { query, specialty, location, limit };
+    const settled = await Promise.allSettled(selected.map(source => source.discover(request)));
+
+    const report = settled.map((outcome, index) => ({
+      name: selected[index].name,
+      count: outcome.status === 'fulfilled' ? outcome.value.length : 0,
+      error: outcome.status === 'rejected' ? outcome.reason.message : null
+    }));
+    report.forEach(entry => this.logger(entry.error
+      ? `   ⚠️ Discovery source ${entry.name} failed: ${entry.error}`
+      : `   🧭 Discovery source ${entry.name}: ${entry.count} candidate(s)`));
+
+    const failures = settled.filter(outcome => outcome.status === 'rejected');
+    if (failures.length === selected.length) {
+      throw failures[0].reason;
+    }
+
+    const merged = new Map();
+    settled.forEach((outcome, sourceIndex) => {
+      if (outcome.status !== 'fulfilled') {
+        return;
+      }
+      const { weight, name } = selected[sourceIndex];
+      const results = outcome.value;
+
+      results.forEach((candidate, position) => {
+        const domain = normalizeDomain(candidate.url);
+        const positionScore = weight * (results.length - position) / results.length;
+        const existing = merged.get(domain);
+
+        if (existing) {
+          existing.score += positionScore;
+          existing.sources.push(name);
+          // Fill gaps from the other sources (e.g. OSM knows the city, EXA the snippet)
+          for (const field of ['text', 'location', 'specialty']) {
+            existing[field] = existing[field] || candidate[field];
+          }
+        } else {
+          merged.set(domain, { ...candidate, domain, sources: [name], score: positionScore });
+        }
+      });
+    });
+
+    const candidates = [...merged.values()]
+      .map(candidate => ({
+        ...candidate,
+        snippet: candidate.text,
+        // Being found independently by several sources is a strong signal
+        score: Math.round(candidate.score * (1 + 0.25 * (candidate.sources.length - 1)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return { candidates, sources: report };
+  }
+}
@@ -0,0 +1,793 @@
+/**
+ * 🧪 IN-PROCESS FAKE PROVIDERS
+ *
+ * Express router that imitates the parts of EXA, Overpass, OpenRouter, Notion,
+ * GitHub, Railway and ElevenLabs the agent uses, plus a handful of clinic
+ * websites.
+ * Mounted by the agent at /__fake when PROVIDER_MODE=fake.
+ *
+ * Failures can be injected per provider:
+ *   FAKE_PROVIDER_FAILURES="github=0.2,railway=0.1"  random 503s at that rate
+ *   POST /__fake/__control/failures { "github": { "status": 503, "times": 2 } }
+ * GET /__fake/__control/state shows everything the fakes have recorded.
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+export const FAKE_OWNER = 'fake-healthcare-agent';
+
+export const FAKE_CLINICS = [
+  {
+    url: 'https://www.smile-dental-wien.at/',
+    name: 'Smile Dental Wien',
+    specialty: 'dental',
+    location: 'Vienna, Austria',
+    phone: '+43 1 234 5678',
+    email: 'ordination@smile-dental-wien.at',
+    // Publishes a schema.org Dentist in JSON-LD on its home page
+    markup: 'json-ld',
+    htmlLang: 'de-AT',
+    address: { street: 'Mariahilfer Straße 45', postalCode: '1060', city: 'Wien', country: 'AT' },
+    // Price list on the services page ("60 Min. – € 95,-")
+    prices: { Prophylaxis: { minutes: 60, price: '€ 95,-' }, 'Teeth Whitening': { minutes: 90, price: '€ 390,-' } },
+    geo: { latitude: 48.1986, longitude: 16.3548 },
+    // theme-color meta plus brand variables in its stylesheet
+    brand: { themeColor: '#14b8a6', css: ':root{--brand-primary:#14b8a6;--text:#333333}\n.btn-primary{background-color:#14b8a6;color:#fff}' },
+    services: ['Dental Implants', 'Teeth Whitening', 'Invisalign', 'Prophylaxis']
+  },
+  {
+    url: 'https://www.harley-aesthetics.co.uk/',
+    name: 'Harley Street Aesthetics',
+    specialty: 'aesthetic',
+    location: 'London, UK',
+    phone: '+44 20 7946 0321',
+    email: 'hello@harley-aesthetics.co.uk',
+    // Gold buttons too light for white text, and a header logo
+    brand: { css: '.button{background:#c9a96e;color:#fff}\na{color:#1f2937}', logo: '/images/harley-logo.svg' },
+    prices: { Botox: { minutes: 30, price: 'from £250' }, 'Dermal Fillers': { minutes: 45, price: 'from £350' } },
+    services: ['Botox', 'Dermal Fillers', 'Chemical Peels', 'Laser Hair Removal']
+  },
+  {
+    url: 'https://www.fysio-centrum-amsterdam.nl/',
+    name: 'Fysio Centrum Amsterdam',
+    specialty: 'physiotherapy',
+    location: 'Amsterdam, Netherlands',
+    phone: '+31 20 555 0198',
+    email: 'info@fysio-centrum-amsterdam.nl',
+    // Shown as "info [at] … [dot] nl" without a mailto: link, like many real sites
+    obfuscateEmail: true,
+    // Theme without a lang attribute - only the Dutch text and the TLD tell
+    htmlLang: null,
+    services: ['Sports Physiotherapy', 'Manual Therapy', 'Dry Needling']
+  },
+  {
+    url: 'https://www.hautarzt-berlin-mitte.de/',
+    name: 'Hautarztpraxis Berlin Mitte',
+    specialty: 'dermatology',
+    location: 'Berlin, Germany',
+    phone: '+49 30 1234 5670',
+    email: 'praxis@hautarzt-berlin-mitte.de',
+    markup: 'microdata',
+    address: { street: 'Torstraße 112', postalCode: '10119', city: 'Berlin', country: 'DE' },
+    services: ['Skin Cancer Screening', 'Acne Treatment', 'Laser Therapy']
+  },
+  {
+    url: 'https://www.brooklynfamilymedicine.com/',
+    name: 'Brooklyn Family Medicine',
+    specialty: 'general practice',
+    location: 'New York, NY',
+    phone: '+1 718-555-0142',
+    email: 'frontdesk@brooklynfamilymedicine.com',
+    markup: 'rdfa',
+    address: { street: '350 Atlantic Avenue', postalCode: '11217', city: 'Brooklyn', region: 'NY', country: 'US' },
+    services: ['Annual Physicals', 'Vaccinations', 'Chronic Care Management']
+  },
+  {
+    url: 'https://www.bondi-skin-clinic.com.au/',
+    name: 'Bondi Skin Clinic',
+    specialty: 'cosmetic',
+    location: 'Sydney, Australia',
+    phone: '+61 2 9555 0110',
+    email: 'bookings@bondi-skin-clinic.com.au',
+    services: ['Cosmetic Injectables', 'Skin Needling', 'IPL Treatments']
+  }
+];
+
+// Results a real search returns too - the agent is expected to filter them out
+const FAKE_NOISE_RESULTS = [
+  { url: 'https://www.linkedin.com/company/harley-street-aesthetics', title: 'Harley Street Aesthetics | LinkedIn' },
+  { url: 'https://www.yelp.com/search?find_desc=dentist&find_loc=Vienna', title: 'Top 10 Best Dentists in Vienna - Yelp' },
+  { url: 'https://www.doctolib.de/hautarzt/berlin', title: 'Hautarzt in Berlin - Termin online buchen' },
+  { url: 'https://www.smilecare-group.com/locations/', title: 'SmileCare Group | Find a clinic near you', text: 'Dental clinics in Vienna, Berlin and London.' },
+  { url: 'https://www.dental-health-digest.com/blog/how-to-choose-a-dentist', title: 'How to choose a dentist in Vienna', text: 'Tips for finding a dental practice.' },
+  { url: 'https://www.medicaltimes-europe.com/news/aesthetic-clinics-boom', title: 'Aesthetic clinic demand in London, report finds', text: 'Demand for aesthetic treatments keeps growing.' }
+];
+
+// OSM tags per specialty, as mapped in OpenStreetMap
+const FAKE_OSM_TAGS = {
+  dental: { amenity: 'dentist', healthcare: 'dentist' },
+  physiotherapy: { healthcare: 'physiotherapist' },
+  dermatology: { amenity: 'doctors', healthcare: 'doctor', 'healthcare:speciality': 'dermatology' },
+  'general practice': { amenity: 'doctors', healthcare: 'doctor', 'healthcare:speciality': 'general' },
+  aesthetic: { amenity: 'clinic', healthcare: 'clinic', 'healthcare:speciality': 'plastic_surgery' },
+  cosmetic: { amenity: 'clinic', healthcare: 'clinic', 'healthcare:speciality': 'dermatology' }
+};
+
+function osmElement(clinic, index) {
+  const [city, country] = clinic.location.split(',').map(part => part.trim());
+  return {
+    type: 'node',
+    id: 1000 + index,
+    tags: {
+      name: clinic.name,
+      website: clinic.url,
+      phone: clinic.phone,
+      'addr:city': city,
+      'addr:country': country,
+      ...FAKE_OSM_TAGS[clinic.specialty]
+    }
+  };
+}
+
+function clinicForUrl(url) {
+  const host = hostOf(url);
+  return FAKE_CLINICS.find(clinic => hostOf(clinic.url) === host) || null;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Subpage paths per site language (German for .at/.de, Dutch for .nl)
+const FAKE_SITE_PATHS = {
+  de: { services: '/leistungen', team: '/team', about: '/ueber-uns', contact: '/kontakt' },
+  nl: { services: '/behandelingen', team: '/team', about: '/over-ons', contact: '/contact' },
+  en: { services: '/services', team: '/our-team', about: '/about-us', contact: '/contact' }
+};
+
+function siteLanguage(clinic) {
+  const tld = hostOf(clinic.url).split('.').pop();
+  return { at: 'de', de: 'de', nl: 'nl' }[tld] || 'en';
+}
+
+function sitePaths(clinic) {
+  return FAKE_SITE_PATHS[siteLanguage(clinic)];
+}
+
+// Navigation and prose per site language
+const FAKE_COPY = {
+  de: {
+    nav: ['Startseite', 'Leistungen', 'Team', 'Über uns', 'Kontakt', 'Mitarbeiter-Login', 'Preisliste (PDF)'],
+    welcome: clinic => `Willkommen in der ${clinic.name}! Wir sind Ihre Praxis in ${clinic.location} und nehmen uns Zeit für Sie und Ihre Fragen.`,
+    ourServices: 'Unsere Leistungen',
+    treatments: clinic => `Behandlungen in der ${clinic.name}`,
+    service: (clinic, service) => `${service} bieten wir in unserer Praxis in ${clinic.location} mit viel Erfahrung an.`,
+    prices: 'Preise',
+    team: ['Unser Team', clinic => `Das Team der ${clinic.name} ist für Sie da und freut sich auf Ihren Besuch.`],
+    about: ['Über uns', clinic => `Die ${clinic.name} betreut Patientinnen und Patienten in ${clinic.location} seit vielen Jahren.`],
+    contact: 'Kontakt'
+  },
+  nl: {
+    nav: ['Home', 'Behandelingen', 'Team', 'Over ons', 'Contact', 'Inloggen medewerkers', 'Prijslijst (PDF)'],
+    welcome: clinic => `Welkom bij ${clinic.name}! Wij zijn uw praktijk in ${clinic.location} en nemen de tijd voor u en uw vragen.`,
+    ourServices: 'Onze behandelingen',
+    treatments: clinic => `Behandelingen bij ${clinic.name}`,
+    service: (clinic, service) => `${service} wordt bij ons in ${clinic.location} door ervaren therapeuten gegeven.`,
+    prices: 'Tarieven',
+    team: ['Ons team', clinic => `Het team van ${clinic.name} staat voor u klaar en helpt u graag verder.`],
+    about: ['Over ons', clinic => `${clinic.name} is al vele jaren de praktijk voor patiënten in ${clinic.location}.`],
+    contact: 'Contact'
+  },
+  en: {
+    nav: ['Home', 'Services', 'Team', 'About', 'Contact', 'Staff login', 'Price list (PDF)'],
+    welcome: clinic => `Welcome to ${clinic.name}, your ${clinic.specialty} practice in ${clinic.location}.`,
+    ourServices: 'Our services',
+    treatments: clinic => `Treatments at ${clinic.name}`,
+    service: (clinic, service) => `${service} at our ${clinic.specialty} practice in ${clinic.location}.`,
+    prices: 'Prices',
+    team: ['Our team', clinic => `The ${clinic.name} team of ${clinic.specialty} specialists.`],
+    about: ['About us', clinic => `${clinic.name} has cared for patients in ${clinic.location} for many years.`],
+    contact: 'Contact'
+  }
+};
+
+function siteCopy(clinic) {
+  return FAKE_COPY[siteLanguage(clinic)];
+}
+
+function clinicPage(clinic, heading, body) {
+  const paths = sitePaths(clinic);
+  const [home, services, team, about, contact, staff, priceList] = siteCopy(clinic).nav;
+  const lang = 'htmlLang' in clinic ? clinic.htmlLang : siteLanguage(clinic);
+  return `<!DOCTYPE html>
+<html${lang ? ` lang="${lang}"` : ''}>
+<head>
+  <title>${heading ? `${heading} | ` : ''}${clinic.name} | ${clinic.location}</title>
+  <meta name="description" content="${clinic.name} - ${clinic.specialty} clinic in ${clinic.location}">
+  <meta property="og:site_name" content="${clinic.name}">
+${clinic.brand?.themeColor ? `  <meta name="theme-color" content="${clinic.brand.themeColor}">\n` : ''}${clinic.brand?.css ? '  <link rel="stylesheet" href="/assets/site.css">\n' : ''}  <link rel="icon" href="/favicon.png">
+</head>
+<body>
+  <header>
+${clinic.brand?.logo ? `    <a href="/"><img class="site-logo" src="${clinic.brand.logo}" alt="${clinic.name} logo"></a>\n` : ''}    <h1>${clinic.name}</h1>
+    <nav>
+      <a href="/">${home}</a>
+      <a href="${paths.services}">${services}</a>
+      <a href="${paths.team}">${team}</a>
+      <a href="${paths.about}">${about}</a>
+      <a href="${paths.contact}">${contact}</a>
+      <a href="/intern/">${staff}</a>
+      <a href="/downloads/price-list.pdf">${priceList}</a>
+      <a href="https://www.instagram.com/${hostOf(clinic.url).split('.')[0]}">Instagram</a>
+    </nav>
+  </header>
+  <main>
+${body}
+  </main>
+  <footer>
+    <p>&copy; ${clinic.name}</p>
+  </footer>
+</body>
+</html>`;
+}
+
+function clinicJsonLd(clinic) {
+  const { address } = clinic;
+  return `    <script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', name: clinic.name, url: clinic.url },
+      {
+        '@type': clinic.specialty === 'dental' ? 'Dentist' : 'MedicalClinic',
+        name: clinic.name,
+        url: clinic.url,
+        telephone: clinic.phone,
+        email: clinic.email,
+        address: { '@type': 'PostalAddress', streetAddress: address.street, postalCode: address.postalCode, addressLocality: address.city, addressCountry: address.country },
+        geo: clinic.geo && { '@type': 'GeoCoordinates', ...clinic.geo },
+        openingHoursSpecification: [
+          { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday'], opens: '08:00', closes: '18:00' },
+          { '@type': 'OpeningHoursSpecification', dayOfWeek: 'https://schema.org/Friday', opens: '08:00', closes: '13:00' }
+        ],
+        sameAs: [`https://www.instagram.com/${hostOf(clinic.url).split('.')[0]}`],
+        availableService: clinic.services.map(service => ({ '@type': 'MedicalProcedure', name: service }))
+      }
+    ]
+  })}</script>
+`;
+}
+
+// Contact block as schema.org microdata or RDFa, the way CMS themes mark it up
+function clinicContactMarkup(clinic) {
+  const { address } = clinic;
+  const [scope, type, prop] = clinic.markup === 'rdfa'
+    ? ['vocab="https://schema.org/"', type => `typeof="${type}"`, name => `property="${name}"`]
+    : ['', type => `itemscope itemtype="https://schema.org/${type}"`, name => `itemprop="${name}"`];
+  return `    <div ${scope} ${type('MedicalClinic')}>
+      <h3 ${prop('name')}>${clinic.name}</h3>
+      <p ${prop('address')} ${type('PostalAddress')}>
+        <span ${prop('streetAddress')}>${address.street}</span>,
+        <span ${prop('postalCode')}>${address.postalCode}</span> <span ${prop('addressLocality')}>${address.city}</span>${address.region ? `, <span ${prop('addressRegion')}>${address.region}</span>` : ''}
+        <meta ${prop('addressCountry')} content="${address.country}">
+      </p>
+      <p>Phone: <span ${prop('telephone')}>${clinic.phone}</span></p>
+      <meta ${prop('openingHours')} content="Mo-Fr 08:00-17:00">
+      <p>Open Monday to Friday, 8am to 5pm</p>
+    </div>`;
+}
+
+function clinicHtml(clinic) {
+  const copy = siteCopy(clinic);
+  return clinicPage(clinic, null, `${clinic.markup === 'json-ld' ? clinicJsonLd(clinic) : ''}    <p>${copy.welcome(clinic)}</p>
+    <h2>${copy.ourServices}</h2>
+    <ul>${clinic.services.map(service => `<li>${service}</li>`).join('')}</ul>`);
+}
+
+// Opening hours as the contact page shows them, in the site's language
+const FAKE_HOURS = {
+  de: ['Öffnungszeiten', [['Mo – Do', '08:00 – 12:00 und 14:00 – 18:00'], ['Fr', '08:00 – 13:00'], ['Sa, So', 'geschlossen']], 'Zwischen Weihnachten und Neujahr bleibt die Praxis geschlossen.'],
+  nl: ['Openingstijden', [['ma t/m vr', '08.00 - 18.00 uur'], ['za', '09.00 - 12.00 uur'], ['zo', 'gesloten']], 'Tijdens de feestdagen zijn wij gesloten.'],
+  en: ['Opening hours', [['Monday – Friday', '9am – 5pm'], ['Saturday', '10am – 2pm'], ['Sunday', 'Closed']], 'Closed on bank holidays.']
+};
+
+function clinicHoursHtml(clinic) {
+  const [heading, rows, note] = FAKE_HOURS[siteLanguage(clinic)];
+  return `    <h3>${heading}</h3>
+    <table>${rows.map(([days, hours]) => `<tr><td>${days}</td><td>${hours}</td></tr>`).join('')}</table>
+    <p>${note}</p>`;
+}
+
+/**
+ * A clinic's pages by path - home, services, team, about, contact -
+ * plus robots.txt (keeping crawlers out of /intern/) and sitemap.xml
+ */
+function clinicSiteResponse(clinic, pathname) {
+  const paths = sitePaths(clinic);
+  const copy = siteCopy(clinic);
+  const origin = new URL(clinic.url).origin;
+  const path = pathname.replace(/\/+$/, '') || '/';
+
+  switch (path) {
+    case '/':
+      return { type: 'html', body: clinicHtml(clinic) };
+    case '/assets/site.css':
+      return clinic.brand?.css ? { type: 'css', body: clinic.brand.css } : null;
+    case '/robots.txt':
+      return { type: 'text', body: `User-agent: *\nDisallow: /intern/\nSitemap: ${origin}/sitemap.xml\n` };
+    case '/sitemap.xml':
+      return {
+        type: 'xml',
+        body: `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${['/', ...Object.values(paths), '/blog/welcome', '/intern/team-kalender']
+          .map(page => `<url><loc>${origin}${page}</loc></url>`).join('')}</urlset>`
+      };
+    case paths.services:
+      return {
+        type: 'html',
+        body: clinicPage(clinic, copy.nav[1], `    <h2>${copy.treatments(clinic)}</h2>
+    <ul>${clinic.services.map(service => `<li><h3>${service}</h3><p>${copy.service(clinic, service)}</p></li>`).join('')}</ul>${clinic.prices ? `
+    <h2>${copy.prices}</h2>
+    <table>${Object.entries(clinic.prices).map(([service, { minutes, price }]) => `<tr><td>${service}</td><td>${minutes} min</td><td>${price}</td></tr>`).join('')}</table>` : ''}`)
+      };
+    case paths.team:
+      return { type: 'html', body: clinicPage(clinic, copy.nav[2], `    <h2>${copy.team[0]}</h2>\n    <p>${copy.team[1](clinic)}</p>`) };
+    case paths.about:
+      return { type: 'html', body: clinicPage(clinic, copy.nav[3], `    <h2>${copy.about[0]}</h2>\n    <p>${copy.about[1](clinic)}</p>`) };
+    case paths.contact:
+      return {
+        type: 'html',
+        body: clinicPage(clinic, copy.contact, `    <h2>${copy.contact}</h2>
+    <address>${clinic.name}, ${clinic.location}</address>
+${['microdata', 'rdfa'].includes(clinic.markup) ? `${clinicContactMarkup(clinic)}\n` : ''}${clinicHoursHtml(clinic)}
+    <p>Phone: <a href="tel:${clinic.phone.replace(/[^+\d]/g, '')}">${clinic.phone}</a></p>
+    <p>Email: ${clinic.obfuscateEmail
+      ? clinic.email.replace('@', ' [at] ').replace(/\.(\w+)$/, ' [dot] $1')
+      : `<a href="mailto:${clinic.email}">${clinic.email}</a>`}</p>`)
+      };
+    case '/intern':
+      return { type: 'html', body: clinicPage(clinic, 'Intern', '    <p>Staff only.</p>') };
+    default:
+      return null;
+  }
+}
+
+function completion(message) {
+  return {
+    id: `chatcmpl-${randomUUID()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'fake/llm',
+    choices: [{ index: 0, message: { role: 'assistant', content: null, ...message }, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * Canned answers for the prompts the agent sends. The clinic a prompt is
+ * about is recognised by name or URL.
+ */
+function answerChat(body) {
+  const messages = body.messages || [];
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const user = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const clinic = FAKE_CLINICS.find(candidate => user.includes(candidate.name) || user.includes(candidate.url));
+
+  if (body.tools) {
+    if (/\b(find|search|generate|get|look for|leads?|clinics?|practices?)\b/i.test(user)) {
+      const count = parseInt(user.match(/\b(\d{1,2})\b/)?.[1] || '5', 10);
+      // "… without hair removal" becomes a filter; "filter: <expr>" is passed through verbatim
+      const exclusion = user.match(/\bwithout\s+([a-z\s-]+?)\s*$/i)?.[1];
+      const expression = user.match(/\bfilter:\s*(.+)$/i)?.[1];
+      const filters = expression ? [expression] : exclusion ? [`NOT "${exclusion}"`] : undefined;
+      const query = user.replace(/\s*\b(without|filter:)\s.*$/i, '');
+      return completion({
+        tool_calls: [{
+          id: `call_${randomUUID().slice(0, 8)}`,
+          type: 'function',
+          function: { name: 'web_search_exa', arguments: JSON.stringify({ query, count, filters }) }
+        }]
+      });
+    }
+    return completion({ content: 'Tell me which kind of clinics to look for and where, e.g. "Find 3 dental practices in Vienna".' });
+  }
+
+  if (user.includes('CANDIDATES:') && user.includes('isRealPractice')) {
+    const request = words(user.match(/USER REQUEST: (.*)/)?.[1]);
+    const verdicts = [...user.matchAll(/^URL: (\S+)/gm)].map(([, url], index) => {
+      const candidate = clinicForUrl(url);
+      if (!candidate) {
+        return { id: index + 1, score: 0.1, specialty: null, location: null, isRealPractice: false, reason: 'Not a known practice website.' };
+      }
+      const otherCity = FAKE_CLINICS.some(other => other !== candidate && request.includes(words(other.location)[0]));
+      return {
+        id: index + 1,
+        score: otherCity ? 0.2 : 0.9,
+        specialty: candidate.specialty,
+        location: candidate.location,
+        isRealPractice: true,
+        reason: otherCity ? `Located in ${candidate.location}, not the requested area.` : `${candidate.specialty} practice in ${candidate.location}.`
+      };
+    });
+    // Real models like to wrap JSON in a code fence
+    return completion({ content: `\`\`\`json\n${JSON.stringify(verdicts, null, 2)}\n\`\`\`` });
+  }
+
+  if (system.includes('clinic address/location')) {
+    return completion({ content: clinic ? clinic.location : 'null' });
+  }
+
+  if (system.includes('service catalogue from clinic website')) {
+    const catalogue = (clinic?.services || []).map(name => ({
+      name,
+      description: `${name} at ${clinic.name}`,
+      durationMinutes: clinic.prices?.[name]?.minutes ?? null,
+      price: null,
+      currency: null
+    }));
+    return completion({ content: JSON.stringify(catalogue) });
+  }
+
+  return completion({ content: clinic ? `${clinic.name} (${clinic.location})` : 'null' });
+}
+
+function notionError(res, status, code, message) {
+  return res.status(status).json({ object: 'error', status, code, message });
+}
+
+function matchesNotionFilter(page, filter) {
+  if (!filter) {
+    return true;
+  }
+  const value = page.properties[filter.property]?.url || '';
+  return filter.url?.contains ? value.includes(filter.url.contains) : true;
+}
+
+function graphqlVariable(body, name) {
+  return body.variables?.[name] ?? body.variables?.input?.[name];
+}
+
+export function createFakeProviders({ failureRates = {}, latencyMs = 0, logger = () => {} } = {}) {
+  const state = {
+    exa: { searches: [] },
+    overpass: { queries: [] },
+    openrouter: { completions: 0 },
+    notion: { pages: {} },
+    github: { repositories: {} },
+    railway: { projects: {} },
+    elevenlabs: { agents: {} },
+    requests: []
+  };
+  const scheduledFailures = {};
+  const router = express.Router();
+  router.use(express.json({ limit: '5mb' }));
+  router.use(express.urlencoded({ extended: false }));
+
+  // Control endpoints come first so they are never failed or delayed
+  router.get('/__control/state', (req, res) => res.json(state));
+
+  router.post('/__control/failures', (req, res) => {
+    for (const [provider, failure] of Object.entries(req.body || {})) {
+      if (failure.rate !== undefined) {
+        failureRates[provider] = failure.rate;
+      }
+      if (failure.times) {
+        scheduledFailures[provider] = { status: failure.status || 503, remaining: failure.times };
+      }
+    }
+    res.json({ failureRates, scheduledFailures });
+  });
+
+  router.post('/__control/reset', (req, res) => {
+    state.exa.searches = [];
+    state.overpass.queries = [];
+    state.openrouter.completions = 0;
+    state.notion.pages = {};
+    state.github.repositories = {};
+    state.railway.projects = {};
+    state.elevenlabs.agents = {};
+    state.requests = [];
+    Object.keys(scheduledFailures).forEach(provider => delete scheduledFailures[provider]);
+    res.json({ reset: true });
+  });
+
+  // Latency, request log and failure injection for every provider route
+  router.use('/:provider', async (req, res, next) => {
+    const { provider } = req.params;
+    state.requests.push({ provider, method: req.method, path: req.path, at: new Date().toISOString() });
+    logger(`🧪 fake ${provider}: ${req.method} ${req.path}`);
+
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const scheduled = scheduledFailures[provider];
+    if (scheduled?.remaining > 0) {
+      scheduled.remaining -= 1;
+      return res.status(scheduled.status).set('Retry-After', '0').json({ error: `Injected ${provider} failure` });
+    }
+    if (Math.random() < (failureRates[provider] || 0)) {
+      return res.status(503).set('Retry-After', '0').json({ error: `Injected ${provider} outage` });
+    }
+
+    // Real providers reject unauthenticated calls - so do the fakes (Overpass is public)
+    if (!['web', 'overpass'].includes(provider) && !req.get('authorization') && !req.get('xi-api-key')) {
+      return res.status(401).json({ error: 'Missing credentials' });
+    }
+    next();
+  });
+
+  // EXA
+  router.post('/exa/search', (req, res) => {
+    const query = words(req.body.query);
+    const limit = req.body.numResults || 10;
+    state.exa.searches.push(req.body.query);
+
+    const ranked = FAKE_CLINICS
+      .map(clinic => ({
+        clinic,
+        score: words(`${clinic.name} ${clinic.specialty} ${clinic.location} ${clinic.services.join(' ')}`)
+          .filter(word => query.includes(word)).length
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const results = [
+      ...ranked.map(({ clinic, score }) => ({
+        id: `exa-${hostOf(clinic.url)}`,
+        title: `${clinic.name} | ${clinic.specialty} in ${clinic.location}`,
+        url: clinic.url,
+        text: `${clinic.name} offers ${clinic.services.join(', ')} in ${clinic.location}.`,
+        score: Math.min(1, 0.5 + score / 10),
+        publishedDate: '2024-01-01T00:00:00.000Z'
+      })),
+      ...FAKE_NOISE_RESULTS.map(noise => ({ id: `exa-${hostOf(noise.url)}`, text: '', score: 0.3, ...noise }))
+    ];
+
+    res.json({ requestId: randomUUID(), autopromptString: req.body.query, results: results.slice(0, limit) });
+  });
+
+  // Overpass - POIs in the area named by the query, plus one without a website
+  router.post('/overpass/interpreter', (req, res) => {
+    const query = String(req.body.data || '');
+    const area = (query.match(/~"\^([^"]+)\$",i\]/)?.[1] || '').replace(/\\\\/g, '').toLowerCase();
+    state.overpass.queries.push(query);
+
+    const elements = FAKE_CLINICS
+      .map(osmElement)
+      .filter(element => element.tags['addr:city'].toLowerCase() === area);
+    if (elements.length > 0) {
+      elements.push({ type: 'node', id: 999, tags: { name: 'Praxis ohne Website', amenity: 'doctors', 'addr:city': elements[0].tags['addr:city'] } });
+    }
+
+    res.json({ version: 0.6, generator: 'fake-overpass', elements });
+  });
+
+  // OpenRouter
+  router.post('/openrouter/chat/completions', (req, res) => {
+    state.openrouter.completions += 1;
+    res.json(answerChat(req.body));
+  });
+
+  // Notion
+  router.post('/notion/pages', (req, res) => {
+    const id = randomUUID();
+    const page = {
+      object: 'page',
+      id,
+      url: `https://www.notion.so/${id.replace(/-/g, '')}`,
+      created_time: new Date().toISOString(),
+      last_edited_time: new Date().toISOString(),
+      parent: req.body.parent,
+      archived: false,
+      properties: req.body.properties || {}
+    };
+    state.notion.pages[id] = page;
+    res.json(page);
+  });
+
+  router.patch('/notion/pages/:id', (req, res) => {
+    const page = state.notion.pages[req.params.id];
+    if (!page) {
+      return notionError(res, 404, 'object_not_found', `Could not find page with ID: ${req.params.id}.`);
+    }
+    Object.assign(page.properties, req.body.properties || {});
+    if (req.body.archived !== undefined) {
+      page.archived = req.body.archived;
+    }
+    page.last_edited_time = new Date().toISOString();
+    res.json(page);
+  });
+
+  router.post('/notion/databases/:id/query', (req, res) => {
+    const results = Object.values(state.notion.pages)
+      .filter(page => !page.archived && page.parent?.database_id === req.params.id)
+      .filter(page => matchesNotionFilter(page, req.body.filter))
+      .sort((a, b) => b.created_time.localeCompare(a.created_time))
+      .slice(0, req.body.page_size || 100);
+    res.json({ object: 'list', results, has_more: false, next_cursor: null });
+  });
+
+  // GitHub
+  router.post('/github/user/repos', (req, res) => {
+    const fullName = `${FAKE_OWNER}/${req.body.name}`;
+    if (state.github.repositories[fullName]) {
+      return res.status(422).json({ message: 'Repository creation failed.', errors: [{ message: 'name already exists on this account' }] });
+    }
+    const repository = {
+      id: Object.keys(state.github.repositories).length + 1,
+      name: req.body.name,
+      full_name: fullName,
+      description: req.body.description,
+      private: Boolean(req.body.private),
+      html_url: `https://github.com/${fullName}`,
+      clone_url: `https://github.com/${fullName}.git`,
+      owner: { login: FAKE_OWNER },
+      files: {},
+      workflow_runs: []
+    };
+    state.github.repositories[fullName] = repository;
+    res.status(201).json(repository);
+  });
+
+  router.put('/github/repos/:owner/:repo/contents/*', (req, res) => {
+    const repository = state.github.repositories[`${req.params.owner}/${req.params.repo}`];
+    if (!repository) {
+      return res.status(404).json({ message: 'Not Found' });
+    }
+    const filePath = req.params[0];
+    repository.files[filePath] = Buffer.from(req.body.content || '', 'base64').toString('utf8');
+
+    // A push to main triggers the deploy workflow
+    repository.workflow_runs = [{
+      id: repository.workflow_runs.length + 1,
+      name: 'Deploy to Railway',
+      status: 'completed',
+      conclusion: 'success',
+      updated_at: new Date().toISOString()
+    }];
+    res.status(201).json({ content: { path: filePath }, commit: { message: req.body.message } });
+  });
+
+  router.get('/github/repos/:owner/:repo/actions/runs', (req, res) => {
+    const repository = state.github.repositories[`${req.params.owner}/${req.params.repo}`];
+    if (!repository) {
+      return res.status(404).json({ message: 'Not Found' });
+    }
+    res.json({ total_count: repository.workflow_runs.length, workflow_runs: repository.workflow_runs });
+  });
+
+  router.delete('/github/repos/:owner/:repo', (req, res) => {
+    const fullName = `${req.params.owner}/${req.params.repo}`;
+    if (!state.github.repositories[fullName]) {
+      return res.status(404).json({ message: 'Not Found' });
+    }
+    delete state.github.repositories[fullName];
+    res.status(204).end();
+  });
+
+  // Railway (GraphQL - dispatched on the operation in the query)
+  router.post('/railway', (req, res) => {
+    const query = req.body.query || '';
+    const projects = state.railway.projects;
+    const fail = message => res.json({ data: null, errors: [{ message }] });
+
+    if (query.includes('projectCreate')) {
+      const id = randomUUID();
+      projects[id] = {
+        id,
+        name: graphqlVariable(req.body, 'name'),
+        environments: [{ id: randomUUID(), name: 'production' }],
+        services: {},
+        domains: []
+      };
+      return res.json({ data: { projectCreate: { id, name: projects[id].name } } });
+    }
+
+    if (query.includes('projectDelete')) {
+      const id = graphqlVariable(req.body, 'id');
+      if (!projects[id]) {
+        return fail('Project not found');
+      }
+      delete projects[id];
+      return res.json({ data: { projectDelete: true } });
+    }
+
+    const project = projects[graphqlVariable(req.body, 'projectId') || graphqlVariable(req.body, 'id')];
+    if (!project) {
+      return fail('Project not found');
+    }
+
+    if (query.includes('environments')) {
+      return res.json({ data: { project: { environments: { edges: project.environments.map(node => ({ node })) } } } });
+    }
+
+    if (query.includes('serviceCreate')) {
+      const id = randomUUID();
+      const repo = graphqlVariable(req.body, 'source')?.repo;
+      project.services[id] = { id, name: repo?.split('/')[1] || 'service', repo, variables: {} };
+      return res.json({ data: { serviceCreate: { id, name: project.services[id].name } } });
+    }
+
+    if (query.includes('variableUpsert')) {
+      const service = project.services[graphqlVariable(req.body, 'serviceId')];
+      if (!service) {
+        return fail('Service not found');
+      }
+      service.variables[graphqlVariable(req.body, 'name')] = graphqlVariable(req.body, 'value');
+      return res.json({ data: { variableUpsert: { id: randomUUID() } } });
+    }
+
+    if (query.includes('domainCreate')) {
+      const service = project.services[graphqlVariable(req.body, 'serviceId')];
+      if (!service) {
+        return fail('Service not found');
+      }
+      const domain = `${project.name}-production.up.railway.app`;
+      project.domains.push(domain);
+      return res.json({ data: { domainCreate: { domain } } });
+    }
+
+    return fail('Unsupported operation in fake Railway API');
+  });
+
+  // ElevenLabs
+  router.get('/elevenlabs/user/subscription', (req, res) => {
+    res.json({ tier: 'fake', status: 'active', character_count: 0, character_limit: 100000 });
+  });
+
+  router.post('/elevenlabs/convai/agents', (req, res) => {
+    if (!req.body.conversation_config?.agent?.prompt?.prompt) {
+      return res.status(422).json({ detail: 'conversation_config.agent.prompt.prompt is required' });
+    }
+    const agentId = `agent_${randomUUID().replace(/-/g, '').slice(0, 20)}`;
+    state.elevenlabs.agents[agentId] = { agent_id: agentId, ...req.body };
+    res.json({ agent_id: agentId });
+  });
+
+  router.delete('/elevenlabs/convai/agents/:id', (req, res) => {
+    if (!state.elevenlabs.agents[req.params.id]) {
+      return res.status(404).json({ detail: 'Agent not found' });
+    }
+    delete state.elevenlabs.agents[req.params.id];
+    res.json({});
+  });
+
+  // Clinic websites and deployed demos
+  router.all('/web/page', (req, res) => {
+    const url = String(req.query.url || '');
+    const clinic = clinicForUrl(url);
+    if (clinic) {
+      const page = clinicSiteResponse(clinic, new URL(url).pathname);
+      if (!page) {
+        return res.status(404).type('html').send('<h1>Not Found</h1>');
+      }
+      return res.type(page.type).send(req.method === 'HEAD' ? '' : page.body);
+    }
+
+    const deployed = Object.values(state.railway.projects).some(project => project.domains.includes(hostOf(url)));
+    if (deployed) {
+      return res.type('html').send('<!DOCTYPE html><html><body>Demo</body></html>');
+    }
+    res.status(404).type('html').send('<h1>Not Found</h1>');
+  });
+
+  return { router, state };
+}
+
+/**
+ * Parse FAKE_PROVIDER_FAILURES ("github=0.2,railway=0.1") into { provider: rate }
+ */
+export function parseFailureRates(value) {
+  return Object.fromEntries(String(value || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([provider, rate]) => provider && Number.isFinite(Number(rate)))
+    .map(([provider, rate]) => [provider, Number(rate)]));
+}
@@ -0,0 +1,449 @@
+/**
+ * 🔎 FILTER EXPRESSIONS
+ *
+ * workflowConfig.filters is a list of expressions over practice fields, all
+ * of which must hold:
+ *
+ *   dental AND NOT "hair removal"          words and "phrases" (whole words)
+ *   specialty:dermatology OR title:skin*   field match, * for prefixes
+ *   url~/\.at\/?$/ AND location="Vienna"   regex and exact (case-insensitive)
+ *   score>=70 AND relevance>0.8            numeric comparisons
+ *   NOT (blog OR services:botox)           grouping
+ *
+ * Operators: : (contains) = != ~ (regex) > >= < <=, with or without spaces
+ * around them ("score >= 90"). AND binds tighter than OR, and two terms side
+ * by side mean AND. Bare terms search every text field.
+ *
+ * Evaluation is three-valued: fields that aren't known yet (services and the
+ * lead score before scraping) make a result unknown (null) rather than false,
+ * so a practice is only dropped once the filter definitely fails.
+ */
+
+import { normalizeDomain } from './lead-registry.js';
+
+export const FILTER_FIELDS = {
+  title: 'text',
+  url: 'text',
+  domain: 'text',
+  text: 'text',
+  location: 'text',
+  specialty: 'text',
+  services: 'text',
+  score: 'number',
+  relevance: 'number'
+};
+
+// Fields a bare term is searched in
+const TEXT_FIELDS = ['title', 'text', 'url', 'location', 'specialty', 'services'];
+
+const NUMERIC_OPERATORS = ['>', '>=', '<', '<='];
+const REGEX_FLAGS = /^[imsu]*$/;
+
+export class FilterSyntaxError extends Error {
+  constructor(message, { expression = null, position = null } = {}) {
+    super(position === null ? message : `${message} (at character ${position + 1})`);
+    this.name = 'FilterSyntaxError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const fail = (message, position) => {
+    throw new FilterSyntaxError(message, { expression, position });
+  };
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < expression.length && expression[j] !== '"') {
+        value += expression[j] === '\\' && expression[j + 1] === '"' ? expression[++j] : expression[j];
+        j++;
+      }
+      if (j >= expression.length) {
+        fail('Unterminated phrase - missing closing "', i);
+      }
+      if (!value.trim()) {
+        fail('Empty phrase', i);
+      }
+      tokens.push({ type: 'phrase', value, position: i });
+      i = j + 1;
+    } else if (char === '/') {
+      let j = i + 1;
+      let inClass = false;
+      while (j < expression.length && (expression[j] !== '/' || inClass)) {
+        if (expression[j] === '\\') {
+          j++;
+        } else if (expression[j] === '[') {
+          inClass = true;
+        } else if (expression[j] === ']') {
+          inClass = false;
+        }
+        j++;
+      }
+      if (j >= expression.length) {
+        fail('Unterminated regex - missing closing /', i);
+      }
+      const source = expression.slice(i + 1, j);
+      const flags = expression.slice(j + 1).match(/^[a-z]*/)[0];
+      if (!REGEX_FLAGS.test(flags)) {
+        fail(`Unsupported regex flags "${flags}" (use i, m, s or u)`, j + 1);
+      }
+      let regex;
+      try {
+        regex = new RegExp(source, flags.includes('i') ? flags : `${flags}i`);
+      } catch (error) {
+        fail(`Invalid regex /${source}/: ${error.message.replace(/^Invalid regular expression: /, '')}`, i);
+      }
+      tokens.push({ type: 'regex', value: regex, source: `/${source}/${flags}`, position: i });
+      i = j + 1 + flags.length;
+    } else {
+      // Only a term can open a comparison - after an operator comes its value, so "url:https://a.at" keeps "https://a.at" whole
+      const isValue = tokens.length > 0 && tokens[tokens.length - 1].type === 'operator';
+      const comparison = isValue ? null : expression.slice(i).match(/^([A-Za-z]+)(\s*)(:|!=|>=|<=|=|>|<|~)/);
+      if (comparison) {
+        const field = comparison[1].toLowerCase();
+        if (!FILTER_FIELDS[field]) {
+          fail(`Unknown field "${comparison[1]}" (fields: ${Object.keys(FILTER_FIELDS).join(', ')})`, i);
+        }
+        tokens.push({ type: 'field', value: field, position: i });
+        tokens.push({ type: 'operator', value: comparison[3], position: i + comparison[1].length + comparison[2].length });
+        i += comparison[0].length;
+        continue;
+      }
+
+      const word = expression.slice(i).match(/^[^\s()"]+/)[0];
+      // An operator can't start a term - "90 >= score" or a stray ">=" would otherwise be searched for
+      const operator = word.match(/^(:|!=|>=|<=|=|>|<|~)/);
+      if (operator) {
+        fail(`"${operator[1]}" needs a field before it (fields: ${Object.keys(FILTER_FIELDS).join(', ')})`, i);
+      }
+      const keyword = word.toUpperCase();
+      tokens.push(!isValue && ['AND', 'OR', 'NOT'].includes(keyword)
+        ? { type: keyword, position: i }
+        : { type: 'word', value: word, position: i });
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new FilterSyntaxError(message, { expression: this.expression, position: token ? token.position : this.expression.length });
+  }
+
+  peek() {
+    return this.tokens[this.index] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      this.fail('Empty filter expression');
+    }
+    const node = this.parseOr();
+    if (this.peek()) {
+      this.fail(this.peek().type === ')' ? 'Unmatched )' : `Unexpected "${this.tokenText(this.peek())}"`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.peek()?.type === 'OR') {
+      this.next();
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseNot()];
+    // "a b" is "a AND b"
+    while (this.peek() && !['OR', ')'].includes(this.peek().type)) {
+      if (this.peek().type === 'AND') {
+        this.next();
+      }
+      operands.push(this.parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  parseNot() {
+    if (this.peek()?.type === 'NOT') {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      this.fail('Unexpected end of expression - a term is missing', null);
+    }
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      if (this.peek()?.type !== ')') {
+        this.fail('Missing closing )', this.peek() || null);
+      }
+      this.next();
+      return node;
+    }
+
+    if (token.type === 'field') {
+      return this.parseComparison(token.value, this.next());
+    }
+
+    if (['word', 'phrase', 'regex'].includes(token.type)) {
+      return { type: 'term', value: this.toMatcher(token) };
+    }
+
+    this.fail(`Unexpected "${this.tokenText(token)}" - expected a term`, token);
+  }
+
+  parseComparison(field, operator) {
+    const valueToken = this.next();
+    if (!valueToken || !['word', 'phrase', 'regex'].includes(valueToken.type)) {
+      this.fail(`${field}${operator.value} needs a value`, valueToken || null);
+    }
+
+    const numeric = FILTER_FIELDS[field] === 'number';
+    if (NUMERIC_OPERATORS.includes(operator.value) && !numeric) {
+      this.fail(`${field} is a text field - ${operator.value} only works on ${this.numericFields()}`, operator);
+    }
+    if (operator.value === '~' && numeric) {
+      this.fail(`${field} is a number - use =, >, >=, < or <=`, operator);
+    }
+
+    if (numeric) {
+      const number = valueToken.type === 'word' ? Number(valueToken.value) : NaN;
+      if (!Number.isFinite(number)) {
+        this.fail(`${field} compares to a number, got "${this.tokenText(valueToken)}"`, valueToken);
+      }
+      return { type: 'compare', field, operator: operator.value === ':' ? '=' : operator.value, value: number };
+    }
+
+    if (operator.value === '~') {
+      const regex = valueToken.type === 'regex' ? valueToken : { ...valueToken, type: 'regex', value: this.literalRegex(valueToken), source: `/${valueToken.value}/` };
+      return { type: 'match', field, operator: '~', value: this.toMatcher(regex) };
+    }
+    return { type: 'match', field, operator: operator.value, value: this.toMatcher(valueToken) };
+  }
+
+  literalRegex(token) {
+    try {
+      return new RegExp(token.value, 'i');
+    } catch (error) {
+      this.fail(`Invalid regex "${token.value}": ${error.message.replace(/^Invalid regular expression: /, '')}`, token);
+    }
+  }
+
+  toMatcher(token) {
+    if (token.type === 'regex') {
+      return { kind: 'regex', regex: token.value, text: token.source };
+    }
+    const prefix = token.type === 'word' && token.value.length > 1 && token.value.endsWith('*');
+    const text = prefix ? token.value.slice(0, -1) : token.value;
+    const escaped = text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return {
+      kind: token.type,
+      // Whole words only - "hair removal" must not match every page mentioning "hair"
+      regex: new RegExp(`(?<![\\p{L}\\p{N}])${escaped}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`, 'iu'),
+      text: token.type === 'phrase' ? `"${token.value}"` : token.value,
+      exact: text.trim().toLowerCase()
+    };
+  }
+
+  numericFields() {
+    return Object.keys(FILTER_FIELDS).filter(field => FILTER_FIELDS[field] === 'number').join(', ');
+  }
+
+  tokenText(token) {
+    return token.value instanceof RegExp ? token.source : token.value ?? token.type;
+  }
+}
+
+/**
+ * The free-text filters of old workflow configs ("exclude hair removal",
+ * "must botox") as expressions - the rest of the string becomes one phrase
+ */
+function upgradeLegacyFilter(expression) {
+  const legacy = expression.match(/^\s*(exclude|avoid|require|must(?:\s+have)?)\s+([^"()/:=<>~]+)$/i);
+  if (!legacy || /\b(AND|OR|NOT)\b/.test(legacy[2])) {
+    return null;
+  }
+  const phrase = `"${legacy[2].trim()}"`;
+  return /^(exclude|avoid)$/i.test(legacy[1]) ? `NOT ${phrase}` : phrase;
+}
+
+/**
+ * Parse one expression into an AST; throws FilterSyntaxError with the position
+ */
+export function parseFilter(expression) {
+  if (typeof expression !== 'string') {
+    throw new FilterSyntaxError('Filter must be a string expression', { expression });
+  }
+  const upgraded = upgradeLegacyFilter(expression);
+  return new Parser(upgraded || expression).parse();
+}
+
+/**
+ * Check workflowConfig.filters; resolves to [{ index, filter, error }] (empty when valid)
+ */
+export function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return [];
+  }
+  if (!Array.isArray(filters)) {
+    return [{ index: null, filter: filters, error: 'filters must be an array of expressions' }];
+  }
+  return filters.flatMap((filter, index) => {
+    try {
+      parseFilter(filter);
+      return [];
+    } catch (error) {
+      if (!(error instanceof FilterSyntaxError)) {
+        throw error;
+      }
+      return [{ index, filter, error: error.message }];
+    }
+  });
+}
+
+/**
+ * The values filters see for a discovered practice and, once scraped, its
+ * practiceData. Missing values stay undefined - "unknown", not "empty".
+ */
+export function filterFields(practice, practiceData = null) {
+  const url = practice.url || practiceData?.website;
+  const services = practiceData?.services || practice.seed?.services;
+  return {
+    title: practice.title || practiceData?.company,
+    url,
+    domain: url ? normalizeDomain(url) : undefined,
+    text: practice.text ?? practice.snippet,
+    location: practiceData?.location || practice.seed?.location || practice.location || practice.relevance?.location || undefined,
+    specialty: practice.specialty || practice.relevance?.specialty || undefined,
+    services,
+    score: practiceData?.leadScore,
+    relevance: practice.relevance?.score
+  };
+}
+
+function known(value) {
+  return value !== undefined && value !== null;
+}
+
+function matchValue(value, operator, matcher) {
+  const values = (Array.isArray(value) ? value : [value]).map(String);
+  if (operator === '=' || operator === '!=') {
+    const equal = values.some(candidate => matcher.kind === 'regex'
+      ? new RegExp(`^(?:${matcher.regex.source})$`, matcher.regex.flags).test(candidate)
+      : candidate.trim().toLowerCase() === matcher.exact);
+    return operator === '=' ? equal : !equal;
+  }
+  return values.some(candidate => matcher.regex.test(candidate));
+}
+
+function evaluateNode(node, fields) {
+  switch (node.type) {
+    case 'and': {
+      const results = node.operands.map(operand => evaluateNode(operand, fields));
+      return results.includes(false) ? false : results.includes(null) ? null : true;
+    }
+    case 'or': {
+      const results = node.operands.map(operand => evaluateNode(operand, fields));
+      return results.includes(true) ? true : results.includes(null) ? null : false;
+    }
+    case 'not': {
+      const result = evaluateNode(node.operand, fields);
+      return result === null ? null : !result;
+    }
+    case 'term': {
+      const searched = TEXT_FIELDS.filter(field => known(fields[field]));
+      if (searched.some(field => matchValue(fields[field], ':', node.value))) {
+        return true;
+      }
+      return searched.length < TEXT_FIELDS.length ? null : false;
+    }
+    case 'match':
+      return known(fields[node.field]) ? matchValue(fields[node.field], node.operator, node.value) : null;
+    case 'compare': {
+      const value = fields[node.field];
+      if (!known(value) || !Number.isFinite(Number(value))) {
+        return null;
+      }
+      const number = Number(value);
+      return { '=': number === node.value, '!=': number !== node.value, '>': number > node.value, '>=': number >= node.value, '<': number < node.value, '<=': number <= node.value }[node.operator];
+    }
+    default:
+      throw new Error(`Unknown filter node ${node.type}`);
+  }
+}
+
+function describeNode(node) {
+  switch (node.type) {
+    case 'and':
+      return node.operands.map(operand => operand.type === 'or' ? `(${describeNode(operand)})` : describeNode(operand)).join(' AND ');
+    case 'or':
+      return node.operands.map(describeNode).join(' OR ');
+    case 'not':
+      return `NOT ${['and', 'or'].includes(node.operand.type) ? `(${describeNode(node.operand)})` : describeNode(node.operand)}`;
+    case 'term':
+      return node.value.text;
+    case 'match':
+      return `${node.field}${node.operator}${node.value.text}`;
+    default:
+      return `${node.field}${node.operator}${node.value}`;
+  }
+}
+
+/**
+ * Compile workflowConfig.filters (all must hold) into
+ * { expression, evaluate(fields) → true | false | null }.
+ * Throws FilterSyntaxError naming the first invalid filter.
+ */
+export function compileFilters(filters) {
+  if (filters !== undefined && filters !== null && !Array.isArray(filters)) {
+    throw new FilterSyntaxError('filters must be an array of expressions', { expression: filters });
+  }
+  const nodes = (filters || []).map((filter, index) => {
+    try {
+      return parseFilter(filter);
+    } catch (error) {
+      if (error instanceof FilterSyntaxError) {
+        error.message = `Filter ${index + 1} "${filter}": ${error.message}`;
+      }
+      throw error;
+    }
+  });
+  const root = nodes.length === 1 ? nodes[0] : { type: 'and', operands: nodes };
+
+  return {
+    expression: nodes.length > 0 ? describeNode(root) : '',
+    evaluate: fields => nodes.length > 0 ? evaluateNode(root, fields) : true
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * 🌍 OFFLINE GAZETTEER DATA
+ *
+ * Countries with their native/alternate names, ccTLD and calling code, plus
+ * regions and major cities. Entries are "Name|Alias|Alias"; two-letter
+ * all-caps aliases (WA, NY) are postal codes and only match in address
+ * position ("Seattle, WA"). Countries earlier in the list win ambiguous city
+ * names (London, Birmingham) unless the location names the country.
+ */
+
+export const COUNTRIES = [
+  {
+    code: 'AT', name: 'Austria', names: ['Österreich', 'Oesterreich'], tld: 'at', phone: '43',
+    regions: ['Vienna|Wien', 'Lower Austria|Niederösterreich', 'Upper Austria|Oberösterreich', 'Styria|Steiermark', 'Tyrol|Tirol', 'Carinthia|Kärnten', 'Salzburg|Land Salzburg', 'Vorarlberg', 'Burgenland'],
+    cities: ['Vienna|Wien', 'Graz', 'Linz', 'Salzburg', 'Innsbruck', 'Klagenfurt', 'Villach', 'Wels', 'St. Pölten|Sankt Pölten|St Poelten', 'Dornbirn', 'Steyr', 'Wiener Neustadt', 'Feldkirch', 'Bregenz', 'Baden bei Wien', 'Leoben', 'Krems']
+  },
+  {
+    code: 'DE', name: 'Germany', names: ['Deutschland', 'Allemagne'], tld: 'de', phone: '49',
+    regions: ['Bavaria|Bayern', 'Baden-Württemberg|Baden-Wuerttemberg', 'North Rhine-Westphalia|Nordrhein-Westfalen|NRW', 'Hesse|Hessen', 'Lower Saxony|Niedersachsen', 'Saxony|Sachsen', 'Rhineland-Palatinate|Rheinland-Pfalz', 'Schleswig-Holstein', 'Brandenburg', 'Thuringia|Thüringen', 'Saxony-Anhalt|Sachsen-Anhalt', 'Mecklenburg-Vorpommern', 'Saarland'],
+    cities: ['Berlin', 'Hamburg', 'Munich|München|Muenchen', 'Cologne|Köln|Koeln', 'Frankfurt|Frankfurt am Main', 'Stuttgart', 'Düsseldorf|Duesseldorf|Dusseldorf', 'Leipzig', 'Dortmund', 'Essen', 'Bremen', 'Dresden', 'Hanover|Hannover', 'Nuremberg|Nürnberg|Nuernberg', 'Duisburg', 'Bochum', 'Wuppertal', 'Bielefeld', 'Bonn', 'Münster|Muenster', 'Mannheim', 'Karlsruhe', 'Augsburg', 'Wiesbaden', 'Freiburg|Freiburg im Breisgau', 'Heidelberg', 'Potsdam', 'Regensburg', 'Mainz', 'Kiel', 'Rostock', 'Aachen']
+  },
+  {
+    code: 'CH', name: 'Switzerland', names: ['Schweiz', 'Suisse', 'Svizzera'], tld: 'ch', phone: '41',
+    regions: ['Zurich|Zürich|Kanton Zürich', 'Bern|Berne', 'Geneva|Genève|Genf', 'Vaud|Waadt', 'Ticino|Tessin', 'Basel-Stadt', 'Lucerne|Luzern', 'St. Gallen|Sankt Gallen', 'Aargau', 'Valais|Wallis'],
+    cities: ['Zurich|Zürich|Zuerich', 'Geneva|Genève|Genf', 'Basel|Bâle', 'Bern|Berne', 'Lausanne', 'Winterthur', 'Lucerne|Luzern', 'St. Gallen|Sankt Gallen', 'Lugano', 'Biel|Bienne', 'Zug', 'Fribourg|Freiburg im Üechtland']
+  },
+  {
+    code: 'NL', name: 'Netherlands', names: ['Nederland', 'Holland', 'The Netherlands', 'Niederlande'], tld: 'nl', phone: '31',
+    regions: ['North Holland|Noord-Holland', 'South Holland|Zuid-Holland', 'Utrecht', 'North Brabant|Noord-Brabant', 'Gelderland', 'Overijssel', 'Limburg', 'Groningen', 'Friesland|Fryslân', 'Drenthe', 'Flevoland', 'Zeeland'],
+    cities: ['Amsterdam', 'Rotterdam', 'The Hague|Den Haag|\'s-Gravenhage', 'Utrecht', 'Eindhoven', 'Groningen', 'Tilburg', 'Almere', 'Breda', 'Nijmegen', 'Haarlem', 'Arnhem', 'Enschede', 'Amersfoort', 'Apeldoorn', '\'s-Hertogenbosch|Den Bosch', 'Maastricht', 'Leiden', 'Delft', 'Zwolle', 'Leeuwarden', 'Alkmaar', 'Hilversum', 'Amstelveen']
+  },
+  {
+    code: 'BE', name: 'Belgium', names: ['België', 'Belgie', 'Belgique', 'Belgien'], tld: 'be', phone: '32',
+    regions: ['Flanders|Vlaanderen', 'Wallonia|Wallonie', 'Brussels-Capital Region|Brussels Hoofdstedelijk Gewest'],
+    cities: ['Brussels|Bruxelles|Brussel', 'Antwerp|Antwerpen|Anvers', 'Ghent|Gent|Gand', 'Charleroi', 'Liège|Liege|Luik', 'Bruges|Brugge', 'Namur|Namen', 'Leuven|Louvain', 'Mechelen|Malines', 'Hasselt', 'Kortrijk|Courtrai', 'Ostend|Oostende']
+  },
+  {
+    code: 'LU', name: 'Luxembourg', names: ['Lëtzebuerg', 'Luxemburg'], tld: 'lu', phone: '352',
+    regions: [],
+    cities: ['Luxembourg City|Luxembourg|Luxemburg', 'Esch-sur-Alzette', 'Differdange', 'Dudelange']
+  },
+  {
+    code: 'FR', name: 'France', names: ['Frankreich', 'Francia'], tld: 'fr', phone: '33',
+    regions: ['Île-de-France|Ile-de-France', 'Provence-Alpes-Côte d\'Azur|PACA|Côte d\'Azur', 'Auvergne-Rhône-Alpes', 'Occitanie', 'Nouvelle-Aquitaine', 'Hauts-de-France', 'Grand Est', 'Brittany|Bretagne', 'Normandy|Normandie', 'Pays de la Loire', 'Centre-Val de Loire', 'Bourgogne-Franche-Comté', 'Corsica|Corse'],
+    cities: ['Paris', 'Marseille|Marseilles', 'Lyon|Lyons', 'Toulouse', 'Nice', 'Nantes', 'Strasbourg', 'Montpellier', 'Bordeaux', 'Lille', 'Rennes', 'Reims', 'Toulon', 'Grenoble', 'Dijon', 'Angers', 'Nîmes|Nimes', 'Aix-en-Provence', 'Le Havre', 'Saint-Étienne|Saint-Etienne', 'Clermont-Ferrand', 'Tours', 'Limoges', 'Amiens', 'Metz', 'Perpignan', 'Besançon|Besancon', 'Orléans|Orleans', 'Rouen', 'Caen', 'Nancy', 'Cannes', 'Avignon']
+  },
+  {
+    code: 'IT', name: 'Italy', names: ['Italia', 'Italien'], tld: 'it', phone: '39',
+    regions: ['Lombardy|Lombardia', 'Lazio', 'Campania', 'Sicily|Sicilia', 'Veneto', 'Emilia-Romagna', 'Piedmont|Piemonte', 'Apulia|Puglia', 'Tuscany|Toscana', 'Calabria', 'Sardinia|Sardegna', 'Liguria', 'South Tyrol|Südtirol|Alto Adige', 'Trentino', 'Friuli-Venezia Giulia', 'Marche', 'Abruzzo', 'Umbria'],
+    cities: ['Rome|Roma|Rom', 'Milan|Milano|Mailand', 'Naples|Napoli|Neapel', 'Turin|Torino', 'Palermo', 'Genoa|Genova|Genua', 'Bologna', 'Florence|Firenze|Florenz', 'Bari', 'Catania', 'Venice|Venezia|Venedig', 'Verona', 'Messina', 'Padua|Padova', 'Trieste|Triest', 'Brescia', 'Parma', 'Bergamo', 'Modena', 'Bolzano|Bozen', 'Trento|Trient', 'Pisa', 'Cagliari']
+  },
+  {
+    code: 'ES', name: 'Spain', names: ['España', 'Espana', 'Spanien', 'Espagne'], tld: 'es', phone: '34',
+    regions: ['Catalonia|Catalunya|Cataluña', 'Andalusia|Andalucía|Andalucia', 'Community of Madrid|Comunidad de Madrid', 'Valencian Community|Comunitat Valenciana', 'Basque Country|País Vasco|Euskadi', 'Galicia', 'Castile and León|Castilla y León', 'Canary Islands|Islas Canarias|Canarias', 'Balearic Islands|Illes Balears|Baleares', 'Aragon|Aragón', 'Murcia|Región de Murcia', 'Navarre|Navarra', 'Asturias'],
+    cities: ['Madrid', 'Barcelona', 'Valencia|València', 'Seville|Sevilla', 'Zaragoza|Saragossa', 'Málaga|Malaga', 'Murcia', 'Palma|Palma de Mallorca', 'Las Palmas|Las Palmas de Gran Canaria', 'Bilbao|Bilbo', 'Alicante|Alacant', 'Córdoba|Cordoba', 'Valladolid', 'Vigo', 'Gijón|Gijon', 'Granada', 'A Coruña|La Coruña|A Coruna', 'Vitoria-Gasteiz|Vitoria', 'Santa Cruz de Tenerife', 'Pamplona|Iruña', 'San Sebastián|Donostia|San Sebastian', 'Marbella', 'Ibiza|Eivissa']
+  },
+  {
+    code: 'PT', name: 'Portugal', names: [], tld: 'pt', phone: '351',
+    regions: ['Lisbon District|Distrito de Lisboa', 'Porto District|Distrito do Porto', 'Algarve', 'Madeira', 'Azores|Açores'],
+    cities: ['Lisbon|Lisboa|Lissabon', 'Porto|Oporto', 'Braga', 'Coimbra', 'Funchal', 'Faro', 'Aveiro', 'Setúbal|Setubal', 'Cascais', 'Sintra']
+  },
+  {
+    code: 'GB', name: 'United Kingdom', names: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'], tld: 'uk', phone: '44',
+    regions: ['Greater London', 'Greater Manchester', 'West Midlands', 'West Yorkshire', 'Merseyside', 'Kent', 'Essex', 'Surrey', 'Hampshire', 'Lancashire', 'Devon', 'Cornwall', 'Sussex|East Sussex|West Sussex', 'Hertfordshire', 'Oxfordshire', 'Cambridgeshire', 'Yorkshire|North Yorkshire|South Yorkshire'],
+    cities: ['London', 'Birmingham', 'Manchester', 'Glasgow', 'Liverpool', 'Leeds', 'Sheffield', 'Edinburgh', 'Bristol', 'Cardiff', 'Belfast', 'Leicester', 'Nottingham', 'Newcastle|Newcastle upon Tyne', 'Southampton', 'Brighton|Brighton and Hove', 'Oxford', 'Cambridge', 'Reading', 'Aberdeen', 'Bath', 'York', 'Coventry', 'Plymouth', 'Milton Keynes', 'Norwich', 'Exeter', 'Swansea', 'Bournemouth', 'Harrogate', 'Guildford']
+  },
+  {
+    code: 'IE', name: 'Ireland', names: ['Éire', 'Eire', 'Republic of Ireland'], tld: 'ie', phone: '353',
+    regions: ['Leinster', 'Munster', 'Connacht', 'Ulster', 'County Dublin|Co. Dublin', 'County Cork|Co. Cork'],
+    cities: ['Dublin|Baile Átha Cliath', 'Cork|Corcaigh', 'Limerick', 'Galway|Gaillimh', 'Waterford', 'Kilkenny', 'Drogheda', 'Dundalk', 'Sligo']
+  },
+  {
+    code: 'DK', name: 'Denmark', names: ['Danmark', 'Dänemark'], tld: 'dk', phone: '45',
+    regions: ['Capital Region of Denmark|Region Hovedstaden', 'Central Denmark|Region Midtjylland', 'Region of Southern Denmark|Region Syddanmark', 'Zealand|Sjælland', 'North Denmark|Region Nordjylland'],
+    cities: ['Copenhagen|København|Kobenhavn|Kopenhagen', 'Aarhus|Århus', 'Odense', 'Aalborg|Ålborg', 'Esbjerg', 'Frederiksberg', 'Roskilde']
+  },
+  {
+    code: 'SE', name: 'Sweden', names: ['Sverige', 'Schweden', 'Suède'], tld: 'se', phone: '46',
+    regions: ['Stockholm County|Stockholms län', 'Västra Götaland', 'Skåne|Scania'],
+    cities: ['Stockholm', 'Gothenburg|Göteborg|Goteborg', 'Malmö|Malmo', 'Uppsala', 'Västerås|Vasteras', 'Örebro|Orebro', 'Linköping|Linkoping', 'Helsingborg', 'Lund', 'Umeå|Umea']
+  },
+  {
+    code: 'NO', name: 'Norway', names: ['Norge', 'Noreg', 'Norwegen'], tld: 'no', phone: '47',
+    regions: ['Oslo', 'Viken', 'Vestland', 'Rogaland', 'Trøndelag|Trondelag'],
+    cities: ['Oslo', 'Bergen', 'Trondheim', 'Stavanger', 'Drammen', 'Fredrikstad', 'Kristiansand', 'Tromsø|Tromso']
+  },
+  {
+    code: 'FI', name: 'Finland', names: ['Suomi', 'Finnland'], tld: 'fi', phone: '358',
+    regions: ['Uusimaa|Nyland', 'Pirkanmaa', 'Southwest Finland|Varsinais-Suomi'],
+    cities: ['Helsinki|Helsingfors', 'Espoo|Esbo', 'Tampere|Tammerfors', 'Vantaa|Vanda', 'Oulu|Uleåborg', 'Turku|Åbo', 'Jyväskylä|Jyvaskyla']
+  },
+  {
+    code: 'PL', name: 'Poland', names: ['Polska', 'Polen', 'Pologne'], tld: 'pl', phone: '48',
+    regions: ['Masovia|Mazowieckie', 'Lesser Poland|Małopolskie', 'Silesia|Śląskie', 'Greater Poland|Wielkopolskie', 'Lower Silesia|Dolnośląskie', 'Pomerania|Pomorskie'],
+    cities: ['Warsaw|Warszawa|Warschau', 'Kraków|Krakow|Cracow|Krakau', 'Łódź|Lodz', 'Wrocław|Wroclaw|Breslau', 'Poznań|Poznan', 'Gdańsk|Gdansk|Danzig', 'Szczecin|Stettin', 'Bydgoszcz', 'Lublin', 'Katowice', 'Gdynia']
+  },
+  {
+    code: 'CZ', name: 'Czech Republic', names: ['Czechia', 'Česko', 'Česká republika', 'Tschechien'], tld: 'cz', phone: '420',
+    regions: ['Bohemia|Čechy', 'Moravia|Morava', 'South Moravian Region|Jihomoravský kraj'],
+    cities: ['Prague|Praha|Prag', 'Brno|Brünn', 'Ostrava', 'Plzeň|Plzen|Pilsen', 'Liberec', 'Olomouc', 'České Budějovice|Ceske Budejovice|Budweis', 'Karlovy Vary|Karlsbad']
+  },
+  {
+    code: 'SK', name: 'Slovakia', names: ['Slovensko', 'Slowakei'], tld: 'sk', phone: '421',
+    regions: [],
+    cities: ['Bratislava|Pressburg', 'Košice|Kosice', 'Prešov|Presov', 'Žilina|Zilina', 'Nitra', 'Trnava']
+  },
+  {
+    code: 'HU', name: 'Hungary', names: ['Magyarország', 'Magyarorszag', 'Ungarn'], tld: 'hu', phone: '36',
+    regions: ['Pest County|Pest megye'],
+    cities: ['Budapest', 'Debrecen', 'Szeged', 'Miskolc', 'Pécs|Pecs', 'Győr|Gyor', 'Sopron']
+  },
+  {
+    code: 'SI', name: 'Slovenia', names: ['Slovenija', 'Slowenien'], tld: 'si', phone: '386',
+    regions: [],
+    cities: ['Ljubljana|Laibach', 'Maribor|Marburg an der Drau', 'Celje', 'Kranj', 'Koper|Capodistria']
+  },
+  {
+    code: 'HR', name: 'Croatia', names: ['Hrvatska', 'Kroatien'], tld: 'hr', phone: '385',
+    regions: ['Dalmatia|Dalmacija', 'Istria|Istra'],
+    cities: ['Zagreb', 'Split', 'Rijeka', 'Osijek', 'Zadar', 'Dubrovnik', 'Pula']
+  },
+  {
+    code: 'RO', name: 'Romania', names: ['România', 'Rumänien'], tld: 'ro', phone: '40',
+    regions: ['Transylvania|Transilvania'],
+    cities: ['Bucharest|București|Bucuresti|Bukarest', 'Cluj-Napoca|Cluj', 'Timișoara|Timisoara', 'Iași|Iasi', 'Constanța|Constanta', 'Brașov|Brasov', 'Sibiu', 'Oradea']
+  },
+  {
+    code: 'BG', name: 'Bulgaria', names: ['България', 'Balgariya', 'Bulgarien'], tld: 'bg', phone: '359',
+    regions: [],
+    cities: ['Sofia|София', 'Plovdiv', 'Varna', 'Burgas', 'Ruse']
+  },
+  {
+    code: 'GR', name: 'Greece', names: ['Ελλάδα', 'Hellas', 'Ellada', 'Griechenland'], tld: 'gr', phone: '30',
+    regions: ['Attica|Attiki', 'Central Macedonia', 'Crete|Kriti'],
+    cities: ['Athens|Αθήνα|Athina|Athen', 'Thessaloniki|Θεσσαλονίκη|Salonica', 'Patras|Patra', 'Heraklion|Iraklio', 'Larissa', 'Rhodes|Rodos']
+  },
+  {
+    code: 'CY', name: 'Cyprus', names: ['Κύπρος', 'Kypros', 'Zypern'], tld: 'cy', phone: '357',
+    regions: [],
+    cities: ['Nicosia|Lefkosia', 'Limassol|Lemesos', 'Larnaca', 'Paphos|Pafos']
+  },
+  {
+    code: 'MT', name: 'Malta', names: [], tld: 'mt', phone: '356',
+    regions: [],
+    cities: ['Valletta', 'Sliema', 'St. Julian\'s|San Ġiljan']
+  },
+  {
+    code: 'EE', name: 'Estonia', names: ['Eesti', 'Estland'], tld: 'ee', phone: '372',
+    regions: [],
+    cities: ['Tallinn', 'Tartu', 'Pärnu|Parnu']
+  },
+  {
+    code: 'LV', name: 'Latvia', names: ['Latvija', 'Lettland'], tld: 'lv', phone: '371',
+    regions: [],
+    cities: ['Riga|Rīga', 'Daugavpils', 'Jūrmala|Jurmala']
+  },
+  {
+    code: 'LT', name: 'Lithuania', names: ['Lietuva', 'Litauen'], tld: 'lt', phone: '370',
+    regions: [],
+    cities: ['Vilnius', 'Kaunas', 'Klaipėda|Klaipeda']
+  },
+  {
+    code: 'TR', name: 'Turkey', names: ['Türkiye', 'Turkiye', 'Türkei'], tld: 'tr', phone: '90',
+    regions: [],
+    cities: ['Istanbul|İstanbul', 'Ankara', 'Izmir|İzmir', 'Antalya', 'Bursa']
+  },
+  {
+    code: 'US', name: 'United States', names: ['USA', 'U.S.A.', 'US', 'U.S.', 'United States of America', 'America'], tld: 'us', phone: '1',
+    regions: ['Alabama|AL', 'Alaska|AK', 'Arizona|AZ', 'Arkansas|AR', 'California|CA', 'Colorado|CO', 'Connecticut|CT', 'Delaware|DE', 'Florida|FL', 'Georgia|GA', 'Hawaii|HI', 'Idaho|ID', 'Illinois|IL', 'Indiana|IN', 'Iowa|IA', 'Kansas|KS', 'Kentucky|KY', 'Louisiana|LA', 'Maine|ME', 'Maryland|MD', 'Massachusetts|MA', 'Michigan|MI', 'Minnesota|MN', 'Mississippi|MS', 'Missouri|MO', 'Montana|MT', 'Nebraska|NE', 'Nevada|NV', 'New Hampshire|NH', 'New Jersey|NJ', 'New Mexico|NM', 'New York State|NY', 'North Carolina|NC', 'North Dakota|ND', 'Ohio|OH', 'Oklahoma|OK', 'Oregon|OR', 'Pennsylvania|PA', 'Rhode Island|RI', 'South Carolina|SC', 'South Dakota|SD', 'Tennessee|TN', 'Texas|TX', 'Utah|UT', 'Vermont|VT', 'Virginia|VA', 'Washington State|WA', 'West Virginia|WV', 'Wisconsin|WI', 'Wyoming|WY', 'District of Columbia|DC'],
+    cities: ['New York|New York City|NYC|Manhattan|Brooklyn|Queens|Bronx', 'Los Angeles|LA', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose', 'Austin', 'Jacksonville', 'San Francisco', 'Columbus', 'Fort Worth', 'Indianapolis', 'Charlotte', 'Seattle', 'Denver', 'Washington|Washington, D.C.|Washington DC', 'Boston', 'Nashville', 'Detroit', 'Portland', 'Las Vegas', 'Memphis', 'Louisville', 'Baltimore', 'Milwaukee', 'Albuquerque', 'Tucson', 'Sacramento', 'Atlanta', 'Miami', 'Minneapolis', 'Tampa', 'Orlando', 'New Orleans', 'Pittsburgh', 'Cincinnati', 'Salt Lake City', 'Scottsdale', 'Beverly Hills', 'Honolulu']
+  },
+  {
+    code: 'CA', name: 'Canada', names: ['Kanada'], tld: 'ca', phone: '1',
+    regions: ['Ontario|ON', 'Quebec|Québec|QC', 'British Columbia|BC', 'Alberta|AB', 'Manitoba|MB', 'Saskatchewan|SK', 'Nova Scotia|NS', 'New Brunswick|NB', 'Newfoundland and Labrador|NL', 'Prince Edward Island|PE'],
+    cities: ['Toronto', 'Montreal|Montréal', 'Vancouver', 'Calgary', 'Edmonton', 'Ottawa', 'Winnipeg', 'Quebec City|Québec', 'Hamilton', 'London', 'Mississauga', 'Victoria', 'Halifax', 'Kelowna']
+  },
+  {
+    code: 'MX', name: 'Mexico', names: ['México', 'Mexiko'], tld: 'mx', phone: '52',
+    regions: ['Jalisco', 'Nuevo León|Nuevo Leon', 'Quintana Roo', 'Baja California'],
+    cities: ['Mexico City|Ciudad de México|CDMX', 'Guadalajara', 'Monterrey', 'Puebla', 'Tijuana', 'Cancún|Cancun', 'Mérida|Merida']
+  },
+  {
+    code: 'BR', name: 'Brazil', names: ['Brasil', 'Brasilien'], tld: 'br', phone: '55',
+    regions: ['São Paulo State|Estado de São Paulo', 'Rio de Janeiro State', 'Minas Gerais'],
+    cities: ['São Paulo|Sao Paulo', 'Rio de Janeiro', 'Brasília|Brasilia', 'Salvador', 'Fortaleza', 'Belo Horizonte', 'Curitiba', 'Porto Alegre', 'Recife']
+  },
+  {
+    code: 'AR', name: 'Argentina', names: [], tld: 'ar', phone: '54',
+    regions: [],
+    cities: ['Buenos Aires', 'Córdoba|Cordoba', 'Rosario', 'Mendoza']
+  },
+  {
+    code: 'AU', name: 'Australia', names: ['Aussie', 'Australien'], tld: 'au', phone: '61',
+    regions: ['New South Wales|NSW', 'Victoria|VIC', 'Queensland|QLD', 'Western Australia|WA', 'South Australia|SA', 'Tasmania|TAS', 'Australian Capital Territory|ACT', 'Northern Territory|NT'],
+    cities: ['Sydney|Bondi', 'Melbourne', 'Brisbane', 'Perth', 'Adelaide', 'Gold Coast', 'Canberra', 'Hobart', 'Darwin', 'Cairns', 'Geelong']
+  },
+  {
+    code: 'NZ', name: 'New Zealand', names: ['Aotearoa', 'Neuseeland'], tld: 'nz', phone: '64',
+    regions: ['Auckland Region', 'Canterbury', 'Wellington Region', 'Otago'],
+    cities: ['Auckland|Tāmaki Makaurau', 'Wellington|Te Whanganui-a-Tara', 'Christchurch|Ōtautahi', 'Hamilton', 'Tauranga', 'Dunedin', 'Queenstown']
+  },
+  {
+    code: 'ZA', name: 'South Africa', names: ['Suid-Afrika', 'Südafrika', 'RSA'], tld: 'za', phone: '27',
+    regions: ['Gauteng', 'Western Cape', 'KwaZulu-Natal'],
+    cities: ['Johannesburg|Joburg', 'Cape Town|Kaapstad', 'Durban', 'Pretoria|Tshwane', 'Port Elizabeth|Gqeberha']
+  },
+  {
+    code: 'AE', name: 'United Arab Emirates', names: ['UAE', 'Emirates', 'الإمارات'], tld: 'ae', phone: '971',
+    regions: [],
+    cities: ['Dubai|دبي', 'Abu Dhabi|أبو ظبي', 'Sharjah', 'Ajman']
+  },
+  {
+    code: 'IL', name: 'Israel', names: ['ישראל'], tld: 'il', phone: '972',
+    regions: [],
+    cities: ['Tel Aviv|Tel Aviv-Yafo', 'Jerusalem|ירושלים', 'Haifa', 'Herzliya']
+  },
+  {
+    code: 'IN', name: 'India', names: ['Bharat', 'भारत', 'Indien'], tld: 'in', phone: '91',
+    regions: ['Maharashtra', 'Karnataka', 'Tamil Nadu', 'Delhi NCR'],
+    cities: ['Mumbai|Bombay', 'Delhi|New Delhi', 'Bangalore|Bengaluru', 'Hyderabad', 'Chennai|Madras', 'Kolkata|Calcutta', 'Pune', 'Ahmedabad']
+  },
+  {
+    code: 'SG', name: 'Singapore', names: ['Singapura', 'Singapur'], tld: 'sg', phone: '65',
+    regions: [],
+    cities: ['Singapore City|Singapore']
+  },
+  {
+    code: 'JP', name: 'Japan', names: ['日本', 'Nippon', 'Nihon'], tld: 'jp', phone: '81',
+    regions: [],
+    cities: ['Tokyo|東京', 'Osaka|大阪', 'Yokohama', 'Kyoto|京都', 'Nagoya', 'Sapporo', 'Fukuoka']
+  }
+];
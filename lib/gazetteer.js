@@ -0,0 +1,262 @@
+/**
+ * 🌍 LOCATION RESOLVER
+ *
+ * Resolves free-text locations ("Lyon", "dentists near Utrecht", "Seattle, WA")
+ * against the offline gazetteer and scores how well a search result matches
+ * one, from its URL TLD, page text, address data and phone prefixes.
+ * Country-level evidence (TLD, phone) counts fully for country targets but
+ * only a little for cities - a .nl site in Amsterdam is not a Utrecht lead.
+ */
+
+import { COUNTRIES } from './gazetteer-data.js';
+
+export const DEFAULT_LOCATION_THRESHOLD = 0.4;
+
+const TYPE_RANK = { city: 0, region: 1, country: 2 };
+
+const WEIGHTS = {
+  country: { place: 0.5, address: 0.6, countryName: 0.4, tld: 0.4, phone: 0.3 },
+  local: { place: 0.5, address: 0.6, countryName: 0.05, tld: 0.15, phone: 0.15 }
+};
+
+const PENALTIES = { otherCountryAddress: -0.6, otherCityAddress: -0.4, otherTld: -0.3, otherPhone: -0.3 };
+
+// Short names that are also everyday words (Nice, Bath, Essen) must be capitalized to count
+const SHORT_NAME_LENGTH = 5;
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/[’`]/g, '\'');
+}
+
+function key(text) {
+  return fold(text).toLowerCase().replace(/[.\s]+/g, ' ').trim();
+}
+
+const isPostalCode = alias => /^[A-Z]{2}$/.test(alias);
+
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildPlace(type, spec, country) {
+  const [name, ...aliases] = spec.split('|');
+  return {
+    type,
+    name,
+    names: [name, ...aliases].filter(alias => !isPostalCode(alias)),
+    codes: aliases.filter(isPostalCode),
+    country: country.code,
+    countryName: country.name
+  };
+}
+
+const PLACES = [];
+const INDEX = new Map();
+const CODE_INDEX = new Map();
+const TLD_INDEX = new Map();
+
+for (const country of COUNTRIES) {
+  const places = [
+    { ...buildPlace('country', [country.name, ...country.names].join('|'), country) },
+    ...country.regions.map(spec => buildPlace('region', spec, country)),
+    ...country.cities.map(spec => buildPlace('city', spec, country))
+  ];
+
+  for (const place of places) {
+    place.tld = country.tld;
+    place.phone = country.phone;
+    PLACES.push(place);
+    for (const name of place.names) {
+      const entries = INDEX.get(key(name)) || [];
+      entries.push(place);
+      INDEX.set(key(name), entries);
+    }
+    for (const code of place.codes) {
+      CODE_INDEX.set(code, [...(CODE_INDEX.get(code) || []), place]);
+    }
+  }
+  TLD_INDEX.set(country.tld, country.code);
+}
+
+function lookup(text) {
+  return [...(INDEX.get(key(text)) || [])].sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type]);
+}
+
+function describe(place) {
+  return {
+    type: place.type,
+    name: place.name,
+    names: place.names,
+    codes: place.codes,
+    country: place.country,
+    countryName: place.countryName,
+    tld: place.tld,
+    phone: place.phone
+  };
+}
+
+function nameRegExp(name) {
+  const folded = fold(name);
+  const caseSensitive = folded.length <= SHORT_NAME_LENGTH || /^[A-Z.]+$/.test(folded);
+  return new RegExp(`${WORD_START}${escapeRegExp(folded)}${WORD_END}`, caseSensitive ? 'u' : 'iu');
+}
+
+function mentions(text, names) {
+  return names.find(name => nameRegExp(name).test(text)) || null;
+}
+
+/**
+ * The gazetteer place named anywhere in free text ("physio clinics in Lyon").
+ * Longest name wins, then cities over regions over countries.
+ */
+export function findLocationInText(text) {
+  const folded = fold(text).replace(/[.\s]+/g, ' ');
+  let best = null;
+
+  for (const [name, places] of INDEX) {
+    if (best && name.length < best.name.length) {
+      continue;
+    }
+    // "nice dentists" is not about Nice - short names need "in nice" or a capital
+    const properName = fold(places[0].names.find(alias => key(alias) === name) || name);
+    const pattern = name.length > SHORT_NAME_LENGTH
+      ? new RegExp(`${WORD_START}${escapeRegExp(name)}${WORD_END}`, 'iu')
+      : new RegExp(`(?:(?<=\\b(?:in|near|around|at)\\s)${escapeRegExp(name)}|${WORD_START}${escapeRegExp(properName)})${WORD_END}`, 'u');
+    if (pattern.test(folded)) {
+      const [place] = [...places].sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type]);
+      const better = !best || name.length > best.name.length || TYPE_RANK[place.type] < TYPE_RANK[best.place.type];
+      if (better) {
+        best = { name, place };
+      }
+    }
+  }
+
+  return best ? describe(best.place) : null;
+}
+
+/**
+ * Resolve a location string to { type, name, country, countryName, names, tld, phone }.
+ * "Birmingham, US" and "London, Ontario" use the qualifiers to pick the right
+ * place; anything unknown returns null.
+ */
+export function resolveLocation(text) {
+  const cleaned = String(text || '').trim().replace(/^(in|near|around|close to|nearby)\s+/i, '');
+  const [head, ...qualifiers] = cleaned.split(',').map(part => part.trim()).filter(Boolean);
+  if (!head) {
+    return null;
+  }
+
+  let candidates = lookup(head);
+  if (candidates.length === 0) {
+    return findLocationInText(cleaned);
+  }
+
+  for (const qualifier of qualifiers) {
+    const qualifying = [...lookup(qualifier), ...(CODE_INDEX.get(qualifier.toUpperCase()) || [])];
+    const narrowed = candidates.filter(candidate => qualifying.some(place => place.country === candidate.country));
+    if (narrowed.length > 0) {
+      candidates = narrowed;
+    }
+  }
+
+  return describe(candidates[0]);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+export function countryForHost(url) {
+  const tld = hostOf(url).split('.').pop();
+  return TLD_INDEX.get(tld) || null;
+}
+
+/**
+ * International calling codes found in phone numbers (+43 …, 0043 …)
+ */
+export function phoneCountryCodes(text) {
+  const codes = new Set(COUNTRIES.map(country => country.phone));
+  const found = new Set();
+
+  for (const match of String(text || '').matchAll(/(?:\+|(?<!\d)00)\s?(\d[\d\s().\/-]{6,}\d)/g)) {
+    const digits = match[1].replace(/\D/g, '');
+    const prefix = [3, 2, 1].map(length => digits.slice(0, length)).find(candidate => codes.has(candidate));
+    if (prefix) {
+      found.add(prefix);
+    }
+  }
+  return [...found];
+}
+
+function samePlace(place, target) {
+  return place.country === target.country && (target.type === 'country' || key(place.name) === key(target.name));
+}
+
+/**
+ * Score how well a search result ({ url, title, text, location, phone })
+ * matches a resolved target. Resolves to { score: 0-1, signals: [{ signal, weight }] }.
+ */
+export function scoreLocationMatch(practice, target) {
+  const countryScope = target.type === 'country';
+  const weights = countryScope ? WEIGHTS.country : WEIGHTS.local;
+  const signals = [];
+  const add = (signal, weight) => signals.push({ signal, weight });
+
+  const text = fold(`${practice.title || ''}\n${practice.text || practice.snippet || ''}`);
+  const hostTokens = hostOf(practice.url).split(/[.-]/);
+  const targetPlaces = countryScope
+    ? PLACES.filter(place => place.country === target.country && place.type !== 'country')
+    : [target];
+
+  // Page text and domain name
+  const place = targetPlaces.find(candidate =>
+    mentions(text, candidate.names) || candidate.names.some(name => hostTokens.includes(key(name).replace(/\s+/g, ''))));
+  if (place) {
+    add(`text:${place.name}`, weights.place);
+  } else if (targetPlaces.some(candidate => candidate.codes.some(code => new RegExp(`,\\s*${code}${WORD_END}`, 'u').test(text)))) {
+    add('text:postal-code', weights.place);
+  }
+
+  const countryName = mentions(text, PLACES.find(candidate => candidate.type === 'country' && candidate.country === target.country).names);
+  if (countryName) {
+    add(`text:${countryName}`, weights.countryName);
+  }
+
+  // Structured address data (OSM, uploaded lists, imports)
+  if (practice.location) {
+    const address = resolveLocation(practice.location);
+    if (address && samePlace(address, target)) {
+      add(`address:${address.name}`, weights.address);
+    } else if (address && address.country !== target.country) {
+      add(`address:${address.countryName}`, PENALTIES.otherCountryAddress);
+    } else if (address && address.type === 'city') {
+      add(`address:${address.name}`, PENALTIES.otherCityAddress);
+    }
+  }
+
+  // Country-code TLD (.com and friends say nothing)
+  const tldCountry = countryForHost(practice.url);
+  if (tldCountry === target.country) {
+    add(`tld:.${target.tld}`, weights.tld);
+  } else if (tldCountry) {
+    add(`tld:${tldCountry}`, PENALTIES.otherTld);
+  }
+
+  // Phone prefixes (US and Canada share +1)
+  const phoneCodes = phoneCountryCodes(`${practice.phone || ''}\n${text}`);
+  if (phoneCodes.includes(target.phone)) {
+    add(`phone:+${target.phone}`, weights.phone);
+  } else if (phoneCodes.length > 0) {
+    add(`phone:+${phoneCodes[0]}`, PENALTIES.otherPhone);
+  }
+
+  const total = signals.reduce((sum, { weight }) => sum + weight, 0);
+  return { score: Math.round(Math.min(1, Math.max(0, total)) * 100) / 100, signals };
+}
@@ -0,0 +1,332 @@
+/**
+ * 📬 PERSISTENT BACKGROUND JOB QUEUE
+ *
+ * Long-running lead workflows are enqueued here instead of being awaited
+ * inside an HTTP request. Jobs are journaled to disk on every state change so
+ * a Railway restart re-queues whatever was running when the process died.
+ *
+ * Job lifecycle: queued → running → completed | failed | cancelled
+ *
+ * The journal only holds job state and progress - per lead just its status
+ * and ids, not its result - so the frequent per-lead writes stay small; each
+ * finished job's result is written once to its own file next to it
+ * (jobs.json → jobs-results/<job id>.json).
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { JsonStore } from './json-store.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// A job as journaled: without its result, and its leads without theirs
+function journalEntry({ result, ...job }) {
+  const leads = job.progress.leads.map(lead => {
+    if (!lead) {
+      return lead;
+    }
+    const { result: leadResult, ...entry } = lead;
+    return entry;
+  });
+  return { ...job, progress: { ...job.progress, leads } };
+}
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Handle passed to job handlers so workflows can report per-lead progress,
+ * persist intermediate state and stop cooperatively when cancelled.
+ */
+class JobContext {
+  constructor(queue, job) {
+    this.queue = queue;
+    this.job = job;
+  }
+
+  get id() {
+    return this.job.id;
+  }
+
+  get state() {
+    return this.job.state;
+  }
+
+  isCancelled() {
+    return this.job.cancelRequested === true;
+  }
+
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      throw new JobCancelledError(this.job.id);
+    }
+  }
+
+  setTotal(total) {
+    this.job.progress.total = total;
+    return this.queue.persist(this.job, 'progress');
+  }
+
+  updateLead(index, patch) {
+    const leads = this.job.progress.leads;
+    leads[index] = { ...(leads[index] || { index }), ...patch, updatedAt: new Date().toISOString() };
+
+    // Dry-run leads end as 'planned' - they count as completed work
+    this.job.progress.completed = leads.filter(lead => lead && ['success', 'planned'].includes(lead.status)).length;
+    this.job.progress.failed = leads.filter(lead => lead && lead.status === 'failed').length;
+
+    return this.queue.persist(this.job, 'progress');
+  }
+
+  /**
+   * Progress entry of a lead that already finished, so a resumed job can skip
+   * work it has already done. After a restart the entry has no result - the
+   * journal keeps only the lead's status and ids.
+   */
+  finishedLead(index) {
+    const lead = this.job.progress.leads[index];
+    return lead && ['success', 'planned', 'failed', 'skipped'].includes(lead.status) ? lead : null;
+  }
+
+  checkpoint(patch) {
+    Object.assign(this.job.state, patch);
+    return this.queue.persist(this.job, 'checkpoint');
+  }
+}
+
+export class JobQueue extends EventEmitter {
+  constructor({ filePath, concurrency = 1, retainFinished = 200, logger = () => {} }) {
+    super();
+    this.store = new JsonStore(filePath, { jobs: [] });
+    this.resultsDir = filePath.replace(/\.json$/, '') + '-results';
+    this.concurrency = concurrency;
+    this.logger = logger;
+    this.lastSave = Promise.resolve();
+    this.nextSave = null;
+    this.retainFinished = retainFinished;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.running = new Set();
+    this.ready = false;
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load the journal and re-queue jobs that were interrupted by a restart.
+   */
+  async init() {
+    const data = await this.store.read();
+
+    for (const job of data.jobs || []) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.QUEUED;
+        job.resumedAt = new Date().toISOString();
+      }
+      if (FINISHED_STATUSES.includes(job.status)) {
+        // Journals written before results moved out still carry them inline
+        if (job.result !== undefined && job.result !== null) {
+          await this.resultStore(job.id).write({ result: job.result });
+        } else {
+          job.result = await this.resultStore(job.id).read().then(data => data.result ?? null, () => null);
+        }
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    this.ready = true;
+    await this.save();
+    this.pump();
+
+    return this.list({ status: JOB_STATUS.QUEUED }).length;
+  }
+
+  async enqueue(type, payload = {}, meta = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = {
+      id: `job-${randomUUID()}`,
+      type,
+      status: JOB_STATUS.QUEUED,
+      payload,
+      meta,
+      state: {},
+      progress: { total: 0, completed: 0, failed: 0, leads: [] },
+      result: null,
+      error: null,
+      attempts: 0,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job, 'queued');
+    this.pump();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ status, type, limit = 50 } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs are flagged and
+   * stop at the next lead boundary.
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    job.cancelRequested = true;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      job.status = JOB_STATUS.CANCELLED;
+      job.finishedAt = new Date().toISOString();
+      await this.persist(job, 'cancelled');
+    } else {
+      await this.persist(job, 'cancel-requested');
+    }
+
+    return job;
+  }
+
+  resultStore(jobId) {
+    return new JsonStore(path.join(this.resultsDir, `${jobId}.json`), { result: null });
+  }
+
+  /**
+   * Journal the change, then announce it. A failed write is logged rather
+   * than thrown: the job carries on in memory and the next save retries.
+   */
+  async persist(job, event) {
+    try {
+      await this.save();
+    } catch (error) {
+      this.logger(`⚠️ Job journal not saved (${event} ${job.id}): ${error.message}`);
+    }
+    this.emit(event, job);
+  }
+
+  /**
+   * Write the journal. Callers arriving while a write is in flight share the
+   * one queued after it - it snapshots their changes too - so a burst of
+   * progress updates costs two writes, not one per update.
+   */
+  save() {
+    if (!this.ready) {
+      return Promise.resolve();
+    }
+    if (!this.nextSave) {
+      this.nextSave = this.lastSave.catch(() => {}).then(() => {
+        this.nextSave = null;
+        return this.writeJournal();
+      });
+      this.lastSave = this.nextSave;
+    }
+    return this.nextSave;
+  }
+
+  async writeJournal() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    // Keep the journal bounded - drop the oldest finished jobs and their results
+    for (const job of finished.slice(this.retainFinished)) {
+      this.jobs.delete(job.id);
+      await fs.rm(this.resultStore(job.id).filePath, { force: true });
+    }
+
+    await this.store.write({ jobs: [...this.jobs.values()].map(journalEntry) });
+  }
+
+  pump() {
+    if (!this.ready) {
+      return;
+    }
+
+    const queued = [...this.jobs.values()]
+      .filter(job => job.status === JOB_STATUS.QUEUED && !this.running.has(job.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (this.running.size < this.concurrency && queued.length > 0) {
+      const job = queued.shift();
+      this.running.add(job.id);
+      this.run(job).catch(error => {
+        this.logger(`❌ Job ${job.id} crashed outside its handler: ${error.message}`);
+      }).finally(() => {
+        this.running.delete(job.id);
+        this.pump();
+      });
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    const context = new JobContext(this, job);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts += 1;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.persist(job, 'started');
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      job.result = await handler(job.payload, context);
+      job.status = job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        job.status = JOB_STATUS.CANCELLED;
+      } else {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+      }
+    }
+
+    job.finishedAt = new Date().toISOString();
+    try {
+      await this.resultStore(job.id).write({ result: job.result });
+    } catch (error) {
+      this.logger(`⚠️ Result of job ${job.id} not saved: ${error.message}`);
+    }
+    await this.persist(job, job.status);
+  }
+}
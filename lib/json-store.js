@@ -0,0 +1,49 @@
+/**
+ * 💾 JSON FILE STORE
+ *
+ * Tiny durable store used by the agent for state that must survive a Railway
+ * restart (jobs, checkpoints, registries). Each store owns one JSON file under
+ * the agent data directory (AGENT_DATA_DIR, default ./data).
+ *
+ * Writes are serialized and atomic (write to a temp file, then rename), so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class JsonStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.writeChain = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(this.defaults);
+      }
+      throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  write(data) {
+    const serialized = JSON.stringify(data, null, 2);
+
+    // Chain writes so concurrent callers never interleave partial files
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, serialized);
+        await fs.rename(tmpPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
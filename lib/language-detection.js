@@ -0,0 +1,145 @@
+/**
+ * 🌍 SITE LANGUAGE
+ *
+ * The language a practice talks to its patients in, from three signals: what
+ * the page declares (<html lang>, Content-Language, og:locale), which
+ * language's function words fill its text, and the country TLD. Declarations
+ * are often left at a theme's "en", so text that clearly disagrees outweighs
+ * them; the TLD mostly breaks ties.
+ */
+
+export const SUPPORTED_LANGUAGES = ['en', 'de', 'nl', 'fr', 'es', 'it'];
+export const DEFAULT_LANGUAGE = 'en';
+
+// Evidence weight per signal; the content weight is scaled by that language's share of the function words
+const SIGNAL_WEIGHTS = { 'html-lang': 4, 'content-language': 3, 'og:locale': 3, content: 5, tld: 2 };
+const MIN_CONTENT_WORDS = 8;
+
+// Names a campaign may use instead of the code ("German", "Deutsch", "de-AT")
+const LANGUAGE_NAMES = {
+  en: ['english', 'englisch', 'engels', 'anglais', 'ingles', 'inglese'],
+  de: ['german', 'deutsch', 'duits', 'allemand', 'aleman', 'tedesco'],
+  nl: ['dutch', 'nederlands', 'niederlandisch', 'hollandisch', 'neerlandais', 'flemish', 'vlaams'],
+  fr: ['french', 'francais', 'franzosisch', 'frans', 'frances', 'francese'],
+  es: ['spanish', 'espanol', 'castellano', 'spanisch', 'spaans', 'espagnol', 'spagnolo'],
+  it: ['italian', 'italiano', 'italienisch', 'italiaans', 'italien']
+};
+
+// Country TLDs; shared-language countries (be, ch, lu, ca) count half
+const TLD_LANGUAGES = {
+  uk: 'en', ie: 'en', us: 'en', au: 'en', nz: 'en', za: 'en', ca: 'en',
+  de: 'de', at: 'de', ch: 'de', li: 'de',
+  nl: 'nl', be: 'nl',
+  fr: 'fr', lu: 'fr', mc: 'fr',
+  es: 'es', mx: 'es', ar: 'es', cl: 'es', co: 'es',
+  it: 'it', sm: 'it'
+};
+const SHARED_TLDS = new Set(['be', 'ch', 'lu', 'ca']);
+
+// Frequent function words that (mostly) belong to one language
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'our', 'your', 'with', 'for', 'are', 'you', 'we', 'of', 'to', 'is', 'at', 'from', 'this', 'have'],
+  de: ['und', 'der', 'die', 'das', 'ist', 'wir', 'sie', 'ihre', 'ihr', 'mit', 'fur', 'nicht', 'eine', 'auf', 'bei', 'auch', 'dem', 'zu'],
+  nl: ['het', 'een', 'van', 'zijn', 'wij', 'uw', 'met', 'voor', 'niet', 'bij', 'ook', 'naar', 'onze', 'wordt', 'u'],
+  fr: ['le', 'les', 'et', 'des', 'du', 'est', 'nous', 'vous', 'votre', 'pour', 'avec', 'une', 'dans', 'sur', 'au'],
+  es: ['el', 'los', 'las', 'y', 'del', 'es', 'para', 'con', 'nuestro', 'nuestra', 'su', 'una', 'que', 'por', 'usted'],
+  it: ['il', 'gli', 'e', 'di', 'della', 'per', 'con', 'che', 'sono', 'nostro', 'nostra', 'dei', 'nel', 'alla', 'un']
+};
+const WORD_LANGUAGES = new Map();
+for (const [language, words] of Object.entries(FUNCTION_WORDS)) {
+  for (const word of words) {
+    WORD_LANGUAGES.set(word, [...(WORD_LANGUAGES.get(word) || []), language]);
+  }
+}
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+}
+
+/**
+ * Supported language code for a code, locale or language name - "de-AT",
+ * "nl_BE", "German", "Nederlands" - or null
+ */
+export function resolveLanguage(value) {
+  const text = fold(value).trim();
+  if (!text) {
+    return null;
+  }
+  const code = text.split(/[-_]/)[0];
+  if (SUPPORTED_LANGUAGES.includes(code)) {
+    return code;
+  }
+  return Object.entries(LANGUAGE_NAMES).find(([, names]) => names.includes(text))?.[0] || null;
+}
+
+function declaredLanguages(html) {
+  const source = String(html || '');
+  const metaContent = pattern => [...source.matchAll(/<meta\b[^>]*>/gi)].map(match => match[0])
+    .find(meta => pattern.test(meta))?.match(/content=["']([^"']*)["']/i)?.[1];
+  return [
+    { source: 'html-lang', value: source.match(/<html\b[^>]*\blang=["']?([\w-]+)/i)?.[1] },
+    { source: 'content-language', value: metaContent(/http-equiv=["']content-language["']/i) },
+    { source: 'og:locale', value: metaContent(/property=["']og:locale["']/i) }
+  ].map(signal => ({ ...signal, language: resolveLanguage(signal.value) })).filter(signal => signal.language);
+}
+
+/**
+ * Share of each language among the function words of a text, or null when
+ * the text has too few of them to say
+ */
+export function contentLanguages(text) {
+  const counts = {};
+  let total = 0;
+  for (const word of fold(text).match(/\p{L}+/gu) || []) {
+    for (const language of WORD_LANGUAGES.get(word) || []) {
+      counts[language] = (counts[language] || 0) + 1;
+      total++;
+    }
+  }
+  if (total < MIN_CONTENT_WORDS) {
+    return null;
+  }
+  return Object.fromEntries(Object.entries(counts).map(([language, count]) => [language, Math.round(count / total * 100) / 100]));
+}
+
+function tldLanguage(domain) {
+  const tld = String(domain || '').toLowerCase().split('.').pop();
+  return TLD_LANGUAGES[tld] ? { language: TLD_LANGUAGES[tld], weight: SIGNAL_WEIGHTS.tld * (SHARED_TLDS.has(tld) ? 0.5 : 1), value: tld } : null;
+}
+
+/**
+ * Language of a practice site from its home page html, its text and its
+ * domain. Resolves to { code, confidence (0-1), source, sources, signals:
+ * [{ source, value, language, weight }] }; without any signal the code is
+ * DEFAULT_LANGUAGE with source 'default'.
+ */
+export function detectLanguage({ html = '', text = '', domain = '' } = {}) {
+  const signals = declaredLanguages(html).map(signal => ({ ...signal, weight: SIGNAL_WEIGHTS[signal.source] }));
+  const shares = contentLanguages(text);
+  for (const [language, share] of Object.entries(shares || {})) {
+    signals.push({ source: 'content', value: share, language, weight: Math.round(SIGNAL_WEIGHTS.content * share * 100) / 100 });
+  }
+  const tld = tldLanguage(domain);
+  if (tld) {
+    signals.push({ source: 'tld', ...tld });
+  }
+
+  const scores = {};
+  for (const signal of signals) {
+    scores[signal.language] = (scores[signal.language] || 0) + signal.weight;
+  }
+  const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (!best) {
+    return { code: DEFAULT_LANGUAGE, confidence: 0, source: 'default', sources: [], signals: [] };
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  const agreeing = signals.filter(signal => signal.language === best[0]).sort((a, b) => b.weight - a.weight);
+  return {
+    code: best[0],
+    confidence: Math.round(Math.min(0.99, best[1] / total * Math.min(1, best[1] / 6)) * 100) / 100,
+    source: agreeing[0].source,
+    sources: agreeing.map(signal => signal.source),
+    signals
+  };
+}
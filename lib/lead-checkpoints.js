@@ -0,0 +1,164 @@
+/**
+ * 🧷 LEAD PHASE CHECKPOINTS
+ *
+ * Records which pipeline phases each lead has completed and the artifacts
+ * they produced (Notion page, voice agent, GitHub repo, Railway ids), so a
+ * failed lead can be resumed from the failed phase instead of re-creating
+ * everything from scratch.
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonStore } from './json-store.js';
+
+export const LEAD_PHASES = ['scrape', 'notion', 'agent', 'repository', 'deployment', 'notionUpdate'];
+
+export const PHASE_STATUS = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+export class LeadCheckpointStore {
+  constructor({ filePath }) {
+    this.store = new JsonStore(filePath, { leads: {} });
+    this.leads = null;
+    this.loading = null;
+  }
+
+  createLeadId() {
+    return `lead-${Date.now()}-${randomUUID().slice(0, 8)}`;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.read().then(data => {
+        this.leads = data.leads || {};
+      });
+    }
+    await this.loading;
+    return this.leads;
+  }
+
+  async save() {
+    await this.store.write({ leads: this.leads });
+  }
+
+  async get(leadId) {
+    const leads = await this.load();
+    return leads[leadId] || null;
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    const leads = await this.load();
+    return Object.values(leads)
+      .filter(lead => !status || lead.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Fetch the checkpoint for leadId, creating a fresh one if it doesn't exist
+   */
+  async begin(leadId, url, { campaignId = null, seed = null, options = {} } = {}) {
+    const leads = await this.load();
+
+    if (!leads[leadId]) {
+      const now = new Date().toISOString();
+      leads[leadId] = {
+        leadId,
+        url,
+        campaignId,
+        // Practice fields known up front (bulk import) - reused when resuming
+        seed,
+        // Campaign overrides (language, duplicate policy, filters) - reapplied when resuming
+        options,
+        status: 'running',
+        phases: {},
+        failedPhase: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+      };
+    } else {
+      leads[leadId].status = 'running';
+      leads[leadId].error = null;
+      leads[leadId].updatedAt = new Date().toISOString();
+    }
+
+    await this.save();
+    return leads[leadId];
+  }
+
+  async recordPhase(leadId, phase, status, output) {
+    const lead = (await this.load())[leadId];
+    const now = new Date().toISOString();
+
+    lead.phases[phase] = {
+      status,
+      output,
+      completedAt: status === PHASE_STATUS.COMPLETED ? now : null,
+      updatedAt: now
+    };
+    lead.updatedAt = now;
+
+    await this.save();
+  }
+
+  async markFailed(leadId, phase, error) {
+    const lead = (await this.load())[leadId];
+
+    lead.status = 'failed';
+    lead.failedPhase = phase;
+    lead.error = error.message;
+    lead.updatedAt = new Date().toISOString();
+
+    if (lead.phases[phase]?.status !== PHASE_STATUS.PARTIAL) {
+      lead.phases[phase] = { ...lead.phases[phase], status: PHASE_STATUS.FAILED, updatedAt: lead.updatedAt };
+    }
+
+    await this.save();
+  }
+
+  async markFinished(leadId, status) {
+    const lead = (await this.load())[leadId];
+
+    lead.status = status;
+    lead.failedPhase = null;
+    lead.updatedAt = new Date().toISOString();
+
+    await this.save();
+  }
+
+  async recordTeardown(leadId, teardown) {
+    const lead = (await this.load())[leadId];
+
+    lead.teardown = teardown;
+    lead.status = teardown.steps.some(step => step.status === 'failed') ? 'teardown-incomplete' : 'torn-down';
+    lead.updatedAt = new Date().toISOString();
+
+    await this.save();
+  }
+
+  /**
+   * External artifacts a lead created so far, including ones recorded by a
+   * phase that failed halfway (partial output)
+   */
+  collectArtifacts(lead) {
+    const output = phase => lead.phases[phase]?.output || {};
+
+    return {
+      // A refreshed lead updated an existing CRM page - that page isn't ours to archive
+      notionPageId: output('notion').refreshed ? null : output('notion').id || null,
+      agentId: output('agent').agentId || null,
+      repositoryFullName: output('repository').full_name || null,
+      railwayProjectId: output('deployment').projectId || null
+    };
+  }
+
+  /**
+   * First phase that still has work to do, or null when the lead is complete
+   */
+  nextPhase(lead) {
+    return LEAD_PHASES.find(phase => lead.phases[phase]?.status !== PHASE_STATUS.COMPLETED) || null;
+  }
+}
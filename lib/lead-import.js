@@ -0,0 +1,310 @@
+/**
+ * 📥 BULK LEAD IMPORT
+ *
+ * Parses CSV or JSONL spreadsheets exported by the sales team into practice
+ * seeds. Columns are mapped onto practice fields (explicitly or by common
+ * header names), every row is validated and normalized, and the known fields
+ * become the seed for practiceData so scraping only fills the gaps.
+ */
+
+import { normalizeDomain } from './lead-registry.js';
+
+export const IMPORT_FORMATS = ['csv', 'jsonl'];
+
+// Practice field → header names recognised without an explicit mapping
+export const IMPORT_FIELDS = {
+  website: ['website', 'url', 'site', 'homepage', 'web', 'domain', 'website url'],
+  company: ['company', 'name', 'clinic', 'practice', 'clinic name', 'practice name', 'company name'],
+  contactName: ['contact', 'contact name', 'contact person', 'doctor', 'owner', 'person'],
+  phone: ['phone', 'telephone', 'tel', 'phone number', 'mobile'],
+  email: ['email', 'e-mail', 'mail', 'email address'],
+  location: ['city', 'location', 'town', 'address'],
+  services: ['services', 'treatments', 'specialties'],
+  specialty: ['specialty', 'speciality', 'practice type', 'type', 'category']
+};
+
+export class ImportValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportValidationError';
+  }
+}
+
+function headerKey(header) {
+  return String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+}
+
+/**
+ * Split CSV text into records. Handles quoted fields (with embedded
+ * delimiters, quotes and newlines) and picks , ; or tab from the header line.
+ * lines[i] is the file line records[i] starts on.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (char === '\n') {
+          line++;
+        }
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  const [{ cells: headers } = { cells: [] }, ...records] = rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  return {
+    headers: headers.map(header => header.trim()),
+    records: records.map(({ cells }) => Object.fromEntries(headers.map((header, index) => [header.trim(), cells[index] ?? '']))),
+    lines: records.map(record => record.line)
+  };
+}
+
+/**
+ * One JSON object per line; unparseable lines come back as { error }.
+ * lines[i] is the file line of records[i] - blank lines are skipped.
+ */
+export function parseJsonl(text) {
+  const entries = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim());
+  const records = entries
+    .map(({ line }) => {
+      try {
+        const record = JSON.parse(line);
+        return record && typeof record === 'object' && !Array.isArray(record) ? record : { error: 'line is not a JSON object' };
+      } catch (error) {
+        return { error: `invalid JSON: ${error.message}` };
+      }
+    });
+
+  const headers = [...new Set(records.filter(record => !record.error).flatMap(record => Object.keys(record)))];
+  return { headers, records, lines: entries.map(({ number }) => number) };
+}
+
+export function detectFormat({ format, filename, text }) {
+  if (format) {
+    const normalized = format.toLowerCase() === 'ndjson' ? 'jsonl' : format.toLowerCase();
+    if (!IMPORT_FORMATS.includes(normalized)) {
+      throw new ImportValidationError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+  if (/\.(jsonl|ndjson|json)$/i.test(filename || '')) {
+    return 'jsonl';
+  }
+  if (/\.(csv|tsv|txt)$/i.test(filename || '')) {
+    return 'csv';
+  }
+  return text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+/**
+ * Practice field → column. Explicit entries win; every other field is
+ * matched against the recognised header names.
+ */
+export function resolveMapping(headers, mapping = {}) {
+  const unknownFields = Object.keys(mapping).filter(field => !IMPORT_FIELDS[field]);
+  if (unknownFields.length > 0) {
+    throw new ImportValidationError(`Unknown mapping field(s): ${unknownFields.join(', ')} (known: ${Object.keys(IMPORT_FIELDS).join(', ')})`);
+  }
+
+  const missingColumns = Object.values(mapping).filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ImportValidationError(`Mapped column(s) not in the file: ${missingColumns.join(', ')}`);
+  }
+
+  const resolved = {};
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    resolved[field] = mapping[field] || headers.find(header => aliases.includes(headerKey(header))) || null;
+  }
+
+  if (!resolved.website) {
+    throw new ImportValidationError(`No website column found - map one explicitly (columns: ${headers.join(', ') || 'none'})`);
+  }
+  return resolved;
+}
+
+/**
+ * Parse a "field=Column, field=Column" mapping (Telegram captions, query strings)
+ */
+export function parseMappingSpec(spec) {
+  return Object.fromEntries(String(spec || '')
+    .split(/[,;\n]/)
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([field, column]) => field && column));
+}
+
+function normalizeUrl(value) {
+  const raw = value.trim();
+  const withScheme = /^https?:\/\//i.test(raw) ? raw : `https://${raw}`;
+  try {
+    const url = new URL(withScheme);
+    return url.hostname.includes('.') ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizePhone(value) {
+  const digits = value.replace(/[^\d]/g, '');
+  if (digits.length < 6 || digits.length > 15) {
+    return null;
+  }
+  // Keep the readable grouping, only drop characters a dialer can't use
+  return value.trim().replace(/[^\d+()\s-]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * The mapping for one JSONL record: records don't have to share keys, so a
+ * recognised column this record lacks is replaced by one it does have
+ * ("url" in one line, "website" in the next). Explicit mappings stay.
+ */
+export function recordMapping(record, mapping, explicit = {}) {
+  const keys = Object.keys(record);
+  const resolved = {};
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    resolved[field] = explicit[field] || keys.includes(mapping[field])
+      ? mapping[field]
+      : keys.find(key => aliases.includes(headerKey(key))) || null;
+  }
+  return resolved;
+}
+
+/**
+ * Validate and normalize one record into { url, seed } or a list of errors
+ */
+export function normalizeRecord(record, mapping) {
+  const value = field => {
+    const raw = mapping[field] ? record[mapping[field]] : undefined;
+    return raw === undefined || raw === null ? '' : String(raw).trim();
+  };
+  const errors = [];
+  const seed = {};
+
+  const website = value('website');
+  const url = website ? normalizeUrl(website) : null;
+  if (!website) {
+    errors.push('website is missing');
+  } else if (!url) {
+    errors.push(`website "${website}" is not a valid URL`);
+  }
+
+  if (value('company')) seed.company = value('company');
+  if (value('contactName')) seed.contactName = value('contactName');
+  if (value('location')) seed.location = value('location');
+  if (value('specialty')) seed.specialty = value('specialty');
+
+  if (value('phone')) {
+    const phone = normalizePhone(value('phone'));
+    if (phone) {
+      seed.phone = phone;
+    } else {
+      errors.push(`phone "${value('phone')}" is not a valid phone number`);
+    }
+  }
+
+  if (value('email')) {
+    const email = value('email').toLowerCase().replace(/^mailto:/, '');
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      seed.email = email;
+    } else {
+      errors.push(`email "${value('email')}" is not a valid email address`);
+    }
+  }
+
+  const rawServices = mapping.services ? record[mapping.services] : undefined;
+  const services = Array.isArray(rawServices)
+    ? rawServices.map(service => String(service).trim()).filter(Boolean)
+    : value('services').split(/[;|,]/).map(service => service.trim()).filter(Boolean);
+  if (services.length > 0) {
+    seed.services = services;
+  }
+
+  return { url, seed, errors };
+}
+
+/**
+ * Parse and validate an import file.
+ * Resolves every row to { row, url, seed, status: 'valid' | 'invalid', errors };
+ * rows are numbered by their line in the file (the CSV header is line 1).
+ */
+export function parseLeadImport(text, { format, filename, mapping } = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ImportValidationError('The import file is empty');
+  }
+
+  const detected = detectFormat({ format, filename, text });
+  const { headers, records, lines } = detected === 'csv' ? parseCsv(text) : parseJsonl(text);
+  if (records.length === 0) {
+    throw new ImportValidationError('The import file has no data rows');
+  }
+
+  const resolvedMapping = resolveMapping(headers, mapping);
+  const firstRowByDomain = new Map();
+
+  const rows = records.map((record, index) => {
+    const row = lines[index];
+    if (record.error) {
+      return { row, url: null, seed: {}, status: 'invalid', errors: [record.error] };
+    }
+
+    const { url, seed, errors } = normalizeRecord(record, detected === 'jsonl' ? recordMapping(record, resolvedMapping, mapping) : resolvedMapping);
+    if (url) {
+      const domain = normalizeDomain(url);
+      if (firstRowByDomain.has(domain)) {
+        errors.push(`duplicate of row ${firstRowByDomain.get(domain)} (${domain})`);
+      } else {
+        firstRowByDomain.set(domain, row);
+      }
+    }
+
+    return { row, url, seed, status: errors.length > 0 ? 'invalid' : 'valid', errors };
+  });
+
+  return {
+    format: detected,
+    mapping: resolvedMapping,
+    rows,
+    valid: rows.filter(row => row.status === 'valid').length,
+    invalid: rows.filter(row => row.status === 'invalid').length
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * 🪪 LEAD IDENTITY REGISTRY
+ *
+ * One entry per clinic, keyed on its normalized domain, so the same practice
+ * is not scraped, stored and deployed twice across runs. The agent consults
+ * this local registry first and falls back to the Notion CRM.
+ *
+ * Duplicate policies (per request):
+ *   skip    - don't process known practices (default)
+ *   refresh - reprocess and update the existing Notion page
+ *   force   - process as a brand new lead
+ */
+
+import { JsonStore } from './json-store.js';
+
+export const DUPLICATE_POLICIES = ['skip', 'refresh', 'force'];
+
+/**
+ * Lowercased hostname without www./m. prefixes, from a URL or bare domain
+ */
+export function normalizeDomain(urlOrDomain) {
+  const value = String(urlOrDomain || '').trim();
+  const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+
+  try {
+    return new URL(withProtocol).hostname
+      .toLowerCase()
+      .replace(/\.$/, '')
+      .replace(/^(www\d*|m)\./, '');
+  } catch {
+    return value.toLowerCase();
+  }
+}
+
+/**
+ * Whether a registry entry stands for a practice we already have: a lead
+ * that is running or succeeded, or a Notion page not left behind by a failed
+ * run. A failed lead does not count - the practice can be tried again.
+ */
+export function isKnownPractice(entry, leadId = null) {
+  if (!entry) {
+    return false;
+  }
+  const failedLead = entry.lastStatus === 'failed' ? entry.lastLeadId : null;
+  const otherLeads = entry.leadIds.some(id => id !== leadId && id !== failedLead);
+  return otherLeads || Boolean(entry.notionPageId && entry.lastStatus !== 'failed');
+}
+
+export class LeadRegistry {
+  /**
+   * keyFor(domain) turns a normalized domain into the identity key
+   * (the agent passes generatePracticeId so keys match practice ids)
+   */
+  constructor({ filePath, keyFor }) {
+    this.store = new JsonStore(filePath, { practices: {} });
+    this.keyFor = keyFor;
+    this.practices = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.read().then(data => {
+        this.practices = data.practices || {};
+      });
+    }
+    await this.loading;
+    return this.practices;
+  }
+
+  identify(url) {
+    const domain = normalizeDomain(url);
+    return { domain, key: this.keyFor(domain) };
+  }
+
+  async get(url) {
+    const practices = await this.load();
+    return practices[this.identify(url).key] || null;
+  }
+
+  /**
+   * Look up a practice and, unless it is already known and allowKnown is
+   * false, register leadId against it. Check and claim happen in the same
+   * tick, so two concurrent workers can't both claim the same new domain.
+   */
+  async claim(url, leadId, { allowKnown = false } = {}) {
+    const practices = await this.load();
+    const { domain, key } = this.identify(url);
+    const now = new Date().toISOString();
+    const existing = practices[key];
+
+    const known = isKnownPractice(existing, leadId);
+    if (known && !allowKnown) {
+      return { known, entry: existing, claimed: false };
+    }
+
+    const entry = existing || { key, domain, leadIds: [], notionPageId: null, firstSeenAt: now };
+    if (!entry.leadIds.includes(leadId)) {
+      entry.leadIds.push(leadId);
+    }
+    entry.lastSeenAt = now;
+    practices[key] = entry;
+
+    await this.store.write({ practices });
+    return { known, entry, claimed: true };
+  }
+
+  /**
+   * Undo a claim (e.g. the CRM already had the practice and it is skipped)
+   */
+  async release(url, leadId, details = {}) {
+    const practices = await this.load();
+    const entry = practices[this.identify(url).key];
+    if (!entry) {
+      return;
+    }
+
+    entry.leadIds = entry.leadIds.filter(id => id !== leadId);
+    Object.assign(entry, details);
+    await this.store.write({ practices });
+  }
+
+  /**
+   * A lead failed: its claim is dropped so the practice isn't treated as
+   * known, and the failure is remembered (with any Notion page it created)
+   */
+  async recordFailure(url, leadId) {
+    const practices = await this.load();
+    const entry = practices[this.identify(url).key];
+    if (!entry) {
+      return;
+    }
+
+    entry.leadIds = entry.leadIds.filter(id => id !== leadId);
+    Object.assign(entry, { lastLeadId: leadId, lastStatus: 'failed', lastProcessedAt: new Date().toISOString() });
+    await this.store.write({ practices });
+  }
+
+  async recordOutcome(url, outcome) {
+    const practices = await this.load();
+    const entry = practices[this.identify(url).key];
+    if (!entry) {
+      return;
+    }
+
+    Object.assign(entry, outcome, { lastProcessedAt: new Date().toISOString() });
+    await this.store.write({ practices });
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * 🕒 OPENING HOURS
+ *
+ * Weekly opening hours and holiday notes from a practice site's text, in
+ * English, German, Dutch, French, Spanish and Italian: "Mo–Fr 8:00–18:00",
+ * "Montag 08:00 - 12:00 und 14:00 - 18:00", "Saturday: closed", a day cell
+ * followed by a time cell. Structured data (see structured-data.js) uses the
+ * same { days, opens, closes } shape and wins when present.
+ */
+
+export const DAY_CODES = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+const DAY_LABELS = { Mo: 'Mon', Tu: 'Tue', We: 'Wed', Th: 'Thu', Fr: 'Fri', Sa: 'Sat', Su: 'Sun' };
+
+// Day words per code, accents folded; abbreviations need a word boundary
+const DAY_WORDS = {
+  Mo: ['monday', 'mon', 'montag', 'mo', 'maandag', 'ma', 'lundi', 'lun', 'lunes', 'lunedi'],
+  Tu: ['tuesday', 'tues', 'tue', 'dienstag', 'di', 'dinsdag', 'mardi', 'mar', 'martes', 'martedi'],
+  We: ['wednesday', 'wed', 'mittwoch', 'mi', 'woensdag', 'wo', 'mercredi', 'mer', 'miercoles', 'mercoledi'],
+  Th: ['thursday', 'thurs', 'thu', 'donnerstag', 'do', 'donderdag', 'jeudi', 'jeu', 'jueves', 'giovedi', 'gio'],
+  Fr: ['friday', 'fri', 'freitag', 'fr', 'vrijdag', 'vr', 'vendredi', 'ven', 'viernes', 'venerdi'],
+  Sa: ['saturday', 'sat', 'samstag', 'sa', 'zaterdag', 'za', 'samedi', 'sam', 'sabado', 'sabato', 'sab'],
+  Su: ['sunday', 'sun', 'sonntag', 'so', 'zondag', 'zo', 'dimanche', 'dim', 'domingo', 'domenica', 'dom']
+};
+
+const DAY_LOOKUP = new Map(Object.entries(DAY_WORDS).flatMap(([code, words]) => words.map(word => [word, code])));
+const DAY_PATTERN = new RegExp(`\\b(${[...DAY_LOOKUP.keys()].sort((a, b) => b.length - a.length).join('|')})\\b\\.?`, 'g');
+const RANGE_JOIN = /^\s*(?:-|–|—|to|till|until|bis|tot|t\/m|a|al|au|à)\s*$/;
+const LIST_JOIN = /^\s*(?:,|&|\+|\/|and|und|en|et|y|e|u\.)?\s*$/;
+
+const TIME = '(\\d{1,2})(?:[:.h](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|uhr|h)?';
+const INTERVAL_PATTERN = new RegExp(`${TIME}\\s*(?:-|–|—|to|till|until|bis|tot|à|a|al)\\s*${TIME}`, 'gi');
+const CLOSED = /\b(?:closed|geschlossen|gesloten|ferme|cerrado|chiuso|no consultations?)\b/i;
+// A calendar date - "24.12.", "24/12", "24. Dezember", "31 dec" - makes a closed line a holiday note
+const CLOSURE_DATE = /\b\d{1,2}\.\s?\d{1,2}\.|\b\d{1,2}\/\d{1,2}\b|\b\d{1,2}\.?\s?(?:jan|feb|fev|mar|apr|avr|abr|mai|may|mei|mag|jun|giu|jul|lug|aug|aou|ago|sep|set|okt|oct|ott|nov|dez|dec|dic|gen|ene)[a-z]*\b/;
+const HOLIDAY = /\b(?:holidays?|bank holiday|public holiday|christmas|easter|new year|vacation|feiertag\w*|urlaub|betriebsurlaub|weihnacht\w*|ostern|vakantie|feestdag\w*|kerst\w*|vacances|jours? feries?|noel|vacaciones|festivos?|ferie|festivi|chiuso per ferie)\b/i;
+
+function isHolidayNote(line) {
+  return HOLIDAY.test(line) || (CLOSED.test(line) && CLOSURE_DATE.test(line));
+}
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+}
+
+function toClock(hours, minutes, suffix) {
+  let hour = parseInt(hours, 10);
+  const meridiem = String(suffix || '').replace(/\./g, '').toLowerCase();
+  if (meridiem === 'pm' && hour < 12) {
+    hour += 12;
+  } else if (meridiem === 'am' && hour === 12) {
+    hour = 0;
+  }
+  const minute = parseInt(minutes || '0', 10);
+  return hour <= 24 && minute < 60 ? `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}` : null;
+}
+
+// Day codes a line names, ranges ("Mo-Fr") expanded
+function daysIn(line) {
+  const tokens = [...line.matchAll(DAY_PATTERN)].map(match => ({ code: DAY_LOOKUP.get(match[1]), start: match.index, end: match.index + match[0].length }));
+  const days = [];
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const between = previous ? line.slice(previous.end, token.start) : '';
+    if (previous && RANGE_JOIN.test(between)) {
+      const from = DAY_CODES.indexOf(previous.code);
+      const to = DAY_CODES.indexOf(token.code);
+      for (let day = from + 1; day !== (to + 1) % 7 && days.length < 7; day = (day + 1) % 7) {
+        days.push(DAY_CODES[day]);
+      }
+    } else if (!previous || LIST_JOIN.test(between)) {
+      days.push(token.code);
+    }
+    // Otherwise the day word sits in prose away from the list - it is skipped
+  });
+  return [...new Set(days)];
+}
+
+// Opening intervals on a line; plain "9-17" only counts next to a day word
+function intervalsIn(line, hasDays) {
+  const intervals = [];
+  for (const match of line.matchAll(INTERVAL_PATTERN)) {
+    const [, h1, m1, s1, h2, m2, s2] = match;
+    const explicit = m1 || m2 || s1 || s2;
+    if (!explicit && !hasDays) {
+      continue;
+    }
+    // "9 - 5pm": the first time takes the second's am/pm when that makes it earlier
+    const opens = toClock(h1, m1, s1 || (s2 && parseInt(h1, 10) <= parseInt(h2, 10) ? s2 : null));
+    const closes = toClock(h2, m2, s2);
+    if (opens && closes && opens < closes) {
+      intervals.push({ opens, closes });
+    }
+  }
+  return intervals;
+}
+
+// "ma t/m vr 08.00-18.00, za 9.00-12.00" is two rows: cut where a day word follows a time
+function segments(line) {
+  const cuts = [0];
+  let last = 0;
+  for (const match of line.matchAll(DAY_PATTERN)) {
+    if (match.index > last && new RegExp(INTERVAL_PATTERN.source, 'i').test(line.slice(last, match.index))) {
+      cuts.push(match.index);
+      last = match.index;
+    }
+  }
+  return cuts.map((cut, index) => line.slice(cut, cuts[index + 1]).replace(/^[\s,;|]+|[\s,;|]+$/g, '')).filter(Boolean);
+}
+
+/**
+ * Opening hours in a site's text. Resolves to { weekly: [{ days, opens,
+ * closes }], closed: [day codes], notes: [holiday/closure sentences] };
+ * weekly is empty when no hours are stated.
+ */
+export function parseOpeningHours(text) {
+  const weekly = [];
+  const closed = new Set();
+  const notes = [];
+  let pendingDays = [];
+
+  const rows = [];
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = fold(rawLine).replace(/\s+/g, ' ').trim();
+    if (isHolidayNote(line) && rawLine.length <= 240 && !notes.includes(rawLine.trim())) {
+      notes.push(rawLine.trim());
+    }
+    rows.push(...segments(line));
+  }
+
+  for (const line of rows) {
+    const days = daysIn(line);
+    const intervals = intervalsIn(line, days.length > 0 || pendingDays.length > 0);
+
+    // Table layouts put the day and its hours in separate cells
+    const lineDays = days.length > 0 ? days : intervals.length > 0 || CLOSED.test(line) ? pendingDays : [];
+    if (days.length > 0 && intervals.length === 0 && !CLOSED.test(line)) {
+      pendingDays = line.length <= 40 ? days : [];
+      continue;
+    }
+    pendingDays = [];
+
+    if (lineDays.length === 0 || line.length > 160) {
+      continue;
+    }
+    if (intervals.length > 0) {
+      intervals.forEach(interval => weekly.push({ days: lineDays, ...interval }));
+    } else if (CLOSED.test(line) && !isHolidayNote(line)) {
+      lineDays.forEach(day => closed.add(day));
+    }
+  }
+
+  // The same row repeated on several pages counts once
+  const unique = [...new Map(weekly.map(entry => [`${entry.days.join()}|${entry.opens}|${entry.closes}`, entry])).values()];
+  const open = new Set(unique.flatMap(entry => entry.days));
+  return {
+    weekly: unique,
+    closed: DAY_CODES.filter(day => closed.has(day) && !open.has(day)),
+    notes: notes.slice(0, 3)
+  };
+}
+
+/**
+ * Human-readable week: ["Mon–Thu 08:00–18:00", "Fri 08:00–13:00", "Sat–Sun closed"].
+ * dayNames (Monday first) and closedLabel localize it: "Mo–Do", "geschlossen".
+ */
+export function formatOpeningHours({ weekly = [], closed = [] } = {}, { dayNames = DAY_CODES.map(day => DAY_LABELS[day]), closedLabel = 'closed' } = {}) {
+  const byDay = DAY_CODES.map(day => ({
+    hours: weekly.filter(entry => entry.days.includes(day))
+      .sort((a, b) => a.opens.localeCompare(b.opens))
+      .map(entry => `${entry.opens}–${entry.closes}`).join(', ') || (closed.includes(day) ? closedLabel : null)
+  }));
+
+  const lines = [];
+  for (let index = 0; index < byDay.length; index++) {
+    const { hours } = byDay[index];
+    if (!hours) {
+      continue;
+    }
+    let end = index;
+    while (end + 1 < byDay.length && byDay[end + 1].hours === hours) {
+      end++;
+    }
+    const label = end === index ? dayNames[index] : `${dayNames[index]}–${dayNames[end]}`;
+    lines.push(`${label} ${hours}`);
+    index = end;
+  }
+  return lines;
+}
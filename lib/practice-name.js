@@ -0,0 +1,188 @@
+/**
+ * 🏷️ PRACTICE NAME
+ *
+ * Works out what a practice calls itself. Candidates come from structured
+ * data, og:site_name / application-name, the cleaned-up <title>, logo alt
+ * text and footer copyright lines; names that several sources agree on, and
+ * that match the domain, score highest. Only when the site yields nothing is
+ * a name built from the domain - and that one is flagged as a fallback.
+ */
+
+import { resolveLocation } from './gazetteer.js';
+
+// Evidence weight per source
+const SOURCE_WEIGHTS = { 'structured-data': 5, 'og:site_name': 4, 'application-name': 3, title: 2, 'logo-alt': 2, copyright: 2 };
+const DOMAIN_MATCH_BONUS = 2;
+const AGREEMENT_BONUS = 1;
+const DOMAIN_CONFIDENCE = 0.1;
+
+// Second-level labels in front of country TLDs (dr-smit.co.uk, bondi.com.au)
+const SECOND_LEVEL = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'med', 'or', 'ne', 'gv']);
+
+// Title segments that never name a practice
+const GENERIC_SEGMENT = /^(?:home(?:page)?|start(?:seite)?|welcome|willkommen|welkom|bienvenue|benvenuti|bienvenido|accueil|inicio|index|homepagina|main page|official (?:web)?site|website)$/i;
+const TRAILING_NOISE = /\s*(?:[-–—|:·»]\s*)?(?:home(?:page)?|startseite|official (?:web)?site|website)$/i;
+const LOGO_WORDS = /\b(?:logo|logotype|wordmark|brand)\b/gi;
+const COPYRIGHT_TAIL = /\s*(?:[.,|–—-]\s*)?(?:all rights reserved|alle rechte vorbehalten|alle rechten voorbehouden|tous droits réservés|todos los derechos reservados|tutti i diritti riservati|impressum|datenschutz|privacy).*$/i;
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+}
+
+// "Harley Street Aesthetics Ltd" and "Harley Street Aesthetics" are one name
+const LEGAL_FORM = /\s+(?:ltd|limited|llc|inc|pty(?: ltd)?|plc|gmbh|og|kg|ag|e\.?u\.?|b\.?v\.?|s\.?a\.?r\.?l\.?|s\.?r\.?l\.?|s\.?l\.?|sas)\.?$/i;
+
+function key(name) {
+  return fold(name).replace(LEGAL_FORM, '').replace(/[^a-z0-9]/g, '');
+}
+
+function decode(text) {
+  return String(text || '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&copy;/g, '©').replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function clean(name) {
+  return decode(name).replace(/\s+/g, ' ').replace(/^[\s"'“”|:–—-]+|[\s"'“”|:–—,.-]+$/g, '').trim();
+}
+
+/**
+ * The registrable label of a domain: www.dr-smit-tandarts.nl → dr-smit-tandarts,
+ * harley-aesthetics.co.uk → harley-aesthetics
+ */
+export function domainLabel(domain) {
+  const labels = String(domain || '').toLowerCase().replace(/^www\./, '').split('.').filter(Boolean);
+  if (labels.length > 2 && SECOND_LEVEL.has(labels[labels.length - 2])) {
+    return labels[labels.length - 3];
+  }
+  return labels.length > 1 ? labels[labels.length - 2] : labels[0] || '';
+}
+
+/**
+ * Name built from the domain label alone - "dr-smit-tandarts.nl" → "Dr Smit Tandarts"
+ */
+export function nameFromDomain(domain) {
+  return domainLabel(domain)
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * The last-resort resolution: a name from the domain, flagged as fallback
+ */
+export function domainFallbackName(domain) {
+  return { name: nameFromDomain(domain), confidence: DOMAIN_CONFIDENCE, source: 'domain', sources: ['domain'], fallback: true, candidates: [] };
+}
+
+// Share of the name's words that appear in the domain label (works for brooklynfamilymedicine.com too)
+function domainMatch(name, label) {
+  const words = fold(name).match(/[a-z0-9]{2,}/g) || [];
+  const compact = label.replace(/[^a-z0-9]/g, '');
+  return words.length > 0 ? words.filter(word => compact.includes(word)).length / words.length : 0;
+}
+
+// "Vienna, Austria" or "Berlin" - a location, not a name
+function isLocationOnly(segment) {
+  const place = resolveLocation(segment);
+  if (!place) {
+    return false;
+  }
+  let rest = fold(segment);
+  for (const name of [...(place.names || []), place.name, place.countryName, place.country, ...(place.codes || [])].filter(Boolean)) {
+    rest = rest.replace(new RegExp(`\\b${fold(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'), ' ');
+  }
+  return rest.replace(/[^a-z]/g, '').length <= 2;
+}
+
+/**
+ * The <title> segment most likely to be the name - not generic, not a place,
+ * closest to the domain
+ */
+export function titleName(title, domain) {
+  const label = domainLabel(domain);
+  const segments = clean(title).replace(TRAILING_NOISE, '').split(/\s+[|–—·»:]\s+|\s+-\s+/)
+    .map(clean)
+    .filter(segment => segment && !GENERIC_SEGMENT.test(segment) && !isLocationOnly(segment) && segment.split(' ').length <= 8);
+  const [best] = segments
+    .map((segment, index) => ({ segment, score: domainMatch(segment, label) * 2 - index * 0.1 - (segment.split(' ').length > 5 ? 0.5 : 0) }))
+    .sort((a, b) => b.score - a.score);
+  return best?.segment || null;
+}
+
+function metaContent(html, name) {
+  const tag = [...String(html || '').matchAll(/<meta\b[^>]*>/gi)].map(match => match[0])
+    .find(meta => new RegExp(`(?:name|property)=["']${name}["']`, 'i').test(meta));
+  return tag?.match(/content=["']([^"']*)["']/i)?.[1] || null;
+}
+
+function logoAlts(html) {
+  return [...String(html || '').matchAll(/<img\b[^>]*>/gi)]
+    .map(match => match[0])
+    .filter(tag => /logo|brand/i.test(tag))
+    .map(tag => tag.match(/\balt=["']([^"']*)["']/i)?.[1])
+    .filter(Boolean)
+    .map(alt => clean(decode(alt).replace(LOGO_WORDS, ' ')));
+}
+
+function copyrightNames(html) {
+  const text = decode(String(html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ');
+  return [...text.matchAll(/(?:©|\(c\)|copyright)\s*(?:(?:19|20)\d{2}(?:\s*[-–]\s*(?:19|20)?\d{2,4})?)?\s*(?:by\s+)?([^|©\n]{2,80})/gi)]
+    .map(match => clean(match[1].replace(COPYRIGHT_TAIL, '').replace(/\s*(?:19|20)\d{2}\s*$/, '')))
+    .filter(name => name && !/^(?:19|20)\d{2}$/.test(name));
+}
+
+/**
+ * Best name for a practice from its home page html and, if known, the
+ * structured-data name. Resolves to { name, confidence (0-1), source,
+ * sources, fallback, candidates: [{ name, score, sources }] }; fallback is
+ * true when the name had to be built from the domain.
+ */
+export function resolvePracticeName({ html = '', domain, structuredName = null }) {
+  const label = domainLabel(domain);
+  const raw = [
+    { name: structuredName, source: 'structured-data' },
+    { name: metaContent(html, 'og:site_name'), source: 'og:site_name' },
+    { name: metaContent(html, 'application-name'), source: 'application-name' },
+    { name: titleName(String(html).match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '', domain), source: 'title' },
+    ...logoAlts(html).map(name => ({ name, source: 'logo-alt' })),
+    ...copyrightNames(html).map(name => ({ name, source: 'copyright' }))
+  ].map(candidate => ({ ...candidate, name: clean(candidate.name) }))
+    .filter(candidate => candidate.name.length >= 2 && candidate.name.length <= 80 && !isLocationOnly(candidate.name));
+
+  // Same name (ignoring case/punctuation) from several sources adds up; the best-spelled variant is kept
+  const groups = new Map();
+  for (const candidate of raw) {
+    const group = groups.get(key(candidate.name)) || { name: candidate.name, sources: new Set(), score: 0 };
+    if (!group.sources.has(candidate.source)) {
+      group.score += SOURCE_WEIGHTS[candidate.source];
+      group.sources.add(candidate.source);
+    }
+    if (candidate.source === 'structured-data' || candidate.source === 'og:site_name') {
+      group.name = candidate.name;
+    }
+    groups.set(key(candidate.name), group);
+  }
+
+  const candidates = [...groups.values()].map(group => ({
+    name: group.name,
+    sources: [...group.sources],
+    score: group.score + domainMatch(group.name, label) * DOMAIN_MATCH_BONUS + (group.sources.size - 1) * AGREEMENT_BONUS
+  })).sort((a, b) => b.score - a.score);
+
+  const [best] = candidates;
+  if (!best) {
+    return domainFallbackName(domain);
+  }
+  return {
+    name: best.name,
+    confidence: Math.round(Math.min(0.99, best.score / 10) * 100) / 100,
+    source: best.sources[0],
+    sources: best.sources,
+    fallback: false,
+    candidates: candidates.slice(0, 5).map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }))
+  };
+}
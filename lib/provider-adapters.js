@@ -0,0 +1,156 @@
+/**
+ * 🔌 PROVIDER ADAPTERS
+ *
+ * Every integration is reached through an adapter with a configurable base
+ * URL (<PROVIDER>_BASE_URL), plus a `web` adapter for fetching clinic
+ * websites. With PROVIDER_MODE=fake all adapters point at the in-process
+ * fakes from fake-providers.js, so the whole pipeline runs offline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import axios from 'axios';
+
+export const PROVIDER_MODES = ['live', 'fake'];
+
+export const PROVIDER_BASE_URLS = {
+  exa: 'https://api.exa.ai',
+  overpass: 'https://overpass-api.de/api',
+  openrouter: 'https://openrouter.ai/api/v1',
+  notion: 'https://api.notion.com/v1',
+  github: 'https://api.github.com',
+  railway: 'https://api.railway.app/graphql/v2',
+  elevenlabs: 'https://api.elevenlabs.io/v1'
+};
+
+export class ProviderAdapter {
+  constructor(name, baseUrl) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  url(pathname = '') {
+    return `${this.baseUrl}${pathname}`;
+  }
+
+  toJSON() {
+    return { baseUrl: this.baseUrl };
+  }
+}
+
+export class GitHubAdapter extends ProviderAdapter {
+  constructor(baseUrl, { token }) {
+    super('github', baseUrl);
+    this.token = token;
+  }
+
+  /**
+   * Commit files ({ relativePath: content }) to the repository's default
+   * branch. Clone + commit + push, so the push triggers GitHub Actions.
+   */
+  async publishFiles(repository, files, message) {
+    const repoPath = `/tmp/${repository.name}`;
+
+    // Clear any leftover checkout from a previous (failed) attempt
+    await fs.rm(repoPath, { recursive: true, force: true });
+
+    const authenticatedUrl = repository.clone_url.replace('https://github.com/', `https://${this.token}@github.com/`);
+    // No shell anywhere below - the commit message carries scraped practice names
+    const git = (...args) => execFileSync('git', args, { cwd: repoPath, stdio: 'ignore' });
+    execFileSync('git', ['clone', authenticatedUrl, repoPath], { stdio: 'ignore' });
+
+    for (const [filePath, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(`${repoPath}/${filePath}`), { recursive: true });
+      await fs.writeFile(`${repoPath}/${filePath}`, content);
+    }
+
+    // Configure git environment for GitHub Actions
+    git('config', 'user.name', 'Healthcare AI Agent');
+    git('config', 'user.email', 'agent@healthcare-ai.com');
+    git('remote', 'set-url', 'origin', authenticatedUrl);
+
+    git('add', '.');
+    git('commit', '-m', message);
+    git('push', 'origin', 'main');
+  }
+}
+
+/**
+ * The fake GitHub has no git remote - files go through the contents API
+ */
+export class FakeGitHubAdapter extends GitHubAdapter {
+  async publishFiles(repository, files, message) {
+    for (const [filePath, content] of Object.entries(files)) {
+      await axios.put(this.url(`/repos/${repository.full_name}/contents/${filePath}`), {
+        message,
+        content: Buffer.from(content).toString('base64')
+      }, {
+        headers: { 'Authorization': `Bearer ${this.token}` }
+      });
+    }
+  }
+}
+
+/**
+ * Fetches clinic websites (and deployed demo URLs)
+ */
+export class WebAdapter {
+  constructor() {
+    this.name = 'web';
+  }
+
+  fetchPage(url, init = {}) {
+    return fetch(url, init);
+  }
+
+  toJSON() {
+    return { baseUrl: null };
+  }
+}
+
+/**
+ * Serves the fake clinic websites instead of reaching the internet
+ */
+export class FakeWebAdapter extends WebAdapter {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  fetchPage(url, init = {}) {
+    return fetch(`${this.baseUrl}/page?url=${encodeURIComponent(url)}`, init);
+  }
+
+  toJSON() {
+    return { baseUrl: this.baseUrl };
+  }
+}
+
+/**
+ * Build the adapter set. Base URLs come from <PROVIDER>_BASE_URL, then the
+ * fakes (fake mode) or the production endpoints (live mode).
+ */
+export function createProviderAdapters({ mode = 'live', fakeBaseUrl = null, githubToken = null, env = process.env } = {}) {
+  if (!PROVIDER_MODES.includes(mode)) {
+    throw new Error(`PROVIDER_MODE must be one of: ${PROVIDER_MODES.join(', ')}`);
+  }
+
+  const fake = mode === 'fake';
+  const baseUrl = provider => env[`${provider.toUpperCase()}_BASE_URL`]
+    || (fake ? `${fakeBaseUrl}/${provider}` : PROVIDER_BASE_URLS[provider]);
+
+  return {
+    mode,
+    exa: new ProviderAdapter('exa', baseUrl('exa')),
+    overpass: new ProviderAdapter('overpass', baseUrl('overpass')),
+    openrouter: new ProviderAdapter('openrouter', baseUrl('openrouter')),
+    notion: new ProviderAdapter('notion', baseUrl('notion')),
+    github: fake
+      ? new FakeGitHubAdapter(baseUrl('github'), { token: githubToken })
+      : new GitHubAdapter(baseUrl('github'), { token: githubToken }),
+    railway: new ProviderAdapter('railway', baseUrl('railway')),
+    elevenlabs: new ProviderAdapter('elevenlabs', baseUrl('elevenlabs')),
+    web: fake ? new FakeWebAdapter(`${fakeBaseUrl}/web`) : new WebAdapter()
+  };
+}
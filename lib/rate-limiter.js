@@ -0,0 +1,109 @@
+/**
+ * 🚦 PER-PROVIDER RATE LIMITERS & WORKER POOL
+ *
+ * Leads are processed in parallel; token buckets keep each provider within
+ * its quota (OpenRouter free tier, EXA, GitHub, Railway, ElevenLabs, Notion)
+ * no matter how many workers are running.
+ */
+
+export class TokenBucket {
+  constructor({ ratePerMinute, burst = Math.max(1, Math.ceil(ratePerMinute / 6)) }) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = ratePerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Resolve once a token is available. Waiters are served in FIFO order.
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+
+    if (this.waiters.length > 0 && !this.timer) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  toJSON() {
+    this.refill();
+    return {
+      tokens: Math.floor(this.tokens),
+      capacity: this.capacity,
+      ratePerMinute: Math.round(this.refillPerMs * 60000),
+      waiting: this.waiters.length
+    };
+  }
+}
+
+export class RateLimiterRegistry {
+  constructor(limits = {}) {
+    this.buckets = new Map(
+      Object.entries(limits).map(([provider, limit]) => [provider, new TokenBucket(limit)])
+    );
+  }
+
+  /**
+   * Wait for a request slot; providers without a configured limit pass through
+   */
+  async acquire(provider) {
+    const bucket = this.buckets.get(provider);
+    if (bucket) {
+      await bucket.acquire();
+    }
+  }
+
+  status() {
+    return Object.fromEntries([...this.buckets.entries()].map(([provider, bucket]) => [provider, bucket.toJSON()]));
+  }
+}
+
+/**
+ * Run worker over items with at most `concurrency` in flight.
+ * Results keep the input order; a throwing item is turned into
+ * onError(error, item, index) so one bad lead never sinks the batch.
+ */
+export async function runPool(items, { concurrency = 1, onError = error => ({ error: error.message }) }, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        results[index] = onError(error, items[index], index);
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,234 @@
+/**
+ * 🎯 RELEVANCE CLASSIFIER
+ *
+ * Scores search candidates against the user's request in batches - one LLM
+ * call covers several candidates. Every candidate gets a structured verdict:
+ *   { score: 0-1, specialty, location, isRealPractice, reason }
+ * Verdicts are cached per URL + query, so re-running a campaign (or resuming
+ * it) does not pay for the same evaluation twice.
+ */
+
+import { JsonStore } from './json-store.js';
+
+export const DEFAULT_RELEVANCE_THRESHOLD = 0.6;
+export const DEFAULT_BATCH_SIZE = 8;
+
+const SNIPPET_LENGTH = 300;
+const REASON_LENGTH = 200;
+const CACHE_LIMIT = 5000;
+
+export class RelevanceParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RelevanceParseError';
+  }
+}
+
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return String(url || '').toLowerCase();
+  }
+}
+
+export function cacheKey(url, query) {
+  return `${canonicalUrl(url)}|${String(query || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+export function buildClassificationPrompt(candidates, query) {
+  const list = candidates.map((candidate, index) => [
+    `[${index + 1}] ${candidate.title || 'Untitled'}`,
+    `URL: ${candidate.url}`,
+    candidate.location ? `Listed location: ${candidate.location}` : null,
+    `Snippet: ${String(candidate.text || candidate.snippet || '').replace(/\s+/g, ' ').slice(0, SNIPPET_LENGTH) || 'none'}`
+  ].filter(Boolean).join('\n')).join('\n\n');
+
+  return `Classify each search result against the user's healthcare request.
+
+USER REQUEST: ${query}
+
+CANDIDATES:
+${list}
+
+For every candidate decide:
+- score: 0 to 1, how well the practice matches the request (specialty AND location, if given)
+- specialty: the practice's medical specialty (e.g. "dental", "dermatology"), or null if unclear
+- location: the city and country the practice is in, or null if unclear
+- isRealPractice: true only for the website of an actual clinic or practice - false for directories, aggregators, booking platforms, blogs, news and chains' store locators
+- reason: one short sentence explaining the score
+
+Respond with only a JSON array, one object per candidate, in order:
+[{"id": 1, "score": 0.9, "specialty": "dental", "location": "Vienna, Austria", "isRealPractice": true, "reason": "..."}]`;
+}
+
+function toScore(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (!Number.isFinite(number)) {
+    return null;
+  }
+  // Some models answer in percent
+  const score = number > 1 ? number / 100 : number;
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+function toText(value) {
+  return typeof value === 'string' && value.trim() && !/^(null|none|unknown|n\/a)$/i.test(value.trim()) ? value.trim() : null;
+}
+
+function toBoolean(value) {
+  return value === true || /^(true|yes)$/i.test(String(value).trim());
+}
+
+/**
+ * Parse the model reply into one verdict (or null) per candidate.
+ * Tolerates code fences, prose around the array and percent scores.
+ */
+export function parseVerdicts(content, count) {
+  const text = String(content || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end <= start) {
+    throw new RelevanceParseError('reply contains no JSON array');
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new RelevanceParseError(`reply is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new RelevanceParseError('reply is not a JSON array');
+  }
+
+  const verdicts = new Array(count).fill(null);
+  entries.forEach((entry, position) => {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+    // Fall back to the position when the model drops or garbles the ids
+    const index = Number.isInteger(entry.id) && entry.id >= 1 && entry.id <= count ? entry.id - 1 : position;
+    const score = toScore(entry.score);
+    if (index >= count || verdicts[index] || score === null) {
+      return;
+    }
+    verdicts[index] = {
+      score,
+      specialty: toText(entry.specialty),
+      location: toText(entry.location),
+      isRealPractice: toBoolean(entry.isRealPractice),
+      reason: (toText(entry.reason) || 'no reason given').slice(0, REASON_LENGTH)
+    };
+  });
+  return verdicts;
+}
+
+export function isRelevant(verdict, threshold = DEFAULT_RELEVANCE_THRESHOLD) {
+  return Boolean(verdict && verdict.isRealPractice && verdict.score >= threshold);
+}
+
+export class RelevanceCache {
+  constructor({ filePath, ttlMs }) {
+    this.store = new JsonStore(filePath, { verdicts: {} });
+    this.ttlMs = ttlMs;
+    this.verdicts = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.read().then(data => {
+        this.verdicts = data.verdicts || {};
+      });
+    }
+    await this.loading;
+    return this.verdicts;
+  }
+
+  async get(url, query) {
+    const verdicts = await this.load();
+    const entry = verdicts[cacheKey(url, query)];
+    if (!entry || Date.now() - Date.parse(entry.cachedAt) > this.ttlMs) {
+      return null;
+    }
+    return entry.verdict;
+  }
+
+  async setMany(entries) {
+    const verdicts = await this.load();
+    const cachedAt = new Date().toISOString();
+    for (const { url, query, verdict } of entries) {
+      verdicts[cacheKey(url, query)] = { verdict, cachedAt };
+    }
+
+    // Keep the file bounded - the oldest verdicts go first
+    const keys = Object.keys(verdicts);
+    if (keys.length > CACHE_LIMIT) {
+      keys.sort((a, b) => verdicts[a].cachedAt.localeCompare(verdicts[b].cachedAt))
+        .slice(0, keys.length - CACHE_LIMIT)
+        .forEach(key => delete verdicts[key]);
+    }
+    await this.store.write({ verdicts });
+  }
+}
+
+export class RelevanceClassifier {
+  /**
+   * complete(prompt, { size }) sends the prompt to the LLM and resolves to
+   * the reply text
+   */
+  constructor({ complete, cache = null, batchSize = DEFAULT_BATCH_SIZE, logger = () => {} }) {
+    this.complete = complete;
+    this.cache = cache;
+    this.batchSize = batchSize;
+    this.logger = logger;
+  }
+
+  /**
+   * Resolve to one verdict per candidate, in order. Batches run one after the
+   * other; stopWhen(verdicts) can end the run early, leaving the rest null.
+   * A batch whose reply can't be parsed yields null verdicts (never cached).
+   */
+  async classify(candidates, query, { stopWhen = null } = {}) {
+    const verdicts = await Promise.all(candidates.map(candidate => this.cache ? this.cache.get(candidate.url, query) : null));
+    const cached = verdicts.filter(Boolean).length;
+    if (cached > 0) {
+      this.logger(`   🎯 ${cached}/${candidates.length} relevance verdict(s) from cache`);
+    }
+
+    const pending = candidates.map((candidate, index) => index).filter(index => !verdicts[index]);
+    for (let offset = 0; offset < pending.length; offset += this.batchSize) {
+      if (stopWhen?.(verdicts)) {
+        break;
+      }
+
+      const indexes = pending.slice(offset, offset + this.batchSize);
+      const batch = indexes.map(index => candidates[index]);
+      let batchVerdicts;
+      try {
+        const reply = await this.complete(buildClassificationPrompt(batch, query), { size: batch.length });
+        batchVerdicts = parseVerdicts(reply, batch.length);
+      } catch (error) {
+        if (!(error instanceof RelevanceParseError)) {
+          throw error;
+        }
+        this.logger(`   ⚠️ Relevance batch of ${batch.length} unusable: ${error.message}`);
+        continue;
+      }
+
+      indexes.forEach((index, position) => {
+        verdicts[index] = batchVerdicts[position];
+      });
+      const fresh = indexes
+        .filter(index => verdicts[index])
+        .map(index => ({ url: candidates[index].url, query, verdict: verdicts[index] }));
+      if (this.cache && fresh.length > 0) {
+        await this.cache.setMany(fresh);
+      }
+    }
+
+    return verdicts;
+  }
+}
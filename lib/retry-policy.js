@@ -0,0 +1,267 @@
+/**
+ * 🔁 SHARED RETRY POLICY & CIRCUIT BREAKERS
+ *
+ * Every outbound provider call (OpenRouter, EXA, Notion, GitHub, Railway,
+ * ElevenLabs) goes through RetryPolicy.execute(). It retries transient
+ * failures with exponential backoff + jitter, honours Retry-After, gives up
+ * immediately on fatal errors (401, 404, ...) and keeps one circuit breaker per
+ * provider so a provider that is clearly down fails fast with a clear error
+ * instead of hanging a workflow.
+ */
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Statuses where the provider certainly did not process the request, so even
+// non-idempotent calls (create repo, create project) are safe to repeat
+const SAFE_TO_REPEAT_STATUSES = [425, 429, 503];
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNREFUSED', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const NOT_SENT_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+export const PROVIDER_LABELS = {
+  openrouter: 'OpenRouter',
+  exa: 'EXA',
+  overpass: 'Overpass',
+  notion: 'Notion',
+  github: 'GitHub',
+  railway: 'Railway',
+  elevenlabs: 'ElevenLabs'
+};
+
+/**
+ * Error thrown for non-2xx fetch() responses so they classify like axios errors
+ */
+export class ProviderHttpError extends Error {
+  constructor(provider, response) {
+    super(`${PROVIDER_LABELS[provider] || provider} API error: ${response.status} ${response.statusText}`);
+    this.name = 'ProviderHttpError';
+    this.status = response.status;
+    this.headers = response.headers;
+  }
+}
+
+/**
+ * Thrown when a provider's circuit is open - the provider is considered down
+ */
+export class ProviderUnavailableError extends Error {
+  constructor(provider, retryInMs, lastError) {
+    super(`${PROVIDER_LABELS[provider] || provider} is unavailable (circuit open after repeated failures${lastError ? `: ${lastError}` : ''}). Retry in ${Math.ceil(retryInMs / 1000)}s.`);
+    this.name = 'ProviderUnavailableError';
+    this.provider = provider;
+    this.retryInMs = retryInMs;
+  }
+}
+
+function readHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Parse Retry-After (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed call is worth retrying
+ */
+export function classifyError(error, { idempotent = true } = {}) {
+  const status = error.response?.status ?? error.status ?? null;
+  const headers = error.response?.headers ?? error.headers;
+  const code = error.code || error.cause?.code;
+
+  if (status) {
+    const retryable = idempotent
+      ? RETRYABLE_STATUSES.includes(status)
+      : SAFE_TO_REPEAT_STATUSES.includes(status);
+
+    return {
+      retryable,
+      // Only server-side trouble counts against the provider's health
+      providerFault: status >= 500 || status === 429 || status === 408,
+      status,
+      retryAfterMs: parseRetryAfter(readHeader(headers, 'retry-after'))
+    };
+  }
+
+  // No response at all: network failure, DNS, timeout
+  const isFetchFailure = error.name === 'TypeError' && error.message === 'fetch failed';
+  const isNetwork = RETRYABLE_NETWORK_CODES.includes(code) || isFetchFailure || error.request !== undefined;
+  const retryable = idempotent ? isNetwork : NOT_SENT_NETWORK_CODES.includes(code);
+
+  return { retryable, providerFault: isNetwork, status: null, retryAfterMs: null };
+}
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    // Set when the provider itself said when to come back (a long Retry-After)
+    this.reopenAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Milliseconds until a trial request is allowed, 0 when requests may pass
+   */
+  blockedForMs() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+
+    const remaining = (this.reopenAt ?? this.openedAt + this.resetTimeoutMs) - Date.now();
+    if (remaining <= 0) {
+      this.state = 'half-open';
+      return 0;
+    }
+    return remaining;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.reopenAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures += 1;
+    this.lastError = error.message;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.reopenAt = null;
+    }
+  }
+
+  /**
+   * Open until the provider's own Retry-After has passed
+   */
+  openFor(ms, error) {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.reopenAt = this.openedAt + ms;
+    this.lastError = error.message;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      reopenAt: this.reopenAt ? new Date(this.reopenAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+export class RetryPolicy {
+  constructor({ defaults = {}, providers = {}, logger = console.log } = {}) {
+    this.defaults = {
+      maxAttempts: 4,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      failureThreshold: 5,
+      resetTimeoutMs: 60000,
+      ...defaults
+    };
+    this.providerOptions = providers;
+    this.breakers = new Map();
+    this.logger = logger;
+  }
+
+  optionsFor(provider) {
+    return { ...this.defaults, ...this.providerOptions[provider] };
+  }
+
+  breakerFor(provider) {
+    if (!this.breakers.has(provider)) {
+      const { failureThreshold, resetTimeoutMs } = this.optionsFor(provider);
+      this.breakers.set(provider, new CircuitBreaker({ failureThreshold, resetTimeoutMs }));
+    }
+    return this.breakers.get(provider);
+  }
+
+  backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    // Full jitter: random delay in [0, base * 2^attempt], capped
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Run request() with retries for the given provider.
+   * Pass { idempotent: false } for calls that create resources.
+   */
+  async execute(provider, request, { label = provider, idempotent = true, maxAttempts } = {}) {
+    const options = this.optionsFor(provider);
+    const attempts = maxAttempts || options.maxAttempts;
+    const breaker = this.breakerFor(provider);
+
+    for (let attempt = 1; ; attempt++) {
+      const blockedFor = breaker.blockedForMs();
+      if (blockedFor > 0) {
+        throw new ProviderUnavailableError(provider, blockedFor, breaker.lastError);
+      }
+
+      try {
+        const result = await request(attempt);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        const verdict = classifyError(error, { idempotent });
+
+        if (verdict.providerFault) {
+          breaker.recordFailure(error);
+        } else {
+          // The provider answered (e.g. 401/404) - it is up, the request is wrong
+          breaker.recordSuccess();
+        }
+
+        if (!verdict.retryable || attempt >= attempts) {
+          if (verdict.retryable) {
+            error.message = `${error.message} (gave up after ${attempt} attempts)`;
+          }
+          throw error;
+        }
+
+        // Retrying before Retry-After would only be refused again - wait it out
+        // behind the open circuit instead, and fail this call now
+        if (verdict.retryAfterMs !== null && verdict.retryAfterMs > options.maxDelayMs) {
+          breaker.openFor(verdict.retryAfterMs, error);
+          error.message = `${error.message} (Retry-After ${Math.ceil(verdict.retryAfterMs / 1000)}s exceeds the ${Math.ceil(options.maxDelayMs / 1000)}s retry limit)`;
+          throw error;
+        }
+
+        const delay = verdict.retryAfterMs ?? this.backoffDelay(attempt, options);
+        this.logger(`   🔁 ${label} attempt ${attempt}/${attempts} failed (${verdict.status || error.code || error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  status() {
+    return Object.fromEntries([...this.breakers.entries()].map(([provider, breaker]) => [provider, breaker.toJSON()]));
+  }
+}
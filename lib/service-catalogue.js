@@ -0,0 +1,203 @@
+/**
+ * 💶 SERVICE CATALOGUE
+ *
+ * A practice's treatments as { name, description, durationMinutes, price,
+ * priceFrom, currency } - from structured-data offers, the LLM's reading of
+ * the services and pricing pages, and price-list lines ("Prophylaxe 60 Min.
+ * € 95,-"). priceFrom marks a starting price ("ab 299 €").
+ * Nothing is estimated: a duration or price the site doesn't state stays null.
+ */
+
+export const MAX_CATALOGUE_SERVICES = 12;
+
+// Local currency per country; euro countries are listed once
+const EURO_COUNTRIES = new Set(['AT', 'DE', 'NL', 'BE', 'LU', 'FR', 'IT', 'ES', 'PT', 'IE', 'FI', 'SK', 'SI', 'HR', 'GR', 'CY', 'MT', 'EE', 'LV', 'LT']);
+const COUNTRY_CURRENCIES = {
+  CH: 'CHF', GB: 'GBP', DK: 'DKK', SE: 'SEK', NO: 'NOK', PL: 'PLN', CZ: 'CZK', HU: 'HUF', RO: 'RON', BG: 'BGN', TR: 'TRY', US: 'USD', CA: 'CAD',
+  MX: 'MXN', BR: 'BRL', AR: 'ARS', AU: 'AUD', NZ: 'NZD', ZA: 'ZAR', AE: 'AED', IL: 'ILS', IN: 'INR', SG: 'SGD', JP: 'JPY'
+};
+
+// Symbols and codes as written on price lists; "$" and "kr" depend on the country
+const CURRENCY_TOKENS = [
+  [/€|\beur(?:o|os)?\b/i, () => 'EUR'], [/£|\bgbp\b/i, () => 'GBP'], [/\bchf\b|\bfr\.\s/i, () => 'CHF'], [/zł|\bpln\b/i, () => 'PLN'],
+  [/\ba\$|\bau\$|\baud\b/i, () => 'AUD'], [/\bc\$|\bcad\b/i, () => 'CAD'], [/\bnz\$|\bnzd\b/i, () => 'NZD'], [/\busd\b|us\$/i, () => 'USD'],
+  [/\$/, local => (['USD', 'AUD', 'CAD', 'NZD', 'SGD', 'MXN', 'ARS'].includes(local) ? local : 'USD')],
+  [/\bkr\.?\b|\bsek\b|\bdkk\b|\bnok\b/i, local => (['SEK', 'DKK', 'NOK'].includes(local) ? local : null)],
+  [/\bczk\b|kč/i, () => 'CZK'], [/\bhuf\b/i, () => 'HUF'], [/\baed\b/i, () => 'AED'], [/\bzar\b/i, () => 'ZAR'], [/\binr\b|₹/i, () => 'INR']
+];
+
+const AMOUNT = /(\d{1,3}(?:[.,'\s]\d{3})+|\d+)(?:[.,](\d{1,2}|-{1,2}))?/;
+const PRICE_PATTERN = new RegExp(`(?:€|£|\\$|chf|eur|gbp|usd|aud|zł|pln|kr|a\\$)\\s*${AMOUNT.source}|${AMOUNT.source}\\s*(?:€|£|chf|eur|euro|gbp|usd|aud|zł|pln|kr|,-)`, 'i');
+const DURATION_PATTERN = /(\d+(?:[.,]\d)?)\s*(?:-|–|to|bis)?\s*(?:\d+\s*)?(min(?:ute[ns]?|uti|utos|s)?\.?|h(?:ours?|rs?)?\b|std\.?|stunden?|uur|heures?|horas?|ore?)/i;
+// "1h 30", "1 Std. 30 Min.", "1 uur en 15 minuten" - not "1 h 30,00 €"
+const HOURS_MINUTES_PATTERN = /(\d+)\s*(?:h(?:ours?|rs?)?|std\.?|stunden?|uur|heures?|horas?|ore?)\s*(?:and|und|en|et|y|e)?\s*(\d{1,2})(?:\s*min(?:ute[ns]?|uti|utos|s)?\.?|(?![\d.,]))/i;
+// Words that make a price a starting price
+const PRICE_FROM_PATTERN = /(?:^|[^\p{L}])(?:ab|from|starting at|vanaf|v\.a\.|à partir de|a partir de|desde|da|a partire da)\s*$/iu;
+const PRICE_FROM_WORDS = { en: 'from', de: 'ab', nl: 'vanaf', fr: 'à partir de', es: 'desde', it: 'da' };
+const NAME_NOISE = /^[\s•·*–—-]+|[\s.:…·–—-]+$/g;
+
+export function currencyForCountry(countryCode) {
+  const code = String(countryCode || '').toUpperCase();
+  return EURO_COUNTRIES.has(code) ? 'EUR' : COUNTRY_CURRENCIES[code] || null;
+}
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+}
+
+function serviceKey(name) {
+  return fold(name).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Price in a text as { price, priceFrom, currency }, or null. "1.200,00 €",
+ * "£1,200", "ab 95,-" (with the local currency, priceFrom true) all work.
+ */
+export function parsePrice(text, { currency = null } = {}) {
+  const match = String(text || '').match(PRICE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [whole, fraction] = match[1] !== undefined ? [match[1], match[2]] : [match[3], match[4]];
+  const units = parseInt(whole.replace(/[.,'\s]/g, ''), 10);
+  const cents = fraction && /^\d+$/.test(fraction) ? parseInt(fraction.padEnd(2, '0'), 10) : 0;
+  const symbol = CURRENCY_TOKENS.find(([pattern]) => pattern.test(match[0]));
+  const found = symbol ? symbol[1](currency) : currency;
+  const priceFrom = PRICE_FROM_PATTERN.test(String(text).slice(0, match.index));
+  return Number.isFinite(units) && units > 0 && units < 100000 ? { price: units + cents / 100, priceFrom, currency: found || currency } : null;
+}
+
+/**
+ * Minutes in "45 min", "1,5 Std.", "60 minuten", "1 hour", "1h 30"; null otherwise
+ */
+export function parseDuration(text) {
+  const hoursMinutes = String(text || '').match(HOURS_MINUTES_PATTERN);
+  const match = String(text || '').match(DURATION_PATTERN);
+  if (!hoursMinutes && !match) {
+    return null;
+  }
+  const amount = match && parseFloat(match[1].replace(',', '.'));
+  const minutes = hoursMinutes ? parseInt(hoursMinutes[1], 10) * 60 + parseInt(hoursMinutes[2], 10) : /^min/i.test(match[2]) ? amount : amount * 60;
+  return minutes >= 5 && minutes <= 480 ? Math.round(minutes) : null;
+}
+
+function stripDuration(text) {
+  return text.replace(HOURS_MINUTES_PATTERN, ' ').replace(DURATION_PATTERN, ' ');
+}
+
+export function normalizeCatalogueEntry(raw, { currency = null } = {}) {
+  const name = String(raw?.name || '').replace(NAME_NOISE, '').trim();
+  if (name.length < 2 || name.length > 80) {
+    return null;
+  }
+  const numeric = Number.isFinite(Number(raw.price)) && raw.price !== null && raw.price !== '';
+  const parsed = numeric ? null : parsePrice(raw.price, { currency });
+  const price = numeric ? Number(raw.price) : parsed?.price ?? null;
+  const duration = Number.isFinite(Number(raw.durationMinutes)) && raw.durationMinutes !== null ? Math.round(Number(raw.durationMinutes)) : parseDuration(raw.duration);
+  return {
+    name,
+    description: String(raw.description || '').replace(/\s+/g, ' ').trim() || null,
+    durationMinutes: duration > 0 ? duration : null,
+    price: price > 0 ? price : null,
+    priceFrom: price > 0 && Boolean(raw.priceFrom || parsed?.priceFrom),
+    currency: price > 0 ? String(raw.currency || parsed?.currency || currency || '').toUpperCase() || null : null
+  };
+}
+
+/**
+ * Price-list rows in page text - a service name with a price on the same
+ * line or in the next cell. Lines without a name-like part are ignored.
+ */
+export function parsePriceList(text, { currency = null } = {}) {
+  const entries = [];
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  lines.forEach((line, index) => {
+    const price = parsePrice(line, { currency });
+    if (!price) {
+      return;
+    }
+    const priceAt = line.search(PRICE_PATTERN);
+    let name = stripDuration(line.slice(0, priceAt)).replace(PRICE_FROM_PATTERN, '').replace(NAME_NOISE, '').trim();
+    let durationMinutes = parseDuration(line);
+    // Table layout: name (and duration) in the cells before a price-only cell
+    if (name.length < 3 && index > 0 && !parsePrice(lines[index - 1])) {
+      durationMinutes = durationMinutes || parseDuration(lines[index - 1]);
+      name = stripDuration(lines[index - 1]).replace(NAME_NOISE, '').trim();
+      if (!/[a-z]{3}/i.test(name) && index > 1 && !parsePrice(lines[index - 2])) {
+        name = lines[index - 2].replace(NAME_NOISE, '').trim();
+      }
+    }
+    if (name.length >= 3 && name.length <= 80 && /[a-z]{3}/i.test(name)) {
+      entries.push({ name, description: null, durationMinutes, ...price });
+    }
+  });
+  return mergeCatalogue(entries);
+}
+
+/**
+ * One entry per service name from the first list; the other lists only fill
+ * its missing description, duration and price (matched by name)
+ */
+export function mergeCatalogue(primary, ...others) {
+  const merged = new Map();
+  for (const entry of primary.filter(Boolean)) {
+    const key = serviceKey(entry.name);
+    merged.set(key, merged.has(key) ? fillGaps(merged.get(key), entry) : { ...entry });
+  }
+  for (const list of others) {
+    for (const entry of list.filter(Boolean)) {
+      const key = serviceKey(entry.name);
+      const match = merged.get(key) || [...merged.entries()].find(([other]) => other.includes(key) || key.includes(other))?.[1];
+      if (match) {
+        Object.assign(match, fillGaps(match, entry));
+      }
+    }
+  }
+  return [...merged.values()].slice(0, MAX_CATALOGUE_SERVICES);
+}
+
+function fillGaps(entry, other) {
+  const filled = { ...entry };
+  // A starting price belongs to the price it came with
+  if ((filled.price === null || filled.price === undefined) && other.price) {
+    filled.priceFrom = Boolean(other.priceFrom);
+  }
+  for (const field of ['description', 'durationMinutes', 'price', 'currency']) {
+    if (filled[field] === null || filled[field] === undefined) {
+      filled[field] = other[field] ?? null;
+    }
+  }
+  return filled;
+}
+
+/**
+ * "€95", or "from €299" / "ab 299 €" for a starting price, in locale
+ */
+export function formatPrice({ price, priceFrom = false, currency }, locale = 'en') {
+  if (!price) {
+    return null;
+  }
+  let amount;
+  try {
+    amount = new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'EUR', minimumFractionDigits: Number.isInteger(price) ? 0 : 2 }).format(price);
+  } catch {
+    amount = `${price} ${currency || ''}`.trim();
+  }
+  return priceFrom ? `${PRICE_FROM_WORDS[locale] || PRICE_FROM_WORDS.en} ${amount}` : amount;
+}
+
+export function formatDuration(minutes) {
+  if (!minutes) {
+    return null;
+  }
+  return minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+}
+
+/**
+ * "Prophylaxis (60 min, €95) - Professional tooth cleaning" for prompts and notes
+ */
+export function describeService(entry) {
+  const facts = [formatDuration(entry.durationMinutes), formatPrice(entry)].filter(Boolean);
+  return `${entry.name}${facts.length > 0 ? ` (${facts.join(', ')})` : ''}${entry.description ? ` - ${entry.description}` : ''}`;
+}
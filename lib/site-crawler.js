@@ -0,0 +1,520 @@
+/**
+ * 🕸️ SITE CRAWLER
+ *
+ * Reads a practice website beyond its home page: sitemap.xml and same-domain
+ * links that look like contact, about, team, services or pricing pages (in
+ * several languages) are fetched, best first, until the per-site page or byte
+ * budget runs out. Bodies are streamed and cut at the budget, and redirects
+ * are followed by hand so none leads off the site. robots.txt is honoured
+ * (Disallow/Allow, Crawl-delay, Sitemap). The pages are merged into one corpus with repeated blocks -
+ * navigation, footers, cookie banners - kept only once.
+ */
+
+export const DEFAULT_CRAWL_BUDGET = {
+  maxPages: 8,
+  maxBytes: 2_000_000,
+  maxPageBytes: 500_000
+};
+
+// Product token matched against robots.txt User-agent lines
+export const ROBOTS_AGENT = 'HealthcareDemoAgent';
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_CRAWL_DELAY_MS = 5000;
+const MAX_SITEMAPS = 3;
+const MAX_REDIRECTS = 5;
+
+// Path/anchor words per page topic, in English, German, Dutch, French, Spanish and Italian
+export const PAGE_TOPICS = {
+  contact: ['contact', 'kontakt', 'impressum', 'imprint', 'anfahrt', 'contatti', 'contacto', 'contactez', 'bereikbaarheid', 'location', 'find-us', 'directions'],
+  services: ['services', 'service', 'treatments', 'treatment', 'leistungen', 'behandlungen', 'therapien', 'behandelingen', 'diensten', 'soins', 'prestations', 'tratamientos', 'servicios', 'trattamenti', 'servizi', 'what-we-do'],
+  pricing: ['pricing', 'prices', 'price', 'fees', 'tarife', 'preise', 'kosten', 'tarieven', 'prijzen', 'tarifs', 'precios', 'tariffe', 'prezzi'],
+  team: ['team', 'our-team', 'staff', 'doctors', 'dentists', 'aerzte', 'arzte', 'praxisteam', 'medewerkers', 'equipe', 'equipo', 'staff-medico'],
+  about: ['about', 'about-us', 'ueber-uns', 'uber-uns', 'praxis', 'over-ons', 'qui-sommes-nous', 'a-propos', 'sobre-nosotros', 'chi-siamo']
+};
+
+// Topic order = fetch priority once every topic has one page
+const TOPIC_RANK = { contact: 0, services: 1, pricing: 2, team: 3, about: 4 };
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|zip|mp4|mp3|docx?|xlsx?|pptx?)$/i;
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+}
+
+function host(url) {
+  return url.hostname.toLowerCase().replace(/^www\./, '');
+}
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', quot: '"', apos: '\'', lt: '<', gt: '>', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£',
+  ndash: '–', mdash: '—', hellip: '…', middot: '·', auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü',
+  szlig: 'ß', eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç', ntilde: 'ñ', iacute: 'í', oacute: 'ó', uacute: 'ú'
+};
+
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name] ?? match);
+}
+
+/**
+ * Absolute, fragment-free form of a link, or null for other schemes
+ */
+export function canonicalLink(href, baseUrl) {
+  try {
+    const url = new URL(decodeEntities(href).trim(), baseUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+    url.hash = '';
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+function pageKey(url) {
+  return `${host(url)}${url.pathname.replace(/\/+$/, '') || '/'}${url.search}`;
+}
+
+/**
+ * Visible text with one line per block element
+ */
+export function htmlToText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|li|ul|ol|h[1-6]|tr|td|th|section|article|header|footer|nav|address|dt|dd|table|main|aside|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+export function pageTitle(html) {
+  return decodeEntities(String(html || '').match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Every <a href> on a page as { url, text }
+ */
+export function extractLinks(html, baseUrl) {
+  const links = [];
+  for (const match of String(html || '').matchAll(/<a\b[^>]*\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi)) {
+    const url = canonicalLink(match[1] ?? match[2] ?? match[3], baseUrl);
+    if (url) {
+      links.push({ url, text: decodeEntities(match[4].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim() });
+    }
+  }
+  return links;
+}
+
+/**
+ * The topic a link most likely covers (from its path and anchor text), or null
+ */
+export function classifyLink(url, text = '') {
+  let pathname = url.pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escapes: classify the raw path
+  }
+  const path = fold(pathname).replace(/[_/.]+/g, ' ').replace(/\s+/g, ' ');
+  const words = `${path} ${fold(text).replace(/\s+/g, '-')} ${fold(text)}`;
+  for (const [topic, keywords] of Object.entries(PAGE_TOPICS)) {
+    if (keywords.some(keyword => new RegExp(`(^|[\\s-])${keyword}([\\s-]|$)`).test(words))) {
+      return topic;
+    }
+  }
+  return null;
+}
+
+/**
+ * robots.txt rules for one user agent: the group naming the agent wins over
+ * "*"; the longest matching Allow/Disallow pattern decides (Allow on ties)
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+      continue;
+    }
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay' && Number.isFinite(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const group = groups.find(candidate => candidate.agents.some(name => name !== '*' && token.includes(name)))
+    || groups.find(candidate => candidate.agents.includes('*'))
+    || { rules: [], crawlDelay: null };
+
+  const rules = group.rules.map(rule => ({
+    ...rule,
+    regExp: new RegExp(`^${rule.pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*').replace(/\\\$$/, '$')}`)
+  }));
+
+  return {
+    sitemaps,
+    crawlDelay: group.crawlDelay,
+    allows(pathWithQuery) {
+      const matching = rules.filter(rule => rule.regExp.test(pathWithQuery));
+      if (matching.length === 0) {
+        return true;
+      }
+      const longest = Math.max(...matching.map(rule => rule.pattern.length));
+      return matching.some(rule => rule.allow && rule.pattern.length === longest);
+    }
+  };
+}
+
+/**
+ * <loc> entries of a sitemap; a sitemap index lists further sitemaps
+ */
+export function parseSitemap(xml) {
+  const locs = [...String(xml || '').matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)].map(match => decodeEntities(match[1].replace(/<!\[CDATA\[|\]\]>/g, '')).trim());
+  return /<sitemapindex\b/i.test(xml) ? { urls: [], sitemaps: locs } : { urls: locs, sitemaps: [] };
+}
+
+/**
+ * Merge page texts, keeping each block line once (first page wins).
+ * Returns the corpus text, pages in the given order.
+ */
+export function mergeCorpus(pages) {
+  const seen = new Set();
+  const sections = [];
+  for (const page of pages) {
+    const lines = page.text.split('\n').filter(line => {
+      const key = fold(line).replace(/\s+/g, ' ');
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+    if (lines.length > 0) {
+      sections.push(`### ${page.topic || 'page'}: ${page.url}\n${lines.join('\n')}`);
+    }
+  }
+  return sections.join('\n\n');
+}
+
+export class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`robots.txt disallows ${url}`);
+    this.name = 'RobotsDisallowedError';
+  }
+}
+
+export class SiteCrawler {
+  /**
+   * fetchPage(url, init) resolves to a fetch Response; userAgent is sent as
+   * the User-Agent header
+   */
+  constructor({ fetchPage, userAgent, budget = {}, logger = () => {} }) {
+    this.fetchPage = fetchPage;
+    this.userAgent = userAgent;
+    this.budget = { ...DEFAULT_CRAWL_BUDGET, ...budget };
+    this.logger = logger;
+  }
+
+  /**
+   * Body text of a response, cut at limit bytes. The body is streamed and the
+   * download dropped at the limit. Resolves to { text, bytes }.
+   */
+  async readBody(response, limit) {
+    if (!response.body) {
+      return { text: '', bytes: 0 };
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let bytes = 0;
+    try {
+      while (bytes < limit) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        const chunk = value.subarray(0, limit - bytes);
+        chunks.push(chunk);
+        bytes += chunk.length;
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+    return { text: Buffer.concat(chunks).toString('utf8'), bytes };
+  }
+
+  /**
+   * Fetch url within limit bytes. Redirects are followed only while they stay
+   * on siteHost (null: anywhere). Resolves to { ok, status, url, type, text,
+   * bytes } or { ok: false, status, reason? }.
+   */
+  async get(url, limit, siteHost = host(url)) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    let current = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      response = await this.fetchPage(current.href, { headers: { 'User-Agent': this.userAgent }, redirect: 'manual', signal });
+      const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+      if (!location) {
+        break;
+      }
+      await response.body?.cancel().catch(() => {});
+      const target = canonicalLink(location, current);
+      if (!target) {
+        return { ok: false, status: response.status, reason: 'invalid redirect' };
+      }
+      if (siteHost && host(target) !== siteHost) {
+        return { ok: false, status: response.status, reason: `redirect off-site to ${host(target)}` };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        return { ok: false, status: response.status, reason: 'too many redirects' };
+      }
+      current = target;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      return { ok: false, status: response.status };
+    }
+    const declared = parseInt(response.headers.get('content-length') || '', 10);
+    if (Number.isFinite(declared) && declared > limit && limit < this.budget.maxPageBytes) {
+      await response.body?.cancel().catch(() => {});
+      return { ok: false, status: response.status, reason: 'byte budget' };
+    }
+    const { text, bytes } = await this.readBody(response, limit);
+    return { ok: true, status: response.status, url: current, type: response.headers.get('content-type') || '', text, bytes };
+  }
+
+  /**
+   * Text of one extra resource (a stylesheet, say) within limit bytes, or null
+   * if it can't be fetched
+   */
+  async fetchText(url, limit = this.budget.maxPageBytes) {
+    try {
+      const result = await this.get(new URL(url), limit);
+      return result.ok ? result.text : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async robots(origin) {
+    try {
+      const result = await this.get(new URL('/robots.txt', origin), 100_000);
+      return { found: result.ok, rules: parseRobots(result.ok ? result.text : '') };
+    } catch {
+      return { found: false, rules: parseRobots('') };
+    }
+  }
+
+  async sitemapUrls(origin, sitemaps, allowed) {
+    const queue = sitemaps.length > 0 ? [...sitemaps] : [new URL('/sitemap.xml', origin).href];
+    const urls = [];
+    for (let index = 0; index < queue.length && index < MAX_SITEMAPS; index++) {
+      const sitemap = canonicalLink(queue[index], origin);
+      if (!sitemap || !allowed(sitemap)) {
+        continue;
+      }
+      try {
+        const result = await this.get(sitemap, this.budget.maxPageBytes);
+        if (result.ok) {
+          const parsed = parseSitemap(result.text);
+          urls.push(...parsed.urls);
+          queue.push(...parsed.sitemaps);
+        }
+      } catch {
+        // A broken sitemap only costs the hints it would have given
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Crawl a site from its start page. Resolves to
+   * { pages: [{ url, topic, title, bytes, html, text }], corpus, bytes,
+   *   skipped: [{ url, reason }], robots: { found, crawlDelay }, sitemapUrls }.
+   * Throws RobotsDisallowedError if the start page itself is off-limits.
+   */
+  async crawl(startUrl) {
+    const start = canonicalLink(startUrl);
+    if (!start) {
+      throw new Error(`Invalid URL: ${startUrl}`);
+    }
+    let siteHost = host(start);
+    let origin = start.origin;
+    let robots = await this.robots(origin);
+    const allowed = url => robots.rules.allows(`${url.pathname}${url.search}`);
+    const delayMs = () => Math.min((robots.rules.crawlDelay || 0) * 1000, MAX_CRAWL_DELAY_MS);
+
+    if (!allowed(start)) {
+      throw new RobotsDisallowedError(start.href);
+    }
+
+    const pages = [];
+    const skipped = [];
+    const visited = new Set();
+    const queued = new Map();
+    let bytes = 0;
+
+    // Candidates: { url, topic, score } - one page per topic first, then the rest
+    const enqueue = (url, text, source) => {
+      if (host(url) !== siteHost || SKIPPED_EXTENSIONS.test(url.pathname)) {
+        return;
+      }
+      const key = pageKey(url);
+      if (visited.has(key) || queued.has(key)) {
+        return;
+      }
+      const topic = classifyLink(url, text);
+      if (!topic) {
+        return;
+      }
+      const depth = url.pathname.split('/').filter(Boolean).length;
+      queued.set(key, { url, topic, source, score: TOPIC_RANK[topic] * 10 + depth + (source === 'sitemap' ? 1 : 0) });
+    };
+
+    const next = () => {
+      const covered = new Set(pages.map(page => page.topic));
+      const candidates = [...queued.values()].sort((a, b) =>
+        Number(covered.has(a.topic)) - Number(covered.has(b.topic)) || a.score - b.score);
+      const [best] = candidates;
+      if (best) {
+        queued.delete(pageKey(best.url));
+      }
+      return best;
+    };
+
+    let candidate = { url: start, topic: 'home', source: 'start' };
+    let sitemapLoaded = false;
+    while (candidate && pages.length < this.budget.maxPages) {
+      const key = pageKey(candidate.url);
+      visited.add(key);
+      const remaining = this.budget.maxBytes - bytes;
+
+      if (!allowed(candidate.url)) {
+        skipped.push({ url: candidate.url.href, reason: 'robots.txt' });
+      } else if (remaining <= 0) {
+        skipped.push({ url: candidate.url.href, reason: 'byte budget' });
+        break;
+      } else {
+        if (pages.length > 0 && delayMs() > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs()));
+        }
+        try {
+          // Only the start page may redirect to another host (a practice that moved domain); the crawl then stays there
+          const result = await this.get(candidate.url, Math.min(this.budget.maxPageBytes, remaining), pages.length === 0 ? null : siteHost);
+          if (!result.ok) {
+            skipped.push({ url: candidate.url.href, reason: result.reason || `HTTP ${result.status}` });
+            if (pages.length === 0) {
+              const error = new Error(`Failed to fetch ${candidate.url.href}: ${result.status}`);
+              error.status = result.status;
+              throw error;
+            }
+          } else if (result.type && !/html|text\/plain/i.test(result.type)) {
+            bytes += result.bytes;
+            skipped.push({ url: candidate.url.href, reason: `content type ${result.type.split(';')[0]}` });
+          } else {
+            bytes += result.bytes;
+            const text = htmlToText(result.text);
+            // /index.html and / (or ?lang= twins) are one page
+            if (pages.some(page => page.text === text)) {
+              skipped.push({ url: candidate.url.href, reason: 'duplicate content' });
+            } else {
+              if (pages.length === 0 && host(result.url) !== siteHost) {
+                this.logger(`   ↪️ ${siteHost} redirects to ${host(result.url)}`);
+                siteHost = host(result.url);
+                // The new host has its own robots.txt and sitemap
+                origin = result.url.origin;
+                robots = await this.robots(origin);
+                if (!allowed(result.url)) {
+                  throw new RobotsDisallowedError(result.url.href);
+                }
+              }
+              pages.push({ url: candidate.url.href, topic: candidate.topic, title: pageTitle(result.text), bytes: result.bytes, html: result.text, text });
+              extractLinks(result.text, result.url).forEach(link => enqueue(link.url, link.text, 'link'));
+            }
+          }
+        } catch (error) {
+          if (pages.length === 0) {
+            throw error;
+          }
+          skipped.push({ url: candidate.url.href, reason: error.name === 'TimeoutError' ? 'timeout' : error.message });
+        }
+      }
+
+      // The sitemap only matters once the home page's own links are known
+      if (!sitemapLoaded && pages.length > 0) {
+        sitemapLoaded = true;
+        const urls = await this.sitemapUrls(origin, robots.rules.sitemaps, allowed);
+        urls.map(url => canonicalLink(url, origin)).filter(Boolean).forEach(url => enqueue(url, '', 'sitemap'));
+      }
+      candidate = next();
+    }
+
+    this.logger(`   🕸️ Crawled ${pages.length} page(s), ${Math.round(bytes / 1024)} KB${skipped.length ? `, ${skipped.length} skipped` : ''}${robots.found ? ' (robots.txt honoured)' : ''}`);
+    return {
+      pages,
+      corpus: mergeCorpus(pages),
+      bytes,
+      skipped,
+      robots: { found: robots.found, crawlDelay: robots.rules.crawlDelay }
+    };
+  }
+}
+
+/**
+ * Corpus text for one extractor: pages on the preferred topics first, then
+ * the rest, cut at limit characters
+ */
+export function corpusFor(crawl, topics = [], limit = 12000) {
+  const rank = page => {
+    const index = topics.indexOf(page.topic);
+    return index === -1 ? topics.length + (page.topic === 'home' ? 0 : 1) : index;
+  };
+  const ordered = crawl.pages.map((page, index) => ({ page, index }))
+    .sort((a, b) => rank(a.page) - rank(b.page) || a.index - b.index)
+    .map(({ page }) => page);
+  return mergeCorpus(ordered).slice(0, limit);
+}
+
+/**
+ * Full text of the pages on the given topics, undeduplicated - price tables
+ * and hour tables need their rows intact even when a cell repeats elsewhere
+ */
+export function topicText(crawl, topics) {
+  return crawl.pages.filter(page => topics.includes(page.topic)).map(page => page.text).join('\n');
+}
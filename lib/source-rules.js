@@ -0,0 +1,294 @@
+/**
+ * 🚧 SOURCE SCREENING
+ *
+ * Not every search result is a practice website. Before a candidate reaches
+ * the LLM it is screened against:
+ *   allowlist  - domains/URL patterns that always pass (a chain we do want)
+ *   blocklist  - social networks, booking platforms, review sites, directories
+ *   heuristics - listing, aggregator, store-locator, blog and news pages
+ * Both lists live in AGENT_DATA_DIR and are editable through the API; every
+ * rejection carries the rule or heuristic that caused it.
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonStore } from './json-store.js';
+import { normalizeDomain } from './lead-registry.js';
+
+export const SOURCE_LISTS = ['block', 'allow'];
+export const RULE_TYPES = ['domain', 'pattern'];
+
+// "google.*" covers every country domain (google.de, google.co.uk)
+const DEFAULT_BLOCKED_DOMAINS = [
+  // Social networks and platforms
+  'linkedin.com', 'facebook.com', 'instagram.com', 'twitter.com', 'x.com', 'youtube.com', 'tiktok.com',
+  'pinterest.com', 'reddit.com', 'quora.com', 'medium.com', 'wikipedia.org', 'google.*',
+  // Booking platforms and practice directories
+  'doctolib.*', 'zocdoc.com', 'treatwell.*', 'realself.com', 'healthgrades.com', 'jameda.de', 'doctoralia.*',
+  'topdoctors.*', 'whatclinic.com', 'ratemds.com', 'vitals.com', 'webmd.com', 'fresha.com', 'booksy.com',
+  'miodottore.it', 'znanylekarz.pl', 'docplanner.com', 'sharecare.com', 'castleconnolly.com',
+  // Review sites, yellow pages and deal sites
+  'yelp.*', 'tripadvisor.*', 'trustpilot.com', 'yellowpages.com', 'gelbeseiten.de', 'pagesjaunes.fr',
+  'groupon.*'
+];
+
+const DEFAULT_BLOCKED_PATTERNS = ['*/store-locator*', '*/clinic-finder*', '*/find-a-doctor*', '*/find-a-dentist*'];
+
+export const DEFAULT_SOURCE_RULES = [
+  ...DEFAULT_BLOCKED_DOMAINS.map(value => ({ id: `default-${value}`, list: 'block', type: 'domain', value, note: 'built-in', createdAt: null })),
+  ...DEFAULT_BLOCKED_PATTERNS.map(value => ({ id: `default-${value.replace(/[^a-z-]/g, '')}`, list: 'block', type: 'pattern', value, note: 'built-in', createdAt: null }))
+];
+
+/**
+ * Page kinds that are not a practice website, checked in order.
+ * Each test returns the evidence as a short reason, or null.
+ */
+const HEURISTICS = [
+  {
+    kind: 'directory',
+    test: ({ path, title, text }) => {
+      const segment = path.match(/\/(directory|listings?|search|find-a-(?:doctor|dentist|specialist|therapist))(\/|$)/)?.[1];
+      if (segment) {
+        return `listing URL path /${segment}/`;
+      }
+      const listingTitle = title.match(/\b(?:top|best)\s+\d+\b|\b\d+\s+best\b|\b(?:top|best)\s+[\p{L}-]+s\s+(?:in|near)\b|\bnear me\b|\blist of\b|\bdirectory\b/iu);
+      if (listingTitle) {
+        return `listing title "${listingTitle[0]}"`;
+      }
+      const ratings = text.match(/\(\d[\d,.]*\s+reviews?\)|\b\d(?:\.\d)?\s*(?:★|stars?)/gi) || [];
+      return ratings.length >= 3 ? `${ratings.length} separate ratings in the snippet` : null;
+    }
+  },
+  {
+    kind: 'aggregator',
+    test: ({ title, text }) => {
+      const match = `${title}\n${text}`.match(/\b(?:compare|browse|choose from)\s+(?:over\s+)?\d[\d,.]*\+?\s+[\p{L}-]+|\b(?:\d{1,3}(?:[,.]\d{3})+|\d{3,})\+?\s+(?:doctors|dentists|clinics|practices|practitioners|specialists|therapists|providers)\b|\bbook (?:an appointment|online) with (?:the )?(?:best|top|local|verified)\b/iu);
+      return match ? `aggregator wording "${match[0]}"` : null;
+    }
+  },
+  {
+    kind: 'store-locator',
+    test: ({ path, title }) => {
+      const segment = path.match(/\/(locations|our-(?:clinics|locations|practices|branches)|branches|find-a-(?:clinic|location|practice))\/?$/)?.[1];
+      if (segment) {
+        return `locator URL path /${segment}/`;
+      }
+      const locatorTitle = title.match(/\b(?:find|all)\s+(?:a\s+|an\s+|our\s+)?(?:clinic|location|practice|branch)(?:es|s)?(?:\s+near (?:you|me))?\b/i);
+      return locatorTitle ? `locator title "${locatorTitle[0]}"` : null;
+    }
+  },
+  {
+    kind: 'blog',
+    test: ({ path, title }) => {
+      const segment = path.match(/\/(blog|posts?|articles?|magazine|ratgeber|tips|guides?)(\/|$)/)?.[1] || (/\/20\d{2}\/\d{2}\//.test(path) ? 'yyyy/mm' : null);
+      if (segment) {
+        return `blog URL path /${segment}/`;
+      }
+      const articleTitle = title.match(/^(?:how to|what is|what are|why|when should|\d+\s+(?:tips|ways|signs|things|reasons))\b/i);
+      return articleTitle ? `article title "${articleTitle[0]}"` : null;
+    }
+  },
+  {
+    kind: 'news',
+    test: ({ host, path, title }) => {
+      const segment = path.match(/\/(news|press|press-releases?|nachrichten|actualites|noticias)(\/|$)/)?.[1];
+      if (segment) {
+        return `news URL path /${segment}/`;
+      }
+      if (/^(news|nachrichten)\./.test(host)) {
+        return `news host ${host}`;
+      }
+      const headline = title.match(/\b(?:announces|study finds|according to|reports? (?:that|on))\b/i);
+      return headline ? `headline wording "${headline[0]}"` : null;
+    }
+  }
+];
+
+export class SourceRuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceRuleValidationError';
+  }
+}
+
+function parts(url) {
+  try {
+    const parsed = new URL(url);
+    return {
+      host: parsed.hostname.toLowerCase().replace(/^www\./, ''),
+      path: decodeURIComponent(parsed.pathname).toLowerCase(),
+      search: parsed.search.toLowerCase()
+    };
+  } catch {
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function domainRegExp(value) {
+  // "treatwell.*" → any public suffix, subdomains always included
+  const base = value.endsWith('.*') ? value.slice(0, -2) : value;
+  const suffix = value.endsWith('.*') ? '\\.[a-z]{2,}(?:\\.[a-z]{2})?' : '';
+  return new RegExp(`(^|\\.)${escapeRegExp(base)}${suffix}$`);
+}
+
+function patternRegExp(value) {
+  return new RegExp(`^${value.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+function ruleMatches(rule, url) {
+  return rule.type === 'domain'
+    ? domainRegExp(rule.value).test(url.host)
+    : patternRegExp(rule.value).test(`${url.host}${url.path}${url.search}`);
+}
+
+/**
+ * Normalize and validate a rule value: bare domains ("doctolib.*",
+ * "sub.example.com") or URL globs over host + path ("*\/blog/*")
+ */
+function normalizeRuleValue(type, value) {
+  const raw = String(value || '').trim().toLowerCase();
+  if (!raw) {
+    throw new SourceRuleValidationError('value is required');
+  }
+
+  if (type === 'domain') {
+    const domain = raw.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*(\.\*|\.[a-z0-9-]+)$/.test(domain)) {
+      throw new SourceRuleValidationError(`"${value}" is not a domain (examples: zocdoc.com, doctolib.*)`);
+    }
+    return domain;
+  }
+
+  const pattern = raw.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+  if (pattern.replace(/\*/g, '') === '') {
+    throw new SourceRuleValidationError('pattern must contain more than wildcards');
+  }
+  return pattern;
+}
+
+/**
+ * Classify a candidate ({ url, title, text }) by page structure.
+ * Resolves to { kind, reason } for a non-practice page, null otherwise.
+ */
+export function detectNonPracticePage(candidate) {
+  const url = parts(candidate.url);
+  if (!url) {
+    return { kind: 'invalid-url', reason: `"${candidate.url}" is not a valid URL` };
+  }
+
+  const page = { ...url, title: String(candidate.title || ''), text: String(candidate.text || candidate.snippet || '') };
+  for (const { kind, test } of HEURISTICS) {
+    const reason = test(page);
+    if (reason) {
+      return { kind, reason };
+    }
+  }
+  return null;
+}
+
+export class SourceRuleStore {
+  constructor({ filePath }) {
+    this.store = new JsonStore(filePath, { rules: DEFAULT_SOURCE_RULES });
+    this.rules = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store.read().then(data => {
+        this.rules = data.rules || [];
+      });
+    }
+    await this.loading;
+    return this.rules;
+  }
+
+  save() {
+    return this.store.write({ rules: this.rules });
+  }
+
+  async list({ list } = {}) {
+    const rules = await this.load();
+    return rules.filter(rule => !list || rule.list === list);
+  }
+
+  async add({ list, type = 'domain', value, note = null }) {
+    if (!SOURCE_LISTS.includes(list)) {
+      throw new SourceRuleValidationError(`list must be one of: ${SOURCE_LISTS.join(', ')}`);
+    }
+    if (!RULE_TYPES.includes(type)) {
+      throw new SourceRuleValidationError(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    const rules = await this.load();
+    const normalized = normalizeRuleValue(type, value);
+    const existing = rules.find(rule => rule.list === list && rule.type === type && rule.value === normalized);
+    if (existing) {
+      throw new SourceRuleValidationError(`${normalized} is already on the ${list}list (${existing.id})`);
+    }
+
+    const rule = { id: `rule-${randomUUID().slice(0, 8)}`, list, type, value: normalized, note, createdAt: new Date().toISOString() };
+    rules.push(rule);
+    await this.save();
+    return rule;
+  }
+
+  async remove(ruleId) {
+    const rules = await this.load();
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) {
+      return null;
+    }
+    const [rule] = rules.splice(index, 1);
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Screen one candidate. Allowlisted URLs always pass; otherwise the first
+   * matching blocklist rule or heuristic rejects it.
+   * Resolves to { allowed, kind, reason, rule }.
+   */
+  async screen(candidate) {
+    const rules = await this.load();
+    const url = parts(candidate.url);
+    if (!url) {
+      return { allowed: false, kind: 'invalid-url', reason: `"${candidate.url}" is not a valid URL`, rule: null };
+    }
+
+    const allowRule = rules.find(rule => rule.list === 'allow' && ruleMatches(rule, url));
+    if (allowRule) {
+      return { allowed: true, kind: 'allowlist', reason: `allowlisted by ${allowRule.type} ${allowRule.value}`, rule: allowRule.id };
+    }
+
+    const blockRule = rules.find(rule => rule.list === 'block' && ruleMatches(rule, url));
+    if (blockRule) {
+      return { allowed: false, kind: 'blocklist', reason: `blocklisted ${blockRule.type} ${blockRule.value}`, rule: blockRule.id };
+    }
+
+    const detected = detectNonPracticePage(candidate);
+    return detected ? { allowed: false, ...detected, rule: null } : { allowed: true, kind: null, reason: null, rule: null };
+  }
+
+  /**
+   * Split candidates into { accepted, rejected }; rejected entries are
+   * { url, title, domain, kind, reason, rule }
+   */
+  async screenAll(candidates) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const candidate of candidates) {
+      const verdict = await this.screen(candidate);
+      if (verdict.allowed) {
+        accepted.push(candidate);
+      } else {
+        rejected.push({ url: candidate.url, title: candidate.title, domain: normalizeDomain(candidate.url), kind: verdict.kind, reason: verdict.reason, rule: verdict.rule });
+      }
+    }
+    return { accepted, rejected };
+  }
+}
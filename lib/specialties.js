@@ -0,0 +1,492 @@
+/**
+ * 🩺 SPECIALTY TAXONOMY
+ *
+ * Every specialty the agent builds demos for, with the words a practice
+ * website uses for it in English, German, Dutch, French, Spanish, Italian and
+ * Polish. The taxonomy drives practiceType (and the generated site's
+ * PracticeConfig.type), taglines, default services and the voice-agent
+ * wording. Terms are matched accent-insensitively at the start of a word, so
+ * "zahnarzt" also finds "Zahnarztpraxis"; a trailing "$" makes a term whole-word.
+ */
+
+export const DEFAULT_SPECIALTY = 'healthcare';
+
+// Title and meta-description mentions count more than body text
+const TITLE_WEIGHT = 3;
+const HINT_WEIGHT = 4;
+const TERM_CAP = 5;
+const MIN_SCORE = 2;
+
+// Practice types used before the taxonomy existed
+const LEGACY_TYPES = { beauty: 'aesthetic', fysio: 'physiotherapy', physio: 'physiotherapy', gp: 'general-practice' };
+
+export const SPECIALTIES = [
+  {
+    id: 'dental',
+    label: 'Dental',
+    practice: 'dental practice',
+    care: 'dental care',
+    treatments: 'dental treatments',
+    patients: 'patients',
+    tagline: 'Gentle, Modern Dentistry for the Whole Family',
+    focus: 'Preventive, restorative and cosmetic dental care',
+    services: ['Check-ups & Cleaning', 'Fillings', 'Teeth Whitening', 'Dental Implants'],
+    osm: '["amenity"="dentist"]',
+    terms: {
+      en: ['dentist', 'dental', 'teeth', 'tooth'],
+      de: ['zahnarzt', 'zahnarzte', 'zahnmedizin', 'zahnklinik', 'zahne', 'zahnreinigung'],
+      nl: ['tandarts', 'tandheelkund', 'gebit'],
+      fr: ['dentiste', 'dentaire', 'dents$'],
+      es: ['dentista', 'odontolog', 'dientes'],
+      it: ['odontoiatr', 'denti$'],
+      pl: ['stomatolog', 'dentysta']
+    }
+  },
+  {
+    id: 'orthodontics',
+    label: 'Orthodontics',
+    practice: 'orthodontic practice',
+    care: 'orthodontic care',
+    treatments: 'orthodontic treatments',
+    patients: 'patients',
+    tagline: 'Straighter Smiles at Every Age',
+    focus: 'Braces, clear aligners and bite correction',
+    services: ['Orthodontic Consultation', 'Braces', 'Clear Aligners', 'Retainers'],
+    osm: '["amenity"="dentist"]',
+    terms: {
+      en: ['orthodont', 'braces$', 'invisalign', 'clear aligner'],
+      de: ['kieferorthopad', 'zahnspange'],
+      nl: ['beugel'],
+      fr: ['appareil dentaire'],
+      es: ['ortodonc'],
+      it: ['ortodonz', 'ortodonti'],
+      pl: ['ortodon']
+    }
+  },
+  {
+    id: 'physiotherapy',
+    label: 'Physiotherapy',
+    practice: 'physiotherapy practice',
+    care: 'physiotherapy',
+    treatments: 'physiotherapy treatments',
+    patients: 'patients',
+    tagline: 'Professional Physiotherapy & Rehabilitation',
+    focus: 'Physical therapy and movement rehabilitation',
+    services: ['Sports Injury Rehabilitation', 'Manual Therapy', 'Back & Neck Pain Treatment', 'Post-Surgery Rehabilitation'],
+    osm: '["healthcare"="physiotherapist"]',
+    terms: {
+      en: ['physiotherap', 'physio$', 'physical therap', 'sports injur', 'rehabilitation'],
+      de: ['krankengymnastik', 'physiotherapeut'],
+      nl: ['fysiotherap', 'fysio$', 'oefentherap'],
+      fr: ['kinesitherap', 'kine$'],
+      es: ['fisioterap'],
+      it: ['fisioterap', 'riabilitazione'],
+      pl: ['fizjoterap', 'rehabilitacja']
+    }
+  },
+  {
+    id: 'chiropractic',
+    label: 'Chiropractic',
+    practice: 'chiropractic practice',
+    care: 'chiropractic care',
+    treatments: 'chiropractic treatments',
+    patients: 'patients',
+    tagline: 'Comprehensive Spine Care & Pain Relief',
+    focus: 'Spinal health and pain management',
+    services: ['Spinal Adjustment', 'Posture Assessment', 'Back Pain Treatment', 'Neck Pain Treatment'],
+    osm: null,
+    terms: {
+      en: ['chiropra', 'spinal adjustment'],
+      de: ['chiropraktik', 'chiropraktiker', 'chirotherap'],
+      nl: ['chiropractor'],
+      fr: ['chiropraxie', 'chiropracteur'],
+      es: ['quiropract', 'quiropraxia'],
+      it: ['chiropratic'],
+      pl: ['chiropraktyk']
+    }
+  },
+  {
+    id: 'osteopathy',
+    label: 'Osteopathy',
+    practice: 'osteopathy practice',
+    care: 'osteopathic care',
+    treatments: 'osteopathic treatments',
+    patients: 'patients',
+    tagline: 'Hands-On Care for Body and Movement',
+    focus: 'Osteopathic treatment of muscles, joints and posture',
+    services: ['Osteopathic Assessment', 'Osteopathic Treatment', 'Cranial Osteopathy', 'Pregnancy Osteopathy'],
+    osm: null,
+    terms: {
+      en: ['osteopath'],
+      de: ['osteopathie'],
+      nl: ['osteopaat'],
+      fr: ['osteopathe'],
+      es: ['osteopat'],
+      it: ['osteopat'],
+      pl: ['osteopat']
+    }
+  },
+  {
+    id: 'dermatology',
+    label: 'Dermatology',
+    practice: 'dermatology practice',
+    care: 'skin care',
+    treatments: 'dermatology treatments',
+    patients: 'patients',
+    tagline: 'Medical Dermatology for Healthy Skin',
+    focus: 'Diagnosis and treatment of skin, hair and nail conditions',
+    services: ['Skin Check & Mole Screening', 'Acne Treatment', 'Eczema & Psoriasis Care', 'Skin Cancer Screening'],
+    osm: '["healthcare:speciality"~"dermatology"]',
+    terms: {
+      en: ['dermatolog', 'skin doctor', 'mole check', 'mole screening', 'eczema', 'psoriasis', 'skin cancer'],
+      de: ['hautarzt', 'hautarzte', 'hautklinik', 'hautkrebs'],
+      nl: ['huidarts', 'huidkliniek'],
+      fr: ['dermatologue', 'dermatologie'],
+      es: ['dermatologo', 'dermatologia'],
+      it: ['dermatologo', 'dermatologia'],
+      pl: ['dermatolog']
+    }
+  },
+  {
+    id: 'aesthetic',
+    label: 'Aesthetic Medicine',
+    practice: 'aesthetic clinic',
+    care: 'aesthetic care',
+    treatments: 'aesthetic treatments',
+    patients: 'clients',
+    tagline: 'Expert Beauty & Aesthetic Treatments',
+    focus: 'Aesthetic treatments and cosmetic procedures',
+    services: ['Anti-Wrinkle Injections', 'Dermal Fillers', 'Skin Rejuvenation', 'Laser Treatments'],
+    osm: null,
+    terms: {
+      en: ['aesthetic', 'esthetic', 'cosmetic', 'botox', 'filler', 'lip filler', 'liposuction', 'plastic surgery', 'med spa', 'medspa', 'medical spa', 'anti-aging', 'anti-wrinkle'],
+      de: ['asthetisch', 'schonheitschirurg', 'plastische chirurgie', 'faltenbehandlung'],
+      nl: ['esthetisch', 'cosmetisch', 'plastische chirurgie'],
+      fr: ['esthetique', 'chirurgie esthetique', 'medecine esthetique'],
+      es: ['estetica', 'medicina estetica', 'cirugia plastica'],
+      it: ['estetica', 'medicina estetica', 'chirurgia plastica'],
+      pl: ['medycyna estetyczna', 'estetyczn']
+    }
+  },
+  {
+    id: 'general-practice',
+    label: 'General Practice',
+    practice: 'general practice',
+    care: 'primary care',
+    treatments: 'consultations',
+    patients: 'patients',
+    tagline: 'Your Family Doctor, Close to Home',
+    focus: 'Primary care for patients of every age',
+    services: ['General Consultation', 'Health Check-up', 'Vaccinations', 'Chronic Condition Management'],
+    osm: '["healthcare:speciality"~"general"]',
+    terms: {
+      en: ['general practitioner', 'general practice', 'family doctor', 'family medicine', 'family practice', 'primary care', 'gp$', 'gp surgery'],
+      de: ['hausarzt', 'hausarzte', 'hausarztpraxis', 'allgemeinmedizin', 'allgemeinarzt'],
+      nl: ['huisarts', 'huisartsenpraktijk'],
+      fr: ['medecin generaliste', 'medecine generale'],
+      es: ['medico de familia', 'medicina general', 'medicina familiar'],
+      it: ['medico di base', 'medico di famiglia', 'medicina generale'],
+      pl: ['lekarz rodzinny', 'medycyna rodzinna']
+    }
+  },
+  {
+    id: 'pediatrics',
+    label: 'Pediatrics',
+    practice: 'pediatric practice',
+    care: 'pediatric care',
+    treatments: 'pediatric appointments',
+    patients: 'parents',
+    tagline: 'Caring for Children from Birth to Adolescence',
+    focus: 'Health care for babies, children and teenagers',
+    services: ['Well-Child Check-ups', 'Childhood Vaccinations', 'Developmental Screening', 'Sick Visits'],
+    osm: '["healthcare:speciality"~"paediatrics"]',
+    terms: {
+      en: ['pediatric', 'paediatric', 'children\'s doctor'],
+      de: ['kinderarzt', 'kinderarzte', 'kinderheilkunde', 'kinder- und jugendmedizin'],
+      nl: ['kinderarts'],
+      fr: ['pediatre', 'pediatrie'],
+      es: ['pediatra', 'pediatria'],
+      it: ['pediatra', 'pediatria'],
+      pl: ['pediatra']
+    }
+  },
+  {
+    id: 'gynecology',
+    label: 'Gynecology',
+    practice: 'gynecology practice',
+    care: 'women\'s health care',
+    treatments: 'gynecological appointments',
+    patients: 'patients',
+    tagline: 'Women\'s Health at Every Stage of Life',
+    focus: 'Gynecology, prenatal care and women\'s health',
+    services: ['Gynecological Check-up', 'Prenatal Care', 'Cervical Screening', 'Contraception Advice'],
+    osm: '["healthcare:speciality"~"gynaecology"]',
+    terms: {
+      en: ['gynecolog', 'gynaecolog', 'obstetric', 'women\'s health', 'prenatal'],
+      de: ['frauenarzt', 'frauenarzte', 'gynakolog', 'frauenheilkunde'],
+      nl: ['gynaecoloog', 'verloskund'],
+      fr: ['gynecologue', 'gynecologie'],
+      es: ['ginecolog'],
+      it: ['ginecolog'],
+      pl: ['ginekolog']
+    }
+  },
+  {
+    id: 'mental-health',
+    label: 'Mental Health',
+    practice: 'mental health practice',
+    care: 'mental health care',
+    treatments: 'therapy sessions',
+    patients: 'clients',
+    tagline: 'Compassionate Support for Your Mental Health',
+    focus: 'Psychotherapy, counselling and psychological care',
+    services: ['Individual Therapy', 'Couples Therapy', 'Anxiety & Depression Treatment', 'Psychological Assessment'],
+    osm: '["healthcare"~"^(psychotherapist|psychologist)$"]',
+    terms: {
+      en: ['psychotherap', 'psycholog', 'psychiatr', 'counselling', 'counseling', 'mental health', 'anxiety', 'depression'],
+      de: ['psychotherapeut', 'psychiater', 'psychische gesundheit'],
+      nl: ['psycholoog', 'psychiater', 'geestelijke gezondheid'],
+      fr: ['psychotherapeute', 'psychologue', 'psychiatre', 'sante mentale'],
+      es: ['psicolog', 'psicoterap', 'psiquiatr', 'salud mental'],
+      it: ['psicolog', 'psicoterap', 'psichiatr', 'salute mentale'],
+      pl: ['psycholog', 'psychoterap', 'psychiatr']
+    }
+  },
+  {
+    id: 'eye-care',
+    label: 'Eye Care',
+    practice: 'eye clinic',
+    care: 'eye care',
+    treatments: 'eye examinations and treatments',
+    patients: 'patients',
+    tagline: 'Clear Vision, Expert Eye Care',
+    focus: 'Eye examinations, vision correction and eye health',
+    services: ['Eye Examination', 'Contact Lens Fitting', 'Glaucoma Screening', 'Laser Vision Correction'],
+    osm: '["healthcare"~"^(optometrist|ophthalmologist)$"]',
+    terms: {
+      en: ['ophthalmolog', 'optometr', 'optician', 'eye exam', 'eye clinic', 'eye care', 'lasik', 'cataract'],
+      de: ['augenarzt', 'augenarzte', 'augenklinik', 'augenheilkunde', 'optiker'],
+      nl: ['oogarts', 'oogkliniek', 'opticien'],
+      fr: ['ophtalmolog', 'opticien'],
+      es: ['oftalmolog', 'optica', 'optometrista'],
+      it: ['oculista', 'oftalmolog', 'ottico'],
+      pl: ['okulista', 'optometrysta']
+    }
+  },
+  {
+    id: 'podiatry',
+    label: 'Podiatry',
+    practice: 'podiatry practice',
+    care: 'foot care',
+    treatments: 'foot treatments',
+    patients: 'patients',
+    tagline: 'Expert Care from the Ground Up',
+    focus: 'Diagnosis and treatment of foot and ankle conditions',
+    services: ['Foot Assessment', 'Custom Orthotics', 'Nail Surgery', 'Diabetic Foot Care'],
+    osm: '["healthcare"="podiatrist"]',
+    terms: {
+      en: ['podiatr', 'chiropod', 'foot clinic', 'foot care'],
+      de: ['podolog', 'fusspflege', 'medizinische fusspflege'],
+      nl: ['podotherap', 'podoloog'],
+      fr: ['podolog', 'pedicure-podologue'],
+      es: ['podolog'],
+      it: ['podolog'],
+      pl: ['podolog']
+    }
+  },
+  {
+    id: 'nutrition',
+    label: 'Nutrition',
+    practice: 'nutrition practice',
+    care: 'nutrition counselling',
+    treatments: 'nutrition consultations',
+    patients: 'clients',
+    tagline: 'Personal Nutrition for Lasting Health',
+    focus: 'Dietary advice and nutrition therapy',
+    services: ['Nutrition Assessment', 'Personal Meal Plan', 'Weight Management', 'Follow-up Consultation'],
+    osm: '["healthcare"="dietitian"]',
+    terms: {
+      en: ['dietitian', 'dietician', 'nutritionist', 'nutrition therap'],
+      de: ['ernahrungsberat', 'ernahrungstherap', 'diatassistent'],
+      nl: ['dietist', 'voedingsdeskundige'],
+      fr: ['dieteticien', 'nutritionniste'],
+      es: ['nutricionista', 'dietista'],
+      it: ['nutrizionista', 'dietista'],
+      pl: ['dietetyk']
+    }
+  },
+  {
+    id: 'veterinary',
+    label: 'Veterinary',
+    practice: 'veterinary clinic',
+    care: 'veterinary care',
+    treatments: 'veterinary appointments',
+    patients: 'pet owners',
+    tagline: 'Compassionate Care for Your Pets',
+    focus: 'Preventive care, diagnostics and surgery for companion animals',
+    services: ['Wellness Exam', 'Vaccinations', 'Pet Dental Care', 'Surgery'],
+    osm: '["amenity"="veterinary"]',
+    terms: {
+      en: ['veterinar', 'vet$', 'vets$', 'animal hospital', 'pet clinic'],
+      de: ['tierarzt', 'tierarzte', 'tierklinik', 'tierarztpraxis'],
+      nl: ['dierenarts', 'dierenkliniek'],
+      fr: ['veterinaire', 'clinique veterinaire'],
+      es: ['veterinari', 'clinica veterinaria'],
+      it: ['veterinari', 'clinica veterinaria'],
+      pl: ['weterynar', 'lecznica dla zwierzat']
+    }
+  },
+  {
+    id: 'wellness',
+    label: 'Wellness',
+    practice: 'wellness centre',
+    care: 'holistic care',
+    treatments: 'wellness treatments',
+    patients: 'clients',
+    tagline: 'Holistic Wellness for Mind, Body & Soul',
+    focus: 'Natural healing and preventive wellness care',
+    services: ['Therapeutic Massage', 'Acupuncture', 'Naturopathic Consultation', 'Stress Management'],
+    osm: null,
+    terms: {
+      en: ['wellness', 'holistic', 'massage', 'acupunct', 'naturopath', 'ayurved', 'integrative medicine'],
+      de: ['heilpraktiker', 'ganzheitlich', 'naturheilkunde', 'akupunktur'],
+      nl: ['holistisch', 'natuurgeneeskunde', 'acupunctuur'],
+      fr: ['bien-etre', 'naturopathe', 'acupuncture'],
+      es: ['bienestar', 'naturopat', 'acupuntura'],
+      it: ['benessere', 'naturopat', 'agopuntura'],
+      pl: ['akupunktura', 'naturopat']
+    }
+  },
+  {
+    id: DEFAULT_SPECIALTY,
+    label: 'Healthcare',
+    practice: 'healthcare practice',
+    care: 'health care',
+    treatments: 'treatments',
+    patients: 'patients',
+    tagline: 'Professional Care You Can Trust',
+    focus: 'Personal, professional healthcare',
+    services: ['Consultation', 'Examination', 'Treatment', 'Follow-up Care'],
+    osm: null,
+    terms: {}
+  }
+];
+
+export const SPECIALTY_IDS = SPECIALTIES.map(specialty => specialty.id);
+
+const BY_ID = new Map(SPECIALTIES.map(specialty => [specialty.id, specialty]));
+
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').replace(/[’`]/g, '\'').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termRegExp(term) {
+  const wholeWord = term.endsWith('$');
+  const body = escapeRegExp(wholeWord ? term.slice(0, -1) : term).replace(/ /g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${wholeWord ? '(?![\\p{L}\\p{N}])' : ''}`, 'gu');
+}
+
+const MATCHERS = SPECIALTIES
+  .filter(specialty => specialty.id !== DEFAULT_SPECIALTY)
+  .map(specialty => ({
+    specialty,
+    terms: [...new Set(Object.values(specialty.terms).flat())].map(term => ({ term: term.replace(/\$$/, ''), pattern: termRegExp(term) }))
+  }));
+
+function countMatches(text, matcher) {
+  const found = {};
+  for (const { term, pattern } of matcher.terms) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0) {
+      found[term] = Math.min(count, TERM_CAP);
+    }
+  }
+  return found;
+}
+
+/**
+ * The taxonomy entry for a specialty name, synonym or legacy practice type
+ * ("dentist", "Zahnarzt", "fysio", "dermatology"), or null
+ */
+export function resolveSpecialty(name) {
+  const folded = fold(name).trim();
+  if (!folded) {
+    return null;
+  }
+  const id = LEGACY_TYPES[folded] || folded.replace(/\s+/g, '-');
+  if (BY_ID.has(id)) {
+    return BY_ID.get(id);
+  }
+
+  // Free text: the specialty with the most term hits, earlier entries winning ties
+  let best = null;
+  for (const matcher of MATCHERS) {
+    const hits = Object.values(countMatches(folded, matcher)).reduce((sum, count) => sum + count, 0);
+    if (hits > 0 && (!best || hits > best.hits)) {
+      best = { specialty: matcher.specialty, hits };
+    }
+  }
+  return best?.specialty || null;
+}
+
+/**
+ * Always a taxonomy entry - unknown ids fall back to the generic healthcare one
+ */
+export function specialtyProfile(id) {
+  return resolveSpecialty(id) || BY_ID.get(DEFAULT_SPECIALTY);
+}
+
+/**
+ * Whether free text mentions a specialty in any language
+ */
+export function mentionsSpecialty(text, specialtyId) {
+  const matcher = MATCHERS.find(candidate => candidate.specialty.id === specialtyId);
+  return Boolean(matcher) && Object.keys(countMatches(fold(text), matcher)).length > 0;
+}
+
+/**
+ * Classify a practice from its scraped content.
+ * title/description count TITLE_WEIGHT times per hit, body text and services
+ * once; a hint (import column, discovery tag, AI verdict) adds HINT_WEIGHT.
+ * Resolves to { id, label, confidence: 0-1, matches: [term], source }.
+ */
+export function classifySpecialty({ title = '', description = '', text = '', services = [], hint = null } = {}) {
+  const heading = fold(`${title}\n${description}`);
+  const body = fold(`${text}\n${services.join('\n')}`);
+  const hinted = hint ? resolveSpecialty(hint) : null;
+
+  const scores = MATCHERS.map(matcher => {
+    const headingHits = countMatches(heading, matcher);
+    const bodyHits = countMatches(body, matcher);
+    const score = Object.values(headingHits).reduce((sum, count) => sum + count * TITLE_WEIGHT, 0)
+      + Object.values(bodyHits).reduce((sum, count) => sum + count, 0)
+      + (hinted?.id === matcher.specialty.id ? HINT_WEIGHT : 0);
+    return { specialty: matcher.specialty, score, matches: [...new Set([...Object.keys(headingHits), ...Object.keys(bodyHits)])] };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best] = scores;
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  if (!best || best.score < MIN_SCORE) {
+    const fallback = BY_ID.get(DEFAULT_SPECIALTY);
+    return { id: fallback.id, label: fallback.label, confidence: 0, matches: [], source: 'default' };
+  }
+
+  return {
+    id: best.specialty.id,
+    label: best.specialty.label,
+    confidence: Math.round((best.score / total) * 100) / 100,
+    matches: best.matches,
+    source: best.matches.length > 0 ? 'content' : 'hint'
+  };
+}
+
+/**
+ * The TypeScript union for PracticeConfig.type in generated demo sites
+ */
+export function practiceTypeUnion() {
+  return SPECIALTY_IDS.map(id => `'${id}'`).join(' | ');
+}
@@ -0,0 +1,377 @@
+/**
+ * 🧩 STRUCTURED DATA
+ *
+ * Many practice sites describe themselves in schema.org markup - JSON-LD,
+ * microdata or RDFa - and OpenGraph tags. This is the first extraction tier:
+ * whatever the markup states (name, address, phone, email, opening hours,
+ * geo, sameAs, services, specialty, logo) is taken as is, and the LLM is only
+ * asked for fields it leaves open. Microdata and RDFa items are converted to
+ * the JSON-LD shape so one mapper handles all three.
+ */
+
+import { COUNTRIES } from './gazetteer-data.js';
+
+export const STRUCTURED_SOURCES = ['json-ld', 'microdata', 'rdfa', 'opengraph'];
+
+// schema.org types that describe a practice, most specific first
+const PRACTICE_TYPES = [
+  'Dentist', 'Physician', 'Optician', 'VeterinaryCare', 'Physiotherapy', 'MedicalClinic', 'Hospital', 'DiagnosticLab',
+  'MedicalBusiness', 'MedicalOrganization', 'HealthAndBeautyBusiness', 'DaySpa', 'BeautySalon', 'LocalBusiness', 'Organization'
+];
+
+// schema.org type / medicalSpecialty → specialty taxonomy hint
+const TYPE_SPECIALTIES = {
+  Dentist: 'dental', Dentistry: 'dental', Optician: 'eye-care', Optometric: 'eye-care', Ophthalmologic: 'eye-care',
+  VeterinaryCare: 'veterinary', Physiotherapy: 'physiotherapy', Dermatology: 'dermatology', DaySpa: 'aesthetic',
+  BeautySalon: 'aesthetic', PlasticSurgery: 'aesthetic', Pediatric: 'pediatrics', Gynecologic: 'gynecology',
+  Obstetric: 'gynecology', Psychiatric: 'mental-health', PrimaryCare: 'general-practice', Podiatric: 'podiatry',
+  DietNutrition: 'nutrition', Osteopathic: 'osteopathy', Chiropractic: 'chiropractic'
+};
+
+const DAY_CODES = { monday: 'Mo', tuesday: 'Tu', wednesday: 'We', thursday: 'Th', friday: 'Fr', saturday: 'Sa', sunday: 'Su' };
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+function decode(text) {
+  return String(text ?? '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([a-z_:][-a-z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/gi)) {
+    attrs[match[1].toLowerCase()] = decode(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+// "http://schema.org/Dentist", "schema:Dentist" → "Dentist"
+function shortType(type) {
+  return String(type || '').trim().split(/[/#:]/).pop();
+}
+
+function asArray(value) {
+  return value === undefined || value === null ? [] : Array.isArray(value) ? value : [value];
+}
+
+function first(value) {
+  return asArray(value)[0];
+}
+
+function text(value) {
+  const item = first(value);
+  if (item && typeof item === 'object') {
+    return text(item['@value'] ?? item.name);
+  }
+  return typeof item === 'string' || typeof item === 'number' ? decode(String(item)).replace(/\s+/g, ' ').trim() || null : null;
+}
+
+/**
+ * Every JSON-LD node on a page, @graph entries flattened
+ */
+export function parseJsonLd(html) {
+  const nodes = [];
+  const collect = node => {
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+    } else if (node && typeof node === 'object') {
+      if (node['@graph']) {
+        collect(node['@graph']);
+      }
+      if (node['@type']) {
+        nodes.push(node);
+      }
+    }
+  };
+  for (const match of String(html || '').matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      // Some CMSs leave HTML comments or a trailing semicolon around the JSON
+      collect(JSON.parse(match[1].replace(/^\s*<!--|-->\s*$/g, '').trim().replace(/;\s*$/, '')));
+    } catch {
+      // Broken blocks are skipped - other tiers may still have the data
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Microdata (itemscope/itemtype/itemprop) or RDFa (typeof/property) items in
+ * JSON-LD shape. A small tag walker is enough - markup only has to nest.
+ */
+export function parseMarkupItems(html, syntax = 'microdata') {
+  const rdfa = syntax === 'rdfa';
+  const items = [];
+  const stack = [];
+  const source = String(html || '').replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ').replace(/<!--[\s\S]*?-->/g, ' ');
+
+  const currentItem = () => [...stack].reverse().find(entry => entry.item)?.item || null;
+  const assign = (item, prop, value) => {
+    if (!item || !prop || value === null || value === undefined || value === '') {
+      return;
+    }
+    for (const name of prop.split(/\s+/).map(shortType)) {
+      item[name] = item[name] === undefined ? value : [...asArray(item[name]), value];
+    }
+  };
+
+  for (const match of source.matchAll(/<(\/?)([a-z][a-z0-9-]*)([^>]*)>|([^<]+)/gi)) {
+    if (match[4] !== undefined) {
+      stack.forEach(entry => entry.collecting && entry.text.push(match[4]));
+      continue;
+    }
+
+    const [, closing, rawTag, rawAttrs] = match;
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const index = stack.map(entry => entry.tag).lastIndexOf(tag);
+      if (index === -1) {
+        continue;
+      }
+      for (const entry of stack.splice(index).reverse()) {
+        if (entry.collecting) {
+          assign(entry.parent, entry.prop, decode(entry.text.join(' ')).replace(/\s+/g, ' ').trim());
+        }
+      }
+      continue;
+    }
+
+    const attrs = attributes(rawAttrs);
+    const propName = rdfa ? attrs.property : attrs.itemprop;
+    const typeName = rdfa ? attrs.typeof : ('itemscope' in attrs ? attrs.itemtype || 'Thing' : null);
+    const parent = currentItem();
+    const entry = { tag, item: null, collecting: false, prop: propName, parent, text: [] };
+
+    if (typeName) {
+      entry.item = { '@type': typeName.split(/\s+/).map(shortType) };
+      if (propName && parent) {
+        assign(parent, propName, entry.item);
+      } else {
+        items.push(entry.item);
+      }
+    } else if (propName) {
+      const value = attrs.content ?? attrs.datetime ?? (['a', 'link', 'area'].includes(tag) ? attrs.href : null)
+        ?? (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag) ? attrs.src : null)
+        ?? (tag === 'meta' ? '' : null);
+      if (value !== null) {
+        assign(parent, propName, value);
+      } else {
+        entry.collecting = true;
+      }
+    }
+
+    if (!VOID_ELEMENTS.has(tag) && !rawAttrs.trim().endsWith('/')) {
+      stack.push(entry);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * og:* and business:contact_data:* meta tags as { key: value }
+ */
+export function parseOpenGraph(html) {
+  const tags = {};
+  for (const match of String(html || '').matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = attributes(match[0].slice(5, -1));
+    const key = attrs.property || attrs.name;
+    if (key && /^(og|business|place|article):/i.test(key) && attrs.content && tags[key.toLowerCase()] === undefined) {
+      tags[key.toLowerCase()] = attrs.content.trim();
+    }
+  }
+  return tags;
+}
+
+function typesOf(node) {
+  return asArray(node['@type']).map(shortType);
+}
+
+function practiceRank(node) {
+  const ranks = typesOf(node).map(type => PRACTICE_TYPES.indexOf(type)).filter(rank => rank !== -1);
+  return ranks.length > 0 ? Math.min(...ranks) : -1;
+}
+
+function addressOf(value) {
+  const address = first(value);
+  if (!address) {
+    return null;
+  }
+  if (typeof address === 'string') {
+    return { street: null, postalCode: null, city: null, region: null, country: null, formatted: decode(address).trim() };
+  }
+  const countryValue = address.addressCountry && typeof address.addressCountry === 'object' ? text(address.addressCountry.name) : text(address.addressCountry);
+  // addressCountry is usually an ISO code ("AT") - spell it out for location strings
+  const country = COUNTRIES.find(entry => entry.code === countryValue?.toUpperCase())?.name || countryValue;
+  const parts = {
+    street: text(address.streetAddress),
+    postalCode: text(address.postalCode),
+    city: text(address.addressLocality),
+    region: text(address.addressRegion),
+    country
+  };
+  const formatted = [parts.street, [parts.postalCode, parts.city].filter(Boolean).join(' '), parts.region, parts.country].filter(Boolean).join(', ');
+  return formatted ? { ...parts, formatted } : null;
+}
+
+function dayCodes(days) {
+  return asArray(days).map(day => {
+    const name = shortType(text(day) || '').toLowerCase();
+    return DAY_CODES[name] || (/^(mo|tu|we|th|fr|sa|su)$/i.test(name) ? name[0].toUpperCase() + name[1] : null);
+  }).filter(Boolean);
+}
+
+/**
+ * openingHours ("Mo-Fr 08:00-18:00") and openingHoursSpecification in one
+ * list of { days: ['Mo', …], opens: '08:00', closes: '18:00' }
+ */
+export function openingHoursOf(node) {
+  const hours = [];
+  const order = Object.values(DAY_CODES);
+
+  for (const entry of asArray(node.openingHours).flatMap(value => String(text(value) || '').split(/\s*[,;]\s*(?=[A-Z][a-z](?:\b|-))/))) {
+    const match = entry.match(/^([A-Za-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    if (!match) {
+      continue;
+    }
+    const days = match[1].split(',').flatMap(part => {
+      const [from, to] = part.trim().split('-').map(day => day.trim().slice(0, 2));
+      const start = order.indexOf(from);
+      const end = to ? order.indexOf(to) : start;
+      return start === -1 || end === -1 ? [] : order.slice(start, end + 1);
+    });
+    if (days.length > 0) {
+      hours.push({ days, opens: match[2].padStart(5, '0'), closes: match[3].padStart(5, '0') });
+    }
+  }
+
+  for (const spec of asArray(node.openingHoursSpecification)) {
+    const days = dayCodes(spec?.dayOfWeek);
+    const opens = text(spec?.opens)?.slice(0, 5);
+    const closes = text(spec?.closes)?.slice(0, 5);
+    if (days.length > 0 && opens && closes) {
+      hours.push({ days, opens, closes });
+    }
+  }
+  return hours;
+}
+
+function servicesOf(node) {
+  const names = [
+    ...asArray(node.availableService),
+    ...asArray(node.makesOffer).map(offer => offer?.itemOffered || offer),
+    ...asArray(node.hasOfferCatalog).flatMap(catalog => asArray(catalog?.itemListElement).map(element => element?.itemOffered || element)),
+    ...asArray(node.knowsAbout)
+  ].map(service => text(service?.name ?? service)).filter(Boolean);
+  return [...new Set(names)];
+}
+
+// Offers with what schema.org says about them - price, currency, description
+function offeredServicesOf(node) {
+  const offers = [
+    ...asArray(node.availableService).map(service => ({ item: service, offer: first(service?.offers) })),
+    ...asArray(node.makesOffer).map(offer => ({ item: offer?.itemOffered || offer, offer })),
+    ...asArray(node.hasOfferCatalog).flatMap(catalog => asArray(catalog?.itemListElement).map(element => ({ item: element?.itemOffered || element, offer: element })))
+  ];
+  return offers.map(({ item, offer }) => {
+    const specification = first(offer?.priceSpecification);
+    const price = parseFloat(text(offer?.price ?? specification?.price ?? specification?.minPrice));
+    return {
+      name: text(item?.name ?? item),
+      description: text(item?.description),
+      durationMinutes: null,
+      price: Number.isFinite(price) && price > 0 ? price : null,
+      // Only a minPrice is a starting price
+      priceFrom: !text(offer?.price ?? specification?.price) && Boolean(text(specification?.minPrice)),
+      currency: text(offer?.priceCurrency ?? specification?.priceCurrency)
+    };
+  }).filter(entry => entry.name);
+}
+
+function specialtyOf(node) {
+  for (const value of [...asArray(node.medicalSpecialty), ...typesOf(node)]) {
+    const key = shortType(text(value) || '');
+    if (TYPE_SPECIALTIES[key]) {
+      return TYPE_SPECIALTIES[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Map the page's markup onto practice fields. Resolves to
+ * { fields: { company, location, address, phone, email, openingHours, geo,
+ *   sameAs, services, serviceCatalogue, specialty, logo, description, priceRange },
+ *   sources: { field: 'json-ld' | 'microdata' | 'rdfa' | 'opengraph' }, types }.
+ * Fields the markup doesn't state are absent from fields.
+ */
+export function extractStructuredData(pages) {
+  const candidates = [];
+  let openGraph = {};
+
+  for (const page of pages) {
+    const html = page.html || '';
+    parseJsonLd(html).forEach(node => candidates.push({ node, source: 'json-ld' }));
+    parseMarkupItems(html, 'microdata').forEach(node => candidates.push({ node, source: 'microdata' }));
+    parseMarkupItems(html, 'rdfa').forEach(node => candidates.push({ node, source: 'rdfa' }));
+    openGraph = { ...parseOpenGraph(html), ...openGraph };
+  }
+
+  // Most specific practice type wins; earlier pages (home first) break ties
+  const practices = candidates
+    .map((candidate, index) => ({ ...candidate, rank: practiceRank(candidate.node), index }))
+    .filter(candidate => candidate.rank !== -1)
+    .sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+  const fields = {};
+  const sources = {};
+  const set = (field, value, source) => {
+    const empty = value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+    if (!empty && fields[field] === undefined) {
+      fields[field] = value;
+      sources[field] = source;
+    }
+  };
+
+  for (const { node, source } of practices) {
+    const address = addressOf(node.address) || addressOf(first(node.location)?.address);
+    const geo = first(node.geo) || first(node.location)?.geo;
+    const latitude = parseFloat(text(geo?.latitude));
+    const longitude = parseFloat(text(geo?.longitude));
+
+    set('company', text(node.name) || text(node.legalName), source);
+    set('address', address, source);
+    set('location', address?.city ? [address.city, address.country].filter(Boolean).join(', ') : null, source);
+    set('phone', text(node.telephone), source);
+    set('email', text(node.email)?.replace(/^mailto:/i, ''), source);
+    set('openingHours', openingHoursOf(node), source);
+    set('geo', Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null, source);
+    set('sameAs', asArray(node.sameAs).map(text).filter(Boolean), source);
+    set('services', servicesOf(node), source);
+    set('serviceCatalogue', offeredServicesOf(node), source);
+    set('specialty', specialtyOf(node), source);
+    set('logo', text(first(node.logo)?.url ?? node.logo) || text(first(node.image)?.url ?? node.image), source);
+    set('description', text(node.description), source);
+    set('priceRange', text(node.priceRange), source);
+  }
+
+  // OpenGraph fills what schema.org markup left open
+  const contact = key => openGraph[`business:contact_data:${key}`] || null;
+  const ogLatitude = parseFloat(openGraph['place:location:latitude']);
+  const ogLongitude = parseFloat(openGraph['place:location:longitude']);
+  set('company', openGraph['og:site_name'], 'opengraph');
+  set('location', contact('locality') ? [contact('locality'), contact('country_name')].filter(Boolean).join(', ') : null, 'opengraph');
+  set('address', contact('street_address') ? {
+    street: contact('street_address'), postalCode: contact('postal_code'), city: contact('locality'), region: contact('region'), country: contact('country_name'),
+    formatted: [contact('street_address'), [contact('postal_code'), contact('locality')].filter(Boolean).join(' '), contact('country_name')].filter(Boolean).join(', ')
+  } : null, 'opengraph');
+  set('phone', contact('phone_number'), 'opengraph');
+  set('email', contact('email'), 'opengraph');
+  set('geo', Number.isFinite(ogLatitude) && Number.isFinite(ogLongitude) ? { latitude: ogLatitude, longitude: ogLongitude } : null, 'opengraph');
+  set('logo', openGraph['og:image'], 'opengraph');
+  set('description', openGraph['og:description'], 'opengraph');
+
+  return { fields, sources, types: [...new Set(practices.flatMap(({ node }) => typesOf(node)))] };
+}
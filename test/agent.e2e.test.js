@@ -0,0 +1,244 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAgent } from './helpers/agent-process.js';
+
+// Each test takes its own clinic - the lead registry would skip a repeat as a duplicate
+const CLINICS = {
+  vienna: 'https://www.smile-dental-wien.at/',
+  london: 'https://www.harley-aesthetics.co.uk/',
+  amsterdam: 'https://www.fysio-centrum-amsterdam.nl/',
+  berlin: 'https://www.hautarzt-berlin-mitte.de/',
+  brooklyn: 'https://www.brooklynfamilymedicine.com/',
+  bondi: 'https://www.bondi-skin-clinic.com.au/'
+};
+
+async function processUrl(agent, url, options = {}) {
+  const { status, body } = await agent.request('POST', '/process-urls', { urls: [url], ...options });
+  assert.equal(status, 202);
+  const job = await agent.waitForJob(body.jobId);
+  assert.equal(job.status, 'completed');
+  return job.progress.leads[0];
+}
+
+const providerRequests = (state, provider, method, path) =>
+  state.requests.filter(request => request.provider === provider && request.method === method && path.test(request.path));
+
+describe('AutonomousHealthcareAgent against the fake providers', () => {
+  let agent;
+
+  before(async () => {
+    agent = await startAgent({
+      RETRY_MAX_ATTEMPTS: '4',
+      CIRCUIT_FAILURE_THRESHOLD: '3',
+      CIRCUIT_RESET_MS: '60000',
+      // The real OpenRouter quota would make later leads wait for tokens
+      RATE_LIMIT_OPENROUTER_PER_MIN: '600'
+    });
+  });
+
+  after(async () => {
+    await agent?.stop();
+  });
+
+  beforeEach(async () => {
+    await agent.fake.reset();
+  });
+
+  it('turns a practice website into a deployed demo', async () => {
+    const lead = await processUrl(agent, CLINICS.vienna);
+
+    assert.equal(lead.status, 'success');
+    assert.equal(lead.result.company, 'Smile Dental Wien');
+    assert.match(lead.result.demoUrl, /\.up\.railway\.app$/);
+
+    const state = await agent.fake.state();
+    assert.equal(Object.keys(state.notion.pages).length, 1);
+    assert.equal(Object.keys(state.github.repositories).length, 1);
+    assert.equal(Object.keys(state.elevenlabs.agents).length, 1);
+    assert.equal(Object.keys(state.railway.projects).length, 1);
+
+    const { body } = await agent.request('GET', `/leads/${lead.leadId}`);
+    assert.equal(body.success, true);
+    assert.equal(body.lead.status, 'success');
+  });
+
+  it('skips a practice that is already a lead', async () => {
+    assert.equal((await processUrl(agent, CLINICS.bondi)).status, 'success');
+    const pages = Object.keys((await agent.fake.state()).notion.pages).length;
+
+    const lead = await processUrl(agent, CLINICS.bondi);
+
+    assert.equal(lead.status, 'skipped');
+    assert.equal(Object.keys((await agent.fake.state()).notion.pages).length, pages);
+  });
+
+  it('retries injected provider failures and still finishes the lead', async () => {
+    await agent.fake.fail({ notion: { status: 503, times: 2 } });
+
+    const lead = await processUrl(agent, CLINICS.london);
+
+    assert.equal(lead.status, 'success');
+    const state = await agent.fake.state();
+    // The duplicate lookup is Notion's first call: refused twice, then answered
+    assert.equal(providerRequests(state, 'notion', 'POST', /^\/databases\/[^/]+\/query$/).length, 3);
+    assert.equal(Object.keys(state.notion.pages).length, 1);
+
+    const { body } = await agent.request('GET', '/status');
+    assert.equal(body.providers.notion.state, 'closed');
+  });
+
+  it('falls back to GitHub Pages when Railway stays down', async () => {
+    await agent.fake.fail({ railway: { status: 503, times: 100 } });
+
+    const lead = await processUrl(agent, CLINICS.amsterdam);
+
+    assert.equal(lead.status, 'success');
+    assert.match(lead.result.demoUrl, /\.github\.io\//);
+    assert.equal(Object.keys((await agent.fake.state()).railway.projects).length, 0);
+  });
+
+  it('opens the circuit after repeated failures and fails fast while it is open', async () => {
+    await agent.fake.fail({ github: { status: 503, times: 100 } });
+
+    const first = await processUrl(agent, CLINICS.berlin);
+    assert.equal(first.status, 'failed');
+
+    const { body } = await agent.request('GET', '/status');
+    assert.equal(body.providers.github.state, 'open');
+    assert.equal(body.providers.github.consecutiveFailures, 3);
+
+    // The open circuit refuses the next lead without calling GitHub
+    const before = providerRequests(await agent.fake.state(), 'github', 'POST', /^\/user\/repos$/).length;
+    const second = await processUrl(agent, CLINICS.brooklyn);
+    assert.equal(second.status, 'failed');
+    assert.match(second.error || second.result?.error || '', /GitHub is unavailable/);
+    assert.equal(providerRequests(await agent.fake.state(), 'github', 'POST', /^\/user\/repos$/).length, before);
+  });
+});
+
+describe('Lead recovery against the fake providers', () => {
+  let agent;
+
+  before(async () => {
+    // Two attempts per call and a breaker that stays closed, so a failed phase can be resumed right away
+    agent = await startAgent({
+      RETRY_MAX_ATTEMPTS: '2',
+      CIRCUIT_FAILURE_THRESHOLD: '100',
+      RATE_LIMIT_OPENROUTER_PER_MIN: '600'
+    });
+  });
+
+  after(async () => {
+    await agent?.stop();
+  });
+
+  it('resumes a failed lead from the failed phase without re-creating earlier artifacts', async () => {
+    await agent.fake.fail({ github: { status: 503, times: 2 } });
+
+    const failed = await processUrl(agent, CLINICS.vienna, { duplicatePolicy: 'refresh' });
+    assert.equal(failed.status, 'failed');
+    const { body: checkpoint } = await agent.request('GET', `/leads/${failed.leadId}`);
+    assert.equal(checkpoint.lead.failedPhase, 'repository');
+    assert.equal(checkpoint.lead.options.duplicatePolicy, 'refresh');
+
+    const { status, body } = await agent.request('POST', `/leads/${failed.leadId}/resume`);
+    assert.equal(status, 202);
+    assert.equal(body.resumeFrom, 'repository');
+    assert.equal((await agent.waitForJob(body.jobId)).status, 'completed');
+
+    const { body: resumed } = await agent.request('GET', `/leads/${failed.leadId}`);
+    assert.equal(resumed.lead.status, 'success');
+    const state = await agent.fake.state();
+    assert.equal(Object.keys(state.notion.pages).length, 1);
+    assert.equal(Object.keys(state.elevenlabs.agents).length, 1);
+    assert.equal(Object.keys(state.github.repositories).length, 1);
+  });
+
+  it('processes a practice whose lead failed again, into the same Notion page', async () => {
+    await agent.fake.reset();
+    await agent.fake.fail({ github: { status: 503, times: 2 } });
+    assert.equal((await processUrl(agent, CLINICS.berlin)).status, 'failed');
+
+    const retry = await processUrl(agent, CLINICS.berlin);
+
+    assert.equal(retry.status, 'success');
+    const state = await agent.fake.state();
+    assert.equal(Object.keys(state.notion.pages).length, 1);
+    assert.equal(providerRequests(state, 'notion', 'POST', /^\/pages$/).length, 1);
+  });
+
+  it('tears down every artifact a lead created', async () => {
+    await agent.fake.reset();
+    const lead = await processUrl(agent, CLINICS.london);
+    assert.equal(lead.status, 'success');
+
+    const { status, body } = await agent.request('DELETE', `/leads/${lead.leadId}`);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const state = await agent.fake.state();
+    assert.equal(Object.keys(state.github.repositories).length, 0);
+    assert.equal(Object.keys(state.elevenlabs.agents).length, 0);
+    assert.ok(Object.values(state.notion.pages).every(page => page.archived));
+
+    const { status: resumeStatus } = await agent.request('POST', `/leads/${lead.leadId}/resume`);
+    assert.equal(resumeStatus, 409);
+  });
+
+  it('records the run as a campaign and tags its Notion lead', async () => {
+    await agent.fake.reset();
+    const { body } = await agent.request('POST', '/process-urls', { urls: [CLINICS.brooklyn], campaignName: 'Brooklyn test' });
+    await agent.waitForJob(body.jobId);
+
+    const { body: { campaign } } = await agent.request('GET', `/campaigns/${body.campaignId}`);
+    assert.equal(campaign.name, 'Brooklyn test');
+    assert.equal(campaign.status, 'completed');
+    assert.equal(campaign.stats.success, 1);
+
+    const [page] = Object.values((await agent.fake.state()).notion.pages);
+    assert.match(page.properties.Campaign.rich_text[0].text.content, new RegExp(`Brooklyn test \\(${campaign.id}\\)`));
+  });
+
+  it('imports a lead list and reports the rows it could not use', async () => {
+    await agent.fake.reset();
+    const { status, body } = await agent.request('POST', '/import-leads', {
+      content: `Website,Practice\n${CLINICS.bondi},Bondi Skin\nnot a url,Broken\n`,
+      format: 'csv',
+      dryRun: true
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.report.valid, 1);
+    assert.equal(body.report.invalid, 1);
+    assert.equal(body.report.mapping.company, 'Practice');
+    const job = await agent.waitForJob(body.jobId);
+    assert.equal(job.progress.leads[0].status, 'planned');
+
+    const { status: emptyStatus } = await agent.request('POST', '/import-leads', { content: 'Website\nnot a url\n', format: 'csv' });
+    assert.equal(emptyStatus, 400);
+  });
+
+  it('plans a dry run without creating anything', async () => {
+    await agent.fake.reset();
+    const lead = await processUrl(agent, CLINICS.amsterdam, { dryRun: true });
+
+    assert.equal(lead.status, 'planned');
+    const state = await agent.fake.state();
+    assert.equal(Object.keys(state.notion.pages).length, 0);
+    assert.equal(Object.keys(state.github.repositories).length, 0);
+    assert.equal(Object.keys(state.railway.projects).length, 0);
+    assert.equal(providerRequests(state, 'github', 'POST', /./).length, 0);
+  });
+
+  it('discovers practices past the known leads until the lead count is met', async () => {
+    await agent.fake.reset();
+    const { status, body } = await agent.request('POST', '/create-leads', { count: 2, dryRun: true });
+    assert.equal(status, 202);
+
+    // Vienna, Berlin and Brooklyn are leads by now - discovery has to look further
+    const job = await agent.waitForJob(body.jobId);
+    const planned = job.progress.leads.filter(lead => lead.status === 'planned');
+    assert.equal(planned.length, 2);
+    assert.ok(planned.every(lead => ![CLINICS.vienna, CLINICS.berlin, CLINICS.brooklyn].includes(lead.url)));
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, toHex, contrastRatio, derivePalette, cssColors, extractBrand, MIN_CONTRAST, DEFAULT_BRAND_COLORS } from '../lib/brand-extraction.js';
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+describe('parseColor', () => {
+  it('reads hex, rgb(), hsl() and named colors', () => {
+    assert.equal(toHex(parseColor('#0af')), '#00aaff');
+    assert.equal(toHex(parseColor('rgb(12, 34, 56)')), '#0c2238');
+    assert.equal(toHex(parseColor('hsl(120, 100%, 25%)')), '#008000');
+    assert.equal(parseColor('rgba(0, 0, 0, 0.1)'), null);
+    assert.equal(parseColor('not-a-color'), null);
+  });
+});
+
+describe('derivePalette', () => {
+  it('darkens light brand colors until white text is readable', () => {
+    const palette = derivePalette([{ hex: '#7dd3fc' }, { hex: '#f9a8d4' }]);
+    assert.equal(palette.source, 'site');
+    assert.equal(palette.original.primary, '#7dd3fc');
+    assert.ok(contrastRatio(parseColor(palette.primary), WHITE) >= MIN_CONTRAST);
+    assert.ok(contrastRatio(parseColor(palette.secondary), WHITE) >= MIN_CONTRAST);
+  });
+
+  it('falls back to the default colors', () => {
+    const palette = derivePalette([]);
+    assert.equal(palette.source, 'default');
+    assert.equal(palette.original.primary, DEFAULT_BRAND_COLORS.primary);
+  });
+});
+
+describe('cssColors', () => {
+  it('finds colors in a stylesheet', () => {
+    assert.ok(cssColors('.btn { background: #e11d48; color: #fff }').length > 0);
+  });
+});
+
+describe('extractBrand', () => {
+  it('ranks brand colors and finds the header logo and favicon', () => {
+    const html = '<meta name="theme-color" content="#0e7490"><link rel="icon" href="/icon.png"><style>body{color:#333;background:#fff}.btn{background:#0e7490}</style><header><img class="site-logo" src="/img/logo.svg"></header>';
+    const brand = extractBrand([{ url: 'https://a.at/', html }]);
+
+    assert.equal(brand.colors[0].hex, '#0e7490');
+    assert.ok(!brand.colors.some(color => ['#333333', '#ffffff'].includes(color.hex)));
+    assert.deepEqual(brand.logo, { url: 'https://a.at/img/logo.svg', source: 'header-img' });
+    assert.equal(brand.favicon, 'https://a.at/icon.png');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CampaignScheduler, ScheduleValidationError } from '../lib/campaign-scheduler.js';
+
+const WORKFLOW = { specialty: 'dental', location: 'Vienna', leadCount: 3 };
+
+describe('CampaignScheduler', () => {
+  let dir;
+  let launched;
+  let activeJobs;
+  let scheduler;
+
+  const createScheduler = () => new CampaignScheduler({
+    filePath: path.join(dir, 'schedules.json'),
+    launch: async schedule => {
+      const jobId = `job-${launched.length + 1}`;
+      launched.push({ scheduleId: schedule.id, jobId });
+      return jobId;
+    },
+    isRunActive: jobId => activeJobs.has(jobId)
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'campaign-scheduler-'));
+    launched = [];
+    activeJobs = new Set();
+    scheduler = createScheduler();
+    await scheduler.init();
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('validates schedules before saving them', async () => {
+    await assert.rejects(scheduler.create({ name: 'Vienna', cron: 'every monday', workflowConfig: WORKFLOW }), ScheduleValidationError);
+    await assert.rejects(scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: { leadCount: 0 } }), /leadCount/);
+    await assert.rejects(scheduler.create({ name: 'Vienna', workflowConfig: WORKFLOW }), /cron is required/);
+    await assert.rejects(scheduler.create({ name: 'Vienna', cron: 7, workflowConfig: WORKFLOW }), /cron must be a string/);
+    await assert.rejects(scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: { ...WORKFLOW, searchBudget: 11 } }), /searchBudget/);
+    await assert.rejects(scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: { ...WORKFLOW, concurrency: 50 } }), /concurrency must be an integer between 1 and 10/);
+
+    await scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: WORKFLOW });
+    await assert.rejects(scheduler.create({ name: 'vienna', cron: '0 7 * * 1', workflowConfig: WORKFLOW }), /already exists/);
+  });
+
+  it('fires due schedules once per slot', async () => {
+    const schedule = await scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: WORKFLOW });
+    const due = new Date(schedule.nextRunAt);
+
+    await scheduler.tick(new Date(due.getTime() - 60000));
+    assert.equal(launched.length, 0);
+
+    await scheduler.tick(due);
+    await scheduler.tick(due);
+    assert.deepEqual(launched, [{ scheduleId: schedule.id, jobId: 'job-1' }]);
+    assert.equal(schedule.runCount, 1);
+    assert.ok(new Date(schedule.nextRunAt) > due);
+  });
+
+  it('skips a slot while the previous run is still in progress', async () => {
+    const schedule = await scheduler.create({ name: 'Vienna', cron: '* * * * *', workflowConfig: WORKFLOW });
+    await scheduler.fire(schedule);
+    activeJobs.add('job-1');
+
+    const result = await scheduler.fire(schedule, { manual: true });
+    assert.equal(result.launched, false);
+    assert.match(result.reason, /job-1 is still in progress/);
+    assert.ok(schedule.lastSkippedAt);
+    assert.equal(launched.length, 1);
+  });
+
+  it('pauses, finds by name and removes schedules', async () => {
+    await scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: WORKFLOW });
+
+    const paused = await scheduler.setEnabled('VIENNA', false);
+    assert.equal(paused.enabled, false);
+    assert.equal(paused.nextRunAt, null);
+
+    assert.equal((await scheduler.remove('vienna')).name, 'Vienna');
+    assert.equal(scheduler.get('vienna'), null);
+  });
+
+  it('keeps schedules across restarts', async () => {
+    const schedule = await scheduler.create({ name: 'Vienna', cron: '0 7 * * 1', workflowConfig: WORKFLOW });
+    scheduler.stop();
+
+    const restarted = createScheduler();
+    await restarted.init();
+    restarted.stop();
+    assert.deepEqual(restarted.list().map(entry => entry.id), [schedule.id]);
+    assert.ok(restarted.get(schedule.id).nextRunAt);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CampaignStore } from '../lib/campaign-store.js';
+
+describe('CampaignStore', () => {
+  let dir;
+  let filePath;
+  let campaigns;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'campaign-store-'));
+    filePath = path.join(dir, 'campaigns.json');
+    campaigns = new CampaignStore({ filePath });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the config that started a run, without the pre-found clinics', async () => {
+    const campaign = await campaigns.create({
+      name: 'Dental · Vienna',
+      source: 'telegram',
+      workflowConfig: { specialty: 'dental', preFoundClinics: [{ url: 'https://a.at/' }] },
+      creator: { chatId: 42 }
+    });
+    assert.equal(campaign.status, 'queued');
+    assert.equal(campaign.workflowConfig.specialty, 'dental');
+    assert.equal(campaign.workflowConfig.preFoundClinics, undefined);
+  });
+
+  it('tallies lead outcomes and overwrites a lead that was retried', async () => {
+    const { id } = await campaigns.create({ name: 'Batch', source: 'http' });
+    await campaigns.recordLead(id, 0, { status: 'success' });
+    await campaigns.recordLead(id, 1, { status: 'skipped', duplicate: true });
+    await campaigns.recordLead(id, 2, { status: 'failed' });
+    await campaigns.recordLead(id, 2, { status: 'success' });
+
+    const campaign = await campaigns.get(id);
+    assert.equal(campaign.status, 'running');
+    assert.deepEqual(campaign.stats, { total: 3, success: 2, planned: 0, skipped: 1, duplicates: 1, failed: 0, successRate: 67 });
+  });
+
+  it('lists campaigns newest first and by source across instances', async () => {
+    const first = await campaigns.create({ name: 'First', source: 'http' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await campaigns.create({ name: 'Second', source: 'schedule' });
+    await campaigns.finish(first.id, 'completed');
+
+    const reloaded = new CampaignStore({ filePath });
+    assert.deepEqual((await reloaded.list()).map(campaign => campaign.id), [second.id, first.id]);
+    assert.deepEqual((await reloaded.list({ source: 'http' })).map(campaign => campaign.name), ['First']);
+    assert.ok((await reloaded.get(first.id)).finishedAt);
+  });
+});
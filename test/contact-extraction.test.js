@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhoneE164, deobfuscateEmails, extractContacts, callingCodeFor } from '../lib/contact-extraction.js';
+
+describe('normalizePhoneE164', () => {
+  it('normalizes international and national numbers', () => {
+    assert.equal(normalizePhoneE164('+43 (0)1 234 5678'), '+4312345678');
+    assert.equal(normalizePhoneE164('030 1234567', { callingCode: '49' }), '+49301234567');
+    assert.equal(normalizePhoneE164('(718) 555-0142', { callingCode: '1' }), '+17185550142');
+    assert.equal(normalizePhoneE164('0044 20 7946 0321'), '+442079460321');
+  });
+
+  it('rejects what cannot be a phone number', () => {
+    assert.equal(normalizePhoneE164('030 1234567'), null);
+    assert.equal(normalizePhoneE164('12'), null);
+  });
+
+  it('knows calling codes by country', () => {
+    assert.equal(callingCodeFor('at'), '43');
+  });
+});
+
+describe('deobfuscateEmails', () => {
+  it('undoes the usual anti-spam spellings', () => {
+    assert.equal(deobfuscateEmails('info [at] clinic [dot] nl'), 'info@clinic.nl');
+    assert.equal(deobfuscateEmails('praxis(at)zahnarzt.de'), 'praxis@zahnarzt.de');
+  });
+});
+
+describe('extractContacts', () => {
+  it('prefers the contact page and addresses on the practice domain', () => {
+    const pages = [
+      { url: 'https://a.at/', topic: 'home', html: '<footer>Webdesign: hello@agency.com</footer>' },
+      { url: 'https://a.at/kontakt', topic: 'contact', html: '<a href="tel:+4312345678">01 234 5678</a> <a href="mailto:ordination@a.at">Mail</a>' }
+    ];
+    const contacts = extractContacts(pages, { callingCode: '43', domain: 'a.at' });
+    assert.equal(contacts.phone.value, '+4312345678');
+    assert.equal(contacts.email.value, 'ordination@a.at');
+    assert.deepEqual(contacts.found, { phone: true, email: true });
+  });
+
+  it('reads tel: and mailto: links with a malformed escape as written', () => {
+    const html = '<a href="tel:+43%1%">Anrufen</a> <a href="tel:+43%201%20234%205678">Anrufen</a> <a href="mailto:praxis%40a.at%zz">Mail</a> <a href="mailto:office%40a.at">Office</a>';
+    const contacts = extractContacts([{ url: 'https://a.at/kontakt', topic: 'contact', html }], { callingCode: '43', domain: 'a.at' });
+    assert.equal(contacts.phone.value, '+4312345678');
+    assert.equal(contacts.email.value, 'office@a.at');
+  });
+
+  it('reports nothing found on a page without contacts', () => {
+    const contacts = extractContacts([{ url: 'https://a.at/', topic: 'home', html: '<p>Welcome</p>' }]);
+    assert.equal(contacts.phone, null);
+    assert.equal(contacts.email, null);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression, CronParseError } from '../lib/cron.js';
+
+describe('CronExpression', () => {
+  it('finds the next matching minute', () => {
+    const cron = new CronExpression('0 7 * * 1-5');
+    // Saturday 2026-01-03 10:00 → Monday 07:00
+    const next = cron.next(new Date(2026, 0, 3, 10, 0));
+    assert.deepEqual([next.getDate(), next.getHours(), next.getMinutes()], [5, 7, 0]);
+  });
+
+  it('supports steps, lists, names and presets', () => {
+    assert.equal(new CronExpression('*/15 9,17 * JAN-MAR MON').matches(new Date(2026, 0, 5, 17, 45)), true);
+    assert.equal(new CronExpression('@daily').next(new Date(2026, 0, 5, 12, 0)).getDate(), 6);
+    assert.equal(new CronExpression('0 0 * * 7').matches(new Date(2026, 0, 4, 0, 0)), true);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => new CronExpression('* * *'), CronParseError);
+    assert.throws(() => new CronExpression('61 * * * *'), CronParseError);
+  });
+});
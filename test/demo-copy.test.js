@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { demoCopy, fillCopy, pageCopy } from '../lib/demo-copy.js';
+
+describe('demo copy', () => {
+  it('falls back to English for languages without copy', () => {
+    assert.equal(demoCopy('xx'), demoCopy('en'));
+    assert.equal(demoCopy('de').closed, 'geschlossen');
+  });
+
+  it('fills known placeholders and leaves unknown ones', () => {
+    assert.equal(fillCopy('{company} with {contact} and {other}', { company: 'Praxis A', contact: 'Dr. A' }), 'Praxis A with Dr. A and {other}');
+  });
+
+  it('fills every page text in the chosen language', () => {
+    const page = pageCopy('it', { company: 'Studio Rossi', contact: 'Dr. Rossi' });
+    assert.equal(page.openingHoursTitle, 'Orari di apertura');
+    assert.match(page.ctaTitle, /Studio Rossi/);
+    assert.ok(Object.values(page).every(text => !/\{company\}|\{contact\}/.test(text)));
+  });
+});
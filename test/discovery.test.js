@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { requestTerms, matchesRequest, queryVariations, buildOverpassQuery, DiscoverySource, OverpassDiscoverySource, StaticSeedSource, UploadedListSource, DiscoveryService } from '../lib/discovery.js';
+
+// A source that answers with fixed results (or fails)
+class ListSource extends DiscoverySource {
+  constructor(name, results, weight = 1) {
+    super(name, { weight });
+    this.results = results;
+  }
+
+  async discover() {
+    if (this.results instanceof Error) {
+      throw this.results;
+    }
+    return this.results.map(result => ({ title: result.url, text: '', ...result, source: this.name }));
+  }
+}
+
+describe('request matching', () => {
+  it('keeps only the meaningful words of a request', () => {
+    assert.deepEqual(requestTerms({ query: 'find the best dental clinics in Vienna' }), ['dental', 'vienna']);
+    assert.deepEqual(requestTerms({ query: 'ignored', specialty: 'Physio', location: 'Lyon' }), ['physio', 'lyon']);
+  });
+
+  it('needs every term somewhere in the candidate', () => {
+    const candidate = { title: 'Smile Dental', text: 'Zahnarzt', location: 'Vienna, AT', url: 'https://smile.at/' };
+    assert.equal(matchesRequest(candidate, { specialty: 'dental', location: 'Vienna' }), true);
+    assert.equal(matchesRequest(candidate, { specialty: 'dental', location: 'Graz' }), false);
+  });
+});
+
+describe('queryVariations', () => {
+  it('rephrases a query for backfill rounds, original first and without repeats', () => {
+    const variations = queryVariations('dentist Vienna', { specialty: 'dentist', location: 'Vienna' });
+    assert.equal(variations[0], 'dentist Vienna');
+    assert.ok(variations.includes('private dentist practice Vienna'));
+    assert.equal(new Set(variations.map(variation => variation.toLowerCase())).size, variations.length);
+    assert.deepEqual(queryVariations('dental').slice(0, 2), ['dental', 'dental clinic']);
+  });
+});
+
+describe('OverpassDiscoverySource', () => {
+  it('queries the named area with the specialty tag', () => {
+    const query = buildOverpassQuery({ location: 'Wien, Austria', specialty: 'dentist' });
+    assert.match(query, /"\^Wien\$",i/);
+    assert.match(query, /nwr\["amenity"="dentist"\]\["website"\]/);
+  });
+
+  it('turns POIs with a website into candidates and needs a location', async () => {
+    const source = new OverpassDiscoverySource({
+      request: async () => [
+        { tags: { name: 'Zahnarzt Huber', website: 'https://huber.at', 'addr:city': 'Wien' } },
+        { tags: { name: 'No website' } },
+        { tags: { name: 'Bad URL', website: 'huber' } }
+      ]
+    });
+    const candidates = await source.discover({ specialty: 'dentist', location: 'Wien', limit: 10 });
+    assert.deepEqual(candidates.map(candidate => [candidate.title, candidate.location]), [['Zahnarzt Huber', 'Wien']]);
+    assert.deepEqual(await source.discover({ specialty: 'dentist', location: null, limit: 10 }), []);
+  });
+});
+
+describe('list sources', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'discovery-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('filters seeds by the request', async () => {
+    const source = new StaticSeedSource({ seeds: [
+      { url: 'https://smile.at/', title: 'Smile Dental Vienna' },
+      { url: 'https://skin.de/', title: 'Hautarzt Berlin' }
+    ] });
+    const candidates = await source.discover({ query: 'dental vienna', limit: 10 });
+    assert.deepEqual(candidates.map(candidate => candidate.url), ['https://smile.at/']);
+  });
+
+  it('stores uploaded lists and reports entries without a URL', async () => {
+    const source = new UploadedListSource({ filePath: path.join(dir, 'lists.json') });
+    const { list, rejected } = await source.addList('Vienna dentists', [{ url: 'https://smile.at/', title: 'Smile Dental Vienna' }, { title: 'No URL' }]);
+    assert.equal(list.practices.length, 1);
+    assert.deepEqual(rejected, [{ index: 1, reason: 'missing or invalid url' }]);
+
+    const reloaded = new UploadedListSource({ filePath: path.join(dir, 'lists.json') });
+    const [candidate] = await reloaded.discover({ query: 'dental', limit: 10 });
+    assert.equal(candidate.list, 'Vienna dentists');
+
+    await reloaded.removeList(list.id);
+    assert.deepEqual(await reloaded.all(), []);
+  });
+});
+
+describe('DiscoveryService', () => {
+  it('merges candidates by domain and ranks agreement between sources higher', async () => {
+    const service = new DiscoveryService({ sources: [
+      new ListSource('exa', [{ url: 'https://www.a.at/' }, { url: 'https://b.at/' }]),
+      new ListSource('overpass', [{ url: 'https://b.at/kontakt', location: 'Wien' }], 0.8)
+    ] });
+    const { candidates, sources } = await service.discover({ query: 'dental', limit: 10 });
+
+    assert.deepEqual(candidates.map(candidate => candidate.domain), ['b.at', 'a.at']);
+    assert.deepEqual(candidates[0].sources, ['exa', 'overpass']);
+    assert.equal(candidates[0].location, 'Wien');
+    assert.deepEqual(sources.map(source => [source.name, source.count]), [['exa', 2], ['overpass', 1]]);
+  });
+
+  it('tolerates a failing source but not all of them', async () => {
+    const service = new DiscoveryService({ sources: [
+      new ListSource('exa', new Error('EXA down')),
+      new ListSource('seed', [{ url: 'https://a.at/' }])
+    ] });
+    const { candidates, sources } = await service.discover({ query: 'dental', limit: 10 });
+    assert.equal(candidates.length, 1);
+    assert.equal(sources[0].error, 'EXA down');
+
+    await assert.rejects(service.discover({ query: 'dental', sources: ['exa'] }), /EXA down/);
+    await assert.rejects(service.discover({ query: 'dental', sources: ['nothing'] }), /No discovery sources selected/);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilters, validateFilters, parseFilter, filterFields, FilterSyntaxError } from '../lib/filter-expression.js';
+
+const ALL_TEXT = { title: '', text: '', url: '', location: '', specialty: '', services: [] };
+
+describe('parseFilter', () => {
+  it('binds AND tighter than OR and reads side-by-side terms as AND', () => {
+    assert.equal(compileFilters(['dental implants OR botox']).expression, 'dental AND implants OR botox');
+    assert.equal(compileFilters(['NOT (blog OR services:botox)']).expression, 'NOT (blog OR services:botox)');
+  });
+
+  it('allows spaces around comparison operators', () => {
+    assert.deepEqual(parseFilter('score >= 90'), { type: 'compare', field: 'score', operator: '>=', value: 90 });
+    assert.equal(parseFilter('title : skin').field, 'title');
+  });
+
+  it('rejects an operator without a field', () => {
+    assert.throws(() => parseFilter('>= 90'), /needs a field before it/);
+    assert.throws(() => parseFilter('dental >= 90'), /Unknown field "dental"/);
+  });
+
+  it('reads an unquoted URL as the value of a comparison', () => {
+    assert.equal(parseFilter('url:https://clinic.at').field, 'url');
+    assert.equal(parseFilter('url = https://clinic.at/ OR title:and').type, 'or');
+  });
+
+  it('points at the position of a syntax error', () => {
+    assert.throws(() => parseFilter('(dental OR botox'), error => error instanceof FilterSyntaxError && /Missing closing \)/.test(error.message));
+    assert.throws(() => parseFilter('title>3'), /text field/);
+    assert.throws(() => parseFilter('score>high'), /compares to a number/);
+  });
+
+  it('upgrades the free-text filters of old workflow configs', () => {
+    assert.equal(compileFilters(['exclude hair removal']).expression, 'NOT "hair removal"');
+  });
+});
+
+describe('compileFilters', () => {
+  it('matches whole words and phrases', () => {
+    const filter = compileFilters(['"hair removal"']);
+    assert.equal(filter.evaluate({ ...ALL_TEXT, text: 'Laser hair removal in Vienna' }), true);
+    assert.equal(filter.evaluate({ ...ALL_TEXT, text: 'Hair care and removal of tattoos' }), false);
+  });
+
+  it('is unknown (null) until the fields it needs are known', () => {
+    const filter = compileFilters(['score >= 70']);
+    assert.equal(filter.evaluate({ ...ALL_TEXT }), null);
+    assert.equal(filter.evaluate({ ...ALL_TEXT, score: 85 }), true);
+    assert.equal(filter.evaluate({ ...ALL_TEXT, score: 40 }), false);
+  });
+
+  it('supports regex, exact and prefix matches on fields', () => {
+    const fields = filterFields({ url: 'https://www.zahnarzt-wien.at/', title: 'Zahnarzt Wien', text: 'Implantologie' });
+    assert.equal(compileFilters(['url~/\\.at\\/?$/']).evaluate(fields), true);
+    assert.equal(compileFilters(['domain="zahnarzt-wien.at"']).evaluate(fields), true);
+    assert.equal(compileFilters(['title:zahn*']).evaluate(fields), true);
+  });
+
+  it('matches unquoted URL values', () => {
+    const fields = filterFields({ url: 'https://clinic.at/', title: 'Clinic', text: '' });
+    assert.equal(compileFilters(['url:https://clinic.at']).evaluate(fields), true);
+    assert.equal(compileFilters(['NOT url:https://other.at']).evaluate(fields), true);
+  });
+
+  it('passes everything without filters', () => {
+    assert.equal(compileFilters([]).evaluate({}), true);
+    assert.equal(compileFilters(undefined).expression, '');
+  });
+
+  it('rejects filters that are not a list', () => {
+    assert.throws(() => compileFilters('score>1'), FilterSyntaxError);
+  });
+});
+
+describe('validateFilters', () => {
+  it('lists every invalid expression with its index', () => {
+    assert.deepEqual(validateFilters(['dental', 'foo:bar', 'score>=']).map(({ index }) => index), [1, 2]);
+    assert.equal(validateFilters('dental')[0].error, 'filters must be an array of expressions');
+    assert.deepEqual(validateFilters(null), []);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLocation, findLocationInText, countryForHost, phoneCountryCodes, scoreLocationMatch } from '../lib/gazetteer.js';
+
+describe('resolveLocation', () => {
+  it('uses qualifiers to pick between places of the same name', () => {
+    assert.equal(resolveLocation('London').country, 'GB');
+    assert.equal(resolveLocation('London, Ontario').country, 'CA');
+    assert.equal(resolveLocation('in Wien').country, 'AT');
+    assert.equal(resolveLocation('Atlantis'), null);
+  });
+});
+
+describe('findLocationInText', () => {
+  it('needs more than a common word for short place names', () => {
+    assert.equal(findLocationInText('physio clinics in Lyon').name, 'Lyon');
+    assert.equal(findLocationInText('nice dentists'), null);
+  });
+});
+
+describe('country signals', () => {
+  it('reads the TLD and calling codes', () => {
+    assert.equal(countryForHost('https://praxis.at/'), 'AT');
+    assert.deepEqual(phoneCountryCodes('Tel. +43 1 234 5678'), ['43']);
+  });
+});
+
+describe('scoreLocationMatch', () => {
+  it('scores a practice in the target city above one elsewhere', () => {
+    const target = resolveLocation('Vienna');
+    const vienna = scoreLocationMatch({ url: 'https://zahnarzt-wien.at/', title: 'Zahnarzt Wien', text: 'Ordination in 1010 Wien. Tel. +43 1 234 5678' }, target);
+    const berlin = scoreLocationMatch({ url: 'https://zahnarzt-berlin.de/', title: 'Zahnarzt Berlin', text: 'Praxis in Berlin-Mitte. Tel. +49 30 1234567' }, target);
+    assert.ok(vienna.score > berlin.score);
+    assert.ok(vienna.signals.length > 0);
+  });
+});
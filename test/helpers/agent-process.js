@@ -0,0 +1,129 @@
+/**
+ * 🧪 AGENT UNDER TEST
+ *
+ * Runs autonomous-agent.js as its own process with PROVIDER_MODE=fake, on a
+ * free port and a throwaway data directory, and drives it over HTTP - the
+ * fakes at /__fake included. Retry delays are shortened so injected failures
+ * don't slow the suite down.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const AGENT_PATH = fileURLToPath(new URL('../../autonomous-agent.js', import.meta.url));
+const STARTUP_TIMEOUT_MS = 15000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start an agent; env entries override the test defaults. Resolves once
+ * /health answers, to { baseUrl, request, fake, waitForJob, output, stop }.
+ */
+export async function startAgent(env = {}) {
+  const port = await freePort();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-test-'));
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  let output = '';
+  const child = spawn(process.execPath, [AGENT_PATH], {
+    cwd: dataDir,
+    // A clean environment - no live tokens, no Telegram bot
+    env: {
+      PATH: process.env.PATH,
+      PROVIDER_MODE: 'fake',
+      PORT: String(port),
+      AGENT_DATA_DIR: dataDir,
+      RETRY_BASE_DELAY_MS: '10',
+      RETRY_MAX_DELAY_MS: '50',
+      DEPLOY_POLL_MAX_CHECKS: '2',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const request = async (method, pathname, body) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  const startedAt = Date.now();
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Agent exited during startup:\n${output}`);
+    }
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) {
+        break;
+      }
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() - startedAt > STARTUP_TIMEOUT_MS) {
+      await stop();
+      throw new Error(`Agent did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return {
+    baseUrl,
+    dataDir,
+    request,
+    output: () => output,
+    stop,
+
+    // The in-process fakes: injected failures, recorded state, reset
+    fake: {
+      fail: failures => request('POST', '/__fake/__control/failures', failures),
+      state: async () => (await request('GET', '/__fake/__control/state')).body,
+      reset: () => request('POST', '/__fake/__control/reset')
+    },
+
+    /**
+     * Poll /jobs/:id until the job has finished; resolves to the job
+     */
+    async waitForJob(jobId, { timeoutMs = 60000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const { body } = await request('GET', `/jobs/${jobId}`);
+        if (FINISHED_JOB_STATUSES.includes(body.job?.status)) {
+          return body.job;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Job ${jobId} still ${body.job?.status} after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+  };
+}
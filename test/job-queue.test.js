@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue, JOB_STATUS } from '../lib/job-queue.js';
+
+function waitFor(queue, event) {
+  return new Promise(resolve => queue.once(event, resolve));
+}
+
+describe('JobQueue', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+    filePath = path.join(dir, 'jobs.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('runs a job and keeps its results out of the journal', async () => {
+    const queue = new JobQueue({ filePath });
+    queue.registerHandler('echo', async (payload, context) => {
+      await context.setTotal(1);
+      await context.updateLead(0, { leadId: 'lead-1', status: 'success', result: { company: 'Smile Dental' } });
+      return { echoed: payload.value };
+    });
+    await queue.init();
+
+    const completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    const job = await queue.enqueue('echo', { value: 42 });
+    await completed;
+
+    assert.equal(queue.get(job.id).status, JOB_STATUS.COMPLETED);
+    assert.deepEqual(queue.get(job.id).result, { echoed: 42 });
+    assert.equal(queue.get(job.id).progress.completed, 1);
+
+    await queue.save();
+    const journal = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.equal(journal.jobs[0].result, undefined);
+    assert.equal(journal.jobs[0].progress.leads[0].result, undefined);
+    assert.equal(journal.jobs[0].progress.leads[0].leadId, 'lead-1');
+    assert.equal(queue.get(job.id).progress.leads[0].result.company, 'Smile Dental');
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'jobs-results', `${job.id}.json`), 'utf8'));
+    assert.deepEqual(stored.result, { echoed: 42 });
+
+    // A restarted queue finds the result again
+    const restarted = new JobQueue({ filePath });
+    await restarted.init();
+    assert.deepEqual(restarted.get(job.id).result, { echoed: 42 });
+  });
+
+  it('records a failing handler as a failed job', async () => {
+    const queue = new JobQueue({ filePath });
+    queue.registerHandler('broken', async () => {
+      throw new Error('no leads today');
+    });
+    await queue.init();
+
+    const failed = waitFor(queue, JOB_STATUS.FAILED);
+    const job = await queue.enqueue('broken');
+    await failed;
+    assert.equal(queue.get(job.id).error, 'no leads today');
+  });
+
+  it('re-queues jobs that were running when the process died', async () => {
+    await fs.writeFile(filePath, JSON.stringify({
+      jobs: [{ id: 'job-1', type: 'echo', status: JOB_STATUS.RUNNING, payload: {}, state: { cursor: 3 }, progress: { total: 0, completed: 0, failed: 0, leads: [] }, attempts: 1, createdAt: new Date().toISOString() }]
+    }));
+
+    const queue = new JobQueue({ filePath });
+    let resumedState = null;
+    queue.registerHandler('echo', async (payload, context) => {
+      resumedState = { ...context.state };
+      return 'done';
+    });
+    const completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    await queue.init();
+    await completed;
+
+    assert.deepEqual(resumedState, { cursor: 3 });
+    assert.equal(queue.get('job-1').attempts, 2);
+    assert.ok(queue.get('job-1').resumedAt);
+  });
+
+  it('cancels a queued job before it starts', async () => {
+    const queue = new JobQueue({ filePath });
+    let release;
+    queue.registerHandler('slow', () => new Promise(resolve => { release = resolve; }));
+    await queue.init();
+
+    const first = await queue.enqueue('slow');
+    const second = await queue.enqueue('slow');
+    await queue.cancel(second.id);
+    assert.equal(queue.get(second.id).status, JOB_STATUS.CANCELLED);
+
+    const completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    release('ok');
+    await completed;
+    assert.equal(queue.get(first.id).status, JOB_STATUS.COMPLETED);
+  });
+
+  it('coalesces a burst of progress updates into a few journal writes', async () => {
+    const queue = new JobQueue({ filePath });
+    let writes = 0;
+    const write = queue.store.write.bind(queue.store);
+    queue.store.write = data => {
+      writes += 1;
+      return write(data);
+    };
+    queue.registerHandler('busy', async (payload, context) => {
+      await Promise.all(Array.from({ length: 50 }, (_, index) => context.updateLead(index, { status: 'success' })));
+      return null;
+    });
+    await queue.init();
+    writes = 0;
+
+    const completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    await queue.enqueue('busy');
+    await completed;
+    assert.ok(writes < 10, `${writes} journal writes`);
+  });
+
+  it('drops the oldest finished jobs and their results beyond retainFinished', async () => {
+    const queue = new JobQueue({ filePath, retainFinished: 1 });
+    queue.registerHandler('echo', async payload => payload);
+    await queue.init();
+
+    let completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    const old = await queue.enqueue('echo', { n: 1 });
+    await completed;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    completed = waitFor(queue, JOB_STATUS.COMPLETED);
+    const recent = await queue.enqueue('echo', { n: 2 });
+    await completed;
+    await queue.save();
+
+    assert.equal(queue.get(old.id), null);
+    assert.ok(queue.get(recent.id));
+    await assert.rejects(fs.access(path.join(dir, 'jobs-results', `${old.id}.json`)));
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, resolveLanguage, DEFAULT_LANGUAGE } from '../lib/language-detection.js';
+
+describe('resolveLanguage', () => {
+  it('accepts codes, locales and language names', () => {
+    assert.equal(resolveLanguage('de-AT'), 'de');
+    assert.equal(resolveLanguage('nl_BE'), 'nl');
+    assert.equal(resolveLanguage('Français'), 'fr');
+    assert.equal(resolveLanguage('Klingon'), null);
+  });
+});
+
+describe('detectLanguage', () => {
+  it('trusts the text over a theme left at lang="en"', () => {
+    const text = 'Wij zijn een fysiotherapiepraktijk in Amsterdam. U bent van harte welkom bij onze praktijk voor een afspraak met het team, ook voor sportblessures.';
+    const detected = detectLanguage({ html: '<html lang="en">', text, domain: 'fysio-centrum-amsterdam.nl' });
+    assert.equal(detected.code, 'nl');
+    assert.ok(detected.sources.includes('content'));
+  });
+
+  it('uses the declared language when the text is too short to tell', () => {
+    assert.equal(detectLanguage({ html: '<html lang="de-AT">', text: 'Praxis', domain: 'praxis.at' }).code, 'de');
+  });
+
+  it('defaults without any signal', () => {
+    const detected = detectLanguage({});
+    assert.equal(detected.code, DEFAULT_LANGUAGE);
+    assert.equal(detected.source, 'default');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LeadCheckpointStore, PHASE_STATUS } from '../lib/lead-checkpoints.js';
+
+describe('LeadCheckpointStore', () => {
+  let dir;
+  let filePath;
+  let checkpoints;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-checkpoints-'));
+    filePath = path.join(dir, 'leads.json');
+    checkpoints = new LeadCheckpointStore({ filePath });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('resumes from the first phase that did not complete', async () => {
+    const leadId = checkpoints.createLeadId();
+    await checkpoints.begin(leadId, 'https://a.at/');
+    await checkpoints.recordPhase(leadId, 'scrape', PHASE_STATUS.COMPLETED, { company: 'A' });
+    await checkpoints.recordPhase(leadId, 'notion', PHASE_STATUS.COMPLETED, { id: 'page-1' });
+    await checkpoints.markFailed(leadId, 'agent', new Error('ElevenLabs down'));
+
+    const lead = await checkpoints.get(leadId);
+    assert.equal(lead.status, 'failed');
+    assert.equal(lead.failedPhase, 'agent');
+    assert.equal(lead.error, 'ElevenLabs down');
+    assert.equal(lead.phases.agent.status, PHASE_STATUS.FAILED);
+    assert.equal(checkpoints.nextPhase(lead), 'agent');
+
+    // Resuming keeps the completed phases
+    const resumed = await checkpoints.begin(leadId, 'https://a.at/');
+    assert.equal(resumed.status, 'running');
+    assert.equal(resumed.phases.notion.output.id, 'page-1');
+  });
+
+  it('keeps the campaign options a resume has to reapply', async () => {
+    const options = { duplicatePolicy: 'refresh', language: 'de', filters: ['NOT blog'] };
+    await checkpoints.begin('lead-1', 'https://a.at/', { campaignId: 'campaign-1', options });
+    await checkpoints.markFailed('lead-1', 'scrape', new Error('timeout'));
+
+    const reloaded = new LeadCheckpointStore({ filePath });
+    const lead = await reloaded.begin('lead-1', 'https://a.at/');
+    assert.equal(lead.campaignId, 'campaign-1');
+    assert.deepEqual(lead.options, options);
+  });
+
+  it('keeps the output of a phase that failed halfway', async () => {
+    const leadId = checkpoints.createLeadId();
+    await checkpoints.begin(leadId, 'https://a.at/');
+    await checkpoints.recordPhase(leadId, 'repository', PHASE_STATUS.PARTIAL, { full_name: 'owner/a-demo' });
+    await checkpoints.markFailed(leadId, 'repository', new Error('push rejected'));
+
+    const lead = await checkpoints.get(leadId);
+    assert.equal(lead.phases.repository.status, PHASE_STATUS.PARTIAL);
+    assert.equal(checkpoints.collectArtifacts(lead).repositoryFullName, 'owner/a-demo');
+  });
+
+  it('lists the artifacts a teardown has to remove, but not a refreshed CRM page', async () => {
+    const lead = {
+      phases: {
+        notion: { status: PHASE_STATUS.COMPLETED, output: { id: 'page-1', refreshed: true } },
+        agent: { status: PHASE_STATUS.COMPLETED, output: { agentId: 'agent-1' } },
+        deployment: { status: PHASE_STATUS.COMPLETED, output: { projectId: 'project-1' } }
+      }
+    };
+    assert.deepEqual(checkpoints.collectArtifacts(lead), { notionPageId: null, agentId: 'agent-1', repositoryFullName: null, railwayProjectId: 'project-1' });
+  });
+
+  it('marks a lead torn down, or incomplete when a step failed', async () => {
+    const leadId = checkpoints.createLeadId();
+    await checkpoints.begin(leadId, 'https://a.at/');
+    await checkpoints.recordTeardown(leadId, { steps: [{ artifact: 'agent', status: 'deleted' }, { artifact: 'repository', status: 'failed' }] });
+    assert.equal((await checkpoints.get(leadId)).status, 'teardown-incomplete');
+  });
+
+  it('persists checkpoints across instances, newest first', async () => {
+    await checkpoints.begin('lead-1', 'https://a.at/');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await checkpoints.begin('lead-2', 'https://b.at/');
+    await checkpoints.markFinished('lead-2', 'success');
+
+    const reloaded = new LeadCheckpointStore({ filePath });
+    assert.deepEqual((await reloaded.list()).map(lead => lead.leadId), ['lead-2', 'lead-1']);
+    assert.deepEqual((await reloaded.list({ status: 'success' })).map(lead => lead.leadId), ['lead-2']);
+  });
+});
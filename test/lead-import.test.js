@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseLeadImport, parseMappingSpec, detectFormat, ImportValidationError } from '../lib/lead-import.js';
+
+describe('parseCsv', () => {
+  it('handles quoted fields and picks the delimiter from the header', () => {
+    const { headers, records } = parseCsv('Website;Name;Notes\nhttps://a.at;"Praxis ""Dr. A""";"line one\nline two"\n');
+    assert.deepEqual(headers, ['Website', 'Name', 'Notes']);
+    assert.deepEqual(records, [{ Website: 'https://a.at', Name: 'Praxis "Dr. A"', Notes: 'line one\nline two' }]);
+  });
+});
+
+describe('detectFormat', () => {
+  it('goes by format, then filename, then content', () => {
+    assert.equal(detectFormat({ format: 'ndjson', text: '' }), 'jsonl');
+    assert.equal(detectFormat({ filename: 'leads.csv', text: '{"a":1}' }), 'csv');
+    assert.equal(detectFormat({ text: '{"website":"x"}' }), 'jsonl');
+    assert.throws(() => detectFormat({ format: 'xlsx', text: '' }), ImportValidationError);
+  });
+});
+
+describe('parseLeadImport', () => {
+  it('validates rows and reports duplicates by domain', () => {
+    const result = parseLeadImport('website,name\nhttps://www.a.at,A\nnot a url,B\nhttps://a.at/kontakt,A again\n');
+    assert.equal(result.format, 'csv');
+    assert.equal(result.valid, 1);
+    assert.equal(result.invalid, 2);
+    assert.deepEqual(result.rows.map(row => row.row), [2, 3, 4]);
+    assert.match(result.rows[2].errors.join(), /duplicate of row 2/);
+  });
+
+  it('numbers rows by their line in the file, blank lines included', () => {
+    const csv = parseLeadImport('website\nhttps://a.at\n\nhttps://b.at\n');
+    assert.deepEqual(csv.rows.map(row => row.row), [2, 4]);
+
+    const jsonl = parseLeadImport('{"website":"https://a.at"}\n\n\n{broken\n{"website":"https://b.at"}', { format: 'jsonl' });
+    assert.deepEqual(jsonl.rows.map(row => [row.row, row.status]), [[1, 'valid'], [4, 'invalid'], [5, 'valid']]);
+  });
+
+  it('maps each JSONL record by its own keys', () => {
+    const result = parseLeadImport('{"url":"https://a.at","name":"A"}\n{"website":"https://b.at","practice":"B"}', { format: 'jsonl' });
+    assert.equal(result.valid, 2);
+    assert.deepEqual(result.rows.map(row => row.url), ['https://a.at/', 'https://b.at/']);
+    assert.deepEqual(result.rows.map(row => row.seed.company), ['A', 'B']);
+  });
+
+  it('uses explicit mappings and rejects unknown columns', () => {
+    const result = parseLeadImport('Homepage,Praxis\nhttps://a.at,A\n', { mapping: { website: 'Homepage', company: 'Praxis' } });
+    assert.equal(result.rows[0].seed.company, 'A');
+    assert.throws(() => parseLeadImport('Homepage\nhttps://a.at\n', { mapping: { website: 'Site' } }), /not in the file/);
+    assert.throws(() => parseLeadImport('Name\nA\n'), /No website column/);
+  });
+
+  it('reads "field=Column" mapping specs', () => {
+    assert.deepEqual(parseMappingSpec('website=Homepage, company=Praxis'), { website: 'Homepage', company: 'Praxis' });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LeadRegistry, normalizeDomain, isKnownPractice } from '../lib/lead-registry.js';
+
+describe('normalizeDomain', () => {
+  it('reduces URLs and bare domains to the host', () => {
+    assert.equal(normalizeDomain('https://WWW.Smile-Dental.at/kontakt?x=1'), 'smile-dental.at');
+    assert.equal(normalizeDomain('m.clinic.nl'), 'clinic.nl');
+    assert.equal(normalizeDomain('http://www2.clinic.nl.'), 'clinic.nl');
+  });
+
+  it('keeps different practices apart', () => {
+    assert.notEqual(normalizeDomain('https://myclinic.nl'), normalizeDomain('https://clinic.nl'));
+  });
+});
+
+describe('isKnownPractice', () => {
+  it('counts running and finished leads and their Notion pages', () => {
+    assert.equal(isKnownPractice(null), false);
+    assert.equal(isKnownPractice({ leadIds: ['lead-1'], notionPageId: null }), true);
+    assert.equal(isKnownPractice({ leadIds: [], notionPageId: 'page-1', lastStatus: 'success' }), true);
+  });
+
+  it('ignores the lead asking and a lead that failed', () => {
+    assert.equal(isKnownPractice({ leadIds: ['lead-1'], notionPageId: null }, 'lead-1'), false);
+    assert.equal(isKnownPractice({ leadIds: ['lead-1'], notionPageId: 'page-1', lastStatus: 'failed', lastLeadId: 'lead-1' }), false);
+  });
+});
+
+describe('LeadRegistry', () => {
+  let dir;
+  let registry;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-registry-'));
+    registry = new LeadRegistry({ filePath: path.join(dir, 'registry.json'), keyFor: domain => domain.replace(/\./g, '-') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('claims a new practice once', async () => {
+    const first = await registry.claim('https://www.clinic.nl/', 'lead-1');
+    assert.equal(first.claimed, true);
+    assert.equal(first.known, false);
+
+    const second = await registry.claim('https://clinic.nl/contact', 'lead-2');
+    assert.equal(second.claimed, false);
+    assert.equal(second.known, true);
+    assert.deepEqual(second.entry.leadIds, ['lead-1']);
+  });
+
+  it('lets a known practice be claimed again when allowed', async () => {
+    await registry.claim('https://clinic.nl', 'lead-1');
+    const again = await registry.claim('https://clinic.nl', 'lead-2', { allowKnown: true });
+    assert.equal(again.claimed, true);
+    assert.deepEqual(again.entry.leadIds, ['lead-1', 'lead-2']);
+  });
+
+  it('frees a practice whose lead failed, keeping its Notion page', async () => {
+    await registry.claim('https://clinic.nl', 'lead-1');
+    await registry.recordOutcome('https://clinic.nl', { notionPageId: 'page-1' });
+    await registry.recordFailure('https://clinic.nl', 'lead-1');
+
+    const entry = await registry.get('https://clinic.nl');
+    assert.equal(entry.lastStatus, 'failed');
+    assert.equal(entry.notionPageId, 'page-1');
+    assert.deepEqual(entry.leadIds, []);
+
+    const retry = await registry.claim('https://clinic.nl', 'lead-2');
+    assert.equal(retry.claimed, true);
+    assert.equal(retry.known, false);
+  });
+
+  it('persists claims across instances', async () => {
+    await registry.claim('https://clinic.nl', 'lead-1');
+    await registry.release('https://clinic.nl', 'lead-1', { notionPageId: 'page-9' });
+
+    const reloaded = new LeadRegistry({ filePath: path.join(dir, 'registry.json'), keyFor: domain => domain.replace(/\./g, '-') });
+    const entry = await reloaded.get('https://clinic.nl');
+    assert.deepEqual(entry.leadIds, []);
+    assert.equal(entry.notionPageId, 'page-9');
+  });
+});
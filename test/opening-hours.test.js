@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOpeningHours, formatOpeningHours } from '../lib/opening-hours.js';
+
+describe('parseOpeningHours', () => {
+  it('reads day ranges, split shifts and closed days', () => {
+    const hours = parseOpeningHours('Mo-Do 08:00-12:00 und 14:00-18:00\nFreitag 8-13 Uhr\nSa, So geschlossen');
+    assert.deepEqual(hours.weekly, [
+      { days: ['Mo', 'Tu', 'We', 'Th'], opens: '08:00', closes: '12:00' },
+      { days: ['Mo', 'Tu', 'We', 'Th'], opens: '14:00', closes: '18:00' },
+      { days: ['Fr'], opens: '08:00', closes: '13:00' }
+    ]);
+    assert.deepEqual(hours.closed, ['Sa', 'Su']);
+  });
+
+  it('pairs days and hours from separate table cells', () => {
+    const hours = parseOpeningHours('Monday\n9:00 am - 5:00 pm\nTuesday\n9:00 am - 5:00 pm');
+    assert.deepEqual(hours.weekly.map(entry => [entry.days.join(), entry.opens, entry.closes]), [['Mo', '09:00', '17:00'], ['Tu', '09:00', '17:00']]);
+  });
+
+  it('keeps holiday closures as notes', () => {
+    const hours = parseOpeningHours('Mo-Fr 9-17\nClosed on public holidays');
+    assert.deepEqual(hours.notes, ['Closed on public holidays']);
+    assert.deepEqual(hours.closed, []);
+  });
+
+  it('keeps dated closures as notes instead of closed days', () => {
+    const hours = parseOpeningHours('Mo-Fr 8-18 Uhr\nAm 24.12. und 31.12. geschlossen\nSamstag geschlossen');
+    assert.deepEqual(hours.notes, ['Am 24.12. und 31.12. geschlossen']);
+    assert.deepEqual(hours.closed, ['Sa']);
+    assert.equal(hours.weekly.length, 1);
+  });
+
+  it('is empty when no hours are stated', () => {
+    assert.deepEqual(parseOpeningHours('Welcome to our practice'), { weekly: [], closed: [], notes: [] });
+  });
+});
+
+describe('formatOpeningHours', () => {
+  it('groups equal days and localizes labels', () => {
+    const hours = parseOpeningHours('Mo-Do 08:00-18:00\nFr 08:00-13:00\nSa-So geschlossen');
+    assert.deepEqual(formatOpeningHours(hours), ['Mon–Thu 08:00–18:00', 'Fri 08:00–13:00', 'Sat–Sun closed']);
+    assert.deepEqual(formatOpeningHours(hours, { dayNames: ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'], closedLabel: 'geschlossen' })[2], 'Sa–So geschlossen');
+  });
+});
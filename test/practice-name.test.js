@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { domainLabel, nameFromDomain, titleName, resolvePracticeName } from '../lib/practice-name.js';
+
+describe('domain names', () => {
+  it('finds the registrable label', () => {
+    assert.equal(domainLabel('www.dr-smit-tandarts.nl'), 'dr-smit-tandarts');
+    assert.equal(domainLabel('harley-aesthetics.co.uk'), 'harley-aesthetics');
+    assert.equal(nameFromDomain('dr-smit-tandarts.nl'), 'Dr Smit Tandarts');
+  });
+});
+
+describe('titleName', () => {
+  it('skips generic and location-only segments', () => {
+    assert.equal(titleName('Home | Smile Dental Wien | Vienna, Austria', 'smile-dental-wien.at'), 'Smile Dental Wien');
+  });
+});
+
+describe('resolvePracticeName', () => {
+  it('lets agreeing sources outweigh a single one', () => {
+    const html = '<title>Welcome - Zahnarztpraxis Dr. Huber</title><meta property="og:site_name" content="Zahnarztpraxis Dr. Huber"><footer>© 2024 Zahnarztpraxis Dr. Huber</footer>';
+    const resolved = resolvePracticeName({ html, domain: 'zahnarzt-huber.at' });
+    assert.equal(resolved.name, 'Zahnarztpraxis Dr. Huber');
+    assert.equal(resolved.fallback, false);
+    assert.ok(resolved.sources.includes('og:site_name'));
+  });
+
+  it('falls back to the domain when the page names nothing', () => {
+    const resolved = resolvePracticeName({ html: '<title>Home</title>', domain: 'brooklynfamilymedicine.com' });
+    assert.equal(resolved.fallback, true);
+    assert.equal(resolved.source, 'domain');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket, RateLimiterRegistry, runPool } from '../lib/rate-limiter.js';
+
+describe('TokenBucket', () => {
+  it('hands out its burst at once, then waits for refills', async () => {
+    const bucket = new TokenBucket({ ratePerMinute: 600, burst: 2 });
+    const startedAt = Date.now();
+    await bucket.acquire();
+    await bucket.acquire();
+    assert.ok(Date.now() - startedAt < 50);
+
+    await bucket.acquire();
+    // 600/min is one token per 100ms
+    assert.ok(Date.now() - startedAt >= 80);
+  });
+
+  it('serves waiters in order', async () => {
+    const bucket = new TokenBucket({ ratePerMinute: 1200, burst: 1 });
+    const served = [];
+    await Promise.all([1, 2, 3].map(id => bucket.acquire().then(() => served.push(id))));
+    assert.deepEqual(served, [1, 2, 3]);
+  });
+});
+
+describe('RateLimiterRegistry', () => {
+  it('lets providers without a limit pass straight through', async () => {
+    const registry = new RateLimiterRegistry({ github: { ratePerMinute: 60 } });
+    await registry.acquire('unknown');
+    assert.deepEqual(Object.keys(registry.status()), ['github']);
+    assert.equal(registry.status().github.ratePerMinute, 60);
+  });
+});
+
+describe('runPool', () => {
+  it('keeps input order and never runs more than the concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runPool([30, 10, 20, 5], { concurrency: 2 }, async (ms, index) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running -= 1;
+      return index * 10;
+    });
+    assert.deepEqual(results, [0, 10, 20, 30]);
+    assert.equal(peak, 2);
+  });
+
+  it('turns a throwing item into its onError result', async () => {
+    const results = await runPool(['a', 'b'], { concurrency: 2 }, async item => {
+      if (item === 'b') {
+        throw new Error('bad lead');
+      }
+      return item;
+    });
+    assert.deepEqual(results, ['a', { error: 'bad lead' }]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseVerdicts, isRelevant, RelevanceParseError, RelevanceCache, RelevanceClassifier } from '../lib/relevance.js';
+
+const candidate = id => ({ url: `https://clinic-${id}.at/`, title: `Clinic ${id}`, text: '' });
+
+// LLM stub scoring every candidate in the prompt 0.9; counts its calls
+function fakeComplete() {
+  const calls = [];
+  const complete = async (prompt, { size }) => {
+    calls.push(size);
+    return JSON.stringify(Array.from({ length: size }, (_, index) => ({ id: index + 1, score: 0.9, isRealPractice: true, reason: 'clinic' })));
+  };
+  return { complete, calls };
+}
+
+describe('parseVerdicts', () => {
+  it('reads fenced JSON and matches verdicts to candidates by id', () => {
+    const reply = 'Here you go:\n```json\n[{"id":2,"score":"85%","isRealPractice":"yes","reason":"clinic"},{"id":1,"score":0.2,"isRealPractice":false}]\n```';
+    const verdicts = parseVerdicts(reply, 3);
+    assert.equal(verdicts[1].score, 0.85);
+    assert.equal(verdicts[1].isRealPractice, true);
+    assert.equal(verdicts[0].reason, 'no reason given');
+    assert.equal(verdicts[2], null);
+  });
+
+  it('rejects replies without a JSON array', () => {
+    assert.throws(() => parseVerdicts('I cannot help', 1), RelevanceParseError);
+  });
+});
+
+describe('isRelevant', () => {
+  it('needs a real practice above the threshold', () => {
+    assert.equal(isRelevant({ score: 0.9, isRealPractice: true }), true);
+    assert.equal(isRelevant({ score: 0.9, isRealPractice: false }), false);
+    assert.equal(isRelevant({ score: 0.5, isRealPractice: true }), false);
+    assert.equal(isRelevant(null), false);
+  });
+});
+
+describe('RelevanceClassifier', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'relevance-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('scores candidates in batches and reuses cached verdicts', async () => {
+    const llm = fakeComplete();
+    const cache = new RelevanceCache({ filePath: path.join(dir, 'relevance.json'), ttlMs: 60000 });
+    const classifier = new RelevanceClassifier({ complete: llm.complete, cache, batchSize: 2 });
+    const candidates = [1, 2, 3].map(candidate);
+
+    const verdicts = await classifier.classify(candidates, 'dental vienna');
+    assert.deepEqual(verdicts.map(verdict => verdict.score), [0.9, 0.9, 0.9]);
+    assert.deepEqual(llm.calls, [2, 1]);
+
+    await classifier.classify(candidates, 'dental vienna');
+    assert.deepEqual(llm.calls, [2, 1]);
+    await classifier.classify(candidates, 'dental berlin');
+    assert.deepEqual(llm.calls, [2, 1, 2, 1]);
+  });
+
+  it('stops early once enough candidates are relevant', async () => {
+    const llm = fakeComplete();
+    const classifier = new RelevanceClassifier({ complete: llm.complete, batchSize: 2 });
+    const verdicts = await classifier.classify([1, 2, 3, 4].map(candidate), 'dental', { stopWhen: found => found.filter(Boolean).length >= 2 });
+    assert.equal(verdicts.filter(Boolean).length, 2);
+    assert.deepEqual(llm.calls, [2]);
+  });
+
+  it('leaves a batch unscored when the reply is unusable', async () => {
+    const classifier = new RelevanceClassifier({ complete: async () => 'Sorry, no.' });
+    assert.deepEqual(await classifier.classify([candidate(1)], 'dental'), [null]);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, CircuitBreaker, ProviderUnavailableError, classifyError, parseRetryAfter } from '../lib/retry-policy.js';
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const quietPolicy = (defaults = {}) => new RetryPolicy({ defaults: { baseDelayMs: 1, maxDelayMs: 20, ...defaults }, logger: () => {} });
+
+describe('parseRetryAfter', () => {
+  it('reads delta seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    assert.ok(Math.abs(parseRetryAfter(inTenSeconds) - 10000) <= 1000);
+  });
+
+  it('ignores missing or unreadable values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('classifyError', () => {
+  it('retries server trouble and counts it against the provider', () => {
+    assert.deepEqual(classifyError(httpError(503)), { retryable: true, providerFault: true, status: 503, retryAfterMs: null });
+  });
+
+  it('does not retry a request the provider rejected', () => {
+    const verdict = classifyError(httpError(404));
+    assert.equal(verdict.retryable, false);
+    assert.equal(verdict.providerFault, false);
+  });
+
+  it('only repeats non-idempotent calls the provider certainly did not process', () => {
+    assert.equal(classifyError(httpError(500), { idempotent: false }).retryable, false);
+    assert.equal(classifyError(httpError(503), { idempotent: false }).retryable, true);
+    assert.equal(classifyError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }), { idempotent: false }).retryable, true);
+    assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), { idempotent: false }).retryable, false);
+  });
+
+  it('passes Retry-After on', () => {
+    assert.equal(classifyError(httpError(429, { 'retry-after': '2' })).retryAfterMs, 2000);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens at the failure threshold and lets a trial through after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.state, 'closed');
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.blockedForMs() > 0);
+
+    breaker.openedAt -= 1000;
+    assert.equal(breaker.blockedForMs(), 0);
+    assert.equal(breaker.state, 'half-open');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('stays open until the time the provider asked for', () => {
+    const breaker = new CircuitBreaker({ resetTimeoutMs: 1000 });
+    breaker.openFor(120000, new Error('rate limited'));
+    assert.ok(breaker.blockedForMs() > 60000);
+  });
+});
+
+describe('RetryPolicy', () => {
+  it('retries transient failures until the call succeeds', async () => {
+    let calls = 0;
+    const result = await quietPolicy().execute('github', async () => {
+      calls += 1;
+      if (calls < 3) {
+        throw httpError(502);
+      }
+      return 'created';
+    });
+    assert.equal(result, 'created');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up after maxAttempts and says so', async () => {
+    let calls = 0;
+    await assert.rejects(
+      quietPolicy({ maxAttempts: 2 }).execute('notion', async () => {
+        calls += 1;
+        throw httpError(503);
+      }),
+      /gave up after 2 attempts/
+    );
+    assert.equal(calls, 2);
+  });
+
+  it('does not retry fatal errors', async () => {
+    let calls = 0;
+    await assert.rejects(quietPolicy().execute('notion', async () => {
+      calls += 1;
+      throw httpError(401);
+    }), /HTTP 401/);
+    assert.equal(calls, 1);
+  });
+
+  it('fails fast once the circuit is open', async () => {
+    const policy = quietPolicy({ maxAttempts: 1, failureThreshold: 2 });
+    const failing = async () => {
+      throw httpError(500);
+    };
+    await assert.rejects(policy.execute('railway', failing));
+    await assert.rejects(policy.execute('railway', failing));
+
+    let called = false;
+    await assert.rejects(policy.execute('railway', async () => {
+      called = true;
+    }), ProviderUnavailableError);
+    assert.equal(called, false);
+    assert.equal(policy.status().railway.state, 'open');
+  });
+
+  it('opens the circuit instead of sleeping through a long Retry-After', async () => {
+    const policy = quietPolicy({ maxDelayMs: 1000 });
+    let calls = 0;
+    await assert.rejects(policy.execute('openrouter', async () => {
+      calls += 1;
+      throw httpError(429, { 'retry-after': '120' });
+    }), /Retry-After 120s exceeds the 1s retry limit/);
+    assert.equal(calls, 1);
+    assert.equal(policy.status().openrouter.state, 'open');
+    assert.ok(policy.status().openrouter.reopenAt);
+  });
+
+  it('takes per-provider overrides', () => {
+    const policy = new RetryPolicy({ defaults: { maxAttempts: 4 }, providers: { openrouter: { maxAttempts: 6 } } });
+    assert.equal(policy.optionsFor('openrouter').maxAttempts, 6);
+    assert.equal(policy.optionsFor('github').maxAttempts, 4);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice, parseDuration, parsePriceList, normalizeCatalogueEntry, mergeCatalogue, formatPrice, describeService } from '../lib/service-catalogue.js';
+
+describe('parsePrice', () => {
+  it('reads European and English notations', () => {
+    assert.deepEqual(parsePrice('1.200,00 €'), { price: 1200, priceFrom: false, currency: 'EUR' });
+    assert.deepEqual(parsePrice('£1,200'), { price: 1200, priceFrom: false, currency: 'GBP' });
+    assert.deepEqual(parsePrice('95,-', { currency: 'CHF' }), { price: 95, priceFrom: false, currency: 'CHF' });
+    assert.equal(parsePrice('Call us'), null);
+  });
+
+  it('flags starting prices', () => {
+    assert.deepEqual(parsePrice('ab 299 €'), { price: 299, priceFrom: true, currency: 'EUR' });
+    assert.deepEqual(parsePrice('from £450'), { price: 450, priceFrom: true, currency: 'GBP' });
+    assert.equal(parsePrice('vanaf € 75').priceFrom, true);
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads minutes and hours in several languages', () => {
+    assert.equal(parseDuration('45 min'), 45);
+    assert.equal(parseDuration('1,5 Std.'), 90);
+    assert.equal(parseDuration('60 minuten'), 60);
+    assert.equal(parseDuration('1 hour'), 60);
+    assert.equal(parseDuration('1h 30'), 90);
+    assert.equal(parseDuration('2 uur en 15 minuten'), 135);
+    assert.equal(parseDuration('Implantat 1 h 30,00 €'), 60);
+    assert.equal(parseDuration('no time given'), null);
+  });
+});
+
+describe('parsePriceList', () => {
+  it('keeps "ab" with the price instead of the name', () => {
+    const [entry] = parsePriceList('Bleaching ab 299 €');
+    assert.deepEqual([entry.name, entry.price, entry.priceFrom], ['Bleaching', 299, true]);
+  });
+
+  it('finds services with their price and duration', () => {
+    const entries = parsePriceList('Prophylaxe 60 min 95,00 €\nBleaching\n350 €\nImpressum', { currency: 'EUR' });
+    assert.deepEqual(entries.map(entry => [entry.name, entry.durationMinutes, entry.price]), [['Prophylaxe', 60, 95], ['Bleaching', null, 350]]);
+  });
+});
+
+describe('catalogue entries', () => {
+  it('normalizes LLM output and fills gaps from other sources', () => {
+    const entry = normalizeCatalogueEntry({ name: 'Botox', price: '€ 250', duration: '30 min' }, { currency: 'EUR' });
+    assert.deepEqual(entry, { name: 'Botox', description: null, durationMinutes: 30, price: 250, priceFrom: false, currency: 'EUR' });
+    assert.equal(normalizeCatalogueEntry({ name: 'x' }), null);
+
+    const [merged] = mergeCatalogue([{ name: 'Botox', description: null, durationMinutes: null, price: null, currency: null }], [entry]);
+    assert.equal(merged.price, 250);
+    assert.equal(merged.durationMinutes, 30);
+  });
+
+  it('formats prices and services for prompts', () => {
+    assert.equal(formatPrice({ price: 95, currency: 'EUR' }), '€95');
+    assert.equal(formatPrice({ price: 299, priceFrom: true, currency: 'EUR' }), 'from €299');
+    assert.equal(formatPrice({ price: 299, priceFrom: true, currency: 'EUR' }, 'de').replace(/\s/g, ' '), 'ab 299 €');
+    assert.equal(describeService({ name: 'Prophylaxis', durationMinutes: 60, price: 95, currency: 'EUR', description: 'Cleaning' }), 'Prophylaxis (1 h, €95) - Cleaning');
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SiteCrawler, RobotsDisallowedError, parseRobots, parseSitemap, classifyLink, htmlToText, mergeCorpus } from '../lib/site-crawler.js';
+
+/**
+ * fetchPage stub serving { url: body | { status, headers, body } }; anything
+ * else is a 404. Records every URL requested.
+ */
+function fakeSite(pages) {
+  const requested = [];
+  const fetchPage = async (url, init) => {
+    requested.push(url);
+    assert.equal(init.redirect, 'manual');
+    const page = pages[url];
+    if (page === undefined) {
+      return new Response('not found', { status: 404 });
+    }
+    const { status = 200, headers = { 'content-type': 'text/html' }, body = '' } = typeof page === 'string' ? { body: page } : page;
+    return new Response(body, { status, headers });
+  };
+  return { fetchPage, requested };
+}
+
+const crawlerFor = (site, budget = {}) => new SiteCrawler({ fetchPage: site.fetchPage, userAgent: 'test', budget });
+
+describe('parseRobots', () => {
+  it('prefers the group naming the agent and the longest matching rule', () => {
+    const rules = parseRobots('User-agent: *\nDisallow: /\n\nUser-agent: HealthcareDemoAgent\nDisallow: /private\nAllow: /private/contact\nCrawl-delay: 2\nSitemap: https://a.at/sitemap.xml');
+    assert.equal(rules.allows('/team'), true);
+    assert.equal(rules.allows('/private/notes'), false);
+    assert.equal(rules.allows('/private/contact'), true);
+    assert.equal(rules.crawlDelay, 2);
+    assert.deepEqual(rules.sitemaps, ['https://a.at/sitemap.xml']);
+  });
+});
+
+describe('page helpers', () => {
+  it('classifies links by path and anchor text in several languages', () => {
+    assert.equal(classifyLink(new URL('https://a.at/kontakt')), 'contact');
+    assert.equal(classifyLink(new URL('https://a.at/page-7'), 'Unsere Leistungen'), 'services');
+    assert.equal(classifyLink(new URL('https://a.at/tarieven')), 'pricing');
+    assert.equal(classifyLink(new URL('https://a.at/blog/post')), null);
+  });
+
+  it('reads sitemaps and sitemap indexes', () => {
+    assert.deepEqual(parseSitemap('<urlset><url><loc>https://a.at/team</loc></url></urlset>'), { urls: ['https://a.at/team'], sitemaps: [] });
+    assert.deepEqual(parseSitemap('<sitemapindex><sitemap><loc>https://a.at/s1.xml</loc></sitemap></sitemapindex>'), { urls: [], sitemaps: ['https://a.at/s1.xml'] });
+  });
+
+  it('turns html into lines of text and merges repeated blocks once', () => {
+    assert.equal(htmlToText('<p>Hello&nbsp;there</p><script>x()</script><div>World</div>'), 'Hello there\nWorld');
+    const corpus = mergeCorpus([
+      { url: 'https://a.at/', topic: 'home', text: 'Menu\nWelcome' },
+      { url: 'https://a.at/team', topic: 'team', text: 'Menu\nDr. A' }
+    ]);
+    assert.equal(corpus.match(/Menu/g).length, 1);
+  });
+});
+
+describe('SiteCrawler', () => {
+  it('follows topic links from the home page and honours robots.txt', async () => {
+    const site = fakeSite({
+      'https://a.at/robots.txt': { headers: { 'content-type': 'text/plain' }, body: 'User-agent: *\nDisallow: /team' },
+      'https://a.at/': '<title>Praxis A</title><a href="/kontakt">Kontakt</a><a href="/team">Team</a><a href="https://other.at/kontakt">Partner</a>',
+      'https://a.at/kontakt': '<p>Tel 01 234</p>'
+    });
+    const crawl = await crawlerFor(site).crawl('https://a.at/');
+
+    assert.deepEqual(crawl.pages.map(page => [page.url, page.topic]), [['https://a.at/', 'home'], ['https://a.at/kontakt', 'contact']]);
+    assert.equal(crawl.pages[0].title, 'Praxis A');
+    assert.deepEqual(crawl.skipped, [{ url: 'https://a.at/team', reason: 'robots.txt' }]);
+    assert.ok(!site.requested.some(url => url.includes('other.at')));
+  });
+
+  it('refuses a start page robots.txt disallows', async () => {
+    const site = fakeSite({ 'https://a.at/robots.txt': { headers: { 'content-type': 'text/plain' }, body: 'User-agent: *\nDisallow: /' } });
+    await assert.rejects(crawlerFor(site).crawl('https://a.at/'), RobotsDisallowedError);
+  });
+
+  it('cuts a page at maxPageBytes without reading the rest of the body', async () => {
+    let pulled = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulled += 1;
+        controller.enqueue(new TextEncoder().encode('x'.repeat(1024)));
+      }
+    });
+    const site = fakeSite({ 'https://a.at/': { body: endless } });
+    const crawl = await crawlerFor(site, { maxPageBytes: 4096 }).crawl('https://a.at/');
+
+    assert.equal(crawl.pages[0].bytes, 4096);
+    assert.ok(pulled < 10, `${pulled} chunks read`);
+  });
+
+  it('follows redirects on the site but not off it', async () => {
+    const site = fakeSite({
+      'https://a.at/': '<a href="/kontakt">Kontakt</a><a href="/team">Team</a>',
+      'https://a.at/kontakt': { status: 301, headers: { location: '/kontakt/' } },
+      'https://a.at/kontakt/': '<p>Tel 01 234</p>',
+      'https://a.at/team': { status: 302, headers: { location: 'https://tracker.example/team' } }
+    });
+    const crawl = await crawlerFor(site).crawl('https://a.at/');
+
+    assert.ok(crawl.pages.some(page => page.url === 'https://a.at/kontakt' && page.text === 'Tel 01 234'));
+    assert.deepEqual(crawl.skipped, [{ url: 'https://a.at/team', reason: 'redirect off-site to tracker.example' }]);
+    assert.ok(!site.requested.some(url => url.includes('tracker.example')));
+  });
+
+  it('stays on the new host when the start page moved', async () => {
+    const site = fakeSite({
+      'https://old.at/': { status: 301, headers: { location: 'https://new.at/' } },
+      'https://new.at/': '<a href="https://new.at/kontakt">Kontakt</a><a href="https://old.at/team">Team</a>',
+      'https://new.at/kontakt': '<p>Tel</p>'
+    });
+    const crawl = await crawlerFor(site).crawl('https://old.at/');
+
+    assert.deepEqual(crawl.pages.map(page => page.topic), ['home', 'contact']);
+    assert.ok(!site.requested.includes('https://old.at/team'));
+  });
+
+  it('reads robots.txt and the sitemap of the host the start page moved to', async () => {
+    const site = fakeSite({
+      'https://old.at/': { status: 301, headers: { location: 'https://new.at/' } },
+      'https://old.at/robots.txt': 'User-agent: *\nDisallow: /team',
+      'https://new.at/': '<p>Willkommen</p>',
+      'https://new.at/robots.txt': 'User-agent: *\nDisallow: /kontakt\nSitemap: https://new.at/pages.xml',
+      'https://new.at/pages.xml': '<urlset><url><loc>https://new.at/kontakt</loc></url><url><loc>https://new.at/team</loc></url></urlset>',
+      'https://new.at/team': '<p>Dr. Berger</p>'
+    });
+    const crawl = await crawlerFor(site).crawl('https://old.at/');
+
+    assert.deepEqual(crawl.pages.map(page => page.url), ['https://old.at/', 'https://new.at/team']);
+    assert.deepEqual(crawl.skipped, [{ url: 'https://new.at/kontakt', reason: 'robots.txt' }]);
+    assert.ok(!site.requested.includes('https://old.at/sitemap.xml'));
+  });
+
+  it('refuses a start page that moved to a host whose robots.txt disallows it', async () => {
+    const site = fakeSite({
+      'https://old.at/': { status: 301, headers: { location: 'https://new.at/' } },
+      'https://new.at/': '<p>Willkommen</p>',
+      'https://new.at/robots.txt': 'User-agent: *\nDisallow: /'
+    });
+    await assert.rejects(crawlerFor(site).crawl('https://old.at/'), RobotsDisallowedError);
+  });
+
+  it('stops at the site byte budget', async () => {
+    const site = fakeSite({
+      'https://a.at/': `<a href="/kontakt">Kontakt</a><a href="/team">Team</a>${'x'.repeat(3000)}`,
+      'https://a.at/kontakt': 'y'.repeat(3000),
+      'https://a.at/team': 'z'.repeat(3000)
+    });
+    const crawl = await crawlerFor(site, { maxBytes: 5000 }).crawl('https://a.at/');
+
+    assert.ok(crawl.bytes <= 5000);
+    assert.ok(crawl.skipped.some(entry => entry.reason === 'byte budget'));
+  });
+});
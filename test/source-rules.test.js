@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SourceRuleStore, SourceRuleValidationError, detectNonPracticePage } from '../lib/source-rules.js';
+
+describe('detectNonPracticePage', () => {
+  it('recognizes listings, locators, blogs and news by URL and wording', () => {
+    assert.equal(detectNonPracticePage({ url: 'https://portal.at/search/zahnarzt', title: 'Zahnärzte' }).kind, 'directory');
+    assert.equal(detectNonPracticePage({ url: 'https://x.com/', title: 'Top 10 Best Dentists in Vienna' }).kind, 'directory');
+    assert.equal(detectNonPracticePage({ url: 'https://chain.com/our-clinics/', title: 'Chain' }).kind, 'store-locator');
+    assert.equal(detectNonPracticePage({ url: 'https://digest.com/blog/choose', title: 'Choosing' }).kind, 'blog');
+    assert.equal(detectNonPracticePage({ url: 'https://times.com/news/clinics', title: 'Clinics' }).kind, 'news');
+    assert.match(detectNonPracticePage({ url: 'https://book.com/', title: 'Book', text: 'Compare 2,000 dentists near you' }).reason, /aggregator wording/);
+  });
+
+  it('lets a practice homepage through', () => {
+    assert.equal(detectNonPracticePage({ url: 'https://www.smile-dental-wien.at/', title: 'Smile Dental Wien - Zahnarzt im 1. Bezirk' }), null);
+  });
+});
+
+describe('SourceRuleStore', () => {
+  let dir;
+  let filePath;
+  let rules;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'source-rules-'));
+    filePath = path.join(dir, 'source-rules.json');
+    rules = new SourceRuleStore({ filePath });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('blocks the built-in platforms on every country domain', async () => {
+    const verdict = await rules.screen({ url: 'https://www.doctolib.de/hautarzt/berlin' });
+    assert.equal(verdict.allowed, false);
+    assert.equal(verdict.kind, 'blocklist');
+    assert.equal(verdict.rule, 'default-doctolib.*');
+  });
+
+  it('lets the allowlist override blocklist and heuristics', async () => {
+    const rule = await rules.add({ list: 'allow', type: 'pattern', value: 'https://www.smilecare-group.com/locations*' });
+    assert.equal(rule.value, 'smilecare-group.com/locations*');
+
+    const verdict = await rules.screen({ url: 'https://www.smilecare-group.com/locations/', title: 'Find a clinic near you' });
+    assert.equal(verdict.allowed, true);
+    assert.equal(verdict.kind, 'allowlist');
+  });
+
+  it('validates and deduplicates new rules, and persists them', async () => {
+    await assert.rejects(rules.add({ list: 'deny', value: 'a.com' }), /list must be one of/);
+    await assert.rejects(rules.add({ list: 'block', type: 'domain', value: 'not a domain' }), SourceRuleValidationError);
+    await assert.rejects(rules.add({ list: 'block', type: 'pattern', value: '**' }), /more than wildcards/);
+
+    const rule = await rules.add({ list: 'block', type: 'domain', value: 'https://www.Clinic-Finder.com/x' });
+    assert.equal(rule.value, 'clinic-finder.com');
+    await assert.rejects(rules.add({ list: 'block', type: 'domain', value: 'clinic-finder.com' }), /already on the blocklist/);
+
+    const reloaded = new SourceRuleStore({ filePath });
+    assert.ok((await reloaded.list({ list: 'block' })).some(entry => entry.id === rule.id));
+    assert.equal((await reloaded.remove(rule.id)).value, 'clinic-finder.com');
+    assert.equal(await reloaded.remove(rule.id), null);
+  });
+
+  it('splits candidates into accepted and rejected with the reason', async () => {
+    const { accepted, rejected } = await rules.screenAll([
+      { url: 'https://www.smile-dental-wien.at/', title: 'Smile Dental Wien' },
+      { url: 'https://www.linkedin.com/company/harley-street-aesthetics', title: 'LinkedIn' },
+      { url: 'not a url', title: '?' }
+    ]);
+    assert.deepEqual(accepted.map(candidate => candidate.url), ['https://www.smile-dental-wien.at/']);
+    assert.deepEqual(rejected.map(entry => entry.kind), ['blocklist', 'invalid-url']);
+    assert.equal(rejected[0].domain, 'linkedin.com');
+    assert.match(rejected[0].reason, /blocklisted domain linkedin\.com/);
+  });
+});
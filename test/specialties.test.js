@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSpecialty, specialtyProfile, mentionsSpecialty, classifySpecialty, practiceTypeUnion, SPECIALTY_IDS, DEFAULT_SPECIALTY } from '../lib/specialties.js';
+
+describe('resolveSpecialty', () => {
+  it('knows ids, synonyms and other languages', () => {
+    assert.equal(resolveSpecialty('Zahnarzt').id, 'dental');
+    assert.equal(resolveSpecialty('fysiotherapie').id, resolveSpecialty('physiotherapy').id);
+    assert.equal(resolveSpecialty(''), null);
+    assert.equal(specialtyProfile('unknown').id, DEFAULT_SPECIALTY);
+  });
+
+  it('spots a specialty in free text', () => {
+    assert.equal(mentionsSpecialty('Wir bieten Implantate und Zahnreinigung', 'dental'), true);
+  });
+});
+
+describe('classifySpecialty', () => {
+  it('weighs the title above the body and falls back to the default', () => {
+    const classified = classifySpecialty({ title: 'Zahnarztpraxis Dr. Huber', text: 'Prophylaxe, Implantate, Bleaching' });
+    assert.equal(classified.id, 'dental');
+    assert.equal(classified.source, 'content');
+    assert.equal(classifySpecialty({ title: 'Welcome' }).source, 'default');
+  });
+});
+
+describe('practiceTypeUnion', () => {
+  it('lists every specialty id for the generated site types', () => {
+    const union = practiceTypeUnion();
+    assert.ok(SPECIALTY_IDS.every(id => union.includes(`'${id}'`)));
+    assert.equal(union.split(' | ').length, SPECIALTY_IDS.length);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonLd, parseMarkupItems, parseOpenGraph, extractStructuredData } from '../lib/structured-data.js';
+
+const DENTIST = `<script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@graph': [
+    { '@type': 'WebSite', name: 'Site' },
+    {
+      '@type': 'Dentist',
+      name: 'Zahnarztpraxis Dr. Huber',
+      telephone: '+43 1 234 5678',
+      email: 'mailto:praxis@huber.at',
+      address: { '@type': 'PostalAddress', streetAddress: 'Ringstraße 1', addressLocality: 'Wien', addressCountry: 'AT' },
+      openingHours: 'Mo-Fr 08:00-16:00'
+    }
+  ]
+})}</script>`;
+
+describe('parseJsonLd', () => {
+  it('flattens @graph and skips broken blocks', () => {
+    const nodes = parseJsonLd(`${DENTIST}<script type="application/ld+json">{broken</script>`);
+    assert.ok(nodes.some(node => node.name === 'Zahnarztpraxis Dr. Huber'));
+  });
+});
+
+describe('parseMarkupItems', () => {
+  it('reads microdata items and their properties', () => {
+    const [item] = parseMarkupItems('<div itemscope itemtype="https://schema.org/Physician"><span itemprop="name">Dr. Anna Berger</span><a itemprop="telephone" href="tel:+4312345">Call</a></div>');
+    assert.deepEqual(item, { '@type': ['Physician'], name: 'Dr. Anna Berger', telephone: 'tel:+4312345' });
+  });
+});
+
+describe('parseOpenGraph', () => {
+  it('reads og: properties', () => {
+    assert.equal(parseOpenGraph('<meta property="og:site_name" content="Praxis Huber">')['og:site_name'], 'Praxis Huber');
+  });
+});
+
+describe('extractStructuredData', () => {
+  it('maps the practice node onto fields with their source', () => {
+    const { fields, sources } = extractStructuredData([{ url: 'https://huber.at/', html: DENTIST }]);
+    assert.equal(fields.company, 'Zahnarztpraxis Dr. Huber');
+    assert.equal(fields.email, 'praxis@huber.at');
+    assert.equal(fields.phone, '+43 1 234 5678');
+    assert.equal(fields.address.city, 'Wien');
+    assert.deepEqual(fields.openingHours, [{ days: ['Mo', 'Tu', 'We', 'Th', 'Fr'], opens: '08:00', closes: '16:00' }]);
+    assert.equal(sources.company, 'json-ld');
+  });
+
+  it('reads offered services with their prices', () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      '@type': 'MedicalClinic',
+      name: 'Skin Clinic',
+      makesOffer: [
+        { itemOffered: { name: 'Botox' }, priceSpecification: { minPrice: '199', priceCurrency: 'EUR' } },
+        { itemOffered: { name: 'Peeling' }, price: '89', priceCurrency: 'EUR' }
+      ]
+    })}</script>`;
+    const { fields } = extractStructuredData([{ url: 'https://skin.at/', html }]);
+    assert.deepEqual(fields.serviceCatalogue.map(entry => [entry.name, entry.price, entry.currency]), [['Botox', 199, 'EUR'], ['Peeling', 89, 'EUR']]);
+  });
+
+  it('reads a minPrice offer as a starting price', () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      '@type': 'MedicalClinic',
+      name: 'Skin Clinic',
+      makesOffer: [
+        { itemOffered: { name: 'Botox' }, priceSpecification: { minPrice: '199', priceCurrency: 'EUR' } },
+        { itemOffered: { name: 'Peeling' }, price: '89', priceCurrency: 'EUR' }
+      ]
+    })}</script>`;
+    const { fields } = extractStructuredData([{ url: 'https://skin.at/', html }]);
+    assert.deepEqual(fields.serviceCatalogue.map(entry => [entry.name, entry.priceFrom]), [['Botox', true], ['Peeling', false]]);
+  });
+
+  it('returns no fields for a page without markup', () => {
+    assert.deepEqual(extractStructuredData([{ url: 'https://a.at/', html: '<p>Hi</p>' }]).fields, {});
+  });
+});